@@ -9,6 +9,19 @@
  * - Status queries
  * - Case queries
  * - Report queries
+ * - Webhook queries
+ * - Import job queries
+ * - Case detail queries
+ * - Case search queries
+ * - Catalog queries
+ * - Case defaults queries
+ * - Holiday queries
+ * - Shopify store queries
+ * - Fulfillment queries
+ * - Status sync queries
+ * - Order change queries
+ * - Ship-to queries
+ * - Patient queries
  */
 
 // =============================================================================
@@ -58,6 +71,17 @@ const userQueries = {
     WHERE (u.UserName = :username OR u.UserLogin = :username)
       AND u.Password = :password
   `,
+
+  /**
+   * Get a user's type (1 = Admin, 3 = Employee, ...)
+   */
+  getUserTypeById: `
+    SELECT TOP 1
+      UserID,
+      UserTypeID
+    FROM dbo.[User]
+    WHERE UserID = :userId
+  `,
 };
 
 // =============================================================================
@@ -86,6 +110,153 @@ const statusQueries = {
     FROM dbo.Status
     WHERE Status_ID = :statusId
   `,
+
+  /**
+   * Get a status with its status group
+   */
+  getStatusWithGroup: `
+    SELECT TOP 1
+      s.Status_ID,
+      s.Status_Streamline_Options,
+      s.StatusGroupId,
+      sg.Name AS Status_Group_Name
+    FROM dbo.Status s
+    LEFT JOIN dbo.StatusGroup sg ON s.StatusGroupId = sg.StatusGroupId
+    WHERE s.Status_ID = :statusId
+  `,
+
+  /**
+   * Get all statuses with their status group
+   */
+  getStatusesWithGroup: `
+    SELECT
+      s.Status_ID,
+      s.Status_Streamline_Options,
+      s.StatusGroupId,
+      sg.Name AS Status_Group_Name
+    FROM dbo.Status s
+    LEFT JOIN dbo.StatusGroup sg ON s.StatusGroupId = sg.StatusGroupId
+    ORDER BY s.Status_ID ASC
+  `,
+
+  /**
+   * Get a status group by ID
+   */
+  getStatusGroupById: `
+    SELECT TOP 1
+      StatusGroupId,
+      Name
+    FROM dbo.StatusGroup
+    WHERE StatusGroupId = :statusGroupId
+  `,
+
+  /**
+   * Get active transition rules entering a status
+   */
+  getTransitionRulesToStatus: `
+    SELECT
+      Rule_Id,
+      From_Status_ID,
+      From_StatusGroupId,
+      To_Status_ID,
+      Requires_Tracking_Number,
+      Required_UserTypeID
+    FROM dbo.Status_Transition_Rule
+    WHERE Is_Active = 1
+      AND To_Status_ID = :statusId
+  `,
+
+  /**
+   * Get transition rules with status names, optionally including inactive ones
+   */
+  getTransitionRules: `
+    SELECT
+      r.Rule_Id,
+      r.From_Status_ID,
+      fs.Status_Streamline_Options AS From_Status_Streamline_Options,
+      r.From_StatusGroupId,
+      fg.Name AS From_Status_Group_Name,
+      r.To_Status_ID,
+      ts.Status_Streamline_Options AS To_Status_Streamline_Options,
+      r.Requires_Tracking_Number,
+      r.Required_UserTypeID,
+      r.Is_Active,
+      r.Created_At
+    FROM dbo.Status_Transition_Rule r
+    LEFT JOIN dbo.Status fs ON r.From_Status_ID = fs.Status_ID
+    LEFT JOIN dbo.StatusGroup fg ON r.From_StatusGroupId = fg.StatusGroupId
+    LEFT JOIN dbo.Status ts ON r.To_Status_ID = ts.Status_ID
+    WHERE r.Is_Active = 1 OR :includeInactive = 1
+    ORDER BY r.To_Status_ID ASC, r.Rule_Id ASC
+  `,
+
+  /**
+   * Get a transition rule by ID
+   */
+  getTransitionRuleById: `
+    SELECT TOP 1
+      r.Rule_Id,
+      r.From_Status_ID,
+      fs.Status_Streamline_Options AS From_Status_Streamline_Options,
+      r.From_StatusGroupId,
+      fg.Name AS From_Status_Group_Name,
+      r.To_Status_ID,
+      ts.Status_Streamline_Options AS To_Status_Streamline_Options,
+      r.Requires_Tracking_Number,
+      r.Required_UserTypeID,
+      r.Is_Active,
+      r.Created_At
+    FROM dbo.Status_Transition_Rule r
+    LEFT JOIN dbo.Status fs ON r.From_Status_ID = fs.Status_ID
+    LEFT JOIN dbo.StatusGroup fg ON r.From_StatusGroupId = fg.StatusGroupId
+    LEFT JOIN dbo.Status ts ON r.To_Status_ID = ts.Status_ID
+    WHERE r.Rule_Id = :ruleId
+  `,
+
+  /**
+   * Insert a transition rule
+   */
+  insertTransitionRule: `
+    INSERT INTO dbo.Status_Transition_Rule (
+      From_Status_ID,
+      From_StatusGroupId,
+      To_Status_ID,
+      Requires_Tracking_Number,
+      Required_UserTypeID,
+      Is_Active
+    ) VALUES (
+      :fromStatusId,
+      :fromStatusGroupId,
+      :toStatusId,
+      :requiresTrackingNumber,
+      :requiredUserTypeId,
+      :isActive
+    );
+    SELECT SCOPE_IDENTITY() AS ruleId
+  `,
+
+  /**
+   * Update a transition rule
+   */
+  updateTransitionRule: `
+    UPDATE dbo.Status_Transition_Rule
+    SET From_Status_ID = :fromStatusId,
+        From_StatusGroupId = :fromStatusGroupId,
+        To_Status_ID = :toStatusId,
+        Requires_Tracking_Number = :requiresTrackingNumber,
+        Required_UserTypeID = :requiredUserTypeId,
+        Is_Active = :isActive
+    WHERE Rule_Id = :ruleId
+  `,
+
+  /**
+   * Deactivate a transition rule (kept so the table is never re-seeded)
+   */
+  deactivateTransitionRule: `
+    UPDATE dbo.Status_Transition_Rule
+    SET Is_Active = 0
+    WHERE Rule_Id = :ruleId
+  `,
 };
 
 // =============================================================================
@@ -171,7 +342,7 @@ const caseQueries = {
       :userId,
       :customerId,
       GETDATE(),
-      DATEADD(day, :daysRequired, GETDATE()),
+      :dueDate,
       :firstName,
       :lastName,
       :orderNumber,
@@ -180,7 +351,7 @@ const caseQueries = {
       :statusCode,
       :labId,
       GETDATE(),
-      DATEADD(day, 14, GETDATE()),
+      :dueDate,
       :shipToId,
       :invoiceFee,
       :poNumber,
@@ -216,6 +387,85 @@ const caseQueries = {
     )
   `,
 
+  /**
+   * Insert a status change transaction with optional shipping details
+   */
+  insertStatusTransaction: `
+    INSERT INTO dbo.CaseTransaction (
+      Case_ID,
+      TRN_EMPLOYEE_ID,
+      UserId,
+      TRN_STATUS_CODE,
+      TRN_SHIP_REF_NUM,
+      Case_Date_Record_Created,
+      TRN_SHIP_COMPANY,
+      ShipCarrierId
+    ) VALUES (
+      :caseId,
+      :employeeId,
+      :userId,
+      :statusCode,
+      :shipRefNum,
+      GETDATE(),
+      :shipCompany,
+      :carrierId
+    )
+  `,
+
+  /**
+   * Get a case's current status, locking the row for a status change
+   */
+  getCaseStatusForUpdate: `
+    SELECT TOP 1
+      c.Case_ID,
+      c.Case_Status_Code,
+      c.ShipCarrierId
+    FROM dbo.[Case] c WITH (UPDLOCK, ROWLOCK)
+    WHERE c.Case_ID = :caseId
+  `,
+
+  /**
+   * Get the fields due date recalculation works from
+   */
+  getCaseForDueDate: `
+    SELECT TOP 1
+      c.Case_ID,
+      c.Case_Date_Received,
+      c.Case_Date_Required_By_DR,
+      c.Case_Lab_ID,
+      c.IsRushOrder
+    FROM dbo.[Case] c
+    WHERE c.Case_ID = :caseId
+  `,
+
+  /**
+   * Get the product codes on a case
+   */
+  getCaseItemProducts: `
+    SELECT ci.[name] AS product
+    FROM dbo.Case_Items ci
+    WHERE ci.Case_Id = :caseId
+  `,
+
+  /**
+   * Update a case's due date (and the estimated return, which follows it)
+   */
+  updateCaseDueDate: `
+    UPDATE dbo.[Case]
+    SET Case_Date_Required_By_DR = :dueDate,
+        Case_Date_Estimated_Return = :dueDate
+    WHERE Case_ID = :caseId
+  `,
+
+  /**
+   * Update a case's current status
+   */
+  updateCaseStatus: `
+    UPDATE dbo.[Case]
+    SET case_status_code = :statusCode
+    WHERE Case_ID = :caseId
+  `,
+
   /**
    * Insert case item (line item from Shopify)
    */
@@ -239,7 +489,7 @@ const caseQueries = {
       :shade,
       :shade,
       :qty,
-      '0.00'
+      :unitPrice
     );
     SELECT SCOPE_IDENTITY() AS case_item_id
   `,
@@ -265,7 +515,7 @@ const caseQueries = {
     SET RXInstructionsReviewed = 'Y',
         ItemTeethShadeReviewed = 'Y',
         CaseType = 1,
-        Case_Lab_ID = 52
+        Case_Lab_ID = :labId
     WHERE Case_ID = :caseId
   `,
 };
@@ -316,6 +566,23 @@ const reportQueries = {
       AND b.Case_Lab_ID IN (52, 53)
     ORDER BY b.Case_Date_Received DESC
   `,
+
+  /**
+   * Get the cases created for a batch of Shopify order numbers
+   * Used by the Shopify reconciliation report; Case_Patient_Num holds the
+   * order name.
+   */
+  getCasesByOrderNumbers: `
+    SELECT
+      c.Case_ID,
+      c.Case_Patient_Num,
+      CAST(c.Case_Date_Received AS DATE) AS Case_Date_Received,
+      c.Case_Status_Code,
+      s.Status_Streamline_Options
+    FROM dbo.[Case] c
+    LEFT JOIN dbo.Status s ON c.Case_Status_Code = s.Status_ID
+    WHERE c.Case_Patient_Num IN (:orderNumbers)
+  `,
 };
 
 // =============================================================================
@@ -698,6 +965,1688 @@ const ticketQueries = {
   `,
 };
 
+// =============================================================================
+// WEBHOOK QUERIES
+// =============================================================================
+
+const webhookQueries = {
+  /**
+   * Get a logged webhook delivery by Shopify webhook ID
+   */
+  getWebhookLog: `
+    SELECT TOP 1
+      Webhook_Id,
+      Topic,
+      Case_ID,
+      Status,
+      Message,
+      Received_At,
+      Processed_At
+    FROM dbo.Shopify_Webhook_Log
+    WHERE Webhook_Id = :webhookId
+  `,
+
+  /**
+   * Record a webhook delivery as being processed
+   * Re-deliveries of a failed webhook reuse the existing row
+   */
+  upsertWebhookLog: `
+    MERGE dbo.Shopify_Webhook_Log AS target
+    USING (SELECT :webhookId AS Webhook_Id) AS source
+      ON target.Webhook_Id = source.Webhook_Id
+    WHEN MATCHED THEN
+      UPDATE SET
+        Status = 'processing',
+        Message = NULL,
+        Received_At = GETDATE(),
+        Processed_At = NULL
+    WHEN NOT MATCHED THEN
+      INSERT (Webhook_Id, Topic, Shop_Domain, Shopify_Order_Id, Status)
+      VALUES (:webhookId, :topic, :shopDomain, :shopifyOrderId, 'processing');
+  `,
+
+  /**
+   * Mark a webhook delivery as finished (processed, ignored or failed)
+   */
+  completeWebhookLog: `
+    UPDATE dbo.Shopify_Webhook_Log
+    SET Status = :status,
+        Case_ID = :caseId,
+        Message = :message,
+        Processed_At = GETDATE()
+    WHERE Webhook_Id = :webhookId
+  `,
+};
+
+// =============================================================================
+// IMPORT JOB QUERIES
+// =============================================================================
+
+const importJobQueries = {
+  /**
+   * Insert a new import job
+   */
+  insertImportJob: `
+    INSERT INTO dbo.Case_Import_Job (
+      Status,
+      Total_Items,
+      Created_By_User_ID,
+      Created_By_User_Name,
+      Store_Id,
+      Created_At
+    ) VALUES (
+      'queued',
+      :totalItems,
+      :userId,
+      :userName,
+      :storeId,
+      GETDATE()
+    );
+    SELECT SCOPE_IDENTITY() AS jobId
+  `,
+
+  /**
+   * Insert an order number on an import job
+   */
+  insertImportJobItem: `
+    INSERT INTO dbo.Case_Import_Job_Item (
+      Job_Id,
+      Order_Number,
+      Status
+    ) VALUES (
+      :jobId,
+      :orderNumber,
+      'pending'
+    )
+  `,
+
+  /**
+   * Get an import job by ID
+   */
+  getImportJobById: `
+    SELECT TOP 1
+      Job_Id,
+      Status,
+      Total_Items,
+      Created_By_User_ID,
+      Created_By_User_Name,
+      Store_Id,
+      Created_At,
+      Started_At,
+      Completed_At
+    FROM dbo.Case_Import_Job
+    WHERE Job_Id = :jobId
+  `,
+
+  /**
+   * Get all items of an import job in queue order
+   */
+  getImportJobItems: `
+    SELECT
+      Item_Id,
+      Order_Number,
+      Status,
+      Result,
+      Case_ID,
+      Message,
+      Processed_At
+    FROM dbo.Case_Import_Job_Item
+    WHERE Job_Id = :jobId
+    ORDER BY Item_Id ASC
+  `,
+
+  /**
+   * Claim the oldest pending item across all jobs, or an item whose worker
+   * let its lease expire (stopped or lost its database connection)
+   * READPAST lets concurrent workers skip rows another worker has locked
+   */
+  claimNextImportJobItem: `
+    WITH nextItem AS (
+      SELECT TOP 1 *
+      FROM dbo.Case_Import_Job_Item WITH (UPDLOCK, READPAST, ROWLOCK)
+      WHERE Status = 'pending'
+        OR (Status = 'processing' AND Lease_Expires_At <= GETDATE())
+      ORDER BY Job_Id ASC, Item_Id ASC
+    )
+    UPDATE nextItem
+    SET Status = 'processing',
+        Claimed_At = GETDATE(),
+        Lease_Expires_At = DATEADD(second, :leaseSeconds, GETDATE())
+    OUTPUT
+      inserted.Item_Id,
+      inserted.Job_Id,
+      inserted.Order_Number
+  `,
+
+  /**
+   * Mark a job as started when its first item is claimed
+   */
+  markImportJobStarted: `
+    UPDATE dbo.Case_Import_Job
+    SET Status = 'processing',
+        Started_At = COALESCE(Started_At, GETDATE())
+    WHERE Job_Id = :jobId
+  `,
+
+  /**
+   * Record the outcome of a processed item
+   */
+  completeImportJobItem: `
+    UPDATE dbo.Case_Import_Job_Item
+    SET Status = 'done',
+        Result = :result,
+        Case_ID = :caseId,
+        Message = :message,
+        Processed_At = GETDATE()
+    WHERE Item_Id = :itemId
+  `,
+
+  /**
+   * Mark a job completed once none of its items are left to process
+   */
+  completeImportJobIfFinished: `
+    UPDATE dbo.Case_Import_Job
+    SET Status = 'completed',
+        Completed_At = GETDATE()
+    WHERE Job_Id = :jobId
+      AND Status <> 'completed'
+      AND NOT EXISTS (
+        SELECT 1
+        FROM dbo.Case_Import_Job_Item
+        WHERE Job_Id = :jobId
+          AND Status IN ('pending', 'processing')
+      )
+  `,
+};
+
+// =============================================================================
+// CASE DETAIL QUERIES
+// =============================================================================
+
+const caseDetailQueries = {
+  /**
+   * Get the case header with status, lab and ship-to names, and the
+   * case's own ship-to address when it has one
+   */
+  getCaseHeader: `
+    SELECT TOP 1
+      c.Case_ID,
+      c.UserID,
+      c.Case_Customer_ID,
+      c.Case_Patient_First_Name,
+      c.Case_Patient_Last_Name,
+      c.Case_Patient_Num,
+      c.Shopify_Email,
+      c.CaseRXInstructions,
+      c.Case_Date_Received,
+      c.Case_Date_Required_By_DR,
+      c.Case_Date_Estimated_Return,
+      c.Case_Date_Ship_TO_Lab,
+      c.Case_Ship_TO_Lab_Track_Num,
+      c.Case_Lab_Ref_Number,
+      c.Case_Clinic_PO_Number,
+      c.Case_Status_Code,
+      s.Status_Streamline_Options,
+      s.Status_Doctor_View,
+      sg.Name AS Status_Group_Name,
+      c.Case_Lab_ID,
+      p.Name AS LabName,
+      c.ShipToId,
+      shipTo.ShipToName,
+      sta.Ship_To_Address_Id,
+      sta.Ship_To_Name AS Ship_To_Address_Name,
+      sta.Company AS Ship_To_Company,
+      sta.Address1 AS Ship_To_Address1,
+      sta.Address2 AS Ship_To_Address2,
+      sta.City AS Ship_To_City,
+      sta.State AS Ship_To_State,
+      sta.Zip AS Ship_To_Zip,
+      sta.Country AS Ship_To_Country,
+      sta.Phone AS Ship_To_Phone,
+      pc.Patient_Id,
+      pc.Is_Repeat,
+      pc.Is_Remake,
+      pc.Previous_Case_ID,
+      c.ShipCarrierId,
+      c.IsRushOrder,
+      cso.Store_Id AS Shopify_Store_Id,
+      cso.Shop_Domain,
+      cso.Shopify_Order_Id
+    FROM dbo.[Case] c
+    LEFT JOIN dbo.Status s ON c.Case_Status_Code = s.Status_ID
+    LEFT JOIN dbo.StatusGroup sg ON s.StatusGroupId = sg.StatusGroupId
+    LEFT JOIN dbo.Provider p ON c.Case_Lab_ID = p.ProviderID
+    LEFT JOIN V_CustomerShipTo shipTo ON c.ShipToId = shipTo.customer_shipto_id
+    LEFT JOIN dbo.Customer_Ship_To_Address sta
+      ON c.ShipToId = sta.Customer_ShipTo_Id
+    LEFT JOIN dbo.Patient_Case pc ON c.Case_ID = pc.Case_ID
+    LEFT JOIN dbo.Case_Shopify_Order cso ON c.Case_ID = cso.Case_ID
+    WHERE c.Case_ID = :caseId
+  `,
+
+  /**
+   * Get the items on a case
+   */
+  getCaseItems: `
+    SELECT
+      ci.case_item_id,
+      ci.[name],
+      ci.case_item_tooth,
+      ci.case_item_qty,
+      ci.case_item_shade_ging,
+      ci.case_item_shade_body,
+      ci.case_item_shade_incis,
+      ci.modifier,
+      ci.unit_price
+    FROM dbo.Case_Items ci
+    WHERE ci.Case_Id = :caseId
+    ORDER BY ci.case_item_id ASC
+  `,
+
+  /**
+   * Get the tooth rows of every item on a case
+   */
+  getCaseItemTeeth: `
+    SELECT
+      t.case_item_id,
+      t.item_tooth
+    FROM dbo.case_item_tooth t
+    INNER JOIN dbo.Case_Items ci ON t.case_item_id = ci.case_item_id
+    WHERE ci.Case_Id = :caseId
+  `,
+
+  /**
+   * Get the full status history of a case, oldest first
+   */
+  getCaseTransactions: `
+    SELECT
+      ct.TRN_STATUS_CODE,
+      s.Status_Streamline_Options,
+      s.Status_Doctor_View,
+      ct.TRN_EMPLOYEE_ID,
+      ct.UserId,
+      ct.TRN_SHIP_REF_NUM,
+      ct.TRN_SHIP_COMPANY,
+      ct.ShipCarrierId,
+      ct.Case_Date_Record_Created
+    FROM dbo.CaseTransaction ct
+    LEFT JOIN dbo.Status s ON ct.TRN_STATUS_CODE = s.Status_ID
+    WHERE ct.Case_ID = :caseId
+    ORDER BY ct.Case_Date_Record_Created ASC
+  `,
+
+  /**
+   * Get the tickets on a case
+   */
+  getCaseTickets: `
+    SELECT
+      t.Case_Ticket_Id,
+      t.Ticket_Number,
+      t.Status,
+      t.IsDueDateTicket,
+      t.ScheduleDate,
+      t.ScheduleStatusId
+    FROM case_ticket t
+    WHERE t.case_id = :caseId
+    ORDER BY t.Ticket_Number ASC
+  `,
+
+  /**
+   * Get the detail (email thread) rows of every ticket on a case
+   */
+  getCaseTicketDetails: `
+    SELECT
+      d.Case_Ticket_Detail_Id,
+      d.Case_Ticket_Id,
+      d.Detail_Number,
+      d.Action,
+      d.assignedToUserId,
+      d.From_address,
+      d.To_Address,
+      d.CC_Address,
+      d.BCC_Address,
+      d.Email_Template_Id,
+      d.Subject,
+      d.Message,
+      d.CreatedBy,
+      d.CaseStatusCode
+    FROM case_ticket_detail d
+    INNER JOIN case_ticket t ON d.Case_Ticket_Id = t.Case_Ticket_Id
+    WHERE t.case_id = :caseId
+    ORDER BY d.Case_Ticket_Id ASC, d.Detail_Number ASC
+  `,
+
+  /**
+   * Timeline: status changes with the user who scanned them
+   */
+  getTimelineTransactions: `
+    SELECT
+      ct.TRN_STATUS_CODE,
+      s.Status_Streamline_Options,
+      ct.TRN_EMPLOYEE_ID,
+      ct.UserId,
+      u.UserFName,
+      u.UserLName,
+      u.UserName,
+      ct.TRN_SHIP_REF_NUM,
+      ct.TRN_SHIP_COMPANY,
+      ct.Case_Date_Record_Created
+    FROM dbo.CaseTransaction ct
+    LEFT JOIN dbo.Status s ON ct.TRN_STATUS_CODE = s.Status_ID
+    LEFT JOIN v_user u ON ct.UserId = u.userId
+    WHERE ct.Case_ID = :caseId
+  `,
+
+  /**
+   * Timeline: ticket emails
+   * A detail's first assignment log entry is written when it is created,
+   * so it dates the email
+   */
+  getTimelineTicketEmails: `
+    SELECT
+      d.Case_Ticket_Detail_Id,
+      t.Ticket_Number,
+      d.Detail_Number,
+      d.Action,
+      d.Subject,
+      d.From_address,
+      d.To_Address,
+      d.Email_Template_Id,
+      d.CreatedBy,
+      u.UserFName,
+      u.UserLName,
+      u.UserName,
+      (
+        SELECT MIN(l.RecordTimeAndDate)
+        FROM dbo.Case_Ticket_Assignment_Log l
+        WHERE l.Case_Ticket_Detail_Id = d.Case_Ticket_Detail_Id
+      ) AS Sent_At
+    FROM case_ticket_detail d
+    INNER JOIN case_ticket t ON d.Case_Ticket_Id = t.Case_Ticket_Id
+    LEFT JOIN v_user u ON d.CreatedBy = u.userId
+    WHERE t.case_id = :caseId
+  `,
+
+  /**
+   * Timeline: ticket assignments with assigner and assignee names
+   */
+  getTimelineAssignments: `
+    SELECT
+      l.Case_Ticket_Detail_Id,
+      t.Ticket_Number,
+      l.AssignedToUserId,
+      assignee.UserFName AS Assignee_First_Name,
+      assignee.UserLName AS Assignee_Last_Name,
+      assignee.UserName AS Assignee_UserName,
+      l.UserId,
+      assigner.UserFName,
+      assigner.UserLName,
+      assigner.UserName,
+      l.RecordTimeAndDate
+    FROM dbo.Case_Ticket_Assignment_Log l
+    INNER JOIN case_ticket_detail d ON l.Case_Ticket_Detail_Id = d.Case_Ticket_Detail_Id
+    INNER JOIN case_ticket t ON d.Case_Ticket_Id = t.Case_Ticket_Id
+    LEFT JOIN v_user assignee ON l.AssignedToUserId = assignee.userId
+    LEFT JOIN v_user assigner ON l.UserId = assigner.userId
+    WHERE t.case_id = :caseId
+  `,
+
+  /**
+   * Get the Shopify order changes (cancellations, edits, refunds) of a case
+   */
+  getTimelineOrderChanges: `
+    SELECT
+      Change_Id,
+      Topic,
+      Change_Json,
+      Ticket_Detail_Id,
+      Hold_Status_ID,
+      Message,
+      Created_At
+    FROM dbo.Shopify_Order_Change
+    WHERE Case_ID = :caseId
+  `,
+};
+
+// =============================================================================
+// CASE SEARCH QUERIES
+// =============================================================================
+
+/**
+ * Building blocks for GET /cases/search.
+ * The WHERE and ORDER BY clauses are assembled by services/caseSearchService.js
+ * from whitelisted fragments; all values are passed as replacements.
+ */
+const caseSearchQueries = {
+  /**
+   * Columns returned for each matching case
+   */
+  selectColumns: `
+    c.Case_ID,
+    c.Case_Patient_First_Name,
+    c.Case_Patient_Last_Name,
+    c.Case_Patient_Num,
+    c.Shopify_Email,
+    c.Case_Date_Received,
+    c.Case_Date_Required_By_DR,
+    c.Case_Status_Code,
+    s.Status_Streamline_Options,
+    c.Case_Lab_ID,
+    CASE WHEN c.IsRushOrder IN ('Y', '1') THEN 1 ELSE 0 END AS IsRushOrder
+  `,
+
+  /**
+   * Tables searched
+   */
+  fromClause: `
+    FROM dbo.[Case] c
+    LEFT JOIN dbo.Status s ON c.Case_Status_Code = s.Status_ID
+  `,
+};
+
+// =============================================================================
+// CATALOG QUERIES
+// =============================================================================
+
+const catalogQueries = {
+  /**
+   * Get catalog entries, optionally including inactive ones
+   */
+  getCatalogEntries: `
+    SELECT
+      Catalog_Id,
+      Shopify_Sku,
+      Sku_Match,
+      Shopify_Variant_Id,
+      Lab_Product_Code,
+      Product_Name,
+      Default_Arch,
+      Default_Qty,
+      Unit_Price,
+      Standard_Days,
+      Rush_Days,
+      Is_Rush,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Product_Catalog
+    WHERE Is_Active = 1 OR :includeInactive = 1
+    ORDER BY Catalog_Id ASC
+  `,
+
+  /**
+   * Get a catalog entry by ID
+   */
+  getCatalogEntryById: `
+    SELECT TOP 1
+      Catalog_Id,
+      Shopify_Sku,
+      Sku_Match,
+      Shopify_Variant_Id,
+      Lab_Product_Code,
+      Product_Name,
+      Default_Arch,
+      Default_Qty,
+      Unit_Price,
+      Standard_Days,
+      Rush_Days,
+      Is_Rush,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Product_Catalog
+    WHERE Catalog_Id = :catalogId
+  `,
+
+  /**
+   * Insert a catalog entry
+   */
+  insertCatalogEntry: `
+    INSERT INTO dbo.Product_Catalog (
+      Shopify_Sku,
+      Sku_Match,
+      Shopify_Variant_Id,
+      Lab_Product_Code,
+      Product_Name,
+      Default_Arch,
+      Default_Qty,
+      Unit_Price,
+      Standard_Days,
+      Rush_Days,
+      Is_Rush,
+      Is_Active
+    ) VALUES (
+      :shopifySku,
+      :skuMatch,
+      :shopifyVariantId,
+      :labProductCode,
+      :productName,
+      :defaultArch,
+      :defaultQty,
+      :unitPrice,
+      :standardDays,
+      :rushDays,
+      :isRush,
+      :isActive
+    );
+    SELECT SCOPE_IDENTITY() AS catalogId
+  `,
+
+  /**
+   * Update a catalog entry
+   */
+  updateCatalogEntry: `
+    UPDATE dbo.Product_Catalog
+    SET Shopify_Sku = :shopifySku,
+        Sku_Match = :skuMatch,
+        Shopify_Variant_Id = :shopifyVariantId,
+        Lab_Product_Code = :labProductCode,
+        Product_Name = :productName,
+        Default_Arch = :defaultArch,
+        Default_Qty = :defaultQty,
+        Unit_Price = :unitPrice,
+        Standard_Days = :standardDays,
+        Rush_Days = :rushDays,
+        Is_Rush = :isRush,
+        Is_Active = :isActive,
+        Updated_At = GETDATE()
+    WHERE Catalog_Id = :catalogId
+  `,
+
+  /**
+   * Deactivate a catalog entry (kept for history)
+   */
+  deactivateCatalogEntry: `
+    UPDATE dbo.Product_Catalog
+    SET Is_Active = 0,
+        Updated_At = GETDATE()
+    WHERE Catalog_Id = :catalogId
+  `,
+};
+
+// =============================================================================
+// CASE DEFAULTS QUERIES
+// =============================================================================
+
+const caseDefaultsQueries = {
+  /**
+   * List case defaults profiles
+   */
+  getProfiles: `
+    SELECT
+      Profile_Id,
+      Profile_Name,
+      Shop_Domain,
+      Sales_Channel,
+      Order_Tag,
+      Priority,
+      Case_User_ID,
+      Customer_ID,
+      Lab_ID,
+      Ship_To_ID,
+      Carrier_ID,
+      Initial_Status_ID,
+      Standard_Days,
+      Rush_Days,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Case_Defaults_Profile
+    WHERE Is_Active = 1 OR :includeInactive = 1
+    ORDER BY Priority DESC, Profile_Id ASC
+  `,
+
+  /**
+   * Get a case defaults profile by ID
+   */
+  getProfileById: `
+    SELECT TOP 1
+      Profile_Id,
+      Profile_Name,
+      Shop_Domain,
+      Sales_Channel,
+      Order_Tag,
+      Priority,
+      Case_User_ID,
+      Customer_ID,
+      Lab_ID,
+      Ship_To_ID,
+      Carrier_ID,
+      Initial_Status_ID,
+      Standard_Days,
+      Rush_Days,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Case_Defaults_Profile
+    WHERE Profile_Id = :profileId
+  `,
+
+  /**
+   * Insert a case defaults profile
+   */
+  insertProfile: `
+    INSERT INTO dbo.Case_Defaults_Profile (
+      Profile_Name,
+      Shop_Domain,
+      Sales_Channel,
+      Order_Tag,
+      Priority,
+      Case_User_ID,
+      Customer_ID,
+      Lab_ID,
+      Ship_To_ID,
+      Carrier_ID,
+      Initial_Status_ID,
+      Standard_Days,
+      Rush_Days,
+      Is_Active
+    ) VALUES (
+      :profileName,
+      :shopDomain,
+      :salesChannel,
+      :orderTag,
+      :priority,
+      :caseUserId,
+      :customerId,
+      :labId,
+      :shipToId,
+      :carrierId,
+      :initialStatusId,
+      :standardDays,
+      :rushDays,
+      :isActive
+    );
+    SELECT SCOPE_IDENTITY() AS profileId
+  `,
+
+  /**
+   * Update a case defaults profile
+   */
+  updateProfile: `
+    UPDATE dbo.Case_Defaults_Profile
+    SET Profile_Name = :profileName,
+        Shop_Domain = :shopDomain,
+        Sales_Channel = :salesChannel,
+        Order_Tag = :orderTag,
+        Priority = :priority,
+        Case_User_ID = :caseUserId,
+        Customer_ID = :customerId,
+        Lab_ID = :labId,
+        Ship_To_ID = :shipToId,
+        Carrier_ID = :carrierId,
+        Initial_Status_ID = :initialStatusId,
+        Standard_Days = :standardDays,
+        Rush_Days = :rushDays,
+        Is_Active = :isActive,
+        Updated_At = GETDATE()
+    WHERE Profile_Id = :profileId
+  `,
+
+  /**
+   * Deactivate a case defaults profile (kept for history)
+   */
+  deactivateProfile: `
+    UPDATE dbo.Case_Defaults_Profile
+    SET Is_Active = 0,
+        Updated_At = GETDATE()
+    WHERE Profile_Id = :profileId
+  `,
+};
+
+// =============================================================================
+// HOLIDAY QUERIES
+// =============================================================================
+
+const holidayQueries = {
+  /**
+   * List holidays in a date range
+   * Lab-specific holidays are included only for the requested lab.
+   */
+  getHolidays: `
+    SELECT
+      h.Holiday_Id,
+      CONVERT(VARCHAR(10), h.Holiday_Date, 23) AS Holiday_Date,
+      h.Lab_ID,
+      h.Description,
+      h.Created_By_User_ID,
+      h.Created_At
+    FROM dbo.Lab_Holiday h
+    WHERE h.Holiday_Date >= :fromDate
+      AND h.Holiday_Date <= :toDate
+      AND (h.Lab_ID IS NULL OR h.Lab_ID = :labId OR :allLabs = 1)
+    ORDER BY h.Holiday_Date ASC, h.Holiday_Id ASC
+  `,
+
+  /**
+   * Get a holiday by ID
+   */
+  getHolidayById: `
+    SELECT TOP 1
+      h.Holiday_Id,
+      CONVERT(VARCHAR(10), h.Holiday_Date, 23) AS Holiday_Date,
+      h.Lab_ID,
+      h.Description,
+      h.Created_By_User_ID,
+      h.Created_At
+    FROM dbo.Lab_Holiday h
+    WHERE h.Holiday_Id = :holidayId
+  `,
+
+  /**
+   * Insert a holiday
+   */
+  insertHoliday: `
+    INSERT INTO dbo.Lab_Holiday (
+      Holiday_Date,
+      Lab_ID,
+      Description,
+      Created_By_User_ID
+    ) VALUES (
+      :holidayDate,
+      :labId,
+      :description,
+      :userId
+    );
+    SELECT SCOPE_IDENTITY() AS holidayId
+  `,
+
+  /**
+   * Delete a holiday
+   */
+  deleteHoliday: `
+    DELETE FROM dbo.Lab_Holiday
+    WHERE Holiday_Id = :holidayId
+  `,
+};
+
+// =============================================================================
+// SHOPIFY STORE QUERIES
+// =============================================================================
+
+const storeQueries = {
+  /**
+   * List Shopify stores without their secrets
+   */
+  getStores: `
+    SELECT
+      Store_Id,
+      Shop_Domain,
+      Display_Name,
+      Api_Version,
+      CAST(CASE WHEN Webhook_Secret_Encrypted IS NULL THEN 0 ELSE 1 END AS BIT)
+        AS Has_Webhook_Secret,
+      Is_Default,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Shopify_Store
+    WHERE Is_Active = 1 OR :includeInactive = 1
+    ORDER BY Is_Default DESC, Shop_Domain ASC
+  `,
+
+  /**
+   * Get a Shopify store by ID without its secrets
+   */
+  getStoreById: `
+    SELECT TOP 1
+      Store_Id,
+      Shop_Domain,
+      Display_Name,
+      Api_Version,
+      CAST(CASE WHEN Webhook_Secret_Encrypted IS NULL THEN 0 ELSE 1 END AS BIT)
+        AS Has_Webhook_Secret,
+      Is_Default,
+      Is_Active,
+      Created_At,
+      Updated_At
+    FROM dbo.Shopify_Store
+    WHERE Store_Id = :storeId
+  `,
+
+  /**
+   * Get the active stores with their encrypted credentials
+   * Only used to build API clients; never returned by a route.
+   */
+  getActiveStoreCredentials: `
+    SELECT
+      Store_Id,
+      Shop_Domain,
+      Display_Name,
+      Access_Token_Encrypted,
+      Webhook_Secret_Encrypted,
+      Api_Version,
+      Is_Default
+    FROM dbo.Shopify_Store
+    WHERE Is_Active = 1
+  `,
+
+  /**
+   * Insert a Shopify store
+   */
+  insertStore: `
+    INSERT INTO dbo.Shopify_Store (
+      Shop_Domain,
+      Display_Name,
+      Access_Token_Encrypted,
+      Webhook_Secret_Encrypted,
+      Api_Version,
+      Is_Default,
+      Is_Active
+    ) VALUES (
+      :shopDomain,
+      :displayName,
+      :accessTokenEncrypted,
+      :webhookSecretEncrypted,
+      :apiVersion,
+      :isDefault,
+      :isActive
+    );
+    SELECT SCOPE_IDENTITY() AS storeId
+  `,
+
+  /**
+   * Update a Shopify store
+   * NULL secrets keep the stored value.
+   */
+  updateStore: `
+    UPDATE dbo.Shopify_Store
+    SET Shop_Domain = :shopDomain,
+        Display_Name = :displayName,
+        Access_Token_Encrypted = COALESCE(:accessTokenEncrypted, Access_Token_Encrypted),
+        Webhook_Secret_Encrypted = COALESCE(:webhookSecretEncrypted, Webhook_Secret_Encrypted),
+        Api_Version = :apiVersion,
+        Is_Default = :isDefault,
+        Is_Active = :isActive,
+        Updated_At = GETDATE()
+    WHERE Store_Id = :storeId
+  `,
+
+  /**
+   * Clear the default flag on every other store
+   */
+  clearDefaultStore: `
+    UPDATE dbo.Shopify_Store
+    SET Is_Default = 0,
+        Updated_At = GETDATE()
+    WHERE Is_Default = 1
+      AND Store_Id <> :storeId
+  `,
+
+  /**
+   * Deactivate a Shopify store (kept so cases keep their store)
+   */
+  deactivateStore: `
+    UPDATE dbo.Shopify_Store
+    SET Is_Active = 0,
+        Is_Default = 0,
+        Updated_At = GETDATE()
+    WHERE Store_Id = :storeId
+  `,
+
+  /**
+   * Record the store and Shopify order a case was imported from, with the
+   * note and line items as imported
+   */
+  insertCaseShopifyOrder: `
+    INSERT INTO dbo.Case_Shopify_Order (
+      Case_ID,
+      Store_Id,
+      Shop_Domain,
+      Shopify_Order_Id,
+      Imported_Order_Snapshot
+    ) VALUES (
+      :caseId,
+      :storeId,
+      :shopDomain,
+      :shopifyOrderId,
+      :snapshot
+    )
+  `,
+};
+
+// =============================================================================
+// FULFILLMENT QUERIES
+// =============================================================================
+
+const fulfillmentQueries = {
+  /**
+   * Queue a fulfillment push for a case imported from Shopify
+   * Inserts nothing for cases without a Shopify order or when the same
+   * tracking number is already queued; @@ROWCOUNT reports which.
+   */
+  enqueueFulfillment: `
+    INSERT INTO dbo.Shopify_Fulfillment_Outbox (
+      Case_ID,
+      Store_Id,
+      Shop_Domain,
+      Shopify_Order_Id,
+      Tracking_Number,
+      Carrier_ID,
+      Ship_Company,
+      Status,
+      Created_By_User_ID
+    )
+    SELECT
+      cso.Case_ID,
+      cso.Store_Id,
+      cso.Shop_Domain,
+      cso.Shopify_Order_Id,
+      :trackingNumber,
+      :carrierId,
+      :shipCompany,
+      'pending',
+      :userId
+    FROM dbo.Case_Shopify_Order cso
+    WHERE cso.Case_ID = :caseId
+      AND cso.Shopify_Order_Id IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1
+        FROM dbo.Shopify_Fulfillment_Outbox o
+        WHERE o.Case_ID = :caseId
+          AND o.Tracking_Number = :trackingNumber
+      );
+    SELECT @@ROWCOUNT AS queued
+  `,
+
+  /**
+   * Claim the next fulfillment that is due, or one whose worker let its lease
+   * expire (stopped or lost its database connection)
+   * READPAST lets concurrent workers skip rows another worker has locked
+   */
+  claimNextFulfillment: `
+    WITH nextItem AS (
+      SELECT TOP 1 *
+      FROM dbo.Shopify_Fulfillment_Outbox WITH (UPDLOCK, READPAST, ROWLOCK)
+      WHERE (Status = 'pending' AND Next_Attempt_At <= GETDATE())
+        OR (Status = 'processing' AND Lease_Expires_At <= GETDATE())
+      ORDER BY Next_Attempt_At ASC, Outbox_Id ASC
+    )
+    UPDATE nextItem
+    SET Status = 'processing',
+        Attempts = Attempts + 1,
+        Claimed_At = GETDATE(),
+        Lease_Expires_At = DATEADD(second, :leaseSeconds, GETDATE()),
+        Updated_At = GETDATE()
+    OUTPUT
+      inserted.Outbox_Id,
+      inserted.Case_ID,
+      inserted.Store_Id,
+      inserted.Shop_Domain,
+      inserted.Shopify_Order_Id,
+      inserted.Tracking_Number,
+      inserted.Carrier_ID,
+      inserted.Ship_Company,
+      inserted.Attempts
+  `,
+
+  /**
+   * Mark a fulfillment as pushed
+   */
+  completeFulfillment: `
+    UPDATE dbo.Shopify_Fulfillment_Outbox
+    SET Status = 'succeeded',
+        Shopify_Fulfillment_Id = :fulfillmentId,
+        Last_Error = :message,
+        Updated_At = GETDATE(),
+        Completed_At = GETDATE()
+    WHERE Outbox_Id = :outboxId
+  `,
+
+  /**
+   * Put a failed fulfillment back in the queue after a delay
+   */
+  scheduleFulfillmentRetry: `
+    UPDATE dbo.Shopify_Fulfillment_Outbox
+    SET Status = 'pending',
+        Next_Attempt_At = DATEADD(second, :delaySeconds, GETDATE()),
+        Last_Error = :message,
+        Updated_At = GETDATE()
+    WHERE Outbox_Id = :outboxId
+  `,
+
+  /**
+   * Give up on a fulfillment until it is retried manually
+   */
+  failFulfillment: `
+    UPDATE dbo.Shopify_Fulfillment_Outbox
+    SET Status = 'failed',
+        Last_Error = :message,
+        Updated_At = GETDATE(),
+        Completed_At = GETDATE()
+    WHERE Outbox_Id = :outboxId
+  `,
+
+  /**
+   * Queue a pending or failed fulfillment again now with a fresh attempt budget
+   */
+  retryFulfillment: `
+    UPDATE dbo.Shopify_Fulfillment_Outbox
+    SET Status = 'pending',
+        Attempts = 0,
+        Next_Attempt_At = GETDATE(),
+        Completed_At = NULL,
+        Updated_At = GETDATE()
+    WHERE Outbox_Id = :outboxId
+      AND Status IN ('pending', 'failed')
+  `,
+
+  /**
+   * List outbox entries, newest first
+   */
+  getFulfillments: `
+    SELECT
+      Outbox_Id,
+      Case_ID,
+      Store_Id,
+      Shop_Domain,
+      Shopify_Order_Id,
+      Tracking_Number,
+      Carrier_ID,
+      Ship_Company,
+      Status,
+      Attempts,
+      Next_Attempt_At,
+      Last_Error,
+      Shopify_Fulfillment_Id,
+      Created_By_User_ID,
+      Created_At,
+      Updated_At,
+      Completed_At
+    FROM dbo.Shopify_Fulfillment_Outbox
+    WHERE (:status IS NULL OR Status = :status)
+      AND (:caseId IS NULL OR Case_ID = :caseId)
+    ORDER BY Outbox_Id DESC
+    OFFSET :offset ROWS FETCH NEXT :pageSize ROWS ONLY
+  `,
+
+  /**
+   * Count outbox entries matching the list filters
+   */
+  countFulfillments: `
+    SELECT COUNT(*) AS total
+    FROM dbo.Shopify_Fulfillment_Outbox
+    WHERE (:status IS NULL OR Status = :status)
+      AND (:caseId IS NULL OR Case_ID = :caseId)
+  `,
+
+  /**
+   * Get an outbox entry by ID
+   */
+  getFulfillmentById: `
+    SELECT TOP 1
+      Outbox_Id,
+      Case_ID,
+      Store_Id,
+      Shop_Domain,
+      Shopify_Order_Id,
+      Tracking_Number,
+      Carrier_ID,
+      Ship_Company,
+      Status,
+      Attempts,
+      Next_Attempt_At,
+      Last_Error,
+      Shopify_Fulfillment_Id,
+      Created_By_User_ID,
+      Created_At,
+      Updated_At,
+      Completed_At
+    FROM dbo.Shopify_Fulfillment_Outbox
+    WHERE Outbox_Id = :outboxId
+  `,
+
+  /**
+   * Get the ShipCarrierId to Shopify tracking company map
+   */
+  getCarrierMappings: `
+    SELECT
+      Carrier_ID,
+      Shopify_Company,
+      Tracking_Url_Template,
+      Updated_At
+    FROM dbo.Shopify_Carrier_Map
+    ORDER BY Carrier_ID ASC
+  `,
+
+  /**
+   * Insert or update the mapping of a ShipCarrierId
+   */
+  upsertCarrierMapping: `
+    MERGE dbo.Shopify_Carrier_Map AS target
+    USING (SELECT :carrierId AS Carrier_ID) AS source
+    ON target.Carrier_ID = source.Carrier_ID
+    WHEN MATCHED THEN
+      UPDATE SET Shopify_Company = :company,
+                 Tracking_Url_Template = :trackingUrlTemplate,
+                 Updated_At = GETDATE()
+    WHEN NOT MATCHED THEN
+      INSERT (Carrier_ID, Shopify_Company, Tracking_Url_Template)
+      VALUES (:carrierId, :company, :trackingUrlTemplate);
+  `,
+
+  /**
+   * Remove the mapping of a ShipCarrierId
+   */
+  deleteCarrierMapping: `
+    DELETE FROM dbo.Shopify_Carrier_Map
+    WHERE Carrier_ID = :carrierId
+  `,
+};
+
+// =============================================================================
+// STATUS SYNC QUERIES
+// =============================================================================
+
+const statusSyncQueries = {
+  /**
+   * Queue a status sync for a case imported from Shopify
+   * A sync already in progress is queued again so the newest status is
+   * written after it; @@ROWCOUNT is 0 for cases without a Shopify order.
+   */
+  queueStatusSync: `
+    UPDATE dbo.Case_Shopify_Order
+    SET Status_Sync_State = 'pending',
+        Status_Sync_Attempts = 0,
+        Status_Sync_Next_At = GETDATE()
+    WHERE Case_ID = :caseId
+      AND Shopify_Order_Id IS NOT NULL;
+    SELECT @@ROWCOUNT AS queued
+  `,
+
+  /**
+   * Queue a status sync for every imported case whose status changed in a
+   * date range (inclusive)
+   */
+  queueStatusSyncByDate: `
+    UPDATE cso
+    SET Status_Sync_State = 'pending',
+        Status_Sync_Attempts = 0,
+        Status_Sync_Next_At = GETDATE()
+    FROM dbo.Case_Shopify_Order cso
+    WHERE cso.Shopify_Order_Id IS NOT NULL
+      AND EXISTS (
+        SELECT 1
+        FROM dbo.CaseTransaction ct
+        WHERE ct.Case_ID = cso.Case_ID
+          AND ct.Case_Date_Record_Created >= :fromDate
+          AND ct.Case_Date_Record_Created < DATEADD(day, 1, CAST(:toDate AS DATE))
+      );
+    SELECT @@ROWCOUNT AS queued
+  `,
+
+  /**
+   * Claim the next case whose status sync is due, or one whose worker let
+   * its lease expire (stopped or lost its database connection)
+   * READPAST lets concurrent workers skip rows another worker has locked
+   */
+  claimNextStatusSync: `
+    WITH nextItem AS (
+      SELECT TOP 1 *
+      FROM dbo.Case_Shopify_Order WITH (UPDLOCK, READPAST, ROWLOCK)
+      WHERE (
+          Status_Sync_State = 'pending'
+          AND Status_Sync_Next_At <= GETDATE()
+        )
+        OR (
+          Status_Sync_State = 'processing'
+          AND Status_Sync_Lease_Expires_At <= GETDATE()
+        )
+      ORDER BY Status_Sync_Next_At ASC, Case_ID ASC
+    )
+    UPDATE nextItem
+    SET Status_Sync_State = 'processing',
+        Status_Sync_Attempts = Status_Sync_Attempts + 1,
+        Status_Sync_Claimed_At = GETDATE(),
+        Status_Sync_Lease_Expires_At =
+          DATEADD(second, :leaseSeconds, GETDATE())
+    OUTPUT
+      inserted.Case_ID,
+      inserted.Store_Id,
+      inserted.Shop_Domain,
+      inserted.Shopify_Order_Id,
+      inserted.Status_Sync_Attempts
+  `,
+
+  /**
+   * Get the current status of a case with the names written to Shopify
+   */
+  getCaseSyncStatus: `
+    SELECT TOP 1
+      c.Case_ID,
+      c.Case_Status_Code,
+      s.Status_Streamline_Options,
+      s.Status_Doctor_View
+    FROM dbo.[Case] c
+    LEFT JOIN dbo.Status s ON c.Case_Status_Code = s.Status_ID
+    WHERE c.Case_ID = :caseId
+  `,
+
+  /**
+   * Record a finished status sync
+   * Skipped when the case was queued again during the sync.
+   */
+  completeStatusSync: `
+    UPDATE dbo.Case_Shopify_Order
+    SET Status_Sync_State = 'synced',
+        Synced_Status_ID = :statusId,
+        Status_Synced_At = GETDATE(),
+        Status_Sync_Error = NULL
+    WHERE Case_ID = :caseId
+      AND Status_Sync_State = 'processing'
+  `,
+
+  /**
+   * Put a failed status sync back in the queue after a delay
+   */
+  scheduleStatusSyncRetry: `
+    UPDATE dbo.Case_Shopify_Order
+    SET Status_Sync_State = 'pending',
+        Status_Sync_Next_At = DATEADD(second, :delaySeconds, GETDATE()),
+        Status_Sync_Error = :message
+    WHERE Case_ID = :caseId
+      AND Status_Sync_State = 'processing'
+  `,
+
+  /**
+   * Give up on a status sync until the case changes status or is resynced
+   */
+  failStatusSync: `
+    UPDATE dbo.Case_Shopify_Order
+    SET Status_Sync_State = 'failed',
+        Status_Sync_Error = :message
+    WHERE Case_ID = :caseId
+      AND Status_Sync_State = 'processing'
+  `,
+
+  /**
+   * Get the Shopify order and status sync state of a case
+   */
+  getStatusSyncByCaseId: `
+    SELECT TOP 1
+      cso.Case_ID,
+      cso.Store_Id,
+      cso.Shop_Domain,
+      cso.Shopify_Order_Id,
+      cso.Status_Sync_State,
+      cso.Status_Sync_Attempts,
+      cso.Status_Sync_Next_At,
+      cso.Synced_Status_ID,
+      cso.Status_Synced_At,
+      cso.Status_Sync_Error,
+      c.Case_Status_Code
+    FROM dbo.Case_Shopify_Order cso
+    INNER JOIN dbo.[Case] c ON cso.Case_ID = c.Case_ID
+    WHERE cso.Case_ID = :caseId
+  `,
+};
+
+// =============================================================================
+// ORDER CHANGE QUERIES
+// =============================================================================
+
+const orderChangeQueries = {
+  /**
+   * Find the case of a Shopify order
+   * Matches the order ID recorded at import first, then the order number
+   * (Case_Patient_Num) for cases imported before orders were linked.
+   */
+  getCaseForOrder: `
+    SELECT TOP 1
+      c.Case_ID,
+      c.Case_Status_Code,
+      cso.Shopify_Order_Id,
+      cso.Imported_Order_Snapshot
+    FROM dbo.[Case] c
+    LEFT JOIN dbo.Case_Shopify_Order cso ON c.Case_ID = cso.Case_ID
+    WHERE (:shopifyOrderId IS NOT NULL AND cso.Shopify_Order_Id = :shopifyOrderId)
+       OR (:orderNumber IS NOT NULL AND c.Case_Patient_Num = :orderNumber)
+    ORDER BY CASE WHEN cso.Shopify_Order_Id = :shopifyOrderId THEN 0 ELSE 1 END
+  `,
+
+  /**
+   * Record the imported note and line items of a case that has none yet
+   */
+  setImportedOrderSnapshot: `
+    UPDATE dbo.Case_Shopify_Order
+    SET Imported_Order_Snapshot = :snapshot
+    WHERE Case_ID = :caseId
+      AND Imported_Order_Snapshot IS NULL
+  `,
+
+  /**
+   * Get the latest change of a topic recorded for a case
+   */
+  getLatestOrderChange: `
+    SELECT TOP 1
+      Change_Id,
+      Change_Json,
+      Created_At
+    FROM dbo.Shopify_Order_Change
+    WHERE Case_ID = :caseId
+      AND Topic = :topic
+    ORDER BY Change_Id DESC
+  `,
+
+  /**
+   * Get the change recorded for a webhook delivery
+   */
+  getOrderChangeByWebhook: `
+    SELECT TOP 1
+      Change_Id,
+      Case_ID,
+      Ticket_Detail_Id,
+      Hold_Status_ID
+    FROM dbo.Shopify_Order_Change
+    WHERE Webhook_Id = :webhookId
+      AND Topic = :topic
+    ORDER BY Change_Id DESC
+  `,
+
+  /**
+   * Record a change of an imported order
+   * The ticket is attached once it is raised (setOrderChangeTicket).
+   */
+  insertOrderChange: `
+    INSERT INTO dbo.Shopify_Order_Change (
+      Case_ID,
+      Webhook_Id,
+      Topic,
+      Change_Json,
+      Hold_Status_ID,
+      Message
+    ) VALUES (
+      :caseId,
+      :webhookId,
+      :topic,
+      :changeJson,
+      :holdStatusId,
+      :message
+    );
+    SELECT SCOPE_IDENTITY() AS changeId
+  `,
+
+  /**
+   * Attach the ticket raised for a recorded change
+   */
+  setOrderChangeTicket: `
+    UPDATE dbo.Shopify_Order_Change
+    SET Ticket_Detail_Id = :ticketDetailId
+    WHERE Change_Id = :changeId
+  `,
+};
+
+// =============================================================================
+// SHIP-TO QUERIES
+// =============================================================================
+
+const shipToQueries = {
+  /**
+   * Match a customer ship-to address by hash, creating it if missing
+   * A new address is also inserted into dbo.Customer_ShipTo (the table behind
+   * V_CustomerShipTo), whose ID becomes the case's ShipToId. Locks
+   * the key so concurrent imports of the same address share a record.
+   */
+  matchOrInsertShipToAddress: `
+    DECLARE @created BIT = 0;
+    DECLARE @shipToId INT;
+
+    IF NOT EXISTS (
+      SELECT 1
+      FROM dbo.Customer_Ship_To_Address WITH (UPDLOCK, HOLDLOCK)
+      WHERE Customer_ID = :customerId AND Address_Hash = :addressHash
+    )
+    BEGIN
+      INSERT INTO dbo.Customer_ShipTo (
+        customer_id,
+        ShipToName,
+        Address1,
+        Address2,
+        City,
+        State,
+        Zip,
+        Phone1
+      ) VALUES (
+        :customerId,
+        :name,
+        :address1,
+        :address2,
+        :city,
+        :state,
+        :zip,
+        :phone
+      );
+      SET @shipToId = SCOPE_IDENTITY();
+
+      INSERT INTO dbo.Customer_Ship_To_Address (
+        Customer_ID,
+        Customer_ShipTo_Id,
+        Address_Hash,
+        Ship_To_Name,
+        Company,
+        Address1,
+        Address2,
+        City,
+        State,
+        Zip,
+        Country,
+        Phone
+      ) VALUES (
+        :customerId,
+        @shipToId,
+        :addressHash,
+        :name,
+        :company,
+        :address1,
+        :address2,
+        :city,
+        :state,
+        :zip,
+        :country,
+        :phone
+      );
+      SET @created = 1;
+    END
+
+    SELECT
+      Ship_To_Address_Id AS shipToAddressId,
+      Customer_ShipTo_Id AS shipToId,
+      @created AS created
+    FROM dbo.Customer_Ship_To_Address
+    WHERE Customer_ID = :customerId AND Address_Hash = :addressHash
+  `,
+};
+
+// =============================================================================
+// PATIENT QUERIES
+// =============================================================================
+
+const patientQueries = {
+  /**
+   * Find a customer's patient by Shopify customer ID
+   * Locks the key so concurrent imports for one patient match the same row.
+   */
+  findPatientByShopifyCustomerId: `
+    SELECT TOP 1
+      Patient_Id,
+      Shopify_Customer_Id,
+      Email
+    FROM dbo.Patient WITH (UPDLOCK, HOLDLOCK)
+    WHERE Customer_ID = :customerId
+      AND Shopify_Customer_Id = :shopifyCustomerId
+    ORDER BY Patient_Id ASC
+  `,
+
+  /**
+   * Find a customer's patient by email and name
+   */
+  findPatientByEmailAndName: `
+    SELECT TOP 1
+      Patient_Id,
+      Shopify_Customer_Id,
+      Email
+    FROM dbo.Patient WITH (UPDLOCK, HOLDLOCK)
+    WHERE Customer_ID = :customerId
+      AND Email = :email
+      AND Name_Key = :nameKey
+    ORDER BY Patient_Id ASC
+  `,
+
+  /**
+   * Find a customer's earlier cases not yet linked to a patient, by email
+   * and name, oldest first (cases from before patients were tracked)
+   */
+  findUnlinkedCasesByEmailAndName: `
+    SELECT c.Case_ID
+    FROM dbo.[Case] c
+    WHERE c.Case_Customer_ID = :customerId
+      AND c.Case_ID <> :caseId
+      AND LOWER(LTRIM(RTRIM(c.Shopify_Email))) = :email
+      AND LOWER(LTRIM(RTRIM(ISNULL(c.Case_Patient_First_Name, ''))))
+        = :firstName
+      AND LOWER(LTRIM(RTRIM(ISNULL(c.Case_Patient_Last_Name, ''))))
+        = :lastName
+      AND NOT EXISTS (
+        SELECT 1 FROM dbo.Patient_Case pc WHERE pc.Case_ID = c.Case_ID
+      )
+    ORDER BY c.Case_Date_Received ASC, c.Case_ID ASC
+  `,
+
+  /**
+   * Insert a patient
+   */
+  insertPatient: `
+    INSERT INTO dbo.Patient (
+      Customer_ID,
+      Shopify_Customer_Id,
+      Email,
+      First_Name,
+      Last_Name,
+      Name_Key
+    ) VALUES (
+      :customerId,
+      :shopifyCustomerId,
+      :email,
+      :firstName,
+      :lastName,
+      :nameKey
+    );
+    SELECT SCOPE_IDENTITY() AS patientId
+  `,
+
+  /**
+   * Fill in the identifiers a patient was missing
+   */
+  updatePatientIdentity: `
+    UPDATE dbo.Patient
+    SET
+      Shopify_Customer_Id = COALESCE(Shopify_Customer_Id, :shopifyCustomerId),
+      Email = COALESCE(Email, :email),
+      Updated_At = GETDATE()
+    WHERE Patient_Id = :patientId
+  `,
+
+  /**
+   * Get the IDs of the cases linked to a patient, oldest first
+   */
+  getPatientCaseIds: `
+    SELECT pc.Case_ID
+    FROM dbo.Patient_Case pc
+    INNER JOIN dbo.[Case] c ON pc.Case_ID = c.Case_ID
+    WHERE pc.Patient_Id = :patientId
+    ORDER BY c.Case_Date_Received ASC, c.Case_ID ASC
+  `,
+
+  /**
+   * Get the products on a list of cases
+   */
+  getCaseProducts: `
+    SELECT DISTINCT ci.[name] AS Product
+    FROM dbo.Case_Items ci
+    WHERE ci.Case_Id IN (:caseIds)
+  `,
+
+  /**
+   * Link a case to its patient
+   */
+  insertPatientCase: `
+    INSERT INTO dbo.Patient_Case (
+      Case_ID,
+      Patient_Id,
+      Match_Method,
+      Is_Repeat,
+      Is_Remake,
+      Previous_Case_ID
+    ) VALUES (
+      :caseId,
+      :patientId,
+      :matchMethod,
+      :isRepeat,
+      :isRemake,
+      :previousCaseId
+    )
+  `,
+
+  /**
+   * Get a patient by ID
+   */
+  getPatientById: `
+    SELECT
+      Patient_Id,
+      Customer_ID,
+      Shopify_Customer_Id,
+      Email,
+      First_Name,
+      Last_Name,
+      Created_At,
+      Updated_At
+    FROM dbo.Patient
+    WHERE Patient_Id = :patientId
+  `,
+
+  /**
+   * Get the cases of a patient, newest first
+   */
+  getPatientCases: `
+    SELECT
+      c.Case_ID,
+      c.Case_Patient_Num,
+      c.Case_Date_Received,
+      c.Case_Date_Required_By_DR,
+      c.Case_Status_Code,
+      s.Status_Streamline_Options,
+      c.CaseRXInstructions,
+      pc.Match_Method,
+      pc.Is_Repeat,
+      pc.Is_Remake,
+      pc.Previous_Case_ID
+    FROM dbo.Patient_Case pc
+    INNER JOIN dbo.[Case] c ON pc.Case_ID = c.Case_ID
+    LEFT JOIN dbo.Status s ON c.Case_Status_Code = s.Status_ID
+    WHERE pc.Patient_Id = :patientId
+    ORDER BY c.Case_Date_Received DESC, c.Case_ID DESC
+  `,
+
+  /**
+   * Get the items (product, teeth, shades) on every case of a patient
+   */
+  getPatientCaseItems: `
+    SELECT
+      ci.Case_Id AS Case_ID,
+      ci.case_item_id,
+      ci.[name],
+      ci.case_item_tooth,
+      ci.case_item_qty,
+      ci.case_item_shade_ging,
+      ci.case_item_shade_body,
+      ci.case_item_shade_incis
+    FROM dbo.Patient_Case pc
+    INNER JOIN dbo.Case_Items ci ON ci.Case_Id = pc.Case_ID
+    WHERE pc.Patient_Id = :patientId
+    ORDER BY ci.Case_Id DESC, ci.case_item_id ASC
+  `,
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -711,4 +2660,17 @@ module.exports = {
   adminSessionQueries,
   loggingQueries,
   ticketQueries,
+  webhookQueries,
+  importJobQueries,
+  caseDetailQueries,
+  caseSearchQueries,
+  catalogQueries,
+  caseDefaultsQueries,
+  holidayQueries,
+  storeQueries,
+  fulfillmentQueries,
+  statusSyncQueries,
+  orderChangeQueries,
+  shipToQueries,
+  patientQueries,
 };
@@ -0,0 +1,520 @@
+/**
+ * Database Schema Module
+ *
+ * DDL for the supporting tables owned by this server.
+ * Legacy tables (dbo.[Case], dbo.CaseTransaction, dbo.Status, ...) belong to
+ * the main Streamline database and are never created or altered here.
+ *
+ * Every statement is idempotent so the schema can be ensured on each startup.
+ */
+
+const { sequelize } = require("./database");
+
+// =============================================================================
+// TABLE DEFINITIONS
+// =============================================================================
+
+const schemaStatements = [
+  {
+    /**
+     * Shopify webhook deliveries, keyed by X-Shopify-Webhook-Id
+     * Used to ignore replayed deliveries
+     */
+    name: "Shopify_Webhook_Log",
+    sql: `
+      IF OBJECT_ID(N'dbo.Shopify_Webhook_Log', N'U') IS NULL
+      CREATE TABLE dbo.Shopify_Webhook_Log (
+        Webhook_Id NVARCHAR(100) NOT NULL PRIMARY KEY,
+        Topic NVARCHAR(100) NOT NULL,
+        Shop_Domain NVARCHAR(255) NULL,
+        Shopify_Order_Id NVARCHAR(100) NULL,
+        Case_ID INT NULL,
+        Status NVARCHAR(20) NOT NULL,
+        Message NVARCHAR(1000) NULL,
+        Received_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Processed_At DATETIME NULL
+      )
+    `,
+  },
+  {
+    /**
+     * Asynchronous case import jobs
+     */
+    name: "Case_Import_Job",
+    sql: `
+      IF OBJECT_ID(N'dbo.Case_Import_Job', N'U') IS NULL
+      CREATE TABLE dbo.Case_Import_Job (
+        Job_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Status NVARCHAR(20) NOT NULL,
+        Total_Items INT NOT NULL,
+        Created_By_User_ID INT NOT NULL,
+        Created_By_User_Name NVARCHAR(100) NOT NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Started_At DATETIME NULL,
+        Completed_At DATETIME NULL
+      )
+    `,
+  },
+  {
+    /**
+     * Order numbers queued on an import job with their per-item outcome
+     */
+    name: "Case_Import_Job_Item",
+    sql: `
+      IF OBJECT_ID(N'dbo.Case_Import_Job_Item', N'U') IS NULL
+      CREATE TABLE dbo.Case_Import_Job_Item (
+        Item_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Job_Id INT NOT NULL
+          REFERENCES dbo.Case_Import_Job (Job_Id),
+        Order_Number NVARCHAR(50) NOT NULL,
+        Status NVARCHAR(20) NOT NULL,
+        Result NVARCHAR(30) NULL,
+        Case_ID INT NULL,
+        Message NVARCHAR(1000) NULL,
+        Processed_At DATETIME NULL,
+        Claimed_At DATETIME NULL,
+        Lease_Expires_At DATETIME NULL,
+        INDEX IX_Case_Import_Job_Item_Status (Status, Job_Id, Item_Id)
+      )
+    `,
+  },
+  {
+    /**
+     * Allowed status transitions
+     * A status with active rules may only be entered from the statuses its
+     * rules list; a status without rules may be entered from any status.
+     */
+    name: "Status_Transition_Rule",
+    sql: `
+      IF OBJECT_ID(N'dbo.Status_Transition_Rule', N'U') IS NULL
+      CREATE TABLE dbo.Status_Transition_Rule (
+        Rule_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        From_Status_ID INT NOT NULL,
+        To_Status_ID INT NOT NULL,
+        Is_Active BIT NOT NULL DEFAULT 1,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        INDEX IX_Status_Transition_Rule_To (To_Status_ID, Is_Active)
+      )
+    `,
+  },
+  {
+    /**
+     * Default workflow, seeded while the table is empty: shipping statuses
+     * may only be entered from a QC status, so a case cannot go from
+     * received to shipped without passing QC
+     */
+    name: "Status_Transition_Rule seed",
+    sql: `
+      IF NOT EXISTS (SELECT 1 FROM dbo.Status_Transition_Rule)
+        INSERT INTO dbo.Status_Transition_Rule (From_Status_ID, To_Status_ID)
+        SELECT qc.Status_ID, ship.Status_ID
+        FROM dbo.Status ship
+        CROSS JOIN dbo.Status qc
+        WHERE ship.Status_Streamline_Options LIKE '%ship%'
+          AND ship.Status_Streamline_Options NOT LIKE '%QC%'
+          AND qc.Status_Streamline_Options LIKE '%QC%';
+    `,
+  },
+  {
+    /**
+     * Rule conditions
+     * A rule lists one from-status (From_Status_ID) or every status in a
+     * group (From_StatusGroupId), and may require a tracking number or a
+     * user type
+     */
+    name: "Status_Transition_Rule condition columns",
+    sql: `
+      IF COL_LENGTH(N'dbo.Status_Transition_Rule', N'From_StatusGroupId') IS NULL
+      BEGIN
+        ALTER TABLE dbo.Status_Transition_Rule ALTER COLUMN From_Status_ID INT NULL;
+        ALTER TABLE dbo.Status_Transition_Rule ADD
+          From_StatusGroupId INT NULL,
+          Requires_Tracking_Number BIT NOT NULL DEFAULT 0,
+          Required_UserTypeID INT NULL;
+      END
+    `,
+  },
+  {
+    /**
+     * Catalog mapping Shopify SKUs / variant IDs to lab products
+     */
+    name: "Product_Catalog",
+    sql: `
+      IF OBJECT_ID(N'dbo.Product_Catalog', N'U') IS NULL
+      CREATE TABLE dbo.Product_Catalog (
+        Catalog_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Shopify_Sku NVARCHAR(100) NULL,
+        Sku_Match NVARCHAR(10) NOT NULL DEFAULT 'exact',
+        Shopify_Variant_Id NVARCHAR(100) NULL,
+        Lab_Product_Code NVARCHAR(50) NULL,
+        Product_Name NVARCHAR(255) NOT NULL,
+        Default_Arch NVARCHAR(2) NULL,
+        Default_Qty INT NOT NULL DEFAULT 1,
+        Unit_Price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        Is_Rush BIT NOT NULL DEFAULT 0,
+        Is_Active BIT NOT NULL DEFAULT 1,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT CK_Product_Catalog_Key CHECK (
+          Shopify_Sku IS NOT NULL
+          OR Shopify_Variant_Id IS NOT NULL
+          OR Lab_Product_Code IS NOT NULL
+        ),
+        CONSTRAINT CK_Product_Catalog_Sku_Match CHECK (
+          Sku_Match IN ('exact', 'contains')
+        ),
+        INDEX UX_Product_Catalog_Sku UNIQUE (Shopify_Sku)
+          WHERE Shopify_Sku IS NOT NULL AND Is_Active = 1,
+        INDEX UX_Product_Catalog_Variant UNIQUE (Shopify_Variant_Id)
+          WHERE Shopify_Variant_Id IS NOT NULL AND Is_Active = 1
+      )
+    `,
+  },
+  {
+    /**
+     * Rush SKUs that were hardcoded in case creation before the catalog
+     * existed: R3333, and any SKU containing RUSH
+     */
+    name: "Product_Catalog seed",
+    sql: `
+      IF NOT EXISTS (SELECT 1 FROM dbo.Product_Catalog WHERE Shopify_Sku = 'R3333')
+        INSERT INTO dbo.Product_Catalog (Shopify_Sku, Product_Name, Is_Rush)
+        VALUES ('R3333', 'Rush Service', 1);
+      IF NOT EXISTS (SELECT 1 FROM dbo.Product_Catalog WHERE Shopify_Sku = 'RUSH')
+        INSERT INTO dbo.Product_Catalog (
+          Shopify_Sku, Sku_Match, Product_Name, Is_Rush
+        ) VALUES ('RUSH', 'contains', 'Rush Service', 1);
+    `,
+  },
+  {
+    /**
+     * Case defaults per storefront / sales channel / order tag
+     * A profile with no match criteria is the catch-all default.
+     */
+    name: "Case_Defaults_Profile",
+    sql: `
+      IF OBJECT_ID(N'dbo.Case_Defaults_Profile', N'U') IS NULL
+      CREATE TABLE dbo.Case_Defaults_Profile (
+        Profile_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Profile_Name NVARCHAR(100) NOT NULL,
+        Shop_Domain NVARCHAR(255) NULL,
+        Sales_Channel NVARCHAR(100) NULL,
+        Order_Tag NVARCHAR(100) NULL,
+        Priority INT NOT NULL DEFAULT 0,
+        Case_User_ID INT NOT NULL,
+        Customer_ID INT NOT NULL,
+        Lab_ID INT NOT NULL,
+        Ship_To_ID INT NOT NULL,
+        Carrier_ID INT NOT NULL,
+        Initial_Status_ID INT NOT NULL,
+        Standard_Days INT NOT NULL,
+        Rush_Days INT NOT NULL,
+        Is_Active BIT NOT NULL DEFAULT 1,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `,
+  },
+  {
+    /**
+     * Catch-all profile with the values create-case used to hardcode
+     */
+    name: "Case_Defaults_Profile seed",
+    sql: `
+      IF NOT EXISTS (SELECT 1 FROM dbo.Case_Defaults_Profile)
+        INSERT INTO dbo.Case_Defaults_Profile (
+          Profile_Name, Case_User_ID, Customer_ID, Lab_ID, Ship_To_ID,
+          Carrier_ID, Initial_Status_ID, Standard_Days, Rush_Days
+        ) VALUES ('Default', 8437, 2283, 52, 2595, 102, 10, 14, 7);
+    `,
+  },
+  {
+    /**
+     * Per-product turnaround (business days) used by due date calculation
+     */
+    name: "Product_Catalog SLA columns",
+    sql: `
+      IF COL_LENGTH(N'dbo.Product_Catalog', N'Standard_Days') IS NULL
+        ALTER TABLE dbo.Product_Catalog ADD
+          Standard_Days INT NULL,
+          Rush_Days INT NULL;
+    `,
+  },
+  {
+    /**
+     * Lab holidays skipped by due date calculation
+     * Lab_ID NULL applies to every lab.
+     */
+    name: "Lab_Holiday",
+    sql: `
+      IF OBJECT_ID(N'dbo.Lab_Holiday', N'U') IS NULL
+      CREATE TABLE dbo.Lab_Holiday (
+        Holiday_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Holiday_Date DATE NOT NULL,
+        Lab_ID INT NULL,
+        Description NVARCHAR(255) NULL,
+        Created_By_User_ID INT NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_Lab_Holiday UNIQUE (Holiday_Date, Lab_ID)
+      )
+    `,
+  },
+  {
+    /**
+     * Shopify stores the server can import from
+     * Access tokens and webhook secrets are AES-256-GCM encrypted
+     * (see utils/tokenCrypto.js).
+     */
+    name: "Shopify_Store",
+    sql: `
+      IF OBJECT_ID(N'dbo.Shopify_Store', N'U') IS NULL
+      CREATE TABLE dbo.Shopify_Store (
+        Store_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Shop_Domain NVARCHAR(255) NOT NULL,
+        Display_Name NVARCHAR(100) NULL,
+        Access_Token_Encrypted NVARCHAR(1000) NOT NULL,
+        Webhook_Secret_Encrypted NVARCHAR(1000) NULL,
+        Api_Version NVARCHAR(20) NOT NULL DEFAULT '2024-01',
+        Is_Default BIT NOT NULL DEFAULT 0,
+        Is_Active BIT NOT NULL DEFAULT 1,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_Shopify_Store_Domain UNIQUE (Shop_Domain)
+      )
+    `,
+  },
+  {
+    /**
+     * Shopify store and order each imported case came from
+     */
+    name: "Case_Shopify_Order",
+    sql: `
+      IF OBJECT_ID(N'dbo.Case_Shopify_Order', N'U') IS NULL
+      CREATE TABLE dbo.Case_Shopify_Order (
+        Case_ID INT NOT NULL PRIMARY KEY,
+        Store_Id INT NULL,
+        Shop_Domain NVARCHAR(255) NOT NULL,
+        Shopify_Order_Id NVARCHAR(100) NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `,
+  },
+  {
+    /**
+     * Store an import job fetches its orders from (NULL for the default store)
+     */
+    name: "Case_Import_Job store column",
+    sql: `
+      IF COL_LENGTH(N'dbo.Case_Import_Job', N'Store_Id') IS NULL
+        ALTER TABLE dbo.Case_Import_Job ADD Store_Id INT NULL;
+    `,
+  },
+  {
+    /**
+     * Shopify tracking company (and optional tracking URL) per ShipCarrierId
+     * {trackingNumber} in the URL template is replaced by the tracking number.
+     */
+    name: "Shopify_Carrier_Map",
+    sql: `
+      IF OBJECT_ID(N'dbo.Shopify_Carrier_Map', N'U') IS NULL
+      CREATE TABLE dbo.Shopify_Carrier_Map (
+        Carrier_ID INT NOT NULL PRIMARY KEY,
+        Shopify_Company NVARCHAR(100) NOT NULL,
+        Tracking_Url_Template NVARCHAR(500) NULL,
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `,
+  },
+  {
+    /**
+     * Fulfillments waiting to be pushed to Shopify, with their retry state
+     */
+    name: "Shopify_Fulfillment_Outbox",
+    sql: `
+      IF OBJECT_ID(N'dbo.Shopify_Fulfillment_Outbox', N'U') IS NULL
+      CREATE TABLE dbo.Shopify_Fulfillment_Outbox (
+        Outbox_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Case_ID INT NOT NULL,
+        Store_Id INT NULL,
+        Shop_Domain NVARCHAR(255) NOT NULL,
+        Shopify_Order_Id NVARCHAR(100) NOT NULL,
+        Tracking_Number NVARCHAR(100) NOT NULL,
+        Carrier_ID INT NULL,
+        Ship_Company NVARCHAR(100) NULL,
+        Status NVARCHAR(20) NOT NULL,
+        Attempts INT NOT NULL DEFAULT 0,
+        Next_Attempt_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Last_Error NVARCHAR(1000) NULL,
+        Shopify_Fulfillment_Id NVARCHAR(100) NULL,
+        Created_By_User_ID INT NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Completed_At DATETIME NULL,
+        Claimed_At DATETIME NULL,
+        Lease_Expires_At DATETIME NULL,
+        INDEX IX_Shopify_Fulfillment_Outbox_Due (Status, Next_Attempt_At)
+      )
+    `,
+  },
+  {
+    /**
+     * Status sync state of each imported case
+     * Status_Sync_State is NULL until the first sync is queued, then
+     * pending, processing, synced or failed. A processing sync is leased to
+     * its worker until Status_Sync_Lease_Expires_At.
+     */
+    name: "Case_Shopify_Order status sync columns",
+    sql: `
+      IF COL_LENGTH(N'dbo.Case_Shopify_Order', N'Status_Sync_State') IS NULL
+        ALTER TABLE dbo.Case_Shopify_Order ADD
+          Status_Sync_State NVARCHAR(20) NULL,
+          Status_Sync_Attempts INT NOT NULL DEFAULT 0,
+          Status_Sync_Next_At DATETIME NULL,
+          Synced_Status_ID INT NULL,
+          Status_Synced_At DATETIME NULL,
+          Status_Sync_Error NVARCHAR(1000) NULL,
+          Status_Sync_Claimed_At DATETIME NULL,
+          Status_Sync_Lease_Expires_At DATETIME NULL;
+    `,
+  },
+  {
+    /**
+     * Note and line items of the order as imported (JSON), compared with
+     * later order edits
+     */
+    name: "Case_Shopify_Order snapshot column",
+    sql: `
+      IF COL_LENGTH(N'dbo.Case_Shopify_Order', N'Imported_Order_Snapshot') IS NULL
+        ALTER TABLE dbo.Case_Shopify_Order ADD
+          Imported_Order_Snapshot NVARCHAR(MAX) NULL;
+    `,
+  },
+  {
+    /**
+     * Cancellations, edits and refunds of imported orders
+     * Change_Json holds the cancellation, the refund or the diff against the
+     * imported snapshot.
+     */
+    name: "Shopify_Order_Change",
+    sql: `
+      IF OBJECT_ID(N'dbo.Shopify_Order_Change', N'U') IS NULL
+      CREATE TABLE dbo.Shopify_Order_Change (
+        Change_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Case_ID INT NOT NULL,
+        Webhook_Id NVARCHAR(100) NULL,
+        Topic NVARCHAR(100) NOT NULL,
+        Change_Json NVARCHAR(MAX) NOT NULL,
+        Ticket_Detail_Id INT NULL,
+        Hold_Status_ID INT NULL,
+        Message NVARCHAR(1000) NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        INDEX IX_Shopify_Order_Change_Case (Case_ID, Change_Id),
+        INDEX IX_Shopify_Order_Change_Webhook (Webhook_Id, Topic)
+      )
+    `,
+  },
+  {
+    /**
+     * Ship-to addresses taken from orders, per customer
+     * Each is also a customer ship-to record (Customer_ShipTo_Id, read
+     * through V_CustomerShipTo) that cases shipping there carry as their
+     * ShipToId. Address_Hash is the SHA-256 of the normalized address, so
+     * repeat orders to the same destination share one record.
+     */
+    name: "Customer_Ship_To_Address",
+    sql: `
+      IF OBJECT_ID(N'dbo.Customer_Ship_To_Address', N'U') IS NULL
+      CREATE TABLE dbo.Customer_Ship_To_Address (
+        Ship_To_Address_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Customer_ID INT NOT NULL,
+        Customer_ShipTo_Id INT NOT NULL,
+        Address_Hash CHAR(64) NOT NULL,
+        Ship_To_Name NVARCHAR(255) NOT NULL,
+        Company NVARCHAR(255) NULL,
+        Address1 NVARCHAR(255) NOT NULL,
+        Address2 NVARCHAR(255) NULL,
+        City NVARCHAR(100) NOT NULL,
+        State NVARCHAR(100) NULL,
+        Zip NVARCHAR(20) NOT NULL,
+        Country NVARCHAR(100) NOT NULL,
+        Phone NVARCHAR(50) NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        CONSTRAINT UQ_Customer_Ship_To_Address UNIQUE (Customer_ID, Address_Hash),
+        INDEX IX_Customer_Ship_To_Address_ShipTo (Customer_ShipTo_Id)
+      )
+    `,
+  },
+  {
+    /**
+     * Patients of a customer, matched across orders by Shopify customer ID
+     * or by email and name (Name_Key is the lower-cased "first last")
+     */
+    name: "Patient",
+    sql: `
+      IF OBJECT_ID(N'dbo.Patient', N'U') IS NULL
+      CREATE TABLE dbo.Patient (
+        Patient_Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Customer_ID INT NOT NULL,
+        Shopify_Customer_Id NVARCHAR(100) NULL,
+        Email NVARCHAR(255) NULL,
+        First_Name NVARCHAR(255) NULL,
+        Last_Name NVARCHAR(255) NULL,
+        Name_Key NVARCHAR(511) NOT NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        Updated_At DATETIME NOT NULL DEFAULT GETDATE(),
+        INDEX IX_Patient_Shopify_Customer (Customer_ID, Shopify_Customer_Id),
+        INDEX IX_Patient_Email (Customer_ID, Email)
+      )
+    `,
+  },
+  {
+    /**
+     * Patient of each case, and whether the case repeats an earlier order
+     * (Is_Remake: it has a product the patient received before)
+     */
+    name: "Patient_Case",
+    sql: `
+      IF OBJECT_ID(N'dbo.Patient_Case', N'U') IS NULL
+      CREATE TABLE dbo.Patient_Case (
+        Case_ID INT NOT NULL PRIMARY KEY,
+        Patient_Id INT NOT NULL,
+        Match_Method NVARCHAR(30) NOT NULL,
+        Is_Repeat BIT NOT NULL DEFAULT 0,
+        Is_Remake BIT NOT NULL DEFAULT 0,
+        Previous_Case_ID INT NULL,
+        Created_At DATETIME NOT NULL DEFAULT GETDATE(),
+        INDEX IX_Patient_Case_Patient (Patient_Id, Case_ID)
+      )
+    `,
+  },
+];
+
+// =============================================================================
+// SCHEMA INITIALIZATION
+// =============================================================================
+
+let schemaPromise = null;
+
+/**
+ * Create any missing supporting tables
+ * Runs once per process; a failed attempt can be retried by calling again.
+ *
+ * @returns {Promise<void>}
+ */
+const ensureSchema = () => {
+  if (!schemaPromise) {
+    schemaPromise = (async () => {
+      for (const statement of schemaStatements) {
+        await sequelize.query(statement.sql);
+      }
+      console.log("Supporting tables verified");
+    })().catch((error) => {
+      schemaPromise = null;
+      throw error;
+    });
+  }
+
+  return schemaPromise;
+};
+
+module.exports = { schemaStatements, ensureSchema };
@@ -11,6 +11,13 @@ const {
   verifyToken: verify,
   extractTokenFromHeader,
 } = require("../utils/authUtils");
+const { getUserTypeId } = require("../models/User");
+
+// dbo.UserType IDs
+const USER_TYPES = {
+  ADMIN: 1,
+  EMPLOYEE: 3,
+};
 
 /**
  * Verify JWT token middleware
@@ -73,4 +80,39 @@ function verifyToken(req, res, next) {
   }
 }
 
-module.exports = { verifyToken };
+/**
+ * Require one of the given user types
+ *
+ * Must run after verifyToken. The user type is read from dbo.[User] rather
+ * than the token so role changes apply immediately.
+ *
+ * Usage: router.post("/", verifyToken, requireUserType(USER_TYPES.ADMIN), handler);
+ *
+ * @param {...number} allowedTypes - Allowed UserTypeIDs
+ * @returns {Function} Express middleware
+ */
+function requireUserType(...allowedTypes) {
+  return async (req, res, next) => {
+    try {
+      const userTypeId = await getUserTypeId(req.user.UserId);
+
+      if (!allowedTypes.includes(userTypeId)) {
+        return res.status(403).json({
+          status: "error",
+          message: "You do not have permission to perform this action",
+        });
+      }
+
+      req.user.UserTypeID = userTypeId;
+      next();
+    } catch (error) {
+      console.error("User type verification error:", error);
+      return res.status(500).json({
+        status: "error",
+        message: "User type verification failed",
+      });
+    }
+  };
+}
+
+module.exports = { verifyToken, requireUserType, USER_TYPES };
@@ -0,0 +1,102 @@
+/**
+ * Shopify Webhook Middleware
+ *
+ * Verifies the X-Shopify-Hmac-Sha256 signature on incoming webhooks.
+ * The signature is a base64 HMAC-SHA256 of the raw request body keyed with
+ * the webhook secret of the store named by X-Shopify-Shop-Domain, or the
+ * app's webhook secret (SHOPIFY_WEBHOOK_SECRET) when the store has none.
+ *
+ * The resolved store is attached as req.shopifyStore (null when the shop is
+ * not registered).
+ *
+ * Requires req.rawBody, captured by the express.json() verify hook in server.js.
+ */
+
+const crypto = require("crypto");
+const {
+  ShopifyStoreError,
+  resolveStore,
+} = require("../services/shopifyStoreService");
+
+/**
+ * Compute the expected Shopify HMAC for a raw body
+ *
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Base64-encoded HMAC-SHA256 digest
+ */
+function computeWebhookHmac(rawBody, secret) {
+  return crypto.createHmac("sha256", secret).update(rawBody).digest("base64");
+}
+
+/**
+ * Verify Shopify webhook signature middleware
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+async function verifyShopifyWebhook(req, res, next) {
+  const shopDomain = req.get("X-Shopify-Shop-Domain");
+  let store = null;
+
+  try {
+    store = shopDomain ? await resolveStore({ shopDomain }) : null;
+  } catch (error) {
+    if (!(error instanceof ShopifyStoreError)) {
+      console.error("Error resolving webhook store:", error);
+      return res.status(500).json({
+        status: "error",
+        message: "Failed to verify webhook",
+        code: "WEBHOOK_VERIFICATION_FAILED",
+      });
+    }
+  }
+
+  const secret =
+    (store && store.webhookSecret) || process.env.SHOPIFY_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error(
+      `No webhook secret configured for ${shopDomain || "unknown shop"} and SHOPIFY_WEBHOOK_SECRET is not set`,
+    );
+    return res.status(500).json({
+      status: "error",
+      message: "Webhook verification is not configured",
+      code: "MISSING_CREDENTIALS",
+    });
+  }
+
+  const signature = req.get("X-Shopify-Hmac-Sha256");
+
+  if (!signature || !req.rawBody) {
+    return res.status(401).json({
+      status: "error",
+      message: "Missing webhook signature",
+      code: "INVALID_WEBHOOK_SIGNATURE",
+    });
+  }
+
+  const expected = Buffer.from(computeWebhookHmac(req.rawBody, secret));
+  const received = Buffer.from(signature);
+
+  // timingSafeEqual throws on length mismatch, so compare lengths first
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    console.warn(
+      `Rejected Shopify webhook with invalid signature (${req.get("X-Shopify-Topic")})`,
+    );
+    return res.status(401).json({
+      status: "error",
+      message: "Invalid webhook signature",
+      code: "INVALID_WEBHOOK_SIGNATURE",
+    });
+  }
+
+  req.shopifyStore = store;
+  next();
+}
+
+module.exports = { verifyShopifyWebhook, computeWebhookHmac };
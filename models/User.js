@@ -69,7 +69,32 @@ async function verifyUserCredentials(username, passwordHash) {
   }
 }
 
+/**
+ * Fetches a user's type ID (1 = Admin, 3 = Employee, ...)
+ *
+ * @param {number} userId - UserID to look up
+ * @param {Object} [transaction] - Sequelize transaction (optional)
+ * @returns {Promise<number|null>} UserTypeID, or null if the user does not exist
+ * @throws {Error} If database query fails
+ */
+async function getUserTypeId(userId, transaction = null) {
+  try {
+    const user = await sequelize.query(userQueries.getUserTypeById, {
+      replacements: { userId },
+      type: QueryTypes.SELECT,
+      raw: true,
+      transaction,
+    });
+
+    return user.length > 0 ? user[0].UserTypeID : null;
+  } catch (error) {
+    console.error("Database error fetching user type:", error);
+    throw new Error(`Failed to fetch user type from database: ${error.message}`);
+  }
+}
+
 module.exports = {
   getUserByUsername,
   verifyUserCredentials,
+  getUserTypeId,
 };
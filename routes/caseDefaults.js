@@ -0,0 +1,346 @@
+/**
+ * Case Defaults Routes
+ *
+ * Handles the case defaults profiles supplying the IDs and turnaround times
+ * case creation writes, per Shopify shop, sales channel or order tag:
+ * - GET /case-defaults - List profiles
+ * - GET /case-defaults/:profileId - Get a profile
+ * - POST /case-defaults - Create a profile (admin)
+ * - PUT /case-defaults/:profileId - Update a profile (admin)
+ * - DELETE /case-defaults/:profileId - Deactivate a profile (admin)
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  validateProfile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deactivateProfile,
+} = require("../services/caseDefaultsService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const ERROR_CODES = {
+  INVALID_PROFILE_ID: "INVALID_PROFILE_ID",
+  INVALID_PROFILE: "INVALID_PROFILE",
+  PROFILE_NOT_FOUND: "PROFILE_NOT_FOUND",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Middleware: Validate :profileId and load the profile into req.profile
+ */
+const loadProfile = async (req, res, next) => {
+  const { profileId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(profileId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Profile ID must contain numerals only",
+      ERROR_CODES.INVALID_PROFILE_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const profile = await getProfile(parseInt(profileId, 10));
+
+    if (!profile) {
+      const { statusCode, data } = formatErrorResponse(
+        `Case defaults profile ${profileId} not found`,
+        ERROR_CODES.PROFILE_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    req.profile = profile;
+    next();
+  } catch (error) {
+    console.error("Error fetching case defaults profile:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch case defaults profile",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+};
+
+/**
+ * GET /case-defaults
+ *
+ * Lists case defaults profiles, highest priority first. Deactivated
+ * profiles are left out unless includeInactive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "profiles": [
+ *       {
+ *         "Profile_Id": number,
+ *         "Profile_Name": "string",
+ *         "Shop_Domain": "string" | null,
+ *         "Sales_Channel": "string" | null,
+ *         "Order_Tag": "string" | null,
+ *         "Priority": number,
+ *         "Case_User_ID": number,
+ *         "Customer_ID": number,
+ *         "Lab_ID": number,
+ *         "Ship_To_ID": number,
+ *         "Carrier_ID": number,
+ *         "Initial_Status_ID": number,
+ *         "Standard_Days": number,
+ *         "Rush_Days": number,
+ *         "Is_Active": boolean,
+ *         ...
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true";
+    const profiles = await listProfiles(includeInactive);
+
+    res.status(200).json({
+      status: "success",
+      data: { profiles },
+    });
+  } catch (error) {
+    console.error("Error fetching case defaults profiles:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch case defaults profiles",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /case-defaults/:profileId
+ *
+ * Retrieves a single case defaults profile.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": { "profile": { ...profile row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid profile ID
+ * - 404: Profile not found
+ */
+router.get("/:profileId", verifyToken, loadProfile, (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: { profile: req.profile },
+  });
+});
+
+/**
+ * POST /case-defaults
+ *
+ * Creates a case defaults profile. Admin only.
+ *
+ * Match criteria are optional; a profile without any is a catch-all. When
+ * several profiles match an order the one matching on order tag wins, then
+ * shop domain, then sales channel, then the higher priority.
+ *
+ * Request body:
+ * {
+ *   "profileName": "string",        // Required
+ *   "shopDomain": "string",         // Optional, e.g. "store.myshopify.com"
+ *   "salesChannel": "string",       // Optional, Shopify order sourceName
+ *   "orderTag": "string",           // Optional
+ *   "priority": number,             // Optional, defaults to 0
+ *   "caseUserId": number,           // Required
+ *   "customerId": number,           // Required
+ *   "labId": number,                // Required
+ *   "shipToId": number,             // Required
+ *   "carrierId": number,            // Required
+ *   "initialStatusId": number,      // Required
+ *   "standardDays": number,         // Required, business days
+ *   "rushDays": number,             // Required, business days
+ *   "isActive": boolean             // Optional, defaults to true
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Case defaults profile created",
+ *   "data": { "profile": { ...profile row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid profile
+ * - 403: Not an admin
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const validation = validateProfile(req.body || {});
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_PROFILE,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const profile = await createProfile(validation.profile);
+
+      res.status(201).json({
+        status: "success",
+        message: "Case defaults profile created",
+        data: { profile },
+      });
+    } catch (error) {
+      console.error("Error creating case defaults profile:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to create case defaults profile",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * PUT /case-defaults/:profileId
+ *
+ * Updates a case defaults profile. Admin only. Fields left out of the body
+ * keep their current value; send null to clear a match criterion.
+ *
+ * Request body: same fields as POST /case-defaults, all optional
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Case defaults profile updated",
+ *   "data": { "profile": { ...profile row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid profile ID or profile
+ * - 403: Not an admin
+ * - 404: Profile not found
+ */
+router.put(
+  "/:profileId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadProfile,
+  async (req, res) => {
+    const validation = validateProfile(req.body || {}, req.profile);
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_PROFILE,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const profile = await updateProfile(
+        req.profile.Profile_Id,
+        validation.profile,
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Case defaults profile updated",
+        data: { profile },
+      });
+    } catch (error) {
+      console.error("Error updating case defaults profile:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to update case defaults profile",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /case-defaults/:profileId
+ *
+ * Deactivates a case defaults profile. Admin only. Orders it used to match
+ * fall through to the next best profile.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Case defaults profile deactivated"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid profile ID
+ * - 403: Not an admin
+ * - 404: Profile not found
+ */
+router.delete(
+  "/:profileId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadProfile,
+  async (req, res) => {
+    try {
+      await deactivateProfile(req.profile.Profile_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Case defaults profile deactivated",
+      });
+    } catch (error) {
+      console.error("Error deactivating case defaults profile:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to deactivate case defaults profile",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+module.exports = router;
@@ -4,7 +4,17 @@
  * Handles case management endpoints:
  * - POST /cases/receive-case - Receive a single case ID (database check)
  * - GET /cases/get-case/:caseId - Get case information from database
- * - POST /cases/create-case - Create a new case from Shopify order data
+ * - POST /cases/create-case - Create a new case from Shopify or CSV order data
+ * - POST /cases/preview-case - Preview case creation without writing
+ * - POST /cases/import-batch - Import many Shopify orders by order number
+ * - POST /cases/import-file - Preview or import cases from a CSV/XLSX file
+ * - POST /cases/import-jobs - Queue a background import job
+ * - GET /cases/import-jobs/:jobId - Get import job progress and outcomes
+ * - POST /cases/:caseId/transitions - Move a case to a new status
+ * - GET /cases/:caseId/full - Get the full case document
+ * - GET /cases/search - Search cases with filters and pagination
+ * - GET /cases/:caseId/timeline - Get the merged event timeline of a case
+ * - POST /cases/:caseId/due-date/recalculate - Recalculate the due date of a case
  *
  * All endpoints require authentication via JWT token.
  */
@@ -13,18 +23,69 @@ const express = require("express");
 const { sequelize } = require("../config/database");
 const { verifyToken } = require("../middleware/auth");
 const { caseQueries } = require("../config/queries");
-const { createTicket } = require("../services/ticketService");
+const {
+  IMPORT_RESULTS,
+  CaseImportError,
+  caseExists,
+  previewCaseFromOrder,
+  createCaseFromOrder,
+  importOrderByNumber,
+} = require("../services/caseService");
+const {
+  CaseFileImportError,
+  previewFileImport,
+  commitFileImport,
+  buildRejectedRowsCsv,
+} = require("../services/caseFileImportService");
+const {
+  enqueueImportJob,
+  getImportJob,
+} = require("../services/importJobService");
+const {
+  CASE_DETAIL_SECTIONS,
+  getCaseDetail,
+} = require("../services/caseDetailService");
+const { getCaseTimeline } = require("../services/caseTimelineService");
+const {
+  validateSearchParams,
+  searchCases,
+} = require("../services/caseSearchService");
+const {
+  CaseTransitionError,
+  transitionCase,
+} = require("../services/caseStatusService");
+const { recalculateCaseDueDate } = require("../services/dueDateService");
+const {
+  ShopifyStoreError,
+  resolveStore,
+} = require("../services/shopifyStoreService");
+const {
+  ORDER_SOURCES,
+  OrderSourceError,
+  normalizeOrder,
+} = require("../services/orderSources");
 
 const router = express.Router();
 
 // Constants
 const NUMERIC_PATTERN = /^\d+$/;
+const MAX_BATCH_SIZE = 200;
+const MAX_IMPORT_JOB_SIZE = 2000;
+const MAX_IMPORT_FILE_SIZE = "5mb";
 const ERROR_CODES = {
   MISSING_CASE_ID: "MISSING_CASE_ID",
   INVALID_CASE_ID: "INVALID_CASE_ID",
   MISSING_CASE_DATA: "MISSING_CASE_DATA",
   DATABASE_ERROR: "DATABASE_ERROR",
   CASE_ALREADY_EXISTS: "CASE_ALREADY_EXISTS",
+  INVALID_ORDER_NUMBERS: "INVALID_ORDER_NUMBERS",
+  BATCH_TOO_LARGE: "BATCH_TOO_LARGE",
+  IMPORT_JOB_NOT_FOUND: "IMPORT_JOB_NOT_FOUND",
+  CASE_NOT_FOUND: "CASE_NOT_FOUND",
+  INVALID_INCLUDE: "INVALID_INCLUDE",
+  INVALID_SEARCH_PARAMETER: "INVALID_SEARCH_PARAMETER",
+  MISSING_FILE: "MISSING_FILE",
+  FILE_TOO_LARGE: "FILE_TOO_LARGE",
 };
 
 /**
@@ -49,269 +110,161 @@ const validateNumericId = (id, fieldName) => {
 };
 
 /**
- * Helper: Format error response
+ * Helper: Validate a list of order numbers for bulk import
+ * Trims and de-duplicates the list, keeping the scan order
  */
-const formatErrorResponse = (
-  message,
-  code = "INTERNAL_ERROR",
-  statusCode = 500,
-) => {
-  const response = {
-    status: "error",
-    message,
-    code,
-  };
-  if (process.env.NODE_ENV === "development") {
-    response.details = message;
+const validateOrderNumbers = (orderNumbers, maxSize) => {
+  if (!Array.isArray(orderNumbers) || orderNumbers.length === 0) {
+    return {
+      valid: false,
+      message: "orderNumbers must be a non-empty array",
+      code: ERROR_CODES.INVALID_ORDER_NUMBERS,
+    };
   }
-  return { statusCode, data: response };
-};
-
-/**
- * Helper: Process order line items and add to case
- * Extracts encoded SKUs from note and line items
- * Pattern: --A1-UL-R33330.1--
- */
-const processOrderLineItems = async (
-  orderData,
-  caseId,
-  userId,
-  transaction,
-) => {
-  try {
-    // Extract encoded SKUs from note using regex pattern
-    const skuPattern = /(--[A-Z0-9]+\-[A-Z]+\-[A-Z0-9\.]+--)/g;
-    const noteSkus = [];
-
-    if (orderData.note) {
-      const matches = orderData.note.match(skuPattern);
-      if (matches) {
-        noteSkus.push(...matches);
-      }
-    }
-
-    // Collect line items with encoded SKUs
-    const lineItemSkus = [];
-    if (orderData.lineItems && orderData.lineItems.edges) {
-      for (const item of orderData.lineItems.edges) {
-        const sku = item.node.sku || "";
-        if (sku.startsWith("--")) {
-          lineItemSkus.push(sku);
-        }
-      }
-    }
-
-    // If no valid SKUs found, create a ticket (template 1363)
-    if (noteSkus.length === 0 && lineItemSkus.length === 0) {
-      console.log(`No valid SKUs found for case ${caseId}, creating ticket...`);
-      await createTicket({
-        caseId,
-        userId,
-        templateId: 1363,
-        ticketStatus: 'Open',
-      }, transaction);
-      
-      // Still update the case
-      await sequelize.query(caseQueries.updateCaseAfterLineItems, {
-        replacements: { caseId },
-        type: sequelize.QueryTypes.UPDATE,
-        transaction,
-      });
-      return;
-    }
 
-    // Process SKUs from note
-    for (const sku of noteSkus) {
-      await processEncodedSku(sku, caseId, transaction);
-    }
+  const unique = [
+    ...new Set(orderNumbers.map((orderNumber) => String(orderNumber).trim())),
+  ];
 
-    // Process line items with encoded SKUs
-    for (const sku of lineItemSkus) {
-      await processEncodedSku(sku, caseId, transaction);
-    }
+  if (unique.length > maxSize) {
+    return {
+      valid: false,
+      message: `A batch may contain at most ${maxSize} orders`,
+      code: ERROR_CODES.BATCH_TOO_LARGE,
+    };
+  }
 
-    // Always update case after processing
-    await sequelize.query(caseQueries.updateCaseAfterLineItems, {
-      replacements: { caseId },
-      type: sequelize.QueryTypes.UPDATE,
-      transaction,
-    });
-  } catch (error) {
-    console.error("Error processing line items:", error);
-    // Don't throw - allow case creation to succeed even if line items fail
+  const invalid = unique.filter(
+    (orderNumber) => !NUMERIC_PATTERN.test(orderNumber),
+  );
+  if (invalid.length > 0) {
+    return {
+      valid: false,
+      message: `Order numbers must contain numerals only: ${invalid.join(", ")}`,
+      code: ERROR_CODES.INVALID_ORDER_NUMBERS,
+    };
   }
+
+  return { valid: true, orderNumbers: unique };
 };
 
 /**
- * Helper: Parse and process encoded SKU
- * Format: --A1-UL-R33330.1--
- * Parts: shade-upperLower-product
+ * Helper: Validate the optional storeId of a request body
  */
-const processEncodedSku = async (sku, caseId, transaction) => {
-  try {
-    // Remove leading/trailing dashes and replace dots temporarily
-    const normalized = sku
-      .replace(/\./g, "~")
-      .replace(/--/g, "")
-      .replace(/-/g, ".");
-    const parts = normalized.split(".");
-
-    if (parts.length < 3) {
-      console.warn(`Invalid SKU format: ${sku}`);
-      return;
-    }
-
-    // Extract parts: product.upperLower.shade
-    const product = parts[0].replace(/~/g, ".");
-    const upperLower = parts[1];
-    const shade = parts[2];
-
-    // Determine upper/lower text and quantity
-    let toothLocation = "";
-    let qty = 1;
-
-    switch (upperLower.toUpperCase()) {
-      case "U":
-        toothLocation = "Upper";
-        qty = 1;
-        break;
-      case "L":
-        toothLocation = "Lower";
-        qty = 1;
-        break;
-      case "UL":
-      case "LU":
-        toothLocation = "Upper, Lower";
-        qty = 2;
-        break;
-      default:
-        toothLocation = "";
-        qty = 1;
-    }
-
-    // Insert case item
-    const result = await sequelize.query(caseQueries.insertCaseItem, {
-      replacements: {
-        caseId,
-        name: product,
-        tooth: toothLocation,
-        qty,
-        shade,
-      },
-      type: sequelize.QueryTypes.INSERT,
-      transaction,
-    });
-
-    // Get the inserted case_item_id
-    const caseItemId = result[0]?.[0]?.case_item_id;
-
-    if (caseItemId) {
-      // Insert tooth records
-      if (toothLocation.includes("Upper")) {
-        await sequelize.query(caseQueries.insertCaseItemTooth, {
-          replacements: {
-            caseItemId,
-            itemTooth: "Upper",
-          },
-          type: sequelize.QueryTypes.INSERT,
-          transaction,
-        });
-      }
-
-      if (toothLocation.includes("Lower")) {
-        await sequelize.query(caseQueries.insertCaseItemTooth, {
-          replacements: {
-            caseItemId,
-            itemTooth: "Lower",
-          },
-          type: sequelize.QueryTypes.INSERT,
-          transaction,
-        });
-      }
-    }
-
-    console.log(
-      `Processed SKU: ${sku} -> Product: ${product}, Tooth: ${toothLocation}, Shade: ${shade}`,
-    );
-  } catch (error) {
-    console.error(`Error processing SKU ${sku}:`, error);
-    // Don't throw - allow other SKUs to be processed
-  }
-};
+const validateStoreId = (storeId) =>
+  storeId === undefined || storeId === null
+    ? { valid: true }
+    : validateNumericId(String(storeId), "Store ID");
 
 /**
- * Helper: Extract case data from Shopify order
- * Mimics the .NET ImportOrder logic
+ * Helper: Format a ShopifyStoreError as an error response body
  */
-const extractCaseDataFromOrder = (orderData, userId) => {
-  try {
-    // Extract customer info
-    const firstName = orderData.customer?.firstName || "";
-    const lastName = orderData.customer?.lastName || "";
-    const email = orderData.customer?.email || orderData.email || null;
-
-    if (!email) {
-      throw new Error("Missing customer email");
-    }
-
-    if (!firstName && !lastName) {
-      throw new Error(
-        "Missing customer first and last name. One must be present.",
-      );
-    }
-
-    // Build instructions from note and line items
-    let instructions = orderData.note || "";
-    let isRush = false;
+const formatStoreError = (error) => ({
+  status: "error",
+  message: error.message,
+  code: error.code,
+});
 
-    // Check line items for rush indicators
-    if (orderData.lineItems && orderData.lineItems.edges) {
-      orderData.lineItems.edges.forEach((item) => {
-        const sku = item.node.sku || "";
-        const title = item.node.title || "";
+/**
+ * Helper: Shape a case preview for API responses
+ */
+const formatCasePreview = (preview) => ({
+  caseId: preview.caseRow.caseId,
+  alreadyExists: preview.alreadyExists,
+  case: preview.caseRow,
+  items: preview.items.map((item) => ({
+    sku: item.sku,
+    product: item.product,
+    toothLocation: item.toothLocation,
+    qty: item.qty,
+    shade: item.shade,
+    unitPrice: item.unitPrice,
+  })),
+  defaultsProfile: preview.profile,
+  shipToAddress: preview.shipToAddress,
+  patient: preview.patient,
+  warnings: preview.warnings,
+  invalidSkus: preview.invalidSkus,
+  isRush: preview.isRush,
+  daysRequired: preview.daysRequired,
+  dueDate: preview.dueDate,
+  tickets: preview.tickets.map((ticket) => ({
+    reason: ticket.reason,
+    templateId: ticket.templateId || null,
+    subject: ticket.subject || null,
+  })),
+});
 
-        // Add to instructions
-        instructions += `\n${sku}\n${title}`;
+/**
+ * Helper: Read an uploaded file sent as the raw request body into req.body
+ * (a Buffer). JSON bodies are already parsed by the app and left as they are.
+ */
+const readFileBody = express.raw({
+  type: () => true,
+  limit: MAX_IMPORT_FILE_SIZE,
+});
+const receiveFile = (req, res, next) =>
+  readFileBody(req, res, (error) => {
+    if (!error) return next();
 
-        // Check for rush order
-        if (sku === "R3333" || sku.includes("RUSH")) {
-          isRush = true;
-        }
-      });
-    }
+    const tooLarge = error.type === "entity.too.large";
+    res.status(tooLarge ? 413 : 400).json({
+      status: "error",
+      message: tooLarge
+        ? `File must be at most ${MAX_IMPORT_FILE_SIZE}`
+        : "Could not read the uploaded file",
+      code: tooLarge ? ERROR_CODES.FILE_TOO_LARGE : ERROR_CODES.MISSING_FILE,
+    });
+  });
 
-    // Check shipping lines for rush
-    if (!isRush && orderData.shippingLines) {
-      orderData.shippingLines.forEach((line) => {
-        if (
-          (line.code && line.code.includes("RUSH")) ||
-          (line.title && line.title.includes("RUSH"))
-        ) {
-          isRush = true;
+/**
+ * Helper: Shape a file import result for API responses
+ */
+const formatFileImport = (result, committed) => ({
+  format: result.format,
+  headers: result.headers,
+  mapping: result.mapping,
+  summary: {
+    rows: result.records.length,
+    orders: result.orders.length,
+    rejectedRows: result.rejected.length,
+  },
+  orders: result.orders.map((entry) =>
+    committed
+      ? {
+          orderNumber: entry.order.orderNumber,
+          rows: entry.rows,
+          caseId: entry.caseId,
+          warnings: entry.warnings,
         }
-      });
-    }
-
-    if (!instructions) {
-      throw new Error("Failed to generate instructions. No note or line items");
-    }
-
-    // Extract order number from order name (e.g., "88675969")
-    const orderNumber = orderData.name;
+      : {
+          orderNumber: entry.order.orderNumber,
+          rows: entry.rows,
+          preview: formatCasePreview(entry.preview),
+        },
+  ),
+  rejected: result.rejected,
+  rejectedCsv:
+    result.rejected.length > 0 ? buildRejectedRowsCsv(result) : null,
+});
 
-    return {
-      caseId: orderNumber,
-      firstName: firstName.substring(0, 255),
-      lastName: lastName.substring(0, 255),
-      email: email.substring(0, 255),
-      instructions: instructions.substring(0, 4000), // SQL max for varchar
-      userId,
-      isRush,
-      orderNumber,
-    };
-  } catch (error) {
-    throw new Error(`Failed to extract case data: ${error.message}`);
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
   }
+  return { statusCode, data: response };
 };
 
 /**
@@ -443,12 +396,42 @@ router.get("/get-case/:caseId", verifyToken, async (req, res) => {
 /**
  * POST /cases/create-case
  *
- * Creates a new case in the database from Shopify order data.
+ * Creates a new case in the database from order data.
  * Inserts entries into dbo.[Case] and dbo.CaseTransaction tables.
  *
+ * "source" names the channel orderData comes from (default "shopify"):
+ * - "shopify": a Shopify order, as below
+ * - "csv": CSV text with a header row holding one order, one row per line
+ *   item (columns: order_number, first_name, last_name, email, note, sku,
+ *   title, quantity, shipping_method, tags, sales_channel and the ship_*
+ *   address columns; order_number and email are required)
+ * Every source is normalized into the same order model and runs the same
+ * case-building pipeline.
+ *
+ * Pass "dryRun": true to get the POST /cases/preview-case response instead
+ * of creating the case.
+ *
+ * Customer, lab, ship-to, carrier, initial status and turnaround come from
+ * the case defaults profile matching the order's shop domain, sales channel
+ * and tags (see /case-defaults). Orders from other sources than Shopify
+ * only match profiles without a shop domain.
+ *
+ * A valid shipping address on the order becomes the case's ShipToId
+ * (a customer ship-to record matched or created per customer) instead of
+ * the profile's ship-to. An invalid address is reported as an
+ * INVALID_SHIPPING_ADDRESS warning and the profile's ship-to is kept.
+ *
+ * The store of a Shopify order is given by storeId or shopDomain (see
+ * /shopify/stores) and defaults to the default store. It is recorded on
+ * the case in dbo.Case_Shopify_Order.
+ *
  * Request body:
  * {
- *   "orderData": {
+ *   "source": "shopify" | "csv" (optional, default "shopify"),
+ *   "dryRun": boolean (optional),
+ *   "storeId": number (optional),
+ *   "shopDomain": "string" (optional),
+ *   "orderData": "CSV text" (csv source) or {
  *     "name": "88675969",
  *     "customer": {
  *       "firstName": "string",
@@ -456,8 +439,17 @@ router.get("/get-case/:caseId", verifyToken, async (req, res) => {
  *       "email": "string"
  *     },
  *     "note": "string",
- *     "lineItems": [ { "sku": "string", "title": "string" }, ... ],
- *     "shippingLines": [ { "code": "string", "title": "string" }, ... ]
+ *     "tags": [ "string", ... ],
+ *     "sourceName": "string",
+ *     "lineItems": { "edges": [ { "node": { "sku": "string", "title": "string" } }, ... ] },
+ *     "shippingLines": [ { "code": "string", "title": "string" }, ... ],
+ *     "shippingAddress": {
+ *       "firstName": "string", "lastName": "string", "company": "string",
+ *       "address1": "string", "address2": "string", "city": "string",
+ *       "province": "string", "provinceCode": "string", "zip": "string",
+ *       "country": "string", "countryCodeV2": "string", "phone": "string"
+ *     } (optional),
+ *     "warnings": [ ... ] (set by Shopify fetches when the order was truncated)
  *   }
  * }
  *
@@ -467,22 +459,34 @@ router.get("/get-case/:caseId", verifyToken, async (req, res) => {
  *   "message": "Case created successfully",
  *   "data": {
  *     "caseId": "88675969",
- *     "orderNumber": "88675969"
+ *     "orderNumber": "88675969",
+ *     "patient": {
+ *       "patientId": number,
+ *       "matchedBy": "shopify_customer_id" | "email_and_name" | "case_history" | "new",
+ *       "isRepeat": boolean, "isRemake": boolean,
+ *       "previousCaseId": number or null, "repeatedProducts": ["string"]
+ *     } (repeat orders and remakes; prior cases via GET /patients/:patientId/cases),
+ *     "warnings": [ { "code": "CONNECTION_TRUNCATED", "connection": "lineItems", "message": "string" } ]
  *   }
  * }
  *
- * Response on error (400/500):
+ * Response on error (400/404/422/500):
  * {
  *   "status": "error",
  *   "message": "Error description",
  *   "code": "ERROR_CODE"
  * }
+ *
+ * 400 INVALID_ORDER_SOURCE means source is unknown; 400 INVALID_ORDER_DATA
+ * means orderData cannot be read as an order of that source. 404
+ * STORE_NOT_FOUND means storeId or shopDomain is not a registered, active
+ * store. 422 NO_CASE_DEFAULTS means no case defaults profile matches the
+ * order.
  */
 router.post("/create-case", verifyToken, async (req, res) => {
-  const transaction = await sequelize.transaction();
-
   try {
-    const { orderData } = req.body;
+    const { orderData, dryRun, storeId, shopDomain } = req.body;
+    const source = req.body.source || ORDER_SOURCES.SHOPIFY;
     const authUser = req.user; // From JWT middleware
 
     // Validate orderData
@@ -494,104 +498,60 @@ router.post("/create-case", verifyToken, async (req, res) => {
       });
     }
 
-    console.log(`Creating case from order ${orderData.name}...`);
-
-    // Extract and validate case data from Shopify order
-    const caseData = extractCaseDataFromOrder(orderData, authUser.UserId);
-
-    // Check if case already exists
-    const existingCase = await sequelize.query(caseQueries.checkCaseExists, {
-      replacements: { caseId: caseData.caseId },
-      type: sequelize.QueryTypes.SELECT,
-      raw: true,
-      transaction,
-    });
-
-    if (existingCase && existingCase.length > 0) {
-      await transaction.rollback();
+    const storeValidation = validateStoreId(storeId);
+    if (!storeValidation.valid) {
       return res.status(400).json({
         status: "error",
-        message: "Case has already been imported",
-        code: ERROR_CODES.CASE_ALREADY_EXISTS,
+        message: storeValidation.message,
+        code: storeValidation.code,
       });
     }
 
-    // Insert into dbo.[Case]
-    const daysRequired = caseData.isRush ? 7 : 14;
-
-    await sequelize.query(caseQueries.insertCase, {
-      replacements: {
-        caseId: caseData.caseId,
-        userId: 8437, // Default lab user
-        customerId: 2283, // Default customer (Shopify)
-        daysRequired,
-        firstName: caseData.firstName,
-        lastName: caseData.lastName,
-        orderNumber: caseData.orderNumber,
-        email: caseData.email,
-        instructions: caseData.instructions,
-        statusCode: 10,
-        labId: 52,
-        shipToId: 2595,
-        invoiceFee: 0,
-        poNumber: caseData.orderNumber,
-        carrierId: 102,
-        isRush: caseData.isRush ? 1 : 0,
-      },
-      type: sequelize.QueryTypes.INSERT,
-      transaction,
-    });
+    const order = normalizeOrder(source, orderData);
+    const store =
+      order.source === ORDER_SOURCES.SHOPIFY
+        ? await resolveStore({ storeId, shopDomain })
+        : null;
+
+    if (dryRun === true) {
+      const preview = await previewCaseFromOrder(order, authUser.UserId, {
+        store,
+        shopDomain,
+      });
+      return res.status(200).json({
+        status: "success",
+        message: "Dry run - nothing was written",
+        data: formatCasePreview(preview),
+      });
+    }
 
-    // Insert into dbo.CaseTransaction
-    await sequelize.query(caseQueries.insertCaseTransaction, {
-      replacements: {
-        caseId: caseData.caseId,
-        employeeId: authUser.UserName,
+    console.log(`Creating case from ${source} order ${order.orderNumber}...`);
+
+    const result = await createCaseFromOrder(
+      order,
+      {
         userId: authUser.UserId,
-        statusCode: 10,
-        carrierId: 102,
+        userName: authUser.UserName,
       },
-      type: sequelize.QueryTypes.INSERT,
-      transaction,
-    });
-
-    // Process line items from order (encoded SKUs)
-    await processOrderLineItems(
-      orderData,
-      caseData.caseId,
-      authUser.UserId,
-      transaction,
+      { store, shopDomain },
     );
 
-    // Commit transaction
-    await transaction.commit();
-
-    console.log(`Case ${caseData.caseId} created successfully`);
-
     res.status(201).json({
       status: "success",
       message: "Case created successfully",
       data: {
-        caseId: caseData.caseId,
-        orderNumber: caseData.orderNumber,
+        caseId: result.caseId,
+        orderNumber: result.orderNumber,
+        patient: result.patient,
+        warnings: result.warnings,
       },
     });
   } catch (error) {
-    // Rollback on error
-    if (transaction && !transaction.finished) {
-      await transaction.rollback();
-    }
-
     console.error("Error creating case:", error);
 
-    let statusCode = 500;
-    let errorCode = ERROR_CODES.DATABASE_ERROR;
-    let message = error.message || "Failed to create case";
-
-    if (error.message.includes("Missing")) {
-      statusCode = 400;
-      errorCode = ERROR_CODES.MISSING_CASE_DATA;
-    }
+    const statusCode = error.statusCode || 500;
+    const errorCode = error.code || ERROR_CODES.DATABASE_ERROR;
+    const message = error.message || "Failed to create case";
 
     res.status(statusCode).json({
       status: "error",
@@ -602,4 +562,886 @@ router.post("/create-case", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /cases/preview-case
+ *
+ * Shows what POST /cases/create-case would do with an order without writing
+ * anything to the database.
+ *
+ * Request body:
+ * {
+ *   "source": "shopify" | "csv" (optional, default "shopify"),
+ *   "storeId": number (optional),
+ *   "shopDomain": "string" (optional),
+ *   "orderData": ... same as create-case ...
+ * }
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "caseId": "88675969",
+ *     "alreadyExists": boolean,
+ *     "case": { ... dbo.[Case] values that would be inserted ... },
+ *     "items": [
+ *       { "sku": "string", "product": "string", "toothLocation": "string", "qty": number, "shade": "string", "unitPrice": number }
+ *     ],
+ *     "invalidSkus": [
+ *       { "sku": "string", "code": "UNKNOWN_SHADE" | "UNKNOWN_ARCH_CODE" | ..., "message": "string" }
+ *     ],
+ *     "isRush": boolean,
+ *     "daysRequired": number (business days),
+ *     "dueDate": "datetime",
+ *     "tickets": [
+ *       { "reason": "no_sku" | "invalid_sku", "templateId": 1363 or null, "subject": "string" or null }
+ *     ],
+ *     "defaultsProfile": { "profileId": number, "profileName": "string" },
+ *     "shipToAddress": {
+ *       "name": "string", "company": "string", "address1": "string",
+ *       "address2": "string", "city": "string", "state": "string",
+ *       "zip": "string", "country": "US", "phone": "string"
+ *     } or null (null: the case ships to the profile's ship-to),
+ *     "patient": {
+ *       "patientId": number or null (null: a new patient would be created),
+ *       "matchedBy": "shopify_customer_id" | "email_and_name" | "case_history" | "new",
+ *       "isRepeat": boolean (the patient has earlier cases),
+ *       "isRemake": boolean (an earlier case had one of the same products),
+ *       "previousCaseId": number or null (latest earlier case),
+ *       "repeatedProducts": ["string"]
+ *     },
+ *     "warnings": [ { "code": "CONNECTION_TRUNCATED" | "INVALID_SHIPPING_ADDRESS", "message": "string", ... } ]
+ *   }
+ * }
+ */
+router.post("/preview-case", verifyToken, async (req, res) => {
+  try {
+    const { orderData, storeId, shopDomain } = req.body;
+    const source = req.body.source || ORDER_SOURCES.SHOPIFY;
+
+    if (!orderData) {
+      return res.status(400).json({
+        status: "error",
+        message: "orderData is required",
+        code: ERROR_CODES.MISSING_CASE_DATA,
+      });
+    }
+
+    const storeValidation = validateStoreId(storeId);
+    if (!storeValidation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: storeValidation.message,
+        code: storeValidation.code,
+      });
+    }
+
+    const order = normalizeOrder(source, orderData);
+    const preview = await previewCaseFromOrder(order, req.user.UserId, {
+      store:
+        order.source === ORDER_SOURCES.SHOPIFY
+          ? await resolveStore({ storeId, shopDomain })
+          : null,
+      shopDomain,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: formatCasePreview(preview),
+    });
+  } catch (error) {
+    if (error instanceof ShopifyStoreError) {
+      return res.status(error.statusCode).json(formatStoreError(error));
+    }
+
+    if (
+      error instanceof OrderSourceError ||
+      (error instanceof CaseImportError && error.statusCode < 500)
+    ) {
+      return res.status(error.statusCode).json({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error("Error previewing case:", error);
+    const { statusCode, data } = formatErrorResponse("Failed to preview case");
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /cases/import-batch
+ *
+ * Imports a batch of Shopify orders by order number.
+ * Each order is fetched through the rate-limited Shopify client and created
+ * in its own transaction, so a failure on one order never rolls back others.
+ *
+ * Request body:
+ * {
+ *   "orderNumbers": ["88675969", "88675970", ...],  (max 200)
+ *   "storeId": number (optional, defaults to the default store),
+ *   "shopDomain": "string" (optional, alternative to storeId)
+ * }
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "summary": {
+ *       "total": number,
+ *       "created": number,
+ *       "already_exists": number,
+ *       "shopify_not_found": number,
+ *       "validation_failed": number,
+ *       "error": number
+ *     },
+ *     "results": [
+ *       {
+ *         "orderNumber": "string",
+ *         "result": "created" | "already_exists" | "shopify_not_found"
+ *                   | "validation_failed" | "error",
+ *         "caseId": "string" or null,
+ *         "message": "string" or null
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * }
+ */
+router.post("/import-batch", verifyToken, async (req, res) => {
+  try {
+    const { orderNumbers, storeId, shopDomain } = req.body;
+    const authUser = req.user; // From JWT middleware
+
+    const validation = validateOrderNumbers(orderNumbers, MAX_BATCH_SIZE);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+    const uniqueOrderNumbers = validation.orderNumbers;
+
+    const storeValidation = validateStoreId(storeId);
+    if (!storeValidation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: storeValidation.message,
+        code: storeValidation.code,
+      });
+    }
+
+    const store = await resolveStore({ storeId, shopDomain });
+
+    console.log(`Importing batch of ${uniqueOrderNumbers.length} orders...`);
+
+    // Sequential on purpose: the Shopify client rate limits every request
+    const results = [];
+    for (const orderNumber of uniqueOrderNumbers) {
+      results.push(
+        await importOrderByNumber(
+          orderNumber,
+          {
+            userId: authUser.UserId,
+            userName: authUser.UserName,
+          },
+          { store },
+        ),
+      );
+    }
+
+    const summary = { total: results.length };
+    for (const result of Object.values(IMPORT_RESULTS)) {
+      summary[result] = results.filter((r) => r.result === result).length;
+    }
+
+    console.log(
+      `Batch import finished: ${summary.created} created of ${summary.total}`,
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        summary,
+        results,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ShopifyStoreError) {
+      return res.status(error.statusCode).json(formatStoreError(error));
+    }
+
+    console.error("Error importing batch:", error);
+    const { statusCode, data } = formatErrorResponse("Failed to import batch");
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /cases/import-file
+ *
+ * Imports cases from a spreadsheet of patients (CSV or XLSX), one row per
+ * line item with the rows of an order sharing its order_number. Orders are
+ * read through the CSV order source and created through the same pipeline
+ * as POST /cases/create-case.
+ *
+ * The file is sent as the raw request body (max 5mb, 1000 rows) with
+ * Content-Type text/csv or
+ * application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.
+ * Only the first worksheet of an XLSX file is read.
+ *
+ * Import in two calls with the same file and mapping:
+ * 1. Preview (default): maps and validates every row and shows the case
+ *    each valid order would create. Nothing is written.
+ * 2. Commit (commit=true): creates a case per valid order, each in its own
+ *    transaction, so a failure on one order never rolls back others.
+ *
+ * Headers matching a column name (case-insensitively, spaces as "_") are
+ * mapped automatically; map other headers with mapping[column]=Header. The
+ * columns are order_number, first_name, last_name, email, note, sku, title,
+ * quantity, shipping_method, tags, sales_channel, ship_first_name,
+ * ship_last_name, ship_company, ship_address1, ship_address2, ship_city,
+ * ship_province, ship_zip, ship_country and ship_phone.
+ *
+ * A row is rejected when order_number is missing or not numeric, quantity
+ * is not a positive whole number, the first row of its order has no valid
+ * email or no name, or its SKU is missing, an invalid encoded SKU or not
+ * in the product catalog. All rows of an order with a rejected row are
+ * rejected, as are orders case creation refuses (already imported, no case
+ * defaults profile).
+ *
+ * Query parameters:
+ * - commit: "true" to create the cases (optional, default preview)
+ * - format: "csv" | "xlsx" (optional, detected from the upload)
+ * - mapping[column]: file header to read the column from (optional, "" to
+ *   leave a column unmapped)
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "format": "csv" | "xlsx",
+ *     "headers": [ "string", ... ],
+ *     "mapping": { "order_number": "Patient ID", "email": "E-mail", ... },
+ *     "summary": { "rows": number, "orders": number, "rejectedRows": number },
+ *     "orders": [
+ *       {
+ *         "orderNumber": "string",
+ *         "rows": [ number, ... ],
+ *         "preview": { ... same as POST /cases/preview-case ... } (preview),
+ *         "caseId": "string" (commit),
+ *         "warnings": [ ... ] (commit)
+ *       },
+ *       ...
+ *     ],
+ *     "rejected": [ { "row": number, "orderNumber": "string" or null, "message": "string" }, ... ],
+ *     "rejectedCsv": "string" or null (rejected rows with a row and an error column)
+ *   }
+ * }
+ *
+ * Rows are numbered counting the header as row 1, skipping blank rows.
+ * rejectedCsv is returned with the commit result as well, so the rows to
+ * fix and re-upload are never lost to a second request.
+ *
+ * Response on error (400/413/500):
+ * {
+ *   "status": "error",
+ *   "message": "Error description",
+ *   "code": "MISSING_FILE" | "FILE_TOO_LARGE" | "UNSUPPORTED_FILE_FORMAT"
+ *           | "INVALID_FILE" | "TOO_MANY_ROWS" | "INVALID_COLUMN_MAPPING"
+ *           | "INTERNAL_ERROR"
+ * }
+ *
+ * 400 INVALID_FILE also covers XLSX workbooks with a part that unzips to
+ * more than 32 MB.
+ */
+router.post("/import-file", verifyToken, receiveFile, async (req, res) => {
+  try {
+    const { commit, format, mapping } = req.query;
+    const authUser = req.user; // From JWT middleware
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        status: "error",
+        message: "Send the CSV or XLSX file as the request body",
+        code: ERROR_CODES.MISSING_FILE,
+      });
+    }
+
+    const committed = commit === "true";
+    const options = {
+      format,
+      contentType: req.get("Content-Type") || "",
+      mapping,
+    };
+
+    const result = committed
+      ? await commitFileImport(
+          req.body,
+          {
+            userId: authUser.UserId,
+            userName: authUser.UserName,
+          },
+          options,
+        )
+      : await previewFileImport(req.body, authUser.UserId, options);
+
+    res.status(200).json({
+      status: "success",
+      data: formatFileImport(result, committed),
+    });
+  } catch (error) {
+    if (error instanceof CaseFileImportError) {
+      return res.status(error.statusCode).json({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error("Error importing case file:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to import case file",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /cases/import-jobs
+ *
+ * Queues a background import job for a list of Shopify order numbers.
+ * Returns immediately; poll GET /cases/import-jobs/:jobId for progress.
+ * Jobs are persisted, so unfinished work resumes after a server restart.
+ *
+ * Request body:
+ * {
+ *   "orderNumbers": ["88675969", "88675970", ...],  (max 2000)
+ *   "storeId": number (optional, defaults to the default store),
+ *   "shopDomain": "string" (optional, alternative to storeId)
+ * }
+ *
+ * Response on success (202):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "jobId": number,
+ *     "totalItems": number
+ *   }
+ * }
+ */
+router.post("/import-jobs", verifyToken, async (req, res) => {
+  try {
+    const { orderNumbers, storeId, shopDomain } = req.body;
+    const authUser = req.user; // From JWT middleware
+
+    const validation = validateOrderNumbers(orderNumbers, MAX_IMPORT_JOB_SIZE);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+
+    const storeValidation = validateStoreId(storeId);
+    if (!storeValidation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: storeValidation.message,
+        code: storeValidation.code,
+      });
+    }
+
+    // Check the store now; the worker resolves it again per item
+    const store = await resolveStore({ storeId, shopDomain });
+
+    const jobId = await enqueueImportJob(
+      validation.orderNumbers,
+      {
+        userId: authUser.UserId,
+        userName: authUser.UserName,
+      },
+      store ? store.storeId : null,
+    );
+
+    res.status(202).json({
+      status: "success",
+      data: {
+        jobId,
+        totalItems: validation.orderNumbers.length,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ShopifyStoreError) {
+      return res.status(error.statusCode).json(formatStoreError(error));
+    }
+
+    console.error("Error queueing import job:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to queue import job",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /cases/import-jobs/:jobId
+ *
+ * Reports progress of an import job with per-item outcomes.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "jobId": number,
+ *     "status": "queued" | "processing" | "completed",
+ *     "storeId": number or null (null for the default store),
+ *     "createdBy": "string",
+ *     "createdAt": "datetime",
+ *     "startedAt": "datetime" or null,
+ *     "completedAt": "datetime" or null,
+ *     "progress": {
+ *       "total": number,
+ *       "processed": number,
+ *       "percent": number,
+ *       "results": { "created": number, "already_exists": number, ... }
+ *     },
+ *     "items": [
+ *       {
+ *         "orderNumber": "string",
+ *         "status": "pending" | "processing" | "done",
+ *         "result": "created" | "already_exists" | ... or null,
+ *         "caseId": number or null,
+ *         "message": "string" or null,
+ *         "processedAt": "datetime" or null
+ *       },
+ *       ...
+ *     ],
+ *     "errors": [ { "orderNumber": "string", "result": "string", "message": "string" } ]
+ *   }
+ * }
+ */
+router.get("/import-jobs/:jobId", verifyToken, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const validation = validateNumericId(jobId, "Job ID");
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+
+    const job = await getImportJob(parseInt(jobId, 10));
+
+    if (!job) {
+      return res.status(404).json({
+        status: "error",
+        message: `Import job ${jobId} not found`,
+        code: ERROR_CODES.IMPORT_JOB_NOT_FOUND,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: job,
+    });
+  } catch (error) {
+    console.error("Error fetching import job:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch import job",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /cases/:caseId/transitions
+ *
+ * Moves a case to a new status.
+ * Inserts a dbo.CaseTransaction row and updates case_status_code in one
+ * transaction. A status with rules in dbo.Status_Transition_Rule may only
+ * be entered from the statuses its rules list (by default, shipping
+ * statuses only from QC). On a case imported from Shopify the new status
+ * is synced to the order's tags and metafield, and a tracking number also
+ * queues a fulfillment push (see GET /shopify/fulfillments).
+ *
+ * Request body:
+ * {
+ *   "statusId": number,
+ *   "trackingNumber": "string (optional)",
+ *   "carrierId": number (optional, defaults to the case's ShipCarrierId),
+ *   "shipCompany": "string (optional)"
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Case status updated",
+ *   "data": {
+ *     "caseId": number,
+ *     "fromStatusId": number,
+ *     "toStatusId": number,
+ *     "statusName": "string",
+ *     "fulfillmentQueued": boolean   // tracking will be pushed to Shopify
+ *   }
+ * }
+ *
+ * Error codes:
+ * - CASE_NOT_FOUND (404), STATUS_NOT_FOUND (400), TRANSITION_NOT_ALLOWED (409)
+ * - TRACKING_NUMBER_REQUIRED (400), USER_TYPE_NOT_PERMITTED (403)
+ *   (see dbo.Status_Transition_Rule)
+ */
+router.post("/:caseId/transitions", verifyToken, async (req, res) => {
+  try {
+    const { caseId } = req.params;
+    const { statusId, trackingNumber, carrierId, shipCompany } = req.body;
+    const authUser = req.user; // From JWT middleware
+
+    const caseValidation = validateNumericId(caseId, "Case ID");
+    if (!caseValidation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: caseValidation.message,
+        code: caseValidation.code,
+      });
+    }
+
+    const statusValidation = validateNumericId(statusId, "Status ID");
+    if (!statusValidation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: statusValidation.message,
+        code: statusValidation.code,
+      });
+    }
+
+    if (carrierId !== undefined && carrierId !== null) {
+      const carrierValidation = validateNumericId(carrierId, "Carrier ID");
+      if (!carrierValidation.valid) {
+        return res.status(400).json({
+          status: "error",
+          message: carrierValidation.message,
+          code: carrierValidation.code,
+        });
+      }
+    }
+
+    const result = await transitionCase({
+      caseId: parseInt(caseId, 10),
+      statusId: parseInt(statusId, 10),
+      trackingNumber: trackingNumber
+        ? String(trackingNumber).trim().substring(0, 100)
+        : null,
+      carrierId: carrierId ? parseInt(carrierId, 10) : null,
+      shipCompany: shipCompany
+        ? String(shipCompany).trim().substring(0, 100)
+        : null,
+      user: {
+        userId: authUser.UserId,
+        userName: authUser.UserName,
+      },
+    });
+
+    res.status(201).json({
+      status: "success",
+      message: "Case status updated",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CaseTransitionError) {
+      return res.status(error.statusCode).json({
+        status: "error",
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    console.error("Error updating case status:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to update case status",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /cases/:caseId/full
+ *
+ * Retrieves the full case document: header, items with teeth, status
+ * history and ticket threads.
+ *
+ * Query parameters:
+ * - include: comma-separated sections to load (items, transactions, tickets).
+ *   Defaults to all sections; the header is always returned.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "case": { "Case_ID": number, "Case_Patient_First_Name": "string", ... },
+ *     "items": [ { "case_item_id": number, "name": "string", ..., "teeth": ["Upper"] } ],
+ *     "transactions": [ { "TRN_STATUS_CODE": number, "Status_Streamline_Options": "string", ... } ],
+ *     "tickets": [ { "Case_Ticket_Id": number, ..., "details": [ { ... } ] } ]
+ *   }
+ * }
+ */
+router.get("/:caseId/full", verifyToken, async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const validation = validateNumericId(caseId, "Case ID");
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+
+    let include = CASE_DETAIL_SECTIONS;
+    if (req.query.include !== undefined) {
+      include = String(req.query.include)
+        .split(",")
+        .map((section) => section.trim().toLowerCase())
+        .filter(Boolean);
+
+      const unknown = include.filter(
+        (section) => !CASE_DETAIL_SECTIONS.includes(section),
+      );
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          status: "error",
+          message: `Unknown include section(s): ${unknown.join(", ")}. Allowed: ${CASE_DETAIL_SECTIONS.join(", ")}`,
+          code: ERROR_CODES.INVALID_INCLUDE,
+        });
+      }
+    }
+
+    const detail = await getCaseDetail(parseInt(caseId, 10), include);
+
+    if (!detail) {
+      return res.status(404).json({
+        status: "error",
+        message: `Case ${caseId} not found`,
+        code: ERROR_CODES.CASE_NOT_FOUND,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: detail,
+    });
+  } catch (error) {
+    console.error("Error fetching full case:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch case details",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /cases/search
+ *
+ * Searches cases with optional filters, sorting and pagination.
+ *
+ * Query parameters (all optional):
+ * - firstName, lastName: patient name prefix
+ * - email: part of Shopify_Email
+ * - orderNumber: exact Case_Patient_Num
+ * - statusId, labId: numeric IDs
+ * - isRush: true | false
+ * - receivedFrom, receivedTo: YYYY-MM-DD (inclusive)
+ * - page (default 1), pageSize (default 25, max 100)
+ * - sortBy: caseId | firstName | lastName | orderNumber | dateReceived | dateDue | status
+ * - sortDir: asc | desc (default desc)
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "cases": [
+ *       {
+ *         "Case_ID": number,
+ *         "Case_Patient_First_Name": "string",
+ *         "Case_Patient_Last_Name": "string",
+ *         "Case_Patient_Num": "string",
+ *         "Shopify_Email": "string",
+ *         "Case_Date_Received": "datetime",
+ *         "Status_Streamline_Options": "string",
+ *         "IsRushOrder": 0 | 1,
+ *         ...
+ *       }
+ *     ],
+ *     "pagination": {
+ *       "page": number,
+ *       "pageSize": number,
+ *       "total": number,
+ *       "totalPages": number,
+ *       "sortBy": "string",
+ *       "sortDir": "asc" | "desc"
+ *     }
+ *   }
+ * }
+ */
+router.get("/search", verifyToken, async (req, res) => {
+  try {
+    const validation = validateSearchParams(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: ERROR_CODES.INVALID_SEARCH_PARAMETER,
+      });
+    }
+
+    const result = await searchCases(validation.filters);
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error searching cases:", error);
+    const { statusCode, data } = formatErrorResponse("Failed to search cases");
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /cases/:caseId/timeline
+ *
+ * Returns status changes, ticket emails, ticket assignments and Shopify order
+ * changes of a case as one chronologically ordered event list (oldest first).
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "caseId": number,
+ *     "events": [
+ *       {
+ *         "type": "status_change" | "ticket_email" | "ticket_assignment" | "order_change",
+ *         "occurredAt": "datetime",
+ *         "actor": { "userId": number, "name": "string" },
+ *         "summary": "string",
+ *         "details": { ... }             // order_change: topic, change (diff, cancellation or refund), ticketDetailId, holdStatusId
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * }
+ */
+router.get("/:caseId/timeline", verifyToken, async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const validation = validateNumericId(caseId, "Case ID");
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+
+    const id = parseInt(caseId, 10);
+
+    if (!(await caseExists(id))) {
+      return res.status(404).json({
+        status: "error",
+        message: `Case ${caseId} not found`,
+        code: ERROR_CODES.CASE_NOT_FOUND,
+      });
+    }
+
+    const events = await getCaseTimeline(id);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        caseId: id,
+        events,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching case timeline:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch case timeline",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /cases/:caseId/due-date/recalculate
+ *
+ * Recalculates Case_Date_Required_By_DR from the case's received date in
+ * business days, skipping weekends and lab holidays, using the product SLAs
+ * on the case and the defaults profile of the case's lab. Use after adding
+ * a holiday or changing SLAs for cases already in production.
+ *
+ * Request body:
+ * {
+ *   "dryRun": boolean (optional) - Calculate without saving
+ * }
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "caseId": number,
+ *     "previousDueDate": "datetime",
+ *     "dueDate": "datetime",
+ *     "receivedDate": "datetime",
+ *     "businessDays": number,
+ *     "isRush": boolean,
+ *     "updated": boolean
+ *   }
+ * }
+ */
+router.post("/:caseId/due-date/recalculate", verifyToken, async (req, res) => {
+  try {
+    const { caseId } = req.params;
+
+    const validation = validateNumericId(caseId, "Case ID");
+    if (!validation.valid) {
+      return res.status(400).json({
+        status: "error",
+        message: validation.message,
+        code: validation.code,
+      });
+    }
+
+    const result = await recalculateCaseDueDate(parseInt(caseId, 10), {
+      dryRun: req.body?.dryRun === true,
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        status: "error",
+        message: `Case ${caseId} not found`,
+        code: ERROR_CODES.CASE_NOT_FOUND,
+      });
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error recalculating due date:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to recalculate due date",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,355 @@
+/**
+ * Catalog Routes
+ *
+ * Handles the product catalog mapping Shopify SKUs and variant IDs to lab
+ * products:
+ * - GET /catalog - List catalog entries
+ * - GET /catalog/:catalogId - Get a catalog entry
+ * - POST /catalog - Create a catalog entry (admin)
+ * - PUT /catalog/:catalogId - Update a catalog entry (admin)
+ * - DELETE /catalog/:catalogId - Deactivate a catalog entry (admin)
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  validateCatalogEntry,
+  listCatalogEntries,
+  getCatalogEntry,
+  createCatalogEntry,
+  updateCatalogEntry,
+  deactivateCatalogEntry,
+} = require("../services/catalogService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const ERROR_CODES = {
+  INVALID_CATALOG_ID: "INVALID_CATALOG_ID",
+  INVALID_CATALOG_ENTRY: "INVALID_CATALOG_ENTRY",
+  CATALOG_ENTRY_NOT_FOUND: "CATALOG_ENTRY_NOT_FOUND",
+  DUPLICATE_CATALOG_ENTRY: "DUPLICATE_CATALOG_ENTRY",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Map a database write error to an error response
+ * Unique index violations on SKU or variant ID are reported as 409.
+ */
+const formatWriteError = (error, action) => {
+  const number = error.original?.number || error.parent?.number;
+  if (number === 2601 || number === 2627) {
+    return formatErrorResponse(
+      "A catalog entry already exists for this SKU or variant ID",
+      ERROR_CODES.DUPLICATE_CATALOG_ENTRY,
+      409,
+    );
+  }
+  return formatErrorResponse(
+    `Failed to ${action} catalog entry`,
+    ERROR_CODES.DATABASE_ERROR,
+  );
+};
+
+/**
+ * Middleware: Validate :catalogId and load the entry into req.catalogEntry
+ */
+const loadCatalogEntry = async (req, res, next) => {
+  const { catalogId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(catalogId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Catalog ID must contain numerals only",
+      ERROR_CODES.INVALID_CATALOG_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const entry = await getCatalogEntry(parseInt(catalogId, 10));
+
+    if (!entry) {
+      const { statusCode, data } = formatErrorResponse(
+        `Catalog entry ${catalogId} not found`,
+        ERROR_CODES.CATALOG_ENTRY_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    req.catalogEntry = entry;
+    next();
+  } catch (error) {
+    console.error("Error fetching catalog entry:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch catalog entry",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+};
+
+/**
+ * GET /catalog
+ *
+ * Lists catalog entries. Deactivated entries are left out unless
+ * includeInactive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "entries": [
+ *       {
+ *         "Catalog_Id": number,
+ *         "Shopify_Sku": "string" | null,
+ *         "Sku_Match": "exact" | "contains",
+ *         "Shopify_Variant_Id": "string" | null,
+ *         "Lab_Product_Code": "string" | null,
+ *         "Product_Name": "string",
+ *         "Default_Arch": "U" | "L" | "UL" | "LU" | null,
+ *         "Default_Qty": number,
+ *         "Unit_Price": number,
+ *         "Standard_Days": number | null,
+ *         "Rush_Days": number | null,
+ *         "Is_Rush": boolean,
+ *         "Is_Active": boolean,
+ *         ...
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true";
+    const entries = await listCatalogEntries(includeInactive);
+
+    res.status(200).json({
+      status: "success",
+      data: { entries },
+    });
+  } catch (error) {
+    console.error("Error fetching catalog:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch catalog",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /catalog/:catalogId
+ *
+ * Retrieves a single catalog entry.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": { "entry": { ...catalog row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid catalog ID
+ * - 404: Catalog entry not found
+ */
+router.get("/:catalogId", verifyToken, loadCatalogEntry, (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: { entry: req.catalogEntry },
+  });
+});
+
+/**
+ * POST /catalog
+ *
+ * Creates a catalog entry. Admin only. With skuMatch "contains" the entry
+ * matches every SKU that contains shopifySku.
+ *
+ * Request body:
+ * {
+ *   "shopifySku": "string",          // At least one of shopifySku,
+ *   "shopifyVariantId": "string",    // shopifyVariantId or labProductCode
+ *   "labProductCode": "string",
+ *   "skuMatch": "exact" | "contains", // Optional, defaults to exact
+ *   "productName": "string",         // Required
+ *   "defaultArch": "U" | "L" | "UL", // Optional
+ *   "defaultQty": number,            // Optional, defaults to 1
+ *   "unitPrice": number,             // Optional, defaults to 0
+ *   "standardDays": number,          // Optional, business days
+ *   "rushDays": number,              // Optional, business days for rush orders
+ *   "isRush": boolean,               // Optional, defaults to false
+ *   "isActive": boolean              // Optional, defaults to true
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Catalog entry created",
+ *   "data": { "entry": { ...catalog row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid entry
+ * - 403: Not an admin
+ * - 409: SKU or variant ID already mapped
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const validation = validateCatalogEntry(req.body || {});
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_CATALOG_ENTRY,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const entry = await createCatalogEntry(validation.entry);
+
+      res.status(201).json({
+        status: "success",
+        message: "Catalog entry created",
+        data: { entry },
+      });
+    } catch (error) {
+      console.error("Error creating catalog entry:", error);
+      const { statusCode, data } = formatWriteError(error, "create");
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * PUT /catalog/:catalogId
+ *
+ * Updates a catalog entry. Admin only. Fields left out of the body keep
+ * their current value.
+ *
+ * Request body: same fields as POST /catalog, all optional
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Catalog entry updated",
+ *   "data": { "entry": { ...catalog row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid catalog ID or entry
+ * - 403: Not an admin
+ * - 404: Catalog entry not found
+ * - 409: SKU or variant ID already mapped
+ */
+router.put(
+  "/:catalogId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadCatalogEntry,
+  async (req, res) => {
+    const validation = validateCatalogEntry(req.body || {}, req.catalogEntry);
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_CATALOG_ENTRY,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const entry = await updateCatalogEntry(
+        req.catalogEntry.Catalog_Id,
+        validation.entry,
+      );
+
+      res.status(200).json({
+        status: "success",
+        message: "Catalog entry updated",
+        data: { entry },
+      });
+    } catch (error) {
+      console.error("Error updating catalog entry:", error);
+      const { statusCode, data } = formatWriteError(error, "update");
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /catalog/:catalogId
+ *
+ * Deactivates a catalog entry. Admin only. Entries are never deleted so
+ * existing case items keep their history; reactivate with PUT isActive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Catalog entry deactivated"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid catalog ID
+ * - 403: Not an admin
+ * - 404: Catalog entry not found
+ */
+router.delete(
+  "/:catalogId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadCatalogEntry,
+  async (req, res) => {
+    try {
+      await deactivateCatalogEntry(req.catalogEntry.Catalog_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Catalog entry deactivated",
+      });
+    } catch (error) {
+      console.error("Error deactivating catalog entry:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to deactivate catalog entry",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+module.exports = router;
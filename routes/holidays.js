@@ -0,0 +1,287 @@
+/**
+ * Holiday Routes
+ *
+ * Handles the lab holiday calendar used by due date calculation:
+ * - GET /holidays - List holidays in a date range
+ * - POST /holidays - Add a holiday (admin)
+ * - DELETE /holidays/:holidayId - Remove a holiday (admin)
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  toDateKey,
+  listHolidays,
+  getHoliday,
+  createHoliday,
+  deleteHoliday,
+} = require("../services/dueDateService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ERROR_CODES = {
+  INVALID_HOLIDAY_ID: "INVALID_HOLIDAY_ID",
+  INVALID_HOLIDAY: "INVALID_HOLIDAY",
+  INVALID_DATE_RANGE: "INVALID_DATE_RANGE",
+  HOLIDAY_NOT_FOUND: "HOLIDAY_NOT_FOUND",
+  DUPLICATE_HOLIDAY: "DUPLICATE_HOLIDAY",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Check a YYYY-MM-DD date string is a real date
+ */
+const isValidDate = (value) =>
+  DATE_PATTERN.test(String(value)) && !isNaN(Date.parse(value));
+
+/**
+ * GET /holidays
+ *
+ * Lists holidays between "from" and "to" (YYYY-MM-DD, inclusive).
+ * Defaults to the current calendar year. Pass labId to get lab-wide
+ * holidays plus that lab's own; without it every lab's holidays are listed.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "holidays": [
+ *       {
+ *         "Holiday_Id": number,
+ *         "Holiday_Date": "YYYY-MM-DD",
+ *         "Lab_ID": number | null,
+ *         "Description": "string" | null,
+ *         ...
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/", verifyToken, async (req, res) => {
+  const year = new Date().getFullYear();
+  const fromDate = req.query.from || `${year}-01-01`;
+  const toDate = req.query.to || `${year}-12-31`;
+  const { labId } = req.query;
+
+  if (!isValidDate(fromDate) || !isValidDate(toDate) || fromDate > toDate) {
+    const { statusCode, data } = formatErrorResponse(
+      "from and to must be YYYY-MM-DD dates with from on or before to",
+      ERROR_CODES.INVALID_DATE_RANGE,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  if (labId !== undefined && !NUMERIC_PATTERN.test(labId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "labId must contain numerals only",
+      ERROR_CODES.INVALID_HOLIDAY,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const holidays = await listHolidays({
+      fromDate,
+      toDate,
+      labId: labId !== undefined ? parseInt(labId, 10) : null,
+      allLabs: labId === undefined,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: { holidays },
+    });
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch holidays",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * POST /holidays
+ *
+ * Adds a holiday. Admin only. Existing due dates are not changed; use
+ * POST /cases/:caseId/due-date/recalculate for cases already in production.
+ *
+ * Request body:
+ * {
+ *   "date": "YYYY-MM-DD",       // Required
+ *   "labId": number,            // Optional, omit for all labs
+ *   "description": "string"     // Optional
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Holiday added",
+ *   "data": { "holiday": { ...holiday row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid date or lab ID
+ * - 403: Not an admin
+ * - 409: Holiday already exists for that date and lab
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const { date, labId, description } = req.body || {};
+
+    if (!isValidDate(date) || toDateKey(new Date(`${date}T00:00:00`)) !== date) {
+      const { statusCode, data } = formatErrorResponse(
+        "date must be a YYYY-MM-DD date",
+        ERROR_CODES.INVALID_HOLIDAY,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    if (
+      labId !== undefined &&
+      labId !== null &&
+      !NUMERIC_PATTERN.test(String(labId))
+    ) {
+      const { statusCode, data } = formatErrorResponse(
+        "labId must contain numerals only",
+        ERROR_CODES.INVALID_HOLIDAY,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const holiday = await createHoliday(
+        {
+          holidayDate: date,
+          labId: labId ? parseInt(labId, 10) : null,
+          description: description
+            ? String(description).trim().substring(0, 255)
+            : null,
+        },
+        req.user.UserId,
+      );
+
+      res.status(201).json({
+        status: "success",
+        message: "Holiday added",
+        data: { holiday },
+      });
+    } catch (error) {
+      const number = error.original?.number || error.parent?.number;
+      if (number === 2601 || number === 2627) {
+        const { statusCode, data } = formatErrorResponse(
+          `A holiday already exists on ${date} for this lab`,
+          ERROR_CODES.DUPLICATE_HOLIDAY,
+          409,
+        );
+        return res.status(statusCode).json(data);
+      }
+
+      console.error("Error adding holiday:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to add holiday",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /holidays/:holidayId
+ *
+ * Removes a holiday. Admin only.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Holiday removed"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid holiday ID
+ * - 403: Not an admin
+ * - 404: Holiday not found
+ */
+router.delete(
+  "/:holidayId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const { holidayId } = req.params;
+
+    if (!NUMERIC_PATTERN.test(holidayId)) {
+      const { statusCode, data } = formatErrorResponse(
+        "Holiday ID must contain numerals only",
+        ERROR_CODES.INVALID_HOLIDAY_ID,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const holiday = await getHoliday(parseInt(holidayId, 10));
+
+      if (!holiday) {
+        const { statusCode, data } = formatErrorResponse(
+          `Holiday ${holidayId} not found`,
+          ERROR_CODES.HOLIDAY_NOT_FOUND,
+          404,
+        );
+        return res.status(statusCode).json(data);
+      }
+
+      await deleteHoliday(holiday.Holiday_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Holiday removed",
+      });
+    } catch (error) {
+      console.error("Error removing holiday:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to remove holiday",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+module.exports = router;
@@ -11,14 +11,30 @@ const authRoutes = require("./auth");
 const reportRoutes = require("./reports");
 const casesRoutes = require("./cases");
 const shopifyRoutes = require("./shopify");
+const shopifyWebhookRoutes = require("./shopifyWebhooks");
+const shopifyStoreRoutes = require("./shopifyStores");
+const shopifyFulfillmentRoutes = require("./shopifyFulfillments");
+const shopifyStatusSyncRoutes = require("./shopifyStatusSync");
 const statusRoutes = require("./status");
+const catalogRoutes = require("./catalog");
+const caseDefaultsRoutes = require("./caseDefaults");
+const holidayRoutes = require("./holidays");
+const patientRoutes = require("./patients");
 
 // Mount route modules
 router.use("/auth", authRoutes);
 router.use("/reports", reportRoutes);
 router.use("/cases", casesRoutes);
+router.use("/shopify/webhooks", shopifyWebhookRoutes);
+router.use("/shopify/stores", shopifyStoreRoutes);
+router.use("/shopify/fulfillments", shopifyFulfillmentRoutes);
+router.use("/shopify/status-sync", shopifyStatusSyncRoutes);
 router.use("/shopify", shopifyRoutes);
 router.use("/status", statusRoutes);
+router.use("/catalog", catalogRoutes);
+router.use("/case-defaults", caseDefaultsRoutes);
+router.use("/holidays", holidayRoutes);
+router.use("/patients", patientRoutes);
 
 // Placeholder route for initial setup
 router.get("/", (req, res) => {
@@ -33,18 +49,75 @@ router.get("/", (req, res) => {
       },
       reports: {
         poponBacklog: "GET /reports/popon-backlog",
+        shopifyReconciliation: "GET /reports/shopify-reconciliation",
       },
       cases: {
         receiveCase: "POST /cases/receive-case",
         getCase: "GET /cases/get-case/:caseId",
         createCase: "POST /cases/create-case",
+        previewCase: "POST /cases/preview-case",
+        importBatch: "POST /cases/import-batch",
+        importFile: "POST /cases/import-file",
+        createImportJob: "POST /cases/import-jobs",
+        getImportJob: "GET /cases/import-jobs/:jobId",
+        transitionCase: "POST /cases/:caseId/transitions",
+        getFullCase: "GET /cases/:caseId/full",
+        searchCases: "GET /cases/search",
+        getCaseTimeline: "GET /cases/:caseId/timeline",
+        recalculateDueDate: "POST /cases/:caseId/due-date/recalculate",
       },
       shopify: {
         fetchOrder: "POST /shopify/fetch-order",
+        rateLimit: "GET /shopify/rate-limit",
+        ordersCreateWebhook: "POST /shopify/webhooks/orders-create",
+        ordersCancelledWebhook: "POST /shopify/webhooks/orders-cancelled",
+        ordersUpdatedWebhook: "POST /shopify/webhooks/orders-updated",
+        refundsCreateWebhook: "POST /shopify/webhooks/refunds-create",
+        listStores: "GET /shopify/stores",
+        getStore: "GET /shopify/stores/:storeId",
+        createStore: "POST /shopify/stores",
+        updateStore: "PUT /shopify/stores/:storeId",
+        deactivateStore: "DELETE /shopify/stores/:storeId",
+        listFulfillments: "GET /shopify/fulfillments",
+        getFulfillment: "GET /shopify/fulfillments/:outboxId",
+        retryFulfillment: "POST /shopify/fulfillments/:outboxId/retry",
+        listCarrierMappings: "GET /shopify/fulfillments/carriers",
+        saveCarrierMapping: "PUT /shopify/fulfillments/carriers/:carrierId",
+        deleteCarrierMapping: "DELETE /shopify/fulfillments/carriers/:carrierId",
+        resyncStatus: "POST /shopify/status-sync",
+        getStatusSync: "GET /shopify/status-sync/cases/:caseId",
       },
       status: {
         getStatus: "GET /status/statuses/:statusId",
         getAllStatuses: "GET /status/statuses",
+        getNextStatuses: "GET /status/statuses/:statusId/next",
+        listTransitionRules: "GET /status/transition-rules",
+        getTransitionRule: "GET /status/transition-rules/:ruleId",
+        createTransitionRule: "POST /status/transition-rules",
+        updateTransitionRule: "PUT /status/transition-rules/:ruleId",
+        deactivateTransitionRule: "DELETE /status/transition-rules/:ruleId",
+      },
+      catalog: {
+        listEntries: "GET /catalog",
+        getEntry: "GET /catalog/:catalogId",
+        createEntry: "POST /catalog",
+        updateEntry: "PUT /catalog/:catalogId",
+        deactivateEntry: "DELETE /catalog/:catalogId",
+      },
+      caseDefaults: {
+        listProfiles: "GET /case-defaults",
+        getProfile: "GET /case-defaults/:profileId",
+        createProfile: "POST /case-defaults",
+        updateProfile: "PUT /case-defaults/:profileId",
+        deactivateProfile: "DELETE /case-defaults/:profileId",
+      },
+      holidays: {
+        listHolidays: "GET /holidays",
+        addHoliday: "POST /holidays",
+        removeHoliday: "DELETE /holidays/:holidayId",
+      },
+      patients: {
+        getPatientCases: "GET /patients/:patientId/cases",
       },
     },
   });
@@ -0,0 +1,137 @@
+/**
+ * Patient Routes
+ *
+ * Handles the patients that link repeat orders:
+ * - GET /patients/:patientId/cases - Get a patient's cases with prior shades
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const { verifyToken } = require("../middleware/auth");
+const { getPatientCases } = require("../services/patientService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const ERROR_CODES = {
+  INVALID_PATIENT_ID: "INVALID_PATIENT_ID",
+  PATIENT_NOT_FOUND: "PATIENT_NOT_FOUND",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * GET /patients/:patientId/cases
+ *
+ * Gets a patient and every case linked to them, newest first, with the
+ * items of each case so technicians can reuse prior shades on a repeat
+ * order or remake. The patient ID is returned by POST /cases/create-case
+ * and POST /cases/preview-case, and on the case header of
+ * GET /cases/:caseId/full. Cases from before patients were tracked are
+ * linked with Match_Method "case_history" and carry no repeat flags.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "patient": {
+ *       "Patient_Id": number,
+ *       "Customer_ID": number,
+ *       "Shopify_Customer_Id": "string" | null,
+ *       "Email": "string" | null,
+ *       "First_Name": "string",
+ *       "Last_Name": "string",
+ *       ...
+ *     },
+ *     "cases": [
+ *       {
+ *         "Case_ID": number,
+ *         "Case_Status_Code": number,
+ *         "CaseRXInstructions": "string",
+ *         "Match_Method": "shopify_customer_id" | "email_and_name" | "case_history" | "new",
+ *         "Is_Repeat": boolean,
+ *         "Is_Remake": boolean,
+ *         "Previous_Case_ID": number | null,
+ *         ...
+ *         "items": [
+ *           {
+ *             "case_item_id": number,
+ *             "name": "string",
+ *             "case_item_tooth": "string",
+ *             "case_item_shade_ging": "string",
+ *             "case_item_shade_body": "string",
+ *             "case_item_shade_incis": "string",
+ *             ...
+ *           }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ * }
+ *
+ * Response on error (400/404/500):
+ * {
+ *   "status": "error",
+ *   "message": "Error description",
+ *   "code": "ERROR_CODE"
+ * }
+ */
+router.get("/:patientId/cases", verifyToken, async (req, res) => {
+  const { patientId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(patientId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Patient ID must contain numerals only",
+      ERROR_CODES.INVALID_PATIENT_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const result = await getPatientCases(parseInt(patientId, 10));
+
+    if (!result) {
+      const { statusCode, data } = formatErrorResponse(
+        `Patient ${patientId} not found`,
+        ERROR_CODES.PATIENT_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error fetching patient cases:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch patient cases",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@
  *
  * Handles all reporting endpoints:
  * - GET /reports/popon-backlog - PopOn backlog report with active cases
+ * - GET /reports/shopify-reconciliation - Shopify orders compared with cases
  *
  * All endpoints require authentication via JWT token.
  */
@@ -11,9 +12,68 @@ const express = require("express");
 const { sequelize } = require("../config/database");
 const { verifyToken } = require("../middleware/auth");
 const { reportQueries } = require("../config/queries");
+const {
+  ShopifyError,
+  ShopifyAuthError,
+  ShopifyThrottledError,
+  ShopifyNetworkError,
+} = require("../utils/shopifyErrors");
+const {
+  ShopifyStoreError,
+  resolveStore,
+} = require("../services/shopifyStoreService");
+const {
+  reconcileShopifyOrders,
+} = require("../services/reconciliationService");
 
 const router = express.Router();
 
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RECONCILIATION_DAYS = 92;
+const ERROR_CODES = {
+  INVALID_DATE_RANGE: "INVALID_DATE_RANGE",
+  INVALID_STORE_ID: "INVALID_STORE_ID",
+  SHOPIFY_API_ERROR: "SHOPIFY_API_ERROR",
+  SHOPIFY_AUTH_ERROR: "SHOPIFY_AUTH_ERROR",
+  SHOPIFY_THROTTLED: "SHOPIFY_THROTTLED",
+  SHOPIFY_UNAVAILABLE: "SHOPIFY_UNAVAILABLE",
+};
+
+// Shopify error classes and the responses they map to, most specific first
+const SHOPIFY_ERROR_RESPONSES = [
+  [ShopifyAuthError, 500, ERROR_CODES.SHOPIFY_AUTH_ERROR],
+  [ShopifyThrottledError, 503, ERROR_CODES.SHOPIFY_THROTTLED],
+  [ShopifyNetworkError, 502, ERROR_CODES.SHOPIFY_UNAVAILABLE],
+  [ShopifyError, 502, ERROR_CODES.SHOPIFY_API_ERROR],
+];
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Check a YYYY-MM-DD date
+ */
+const isValidDate = (value) =>
+  DATE_PATTERN.test(String(value)) && !isNaN(Date.parse(value));
+
 /**
  * GET /reports/popon-backlog
  *
@@ -75,4 +135,140 @@ router.get("/popon-backlog", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /reports/shopify-reconciliation
+ *
+ * Compares the Shopify orders created in a date range with the lab's cases
+ * (matched on Case_Patient_Num) and lists:
+ * - missingCases: paid or partially paid orders without a case
+ * - orphanCases: cases whose order was cancelled, refunded or voided
+ * - financialStatusMismatches: cases whose order is not fully paid
+ *   (displayFinancialStatus other than PAID)
+ *
+ * Query parameters:
+ * - from: First order creation day, YYYY-MM-DD (required)
+ * - to: Last order creation day, YYYY-MM-DD (required, at most 92 days after from)
+ * - storeId: Registered store to reconcile (optional, defaults to the default store)
+ * - shopDomain: Alternative to storeId
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "from": "YYYY-MM-DD",
+ *     "to": "YYYY-MM-DD",
+ *     "shopDomain": "string",
+ *     "ordersScanned": number,
+ *     "truncated": boolean,          // more orders than the scan limit; narrow the range
+ *     "missingCases": [
+ *       {
+ *         "orderId": "gid://shopify/Order/...",
+ *         "orderNumber": "string",
+ *         "createdAt": "datetime",
+ *         "cancelledAt": "datetime" | null,
+ *         "financialStatus": "string",
+ *         "fulfillmentStatus": "string",
+ *         "totalPrice": { "amount": "string", "currencyCode": "string" }
+ *       }
+ *     ],
+ *     "orphanCases": [
+ *       { ...order fields, "caseId": number, "caseDateReceived": "YYYY-MM-DD", "caseStatusId": number, "caseStatus": "string" }
+ *     ],
+ *     "financialStatusMismatches": [ { ...same fields as orphanCases } ]
+ *   },
+ *   "counts": {
+ *     "missingCases": number,
+ *     "orphanCases": number,
+ *     "financialStatusMismatches": number
+ *   }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid date range or store ID
+ * - 404: Store not registered or inactive
+ * - 500: Shopify credentials missing or rejected
+ * - 502: Shopify API error or unavailable
+ * - 503: Still rate limited by Shopify after retries
+ */
+router.get("/shopify-reconciliation", verifyToken, async (req, res) => {
+  const { from, to, storeId, shopDomain } = req.query;
+  const rangeDays = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+  if (
+    !isValidDate(from) ||
+    !isValidDate(to) ||
+    from > to ||
+    rangeDays > MAX_RECONCILIATION_DAYS
+  ) {
+    const { statusCode, data } = formatErrorResponse(
+      `from and to must be dates (YYYY-MM-DD) at most ${MAX_RECONCILIATION_DAYS} days apart`,
+      ERROR_CODES.INVALID_DATE_RANGE,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  if (storeId !== undefined && !NUMERIC_PATTERN.test(storeId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Store ID must contain numerals only",
+      ERROR_CODES.INVALID_STORE_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const store = await resolveStore({ storeId, shopDomain });
+    const report = await reconcileShopifyOrders({
+      store,
+      fromDate: from,
+      toDate: to,
+    });
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        from,
+        to,
+        shopDomain: store ? store.shopDomain : null,
+        ...report,
+      },
+      counts: {
+        missingCases: report.missingCases.length,
+        orphanCases: report.orphanCases.length,
+        financialStatusMismatches: report.financialStatusMismatches.length,
+      },
+    });
+  } catch (error) {
+    if (error instanceof ShopifyStoreError) {
+      const { statusCode, data } = formatErrorResponse(
+        error.message,
+        error.code,
+        error.statusCode,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    console.error("Error building Shopify reconciliation report:", error);
+
+    const match = SHOPIFY_ERROR_RESPONSES.find(
+      ([ErrorClass]) => error instanceof ErrorClass,
+    );
+    if (!match) {
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to build Shopify reconciliation report",
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    if (error instanceof ShopifyThrottledError && error.retryAfterMs) {
+      res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+
+    const [, statusCode, errorCode] = match;
+    const { data } = formatErrorResponse(error.message, errorCode, statusCode);
+    res.status(statusCode).json(data);
+  }
+});
+
 module.exports = router;
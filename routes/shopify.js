@@ -3,13 +3,28 @@
  *
  * Handles Shopify integration endpoints:
  * - POST /shopify/fetch-order - Fetch order from Shopify GraphQL using order ID
+ * - GET /shopify/rate-limit - Current Shopify API rate limit state
  *
  * All endpoints require authentication via JWT token.
  */
 
 const express = require("express");
 const { verifyToken } = require("../middleware/auth");
-const { fetchOrderByNumber } = require("../utils/shopifyClient");
+const {
+  fetchOrderByNumber,
+  getRateLimitState,
+} = require("../utils/shopifyClient");
+const {
+  ShopifyError,
+  ShopifyNotFoundError,
+  ShopifyAuthError,
+  ShopifyThrottledError,
+  ShopifyNetworkError,
+} = require("../utils/shopifyErrors");
+const {
+  ShopifyStoreError,
+  resolveStore,
+} = require("../services/shopifyStoreService");
 
 const router = express.Router();
 
@@ -20,9 +35,20 @@ const ERROR_CODES = {
   INVALID_ORDER_ID: "INVALID_ORDER_ID",
   ORDER_NOT_FOUND: "ORDER_NOT_FOUND",
   SHOPIFY_API_ERROR: "SHOPIFY_API_ERROR",
-  MISSING_CREDENTIALS: "MISSING_CREDENTIALS",
+  SHOPIFY_AUTH_ERROR: "SHOPIFY_AUTH_ERROR",
+  SHOPIFY_THROTTLED: "SHOPIFY_THROTTLED",
+  SHOPIFY_UNAVAILABLE: "SHOPIFY_UNAVAILABLE",
 };
 
+// Shopify error classes and the responses they map to, most specific first
+const SHOPIFY_ERROR_RESPONSES = [
+  [ShopifyNotFoundError, 404, ERROR_CODES.ORDER_NOT_FOUND],
+  [ShopifyAuthError, 500, ERROR_CODES.SHOPIFY_AUTH_ERROR],
+  [ShopifyThrottledError, 503, ERROR_CODES.SHOPIFY_THROTTLED],
+  [ShopifyNetworkError, 502, ERROR_CODES.SHOPIFY_UNAVAILABLE],
+  [ShopifyError, 502, ERROR_CODES.SHOPIFY_API_ERROR],
+];
+
 /**
  * Helper: Validate numeric ID input
  */
@@ -71,7 +97,9 @@ const formatErrorResponse = (
  *
  * Request body:
  * {
- *   "orderId": "string (numeric)"
+ *   "orderId": "string (numeric)",
+ *   "storeId": number (optional, defaults to the default store),
+ *   "shopDomain": "string" (optional, alternative to storeId)
  * }
  *
  * Response on success (200):
@@ -85,14 +113,18 @@ const formatErrorResponse = (
  *       "orderNumber": 1001,
  *       "email": "customer@example.com",
  *       "customer": { ... },
- *       "lineItems": [ ... ],
+ *       "lineItems": { "edges": [ ... ] },    // every line item, all pages
+ *       "shippingLines": { "edges": [ ... ] },
  *       "totalPriceSet": { ... },
+ *       "warnings": [                         // empty unless the order was truncated
+ *         { "code": "CONNECTION_TRUNCATED", "connection": "lineItems", "message": "string" }
+ *       ],
  *       ... other Shopify order fields
  *     }
  *   }
  * }
  *
- * Response on error (400/404/500):
+ * Response on error (400/404/500/502/503):
  * {
  *   "status": "error",
  *   "message": "Error description",
@@ -102,13 +134,17 @@ const formatErrorResponse = (
  * Error codes:
  * - MISSING_ORDER_ID: Order ID not provided
  * - INVALID_ORDER_ID: Order ID contains non-numeric characters
- * - ORDER_NOT_FOUND: Order doesn't exist in Shopify
- * - SHOPIFY_API_ERROR: Issue with Shopify API communication
- * - MISSING_CREDENTIALS: Shopify credentials not configured
+ * - INVALID_STORE_ID: Store ID contains non-numeric characters
+ * - STORE_NOT_FOUND (404): Store is not registered or inactive
+ * - ORDER_NOT_FOUND (404): Order doesn't exist in Shopify
+ * - SHOPIFY_AUTH_ERROR (500): Shopify credentials missing or rejected
+ * - SHOPIFY_THROTTLED (503): Still rate limited after retries; see Retry-After
+ * - SHOPIFY_UNAVAILABLE (502): Timeout, network failure or Shopify 5xx
+ * - SHOPIFY_API_ERROR (502): Any other Shopify API error
  */
 router.post("/fetch-order", verifyToken, async (req, res) => {
   try {
-    const { orderId } = req.body;
+    const { orderId, storeId, shopDomain } = req.body;
 
     // Validate input
     const validation = validateNumericId(orderId, "Order ID");
@@ -120,10 +156,23 @@ router.post("/fetch-order", verifyToken, async (req, res) => {
       });
     }
 
+    if (storeId !== undefined && storeId !== null) {
+      const storeValidation = validateNumericId(String(storeId), "Store ID");
+      if (!storeValidation.valid) {
+        return res.status(400).json({
+          status: "error",
+          message: storeValidation.message,
+          code: storeValidation.code,
+        });
+      }
+    }
+
+    const store = await resolveStore({ storeId, shopDomain });
+
     console.log(`Fetching order ${orderId} from Shopify...`);
 
     // Fetch order from Shopify GraphQL API
-    const orderData = await fetchOrderByNumber(orderId);
+    const orderData = await fetchOrderByNumber(orderId, store);
 
     console.log(`Successfully fetched order ${orderId} from Shopify`);
 
@@ -135,30 +184,74 @@ router.post("/fetch-order", verifyToken, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error instanceof ShopifyStoreError) {
+      const { statusCode, data } = formatErrorResponse(
+        error.message,
+        error.code,
+        error.statusCode,
+      );
+      return res.status(statusCode).json(data);
+    }
+
     console.error("Error fetching Shopify order:", error);
 
-    // Determine error code and appropriate response
-    let statusCode = 500;
-    let errorCode = ERROR_CODES.SHOPIFY_API_ERROR;
-
-    if (error.message.includes("not found")) {
-      statusCode = 404;
-      errorCode = ERROR_CODES.ORDER_NOT_FOUND;
-    } else if (error.message.includes("Missing Shopify credentials")) {
-      statusCode = 500;
-      errorCode = ERROR_CODES.MISSING_CREDENTIALS;
-    } else if (error.message.includes("GraphQL Error")) {
-      statusCode = 400;
-      errorCode = ERROR_CODES.SHOPIFY_API_ERROR;
+    const match = SHOPIFY_ERROR_RESPONSES.find(
+      ([ErrorClass]) => error instanceof ErrorClass,
+    );
+    if (!match) {
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to fetch order from Shopify",
+      );
+      return res.status(statusCode).json(data);
     }
 
-    res.status(statusCode).json({
-      status: "error",
-      message: error.message || "Failed to fetch order from Shopify",
-      code: errorCode,
-      ...(process.env.NODE_ENV === "development" && { details: error.message }),
-    });
+    if (error instanceof ShopifyThrottledError && error.retryAfterMs) {
+      res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+    }
+
+    const [, statusCode, errorCode] = match;
+    const { data } = formatErrorResponse(error.message, errorCode, statusCode);
+    res.status(statusCode).json(data);
   }
 });
 
+/**
+ * GET /shopify/rate-limit
+ *
+ * Returns each store's Shopify GraphQL cost bucket as last reported by
+ * Shopify (extensions.cost.throttleStatus) and the client's request queue
+ * for that store. Stores appear once they have been queried since startup.
+ * Pass shopDomain to report a single store.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "stores": [
+ *       {
+ *         "shopDomain": "string",
+ *         "bucket": {
+ *           "maximumAvailable": number,
+ *           "currentlyAvailable": number,   // estimated, including restore since last report
+ *           "restoreRate": number,          // points per second
+ *           "reportedAt": "datetime"
+ *         },
+ *         "reservedCost": number,           // cost held by requests in flight
+ *         "activeRequests": number,
+ *         "queuedRequests": number,
+ *         "queuedCost": number,
+ *         "throttledCount": number,         // THROTTLED responses since startup
+ *         "lastThrottledAt": "datetime" | null
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/rate-limit", verifyToken, (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: { stores: getRateLimitState(req.query.shopDomain || null) },
+  });
+});
+
 module.exports = router;
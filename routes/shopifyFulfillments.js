@@ -0,0 +1,472 @@
+/**
+ * Shopify Fulfillment Routes
+ *
+ * Handles the outbox of fulfillments pushed back to Shopify when a case
+ * ships, and the carrier map used for their tracking info:
+ * - GET /shopify/fulfillments - List outbox entries
+ * - GET /shopify/fulfillments/carriers - List the carrier map
+ * - PUT /shopify/fulfillments/carriers/:carrierId - Map a carrier (admin)
+ * - DELETE /shopify/fulfillments/carriers/:carrierId - Remove a carrier mapping (admin)
+ * - GET /shopify/fulfillments/:outboxId - Get an outbox entry
+ * - POST /shopify/fulfillments/:outboxId/retry - Push an entry again now (admin)
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  FULFILLMENT_STATUS,
+  listFulfillments,
+  getFulfillment,
+  retryFulfillment,
+  listCarrierMappings,
+  saveCarrierMapping,
+  deleteCarrierMapping,
+} = require("../services/fulfillmentService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const RETRYABLE_STATUSES = [
+  FULFILLMENT_STATUS.PENDING,
+  FULFILLMENT_STATUS.FAILED,
+];
+const ERROR_CODES = {
+  INVALID_OUTBOX_ID: "INVALID_OUTBOX_ID",
+  INVALID_CARRIER_ID: "INVALID_CARRIER_ID",
+  INVALID_FILTER: "INVALID_FILTER",
+  INVALID_CARRIER_MAPPING: "INVALID_CARRIER_MAPPING",
+  FULFILLMENT_NOT_FOUND: "FULFILLMENT_NOT_FOUND",
+  FULFILLMENT_NOT_RETRYABLE: "FULFILLMENT_NOT_RETRYABLE",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Validate the list filters from the query string
+ */
+const validateListQuery = (query) => {
+  const filters = {
+    status: null,
+    caseId: null,
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+  };
+
+  if (query.status !== undefined) {
+    if (!Object.values(FULFILLMENT_STATUS).includes(query.status)) {
+      return {
+        valid: false,
+        message: `status must be one of: ${Object.values(FULFILLMENT_STATUS).join(", ")}`,
+      };
+    }
+    filters.status = query.status;
+  }
+
+  if (query.caseId !== undefined) {
+    if (!NUMERIC_PATTERN.test(query.caseId)) {
+      return { valid: false, message: "caseId must contain numerals only" };
+    }
+    filters.caseId = parseInt(query.caseId, 10);
+  }
+
+  if (query.page !== undefined) {
+    if (!NUMERIC_PATTERN.test(query.page) || parseInt(query.page, 10) < 1) {
+      return { valid: false, message: "page must be a positive number" };
+    }
+    filters.page = parseInt(query.page, 10);
+  }
+
+  if (query.pageSize !== undefined) {
+    const pageSize = parseInt(query.pageSize, 10);
+    if (
+      !NUMERIC_PATTERN.test(query.pageSize) ||
+      pageSize < 1 ||
+      pageSize > MAX_PAGE_SIZE
+    ) {
+      return {
+        valid: false,
+        message: `pageSize must be between 1 and ${MAX_PAGE_SIZE}`,
+      };
+    }
+    filters.pageSize = pageSize;
+  }
+
+  return { valid: true, filters };
+};
+
+/**
+ * Middleware: Validate :carrierId
+ */
+const validateCarrierId = (req, res, next) => {
+  if (!NUMERIC_PATTERN.test(req.params.carrierId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Carrier ID must contain numerals only",
+      ERROR_CODES.INVALID_CARRIER_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+  next();
+};
+
+/**
+ * Middleware: Validate :outboxId and load the entry into req.fulfillment
+ */
+const loadFulfillment = async (req, res, next) => {
+  const { outboxId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(outboxId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Outbox ID must contain numerals only",
+      ERROR_CODES.INVALID_OUTBOX_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const fulfillment = await getFulfillment(parseInt(outboxId, 10));
+
+    if (!fulfillment) {
+      const { statusCode, data } = formatErrorResponse(
+        `Fulfillment ${outboxId} not found`,
+        ERROR_CODES.FULFILLMENT_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    req.fulfillment = fulfillment;
+    next();
+  } catch (error) {
+    console.error("Error fetching fulfillment:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch fulfillment",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+};
+
+/**
+ * GET /shopify/fulfillments
+ *
+ * Lists fulfillment outbox entries, newest first.
+ *
+ * Query parameters (all optional):
+ * - status: pending | processing | succeeded | failed
+ * - caseId: Only entries of this case
+ * - page: Page number (default 1)
+ * - pageSize: Entries per page (default 50, max 200)
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "fulfillments": [
+ *       {
+ *         "Outbox_Id": number,
+ *         "Case_ID": number,
+ *         "Shop_Domain": "string",
+ *         "Shopify_Order_Id": "string",
+ *         "Tracking_Number": "string",
+ *         "Carrier_ID": number | null,
+ *         "Status": "pending" | "processing" | "succeeded" | "failed",
+ *         "Attempts": number,
+ *         "Next_Attempt_At": "datetime",
+ *         "Last_Error": "string" | null,
+ *         "Shopify_Fulfillment_Id": "string" | null,
+ *         ...
+ *       }
+ *     ],
+ *     "pagination": { "page": number, "pageSize": number, "total": number, "totalPages": number }
+ *   }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid filter
+ */
+router.get("/", verifyToken, async (req, res) => {
+  const validation = validateListQuery(req.query);
+
+  if (!validation.valid) {
+    const { statusCode, data } = formatErrorResponse(
+      validation.message,
+      ERROR_CODES.INVALID_FILTER,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const result = await listFulfillments(validation.filters);
+
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error fetching fulfillments:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch fulfillments",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /shopify/fulfillments/carriers
+ *
+ * Lists the ShipCarrierId to Shopify tracking company map. Carriers without
+ * a mapping are sent with the TRN_SHIP_COMPANY recorded on the shipment.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "carriers": [
+ *       {
+ *         "Carrier_ID": number,
+ *         "Shopify_Company": "string",
+ *         "Tracking_Url_Template": "string" | null,
+ *         "Updated_At": "datetime"
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/carriers", verifyToken, async (req, res) => {
+  try {
+    const carriers = await listCarrierMappings();
+
+    res.status(200).json({
+      status: "success",
+      data: { carriers },
+    });
+  } catch (error) {
+    console.error("Error fetching carrier map:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch carrier map",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * PUT /shopify/fulfillments/carriers/:carrierId
+ *
+ * Sets the Shopify tracking company for a ShipCarrierId. Admin only.
+ * Applies to pushes made from now on, including retries.
+ *
+ * Request body:
+ * {
+ *   "company": "string",                 // Required, e.g. "UPS", "USPS", "FedEx"
+ *   "trackingUrlTemplate": "string"      // Optional, "{trackingNumber}" is replaced
+ * }
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Carrier mapping saved"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid carrier ID or mapping
+ * - 403: Not an admin
+ */
+router.put(
+  "/carriers/:carrierId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  validateCarrierId,
+  async (req, res) => {
+    const { company, trackingUrlTemplate } = req.body || {};
+
+    if (!company || !String(company).trim()) {
+      const { statusCode, data } = formatErrorResponse(
+        "company is required",
+        ERROR_CODES.INVALID_CARRIER_MAPPING,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    if (
+      trackingUrlTemplate &&
+      !/^https?:\/\//i.test(String(trackingUrlTemplate))
+    ) {
+      const { statusCode, data } = formatErrorResponse(
+        "trackingUrlTemplate must be an http(s) URL",
+        ERROR_CODES.INVALID_CARRIER_MAPPING,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      await saveCarrierMapping(parseInt(req.params.carrierId, 10), {
+        company: String(company).trim().substring(0, 100),
+        trackingUrlTemplate: trackingUrlTemplate
+          ? String(trackingUrlTemplate).trim().substring(0, 500)
+          : null,
+      });
+
+      res.status(200).json({
+        status: "success",
+        message: "Carrier mapping saved",
+      });
+    } catch (error) {
+      console.error("Error saving carrier mapping:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to save carrier mapping",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /shopify/fulfillments/carriers/:carrierId
+ *
+ * Removes the mapping of a ShipCarrierId. Admin only.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Carrier mapping removed"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid carrier ID
+ * - 403: Not an admin
+ */
+router.delete(
+  "/carriers/:carrierId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  validateCarrierId,
+  async (req, res) => {
+    try {
+      await deleteCarrierMapping(parseInt(req.params.carrierId, 10));
+
+      res.status(200).json({
+        status: "success",
+        message: "Carrier mapping removed",
+      });
+    } catch (error) {
+      console.error("Error removing carrier mapping:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to remove carrier mapping",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * GET /shopify/fulfillments/:outboxId
+ *
+ * Retrieves a single outbox entry.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": { "fulfillment": { ...outbox row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid outbox ID
+ * - 404: Fulfillment not found
+ */
+router.get("/:outboxId", verifyToken, loadFulfillment, (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: { fulfillment: req.fulfillment },
+  });
+});
+
+/**
+ * POST /shopify/fulfillments/:outboxId/retry
+ *
+ * Queues a pending or failed entry for an immediate push with a fresh
+ * attempt budget. Admin only.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Fulfillment queued for retry",
+ *   "data": { "fulfillment": { ...outbox row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid outbox ID
+ * - 403: Not an admin
+ * - 404: Fulfillment not found
+ * - 409: Fulfillment is being pushed or already succeeded
+ */
+router.post(
+  "/:outboxId/retry",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadFulfillment,
+  async (req, res) => {
+    if (!RETRYABLE_STATUSES.includes(req.fulfillment.Status)) {
+      const { statusCode, data } = formatErrorResponse(
+        `Fulfillment ${req.fulfillment.Outbox_Id} is ${req.fulfillment.Status} and cannot be retried`,
+        ERROR_CODES.FULFILLMENT_NOT_RETRYABLE,
+        409,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const fulfillment = await retryFulfillment(req.fulfillment.Outbox_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Fulfillment queued for retry",
+        data: { fulfillment },
+      });
+    } catch (error) {
+      console.error("Error retrying fulfillment:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to retry fulfillment",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+/**
+ * Shopify Status Sync Routes
+ *
+ * Handles the case status written back to Shopify orders as lab: tags and
+ * the streamline.case_status metafield:
+ * - POST /shopify/status-sync - Resync a case or a date range (admin)
+ * - GET /shopify/status-sync/cases/:caseId - Get the sync state of a case
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  queueStatusSyncByDate,
+  getStatusSync,
+  resyncCase,
+} = require("../services/statusSyncService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 366;
+const ERROR_CODES = {
+  INVALID_CASE_ID: "INVALID_CASE_ID",
+  INVALID_DATE_RANGE: "INVALID_DATE_RANGE",
+  SHOPIFY_ORDER_NOT_FOUND: "SHOPIFY_ORDER_NOT_FOUND",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Check a YYYY-MM-DD date
+ */
+const isValidDate = (value) =>
+  DATE_PATTERN.test(String(value)) && !isNaN(Date.parse(value));
+
+/**
+ * Helper: Response for a case without a Shopify order
+ */
+const formatNoOrderResponse = (caseId) =>
+  formatErrorResponse(
+    `Case ${caseId} was not imported from a Shopify order`,
+    ERROR_CODES.SHOPIFY_ORDER_NOT_FOUND,
+    404,
+  );
+
+/**
+ * POST /shopify/status-sync
+ *
+ * Queues cases to have their current status written to Shopify again.
+ * Admin only. Send either a case ID or a date range; a range resyncs every
+ * imported case with a status change on those days.
+ *
+ * Request body (one of):
+ * { "caseId": number }
+ * { "from": "YYYY-MM-DD", "to": "YYYY-MM-DD" } // Inclusive, at most 366 days
+ *
+ * Response on success (202):
+ * {
+ *   "status": "success",
+ *   "message": "Status sync queued",
+ *   "data": {
+ *     "queued": number,
+ *     "statusSync": { ...sync state }  // Only for a single case
+ *   }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid case ID or date range
+ * - 403: Not an admin
+ * - 404: Case was not imported from Shopify
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const { caseId, from, to } = req.body || {};
+
+    if (caseId !== undefined) {
+      if (!NUMERIC_PATTERN.test(String(caseId))) {
+        const { statusCode, data } = formatErrorResponse(
+          "caseId must contain numerals only",
+          ERROR_CODES.INVALID_CASE_ID,
+          400,
+        );
+        return res.status(statusCode).json(data);
+      }
+
+      try {
+        const statusSync = await resyncCase(parseInt(caseId, 10));
+
+        if (!statusSync) {
+          const { statusCode, data } = formatNoOrderResponse(caseId);
+          return res.status(statusCode).json(data);
+        }
+
+        return res.status(202).json({
+          status: "success",
+          message: "Status sync queued",
+          data: { queued: 1, statusSync },
+        });
+      } catch (error) {
+        console.error("Error queueing status sync:", error);
+        const { statusCode, data } = formatErrorResponse(
+          "Failed to queue status sync",
+          ERROR_CODES.DATABASE_ERROR,
+        );
+        return res.status(statusCode).json(data);
+      }
+    }
+
+    const rangeDays = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+
+    if (
+      !isValidDate(from) ||
+      !isValidDate(to) ||
+      from > to ||
+      rangeDays > MAX_RANGE_DAYS
+    ) {
+      const { statusCode, data } = formatErrorResponse(
+        `Send a caseId, or from and to dates (YYYY-MM-DD) at most ${MAX_RANGE_DAYS} days apart`,
+        ERROR_CODES.INVALID_DATE_RANGE,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const queued = await queueStatusSyncByDate(from, to);
+
+      res.status(202).json({
+        status: "success",
+        message: "Status sync queued",
+        data: { queued },
+      });
+    } catch (error) {
+      console.error("Error queueing status sync:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to queue status sync",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * GET /shopify/status-sync/cases/:caseId
+ *
+ * Retrieves the Shopify order of a case and the state of its status sync.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "statusSync": {
+ *       "Case_ID": number,
+ *       "Shop_Domain": "string",
+ *       "Shopify_Order_Id": "string",
+ *       "Status_Sync_State": "pending" | "processing" | "synced" | "failed" | null,
+ *       "Status_Sync_Attempts": number,
+ *       "Synced_Status_ID": number | null,
+ *       "Status_Synced_At": "datetime" | null,
+ *       "Status_Sync_Error": "string" | null,
+ *       "Case_Status_Code": number,
+ *       ...
+ *     }
+ *   }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid case ID
+ * - 404: Case was not imported from Shopify
+ */
+router.get("/cases/:caseId", verifyToken, async (req, res) => {
+  const { caseId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(caseId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Case ID must contain numerals only",
+      ERROR_CODES.INVALID_CASE_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const statusSync = await getStatusSync(parseInt(caseId, 10));
+
+    if (!statusSync) {
+      const { statusCode, data } = formatNoOrderResponse(caseId);
+      return res.status(statusCode).json(data);
+    }
+
+    res.status(200).json({
+      status: "success",
+      data: { statusSync },
+    });
+  } catch (error) {
+    console.error("Error fetching status sync:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch status sync",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,355 @@
+/**
+ * Shopify Store Routes
+ *
+ * Handles the registry of Shopify stores orders are imported from:
+ * - GET /shopify/stores - List stores (admin)
+ * - GET /shopify/stores/:storeId - Get a store (admin)
+ * - POST /shopify/stores - Register a store (admin)
+ * - PUT /shopify/stores/:storeId - Update a store (admin)
+ * - DELETE /shopify/stores/:storeId - Deactivate a store (admin)
+ *
+ * Access tokens and webhook secrets are write-only: they are stored
+ * encrypted and never returned.
+ *
+ * All endpoints require authentication via JWT token.
+ */
+
+const express = require("express");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
+const {
+  validateStore,
+  listStores,
+  getStore,
+  createStore,
+  updateStore,
+  deactivateStore,
+} = require("../services/shopifyStoreService");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const ERROR_CODES = {
+  INVALID_STORE_ID: "INVALID_STORE_ID",
+  INVALID_STORE: "INVALID_STORE",
+  STORE_NOT_FOUND: "STORE_NOT_FOUND",
+  DUPLICATE_STORE: "DUPLICATE_STORE",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+/**
+ * Helper: Format error response
+ */
+const formatErrorResponse = (
+  message,
+  code = "INTERNAL_ERROR",
+  statusCode = 500,
+) => {
+  const response = {
+    status: "error",
+    message,
+    code,
+  };
+  if (process.env.NODE_ENV === "development") {
+    response.details = message;
+  }
+  return { statusCode, data: response };
+};
+
+/**
+ * Helper: Map a database write error to an error response
+ * Unique constraint violations on the shop domain are reported as 409.
+ */
+const formatWriteError = (error, action) => {
+  const number = error.original?.number || error.parent?.number;
+  if (number === 2601 || number === 2627) {
+    return formatErrorResponse(
+      "A store is already registered for this shop domain",
+      ERROR_CODES.DUPLICATE_STORE,
+      409,
+    );
+  }
+  return formatErrorResponse(
+    `Failed to ${action} store`,
+    ERROR_CODES.DATABASE_ERROR,
+  );
+};
+
+/**
+ * Middleware: Validate :storeId and load the store into req.store
+ */
+const loadStore = async (req, res, next) => {
+  const { storeId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(storeId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Store ID must contain numerals only",
+      ERROR_CODES.INVALID_STORE_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const store = await getStore(parseInt(storeId, 10));
+
+    if (!store) {
+      const { statusCode, data } = formatErrorResponse(
+        `Store ${storeId} not found`,
+        ERROR_CODES.STORE_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    req.store = store;
+    next();
+  } catch (error) {
+    console.error("Error fetching store:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch store",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+};
+
+/**
+ * GET /shopify/stores
+ *
+ * Lists registered stores. Admin only. Deactivated stores are left out
+ * unless includeInactive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "stores": [
+ *       {
+ *         "Store_Id": number,
+ *         "Shop_Domain": "string",
+ *         "Display_Name": "string" | null,
+ *         "Api_Version": "string",
+ *         "Has_Webhook_Secret": boolean,
+ *         "Is_Default": boolean,
+ *         "Is_Active": boolean,
+ *         ...
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    try {
+      const includeInactive = req.query.includeInactive === "true";
+      const stores = await listStores(includeInactive);
+
+      res.status(200).json({
+        status: "success",
+        data: { stores },
+      });
+    } catch (error) {
+      console.error("Error fetching stores:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to fetch stores",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * GET /shopify/stores/:storeId
+ *
+ * Retrieves a single store. Admin only.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": { "store": { ...store row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid store ID
+ * - 403: Not an admin
+ * - 404: Store not found
+ */
+router.get(
+  "/:storeId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadStore,
+  (req, res) => {
+    res.status(200).json({
+      status: "success",
+      data: { store: req.store },
+    });
+  },
+);
+
+/**
+ * POST /shopify/stores
+ *
+ * Registers a store. Admin only. Marking a store as default clears the flag
+ * on every other store.
+ *
+ * Request body:
+ * {
+ *   "shopDomain": "store.myshopify.com", // Required
+ *   "accessToken": "string",             // Required, Admin API access token
+ *   "webhookSecret": "string",           // Optional, defaults to SHOPIFY_WEBHOOK_SECRET
+ *   "displayName": "string",             // Optional
+ *   "apiVersion": "2024-01",             // Optional, defaults to 2024-01
+ *   "isDefault": boolean,                // Optional, defaults to false
+ *   "isActive": boolean                  // Optional, defaults to true
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Store registered",
+ *   "data": { "store": { ...store row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid store
+ * - 403: Not an admin
+ * - 409: Shop domain already registered
+ */
+router.post(
+  "/",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    const validation = validateStore(req.body || {});
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_STORE,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const store = await createStore(validation.store);
+
+      res.status(201).json({
+        status: "success",
+        message: "Store registered",
+        data: { store },
+      });
+    } catch (error) {
+      console.error("Error registering store:", error);
+      const { statusCode, data } = formatWriteError(error, "register");
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * PUT /shopify/stores/:storeId
+ *
+ * Updates a store. Admin only. Fields left out of the body keep their
+ * current value, including the access token and webhook secret.
+ *
+ * Request body: same fields as POST /shopify/stores, all optional
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Store updated",
+ *   "data": { "store": { ...store row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid store ID or store
+ * - 403: Not an admin
+ * - 404: Store not found
+ * - 409: Shop domain already registered
+ */
+router.put(
+  "/:storeId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadStore,
+  async (req, res) => {
+    const validation = validateStore(req.body || {}, req.store);
+
+    if (!validation.valid) {
+      const { statusCode, data } = formatErrorResponse(
+        validation.message,
+        ERROR_CODES.INVALID_STORE,
+        400,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    try {
+      const store = await updateStore(req.store.Store_Id, validation.store);
+
+      res.status(200).json({
+        status: "success",
+        message: "Store updated",
+        data: { store },
+      });
+    } catch (error) {
+      console.error("Error updating store:", error);
+      const { statusCode, data } = formatWriteError(error, "update");
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /shopify/stores/:storeId
+ *
+ * Deactivates a store. Admin only. Stores are never deleted so imported
+ * cases keep their store; reactivate with PUT isActive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Store deactivated"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid store ID
+ * - 403: Not an admin
+ * - 404: Store not found
+ */
+router.delete(
+  "/:storeId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadStore,
+  async (req, res) => {
+    try {
+      await deactivateStore(req.store.Store_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Store deactivated",
+      });
+    } catch (error) {
+      console.error("Error deactivating store:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to deactivate store",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+module.exports = router;
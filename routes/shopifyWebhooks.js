@@ -0,0 +1,458 @@
+/**
+ * Shopify Webhook Routes
+ *
+ * Receives webhooks pushed by Shopify:
+ * - POST /shopify/webhooks/orders-create - Auto-import a case for a new order
+ * - POST /shopify/webhooks/orders-cancelled - Flag the case of a cancelled order
+ * - POST /shopify/webhooks/orders-updated - Flag the case of an edited order
+ * - POST /shopify/webhooks/refunds-create - Flag the case of a refunded order
+ *
+ * Endpoints are authenticated by the Shopify HMAC signature instead of a JWT.
+ * Every delivery is logged by X-Shopify-Webhook-Id so replays are ignored.
+ * Orders are fetched from the store named by X-Shopify-Shop-Domain, which
+ * must be registered (see /shopify/stores) or be the environment store.
+ *
+ * Cases, tickets and holds are recorded under the system user configured
+ * with SHOPIFY_WEBHOOK_USER_ID and SHOPIFY_WEBHOOK_USER_NAME.
+ */
+
+const express = require("express");
+const { sequelize } = require("../config/database");
+const { webhookQueries } = require("../config/queries");
+const { verifyShopifyWebhook } = require("../middleware/shopifyWebhook");
+const { fetchOrderById } = require("../utils/shopifyClient");
+const { ShopifyNotFoundError } = require("../utils/shopifyErrors");
+const {
+  CASE_ERROR_CODES,
+  CaseImportError,
+  caseExists,
+  createCaseFromOrder,
+} = require("../services/caseService");
+const {
+  ORDER_CHANGE_TOPICS,
+  ORDER_CHANGE_RESULTS,
+  handleOrderChange,
+} = require("../services/orderChangeService");
+const {
+  ORDER_SOURCES,
+  OrderSourceError,
+  normalizeOrder,
+} = require("../services/orderSources");
+
+const router = express.Router();
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const WEBHOOK_STATUS = {
+  PROCESSING: "processing",
+  PROCESSED: "processed",
+  IGNORED: "ignored",
+  FAILED: "failed",
+};
+const ERROR_CODES = {
+  MISSING_WEBHOOK_ID: "MISSING_WEBHOOK_ID",
+  MISSING_ORDER_ID: "MISSING_ORDER_ID",
+  MISSING_SYSTEM_USER: "MISSING_SYSTEM_USER",
+  WEBHOOK_PROCESSING_FAILED: "WEBHOOK_PROCESSING_FAILED",
+};
+
+/**
+ * Helper: Get the system user webhook-created cases are recorded under
+ */
+const getSystemUser = () => {
+  const userId = parseInt(process.env.SHOPIFY_WEBHOOK_USER_ID, 10);
+  const userName = process.env.SHOPIFY_WEBHOOK_USER_NAME;
+
+  if (!userId || !userName) {
+    return null;
+  }
+  return { userId, userName };
+};
+
+/**
+ * Helper: Mark a webhook delivery as finished
+ */
+const completeWebhook = async (webhookId, status, caseId = null, message = null) => {
+  await sequelize.query(webhookQueries.completeWebhookLog, {
+    replacements: {
+      webhookId,
+      status,
+      caseId,
+      message: message ? String(message).substring(0, 1000) : null,
+    },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+};
+
+/**
+ * Helper: Begin processing a webhook delivery
+ * Returns the previous log entry if this delivery was already handled.
+ */
+const beginWebhook = async (req, shopifyOrderId) => {
+  const webhookId = req.get("X-Shopify-Webhook-Id");
+
+  const existing = await sequelize.query(webhookQueries.getWebhookLog, {
+    replacements: { webhookId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  if (
+    existing.length > 0 &&
+    [WEBHOOK_STATUS.PROCESSED, WEBHOOK_STATUS.IGNORED].includes(
+      existing[0].Status,
+    )
+  ) {
+    return existing[0];
+  }
+
+  await sequelize.query(webhookQueries.upsertWebhookLog, {
+    replacements: {
+      webhookId,
+      topic: req.get("X-Shopify-Topic") || "unknown",
+      shopDomain: req.get("X-Shopify-Shop-Domain") || null,
+      shopifyOrderId: shopifyOrderId ? String(shopifyOrderId) : null,
+    },
+  });
+
+  return null;
+};
+
+/**
+ * Helper: Require the X-Shopify-Webhook-Id header used for deduplication
+ */
+const requireWebhookId = (req, res, next) => {
+  if (!req.get("X-Shopify-Webhook-Id")) {
+    return res.status(400).json({
+      status: "error",
+      message: "X-Shopify-Webhook-Id header is required",
+      code: ERROR_CODES.MISSING_WEBHOOK_ID,
+    });
+  }
+  next();
+};
+
+/**
+ * POST /shopify/webhooks/orders-create
+ *
+ * Handles the Shopify orders/create webhook.
+ * Fetches the full order through the GraphQL client and creates the case
+ * with the same logic as POST /cases/create-case.
+ *
+ * Responds 200 for deliveries that were processed or deliberately skipped
+ * (duplicate delivery, case already imported, invalid order data, no case
+ * defaults profile, shop not registered) so Shopify does not retry them.
+ * Unexpected failures respond 500 so Shopify retries.
+ *
+ * Response (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "result": "created" | "duplicate" | "already_exists" | "rejected",
+ *     "caseId": "string" or null
+ *   }
+ * }
+ *
+ * Response on error (400/500):
+ * {
+ *   "status": "error",
+ *   "message": "Error description",
+ *   "code": "MISSING_WEBHOOK_ID" | "MISSING_ORDER_ID" | "MISSING_SYSTEM_USER" | "WEBHOOK_PROCESSING_FAILED"
+ * }
+ */
+router.post(
+  "/orders-create",
+  verifyShopifyWebhook,
+  requireWebhookId,
+  async (req, res) => {
+    const webhookId = req.get("X-Shopify-Webhook-Id");
+    const payload = req.body || {};
+
+    if (!NUMERIC_PATTERN.test(String(payload.id ?? ""))) {
+      return res.status(400).json({
+        status: "error",
+        message: "Order payload must have a numeric id",
+        code: ERROR_CODES.MISSING_ORDER_ID,
+      });
+    }
+
+    try {
+      const systemUser = getSystemUser();
+      if (!systemUser) {
+        console.error(
+          "SHOPIFY_WEBHOOK_USER_ID / SHOPIFY_WEBHOOK_USER_NAME are not configured",
+        );
+        return res.status(500).json({
+          status: "error",
+          message: "Webhook system user is not configured",
+          code: ERROR_CODES.MISSING_SYSTEM_USER,
+        });
+      }
+
+      const previous = await beginWebhook(req, payload.id);
+      if (previous) {
+        console.log(`Ignoring duplicate webhook delivery ${webhookId}`);
+        return res.status(200).json({
+          status: "success",
+          data: { result: "duplicate", caseId: previous.Case_ID },
+        });
+      }
+
+      // Skip the Shopify round trip when the case is already in the database
+      // (order names may carry the store's "#" prefix)
+      const orderName = String(payload.name || "").replace(/^#/, "");
+      if (NUMERIC_PATTERN.test(orderName) && (await caseExists(orderName))) {
+        await completeWebhook(
+          webhookId,
+          WEBHOOK_STATUS.IGNORED,
+          orderName,
+          "Case has already been imported",
+        );
+        return res.status(200).json({
+          status: "success",
+          data: { result: "already_exists", caseId: orderName },
+        });
+      }
+
+      const store = req.shopifyStore;
+      if (!store) {
+        const message = `Shop ${req.get("X-Shopify-Shop-Domain") || "(none)"} is not registered`;
+        console.warn(`Webhook ${webhookId}: ${message}`);
+        await completeWebhook(webhookId, WEBHOOK_STATUS.FAILED, null, message);
+        return res.status(200).json({
+          status: "success",
+          data: { result: "rejected", caseId: null, message },
+        });
+      }
+
+      console.log(
+        `Webhook ${webhookId}: importing Shopify order ${payload.id} from ${store.shopDomain}`,
+      );
+
+      const order = normalizeOrder(
+        ORDER_SOURCES.SHOPIFY,
+        await fetchOrderById(payload.id, store),
+      );
+      const result = await createCaseFromOrder(order, systemUser, { store });
+
+      await completeWebhook(
+        webhookId,
+        WEBHOOK_STATUS.PROCESSED,
+        result.caseId,
+        result.warnings.map((warning) => warning.message).join("; ") || null,
+      );
+
+      res.status(200).json({
+        status: "success",
+        data: { result: "created", caseId: result.caseId },
+      });
+    } catch (error) {
+      if (
+        (error instanceof CaseImportError && error.statusCode < 500) ||
+        error instanceof OrderSourceError ||
+        error instanceof ShopifyNotFoundError
+      ) {
+        // Replaying an invalid, deleted, unmatched or already-imported order
+        // cannot succeed
+        const alreadyExists =
+          error.code === CASE_ERROR_CODES.CASE_ALREADY_EXISTS;
+
+        await completeWebhook(
+          webhookId,
+          alreadyExists ? WEBHOOK_STATUS.IGNORED : WEBHOOK_STATUS.FAILED,
+          null,
+          error.message,
+        ).catch((logError) =>
+          console.error("Error updating webhook log:", logError),
+        );
+
+        return res.status(200).json({
+          status: "success",
+          data: {
+            result: alreadyExists ? "already_exists" : "rejected",
+            caseId: null,
+            message: error.message,
+          },
+        });
+      }
+
+      console.error(`Error processing webhook ${webhookId}:`, error);
+      await completeWebhook(
+        webhookId,
+        WEBHOOK_STATUS.FAILED,
+        null,
+        error.message,
+      ).catch((logError) =>
+        console.error("Error updating webhook log:", logError),
+      );
+
+      res.status(500).json({
+        status: "error",
+        message: "Failed to process webhook",
+        code: ERROR_CODES.WEBHOOK_PROCESSING_FAILED,
+        ...(process.env.NODE_ENV === "development" && {
+          details: error.message,
+        }),
+      });
+    }
+  },
+);
+
+/**
+ * Helper: Build the handler of an order change webhook
+ * The three topics only differ in what handleOrderChange records.
+ */
+const orderChangeHandler = (topic) => async (req, res) => {
+  const webhookId = req.get("X-Shopify-Webhook-Id");
+  const payload = req.body || {};
+  const shopifyOrderId =
+    topic === ORDER_CHANGE_TOPICS.REFUND_CREATED
+      ? payload.order_id
+      : payload.id;
+
+  try {
+    const systemUser = getSystemUser();
+    if (!systemUser) {
+      console.error(
+        "SHOPIFY_WEBHOOK_USER_ID / SHOPIFY_WEBHOOK_USER_NAME are not configured",
+      );
+      return res.status(500).json({
+        status: "error",
+        message: "Webhook system user is not configured",
+        code: ERROR_CODES.MISSING_SYSTEM_USER,
+      });
+    }
+
+    const previous = await beginWebhook(req, shopifyOrderId);
+    if (previous) {
+      console.log(`Ignoring duplicate webhook delivery ${webhookId}`);
+      return res.status(200).json({
+        status: "success",
+        data: { result: "duplicate", caseId: previous.Case_ID },
+      });
+    }
+
+    if (!req.shopifyStore) {
+      const message = `Shop ${req.get("X-Shopify-Shop-Domain") || "(none)"} is not registered`;
+      console.warn(`Webhook ${webhookId}: ${message}`);
+      await completeWebhook(webhookId, WEBHOOK_STATUS.FAILED, null, message);
+      return res.status(200).json({
+        status: "success",
+        data: { result: "rejected", caseId: null, message },
+      });
+    }
+
+    const outcome = await handleOrderChange({
+      topic,
+      webhookId,
+      payload,
+      systemUser,
+    });
+
+    await completeWebhook(
+      webhookId,
+      outcome.result === ORDER_CHANGE_RESULTS.RECORDED
+        ? WEBHOOK_STATUS.PROCESSED
+        : WEBHOOK_STATUS.IGNORED,
+      outcome.caseId,
+      outcome.message,
+    );
+
+    res.status(200).json({
+      status: "success",
+      data: outcome,
+    });
+  } catch (error) {
+    console.error(`Error processing webhook ${webhookId}:`, error);
+    await completeWebhook(
+      webhookId,
+      WEBHOOK_STATUS.FAILED,
+      null,
+      error.message,
+    ).catch((logError) =>
+      console.error("Error updating webhook log:", logError),
+    );
+
+    res.status(500).json({
+      status: "error",
+      message: "Failed to process webhook",
+      code: ERROR_CODES.WEBHOOK_PROCESSING_FAILED,
+      ...(process.env.NODE_ENV === "development" && {
+        details: error.message,
+      }),
+    });
+  }
+};
+
+/**
+ * POST /shopify/webhooks/orders-cancelled
+ *
+ * Handles the Shopify orders/cancelled webhook.
+ * Raises an open ticket on the order's case, records the cancellation and
+ * moves the case to SHOPIFY_ORDER_HOLD_STATUS_ID when configured (subject to
+ * the status transition rules).
+ *
+ * Responds 200 for deliveries that were processed or deliberately skipped
+ * (duplicate delivery, no case for the order, shop not registered) so
+ * Shopify does not retry them. Unexpected failures respond 500 so Shopify
+ * retries.
+ *
+ * Response (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "result": "recorded" | "no_case" | "duplicate" | "rejected",
+ *     "caseId": number | null,
+ *     "changeId": number | null,
+ *     "ticketDetailId": number | null,
+ *     "holdStatusId": number | null,    // set when the case was put on hold
+ *     "message": "string" | null        // e.g. why the hold was not applied
+ *   }
+ * }
+ */
+router.post(
+  "/orders-cancelled",
+  verifyShopifyWebhook,
+  requireWebhookId,
+  orderChangeHandler(ORDER_CHANGE_TOPICS.CANCELLED),
+);
+
+/**
+ * POST /shopify/webhooks/orders-updated
+ *
+ * Handles the Shopify orders/updated webhook.
+ * Compares the order's note and line items with what was imported and, when
+ * they differ, raises a ticket listing the changes, records the diff and
+ * puts the case on hold like orders-cancelled. Updates that do not touch the
+ * note or line items, or repeat the last recorded diff, are ignored. Cases
+ * imported before snapshots were kept record the current order as their
+ * baseline instead.
+ *
+ * Response (200): same shape as orders-cancelled, with "result" one of
+ * "recorded" | "no_changes" | "already_recorded" | "baseline_recorded" |
+ * "no_case" | "duplicate" | "rejected"
+ */
+router.post(
+  "/orders-updated",
+  verifyShopifyWebhook,
+  requireWebhookId,
+  orderChangeHandler(ORDER_CHANGE_TOPICS.UPDATED),
+);
+
+/**
+ * POST /shopify/webhooks/refunds-create
+ *
+ * Handles the Shopify refunds/create webhook.
+ * Raises a ticket with the refunded amount and line items and records the
+ * refund. Only refunds of line items put the case on hold.
+ *
+ * Response (200): same shape as orders-cancelled
+ */
+router.post(
+  "/refunds-create",
+  verifyShopifyWebhook,
+  requireWebhookId,
+  orderChangeHandler(ORDER_CHANGE_TOPICS.REFUND_CREATED),
+);
+
+module.exports = router;
@@ -4,17 +4,47 @@
  * Handles status information endpoints:
  * - GET /status/statuses - Get all available statuses
  * - GET /status/statuses/:statusId - Get specific status by ID
+ * - GET /status/statuses/:statusId/next - Get valid next statuses
+ * - GET /status/transition-rules - List transition rules
+ * - GET /status/transition-rules/:ruleId - Get a transition rule
+ * - POST /status/transition-rules - Create a transition rule (admin)
+ * - PUT /status/transition-rules/:ruleId - Update a transition rule (admin)
+ * - DELETE /status/transition-rules/:ruleId - Deactivate a transition rule (admin)
  *
  * All endpoints require authentication via JWT token.
  */
 
 const express = require("express");
 const { sequelize } = require("../config/database");
-const { verifyToken } = require("../middleware/auth");
+const {
+  verifyToken,
+  requireUserType,
+  USER_TYPES,
+} = require("../middleware/auth");
 const { statusQueries } = require("../config/queries");
+const { getUserTypeId } = require("../models/User");
+const {
+  getNextStatuses,
+  validateTransitionRule,
+  findUnknownReference,
+  listTransitionRules,
+  getTransitionRule,
+  createTransitionRule,
+  updateTransitionRule,
+  deactivateTransitionRule,
+} = require("../services/statusRuleService");
 
 const router = express.Router();
 
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const ERROR_CODES = {
+  INVALID_RULE_ID: "INVALID_RULE_ID",
+  INVALID_TRANSITION_RULE: "INVALID_TRANSITION_RULE",
+  TRANSITION_RULE_NOT_FOUND: "TRANSITION_RULE_NOT_FOUND",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
 /**
  * Helper: Format error response
  */
@@ -128,4 +158,348 @@ router.get("/statuses/:statusId", verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /status/statuses/:statusId/next
+ *
+ * Lists the statuses a case in the given status may move to, according to
+ * dbo.Status_Transition_Rule. Statuses the current user's type may not set
+ * are left out. Statuses without rules can be entered from any status;
+ * "restricted" is true when the rules leave at least one status out.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "statusId": number,
+ *     "restricted": boolean,
+ *     "nextStatuses": [
+ *       {
+ *         "Status_ID": number,
+ *         "Status_Streamline_Options": "string",
+ *         "requiresTrackingNumber": boolean,
+ *         "requiredUserTypeId": number or null,
+ *         ...
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * }
+ */
+router.get("/statuses/:statusId/next", verifyToken, async (req, res) => {
+  try {
+    const { statusId } = req.params;
+
+    // Validate statusId is numeric
+    if (!statusId || !/^\d+$/.test(statusId)) {
+      return res.status(400).json({
+        status: "error",
+        message: "Status ID must be a valid number",
+        code: "INVALID_STATUS_ID",
+      });
+    }
+
+    const userTypeId = await getUserTypeId(req.user.UserId);
+    const next = await getNextStatuses(parseInt(statusId, 10), userTypeId);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        statusId: parseInt(statusId, 10),
+        restricted: next.restricted,
+        nextStatuses: next.statuses,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching next statuses:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch next statuses",
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * Middleware: Validate :ruleId and load the rule into req.transitionRule
+ */
+const loadTransitionRule = async (req, res, next) => {
+  const { ruleId } = req.params;
+
+  if (!NUMERIC_PATTERN.test(ruleId)) {
+    const { statusCode, data } = formatErrorResponse(
+      "Rule ID must contain numerals only",
+      ERROR_CODES.INVALID_RULE_ID,
+      400,
+    );
+    return res.status(statusCode).json(data);
+  }
+
+  try {
+    const rule = await getTransitionRule(parseInt(ruleId, 10));
+
+    if (!rule) {
+      const { statusCode, data } = formatErrorResponse(
+        `Transition rule ${ruleId} not found`,
+        ERROR_CODES.TRANSITION_RULE_NOT_FOUND,
+        404,
+      );
+      return res.status(statusCode).json(data);
+    }
+
+    req.transitionRule = rule;
+    next();
+  } catch (error) {
+    console.error("Error fetching transition rule:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch transition rule",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+};
+
+/**
+ * Helper: Validate a rule body and check the statuses it refers to exist
+ *
+ * @returns {Promise<Object>} { rule } or { error: { statusCode, data } }
+ */
+const checkTransitionRule = async (body, existing = null) => {
+  const validation = validateTransitionRule(body, existing);
+  const message = validation.valid
+    ? await findUnknownReference(validation.rule)
+    : validation.message;
+
+  if (message) {
+    return {
+      error: formatErrorResponse(
+        message,
+        ERROR_CODES.INVALID_TRANSITION_RULE,
+        400,
+      ),
+    };
+  }
+  return { rule: validation.rule };
+};
+
+/**
+ * GET /status/transition-rules
+ *
+ * Lists transition rules. Deactivated rules are left out unless
+ * includeInactive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": {
+ *     "rules": [
+ *       {
+ *         "Rule_Id": number,
+ *         "From_Status_ID": number | null,
+ *         "From_StatusGroupId": number | null,
+ *         "To_Status_ID": number,
+ *         "Requires_Tracking_Number": boolean,
+ *         "Required_UserTypeID": number | null,
+ *         "Is_Active": boolean,
+ *         ...
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.get("/transition-rules", verifyToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true";
+    const rules = await listTransitionRules(includeInactive);
+
+    res.status(200).json({
+      status: "success",
+      data: { rules },
+    });
+  } catch (error) {
+    console.error("Error fetching transition rules:", error);
+    const { statusCode, data } = formatErrorResponse(
+      "Failed to fetch transition rules",
+      ERROR_CODES.DATABASE_ERROR,
+    );
+    res.status(statusCode).json(data);
+  }
+});
+
+/**
+ * GET /status/transition-rules/:ruleId
+ *
+ * Retrieves a single transition rule.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "data": { "rule": { ...rule row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid rule ID
+ * - 404: Transition rule not found
+ */
+router.get(
+  "/transition-rules/:ruleId",
+  verifyToken,
+  loadTransitionRule,
+  (req, res) => {
+    res.status(200).json({
+      status: "success",
+      data: { rule: req.transitionRule },
+    });
+  },
+);
+
+/**
+ * POST /status/transition-rules
+ *
+ * Creates a transition rule. Admin only. Once a status has an active rule
+ * it can only be entered from the statuses its rules list.
+ *
+ * Request body:
+ * {
+ *   "fromStatusId": number,             // Exactly one of fromStatusId
+ *   "fromStatusGroupId": number,        // or fromStatusGroupId
+ *   "toStatusId": number,               // Required
+ *   "requiresTrackingNumber": boolean,  // Optional, defaults to false
+ *   "requiredUserTypeId": number,       // Optional, e.g. 1 for admins only
+ *   "isActive": boolean                 // Optional, defaults to true
+ * }
+ *
+ * Response on success (201):
+ * {
+ *   "status": "success",
+ *   "message": "Transition rule created",
+ *   "data": { "rule": { ...rule row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid rule or unknown status
+ * - 403: Not an admin
+ */
+router.post(
+  "/transition-rules",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  async (req, res) => {
+    try {
+      const { rule, error } = await checkTransitionRule(req.body || {});
+
+      if (error) {
+        return res.status(error.statusCode).json(error.data);
+      }
+
+      res.status(201).json({
+        status: "success",
+        message: "Transition rule created",
+        data: { rule: await createTransitionRule(rule) },
+      });
+    } catch (error) {
+      console.error("Error creating transition rule:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to create transition rule",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * PUT /status/transition-rules/:ruleId
+ *
+ * Updates a transition rule. Admin only. Fields left out of the body keep
+ * their current value; to switch a rule between fromStatusId and
+ * fromStatusGroupId, send the other one as null.
+ *
+ * Request body: same fields as POST /status/transition-rules, all optional
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Transition rule updated",
+ *   "data": { "rule": { ...rule row } }
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid rule ID, rule or unknown status
+ * - 403: Not an admin
+ * - 404: Transition rule not found
+ */
+router.put(
+  "/transition-rules/:ruleId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadTransitionRule,
+  async (req, res) => {
+    try {
+      const { rule, error } = await checkTransitionRule(
+        req.body || {},
+        req.transitionRule,
+      );
+
+      if (error) {
+        return res.status(error.statusCode).json(error.data);
+      }
+
+      res.status(200).json({
+        status: "success",
+        message: "Transition rule updated",
+        data: {
+          rule: await updateTransitionRule(req.transitionRule.Rule_Id, rule),
+        },
+      });
+    } catch (error) {
+      console.error("Error updating transition rule:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to update transition rule",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
+/**
+ * DELETE /status/transition-rules/:ruleId
+ *
+ * Deactivates a transition rule. Admin only. Rules are never deleted, so
+ * the default rules are not seeded again; reactivate with PUT isActive=true.
+ *
+ * Response on success (200):
+ * {
+ *   "status": "success",
+ *   "message": "Transition rule deactivated"
+ * }
+ *
+ * Error responses:
+ * - 400: Invalid rule ID
+ * - 403: Not an admin
+ * - 404: Transition rule not found
+ */
+router.delete(
+  "/transition-rules/:ruleId",
+  verifyToken,
+  requireUserType(USER_TYPES.ADMIN),
+  loadTransitionRule,
+  async (req, res) => {
+    try {
+      await deactivateTransitionRule(req.transitionRule.Rule_Id);
+
+      res.status(200).json({
+        status: "success",
+        message: "Transition rule deactivated",
+      });
+    } catch (error) {
+      console.error("Error deactivating transition rule:", error);
+      const { statusCode, data } = formatErrorResponse(
+        "Failed to deactivate transition rule",
+        ERROR_CODES.DATABASE_ERROR,
+      );
+      res.status(statusCode).json(data);
+    }
+  },
+);
+
 module.exports = router;
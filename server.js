@@ -11,7 +11,11 @@ const morgan = require("morgan");
 
 // Import custom modules
 const { connectDB } = require("./config/database");
+const { ensureSchema } = require("./config/schema");
 const { initializeTransporter } = require("./services/emailService");
+const { startImportWorker } = require("./services/importJobService");
+const { startFulfillmentWorker } = require("./services/fulfillmentService");
+const { startStatusSyncWorker } = require("./services/statusSyncService");
 const routes = require("./routes");
 
 // Initialize Express app
@@ -21,7 +25,14 @@ const app = express();
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS for all routes
 app.use(morgan("combined")); // Logging
-app.use(express.json()); // Parse JSON bodies
+app.use(
+  express.json({
+    // Keep the raw body for Shopify webhook HMAC verification
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Initialize email service
@@ -30,6 +41,37 @@ initializeTransporter();
 // Connect to SQL Server
 //connectDB();
 
+// Startup retry delay: doubles from 5 seconds up to 5 minutes
+const STARTUP_RETRY_BASE_MS = 5000;
+const STARTUP_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Create supporting tables (webhook log, import jobs, ...) if missing,
+// then resume background import jobs, fulfillment pushes and status syncs.
+// Retried until it succeeds, so a database that is briefly unavailable at
+// boot does not leave the workers stopped; started workers are skipped.
+const initializeBackgroundWork = (attempt = 0) =>
+  ensureSchema()
+    .then(() =>
+      Promise.all([
+        startImportWorker(),
+        startFulfillmentWorker(),
+        startStatusSyncWorker(),
+      ]),
+    )
+    .catch((error) => {
+      const delay = Math.min(
+        STARTUP_RETRY_BASE_MS * 2 ** attempt,
+        STARTUP_RETRY_MAX_MS,
+      );
+      console.error(
+        `Startup initialization error (retrying in ${delay / 1000}s):`,
+        error.message,
+      );
+      setTimeout(() => initializeBackgroundWork(attempt + 1), delay);
+    });
+
+initializeBackgroundWork();
+
 // Routes
 app.use("/api", routes);
 
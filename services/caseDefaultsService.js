@@ -0,0 +1,285 @@
+/**
+ * Case Defaults Service
+ *
+ * Profiles (dbo.Case_Defaults_Profile) supplying the IDs and turnaround
+ * times case creation writes: case user, customer, lab, ship-to, carrier,
+ * initial status and standard/rush days.
+ *
+ * A profile matches an order when every criterion it sets (shop domain,
+ * sales channel, order tag) matches. The most specific match wins: order
+ * tag beats shop domain, which beats sales channel; ties go to the higher
+ * Priority. A profile with no criteria is the catch-all default.
+ *
+ * Active profiles are cached in memory for PROFILE_CACHE_TTL_MS and the
+ * cache is cleared on every write.
+ */
+
+const { sequelize } = require("../config/database");
+const { caseDefaultsQueries } = require("../config/queries");
+const { normalizeShopDomain } = require("../utils/shopifyClient");
+const { ORDER_SOURCES } = require("./orderSources");
+
+const PROFILE_CACHE_TTL_MS = 60 * 1000;
+
+// Required positive integer fields and the columns they map to
+const ID_FIELDS = {
+  caseUserId: "Case_User_ID",
+  customerId: "Customer_ID",
+  labId: "Lab_ID",
+  shipToId: "Ship_To_ID",
+  carrierId: "Carrier_ID",
+  initialStatusId: "Initial_Status_ID",
+  standardDays: "Standard_Days",
+  rushDays: "Rush_Days",
+};
+
+let profileCache = null;
+let profileCachedAt = 0;
+
+/**
+ * Helper: Case-insensitive comparison of optional strings
+ */
+const sameText = (a, b) =>
+  String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+
+/**
+ * Validate a case defaults profile from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Current profile when updating (missing fields keep their value)
+ * @returns {Object} { valid: true, profile } or { valid: false, message }
+ */
+function validateProfile(body, existing = null) {
+  const pick = (field, column) =>
+    body[field] !== undefined ? body[field] : existing ? existing[column] : undefined;
+
+  const profile = {
+    profileName: pick("profileName", "Profile_Name"),
+    shopDomain: normalizeShopDomain(pick("shopDomain", "Shop_Domain")),
+    salesChannel: pick("salesChannel", "Sales_Channel") || null,
+    orderTag: pick("orderTag", "Order_Tag") || null,
+    priority: pick("priority", "Priority"),
+    isActive: pick("isActive", "Is_Active"),
+  };
+
+  if (!profile.profileName || !String(profile.profileName).trim()) {
+    return { valid: false, message: "profileName is required" };
+  }
+
+  for (const [field, column] of Object.entries(ID_FIELDS)) {
+    const value = Number(pick(field, column));
+    if (!Number.isInteger(value) || value < 1) {
+      return { valid: false, message: `${field} must be a positive integer` };
+    }
+    profile[field] = value;
+  }
+
+  if (profile.rushDays > profile.standardDays) {
+    return {
+      valid: false,
+      message: "rushDays cannot be longer than standardDays",
+    };
+  }
+
+  profile.priority = profile.priority === undefined ? 0 : Number(profile.priority);
+  if (!Number.isInteger(profile.priority)) {
+    return { valid: false, message: "priority must be an integer" };
+  }
+
+  profile.profileName = String(profile.profileName).trim().substring(0, 100);
+  profile.salesChannel = profile.salesChannel
+    ? String(profile.salesChannel).trim()
+    : null;
+  profile.orderTag = profile.orderTag ? String(profile.orderTag).trim() : null;
+  profile.isActive = profile.isActive === undefined || profile.isActive ? 1 : 0;
+
+  return { valid: true, profile };
+}
+
+/**
+ * List case defaults profiles
+ *
+ * @param {boolean} [includeInactive=false] - Include deactivated profiles
+ * @returns {Promise<Object[]>} Profile rows
+ */
+async function listProfiles(includeInactive = false) {
+  return sequelize.query(caseDefaultsQueries.getProfiles, {
+    replacements: { includeInactive: includeInactive ? 1 : 0 },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+}
+
+/**
+ * Get a case defaults profile
+ *
+ * @param {number} profileId - Profile ID
+ * @returns {Promise<Object|null>} Profile row, or null if not found
+ */
+async function getProfile(profileId) {
+  const rows = await sequelize.query(caseDefaultsQueries.getProfileById, {
+    replacements: { profileId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Create a case defaults profile
+ *
+ * @param {Object} profile - Validated profile from validateProfile
+ * @returns {Promise<Object>} Created profile row
+ */
+async function createProfile(profile) {
+  const result = await sequelize.query(caseDefaultsQueries.insertProfile, {
+    replacements: profile,
+    type: sequelize.QueryTypes.INSERT,
+  });
+  profileCache = null;
+  return getProfile(result[0][0].profileId);
+}
+
+/**
+ * Update a case defaults profile
+ *
+ * @param {number} profileId - Profile ID
+ * @param {Object} profile - Validated profile from validateProfile
+ * @returns {Promise<Object>} Updated profile row
+ */
+async function updateProfile(profileId, profile) {
+  await sequelize.query(caseDefaultsQueries.updateProfile, {
+    replacements: { ...profile, profileId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  profileCache = null;
+  return getProfile(profileId);
+}
+
+/**
+ * Deactivate a case defaults profile
+ *
+ * @param {number} profileId - Profile ID
+ */
+async function deactivateProfile(profileId) {
+  await sequelize.query(caseDefaultsQueries.deactivateProfile, {
+    replacements: { profileId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  profileCache = null;
+}
+
+/**
+ * Load the active profiles (cached)
+ *
+ * @returns {Promise<Object[]>} Active profile rows
+ */
+async function loadProfiles() {
+  if (profileCache && Date.now() - profileCachedAt < PROFILE_CACHE_TTL_MS) {
+    return profileCache;
+  }
+
+  profileCache = await listProfiles(false);
+  profileCachedAt = Date.now();
+  return profileCache;
+}
+
+/**
+ * Pick the profile for an order
+ *
+ * @param {Object[]} profiles - Active profile rows
+ * @param {Object} context - Order context
+ * @param {string} [context.shopDomain] - Shop the order came from
+ * @param {string} [context.salesChannel] - Sales channel of the order
+ * @param {string[]} [context.tags] - Order tags
+ * @returns {Object|null} Best matching profile row
+ */
+function selectProfile(profiles, { shopDomain, salesChannel, tags = [] }) {
+  const domain = normalizeShopDomain(shopDomain);
+  let best = null;
+  let bestScore = -1;
+
+  for (const profile of profiles) {
+    if (profile.Shop_Domain && profile.Shop_Domain !== domain) continue;
+    if (profile.Sales_Channel && !sameText(profile.Sales_Channel, salesChannel)) {
+      continue;
+    }
+    if (
+      profile.Order_Tag &&
+      !tags.some((tag) => sameText(tag, profile.Order_Tag))
+    ) {
+      continue;
+    }
+
+    const score =
+      (profile.Order_Tag ? 4 : 0) +
+      (profile.Shop_Domain ? 2 : 0) +
+      (profile.Sales_Channel ? 1 : 0);
+
+    if (
+      score > bestScore ||
+      (score === bestScore && profile.Priority > best.Priority)
+    ) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the profile an existing case most likely came from, by its lab
+ * Used where the order is no longer at hand (e.g. due date recalculation).
+ * Prefers the least specific profile for the lab, then the catch-all.
+ *
+ * @param {number} labId - Case_Lab_ID of the case
+ * @returns {Promise<Object|null>} Profile row
+ */
+async function findProfileForLab(labId) {
+  const profiles = await loadProfiles();
+  const criteriaCount = (profile) =>
+    [profile.Shop_Domain, profile.Sales_Channel, profile.Order_Tag].filter(
+      Boolean,
+    ).length;
+
+  const labProfiles = profiles
+    .filter((profile) => profile.Lab_ID === labId)
+    .sort((a, b) => criteriaCount(a) - criteriaCount(b));
+
+  return labProfiles[0] || selectProfile(profiles, {});
+}
+
+/**
+ * Resolve the case defaults profile for an order
+ * Orders from other sources than Shopify only match profiles without a
+ * shop domain.
+ *
+ * @param {Object} order - Normalized order (services/orderSources)
+ * @param {string} [shopDomain] - Shop a Shopify order came from (defaults to SHOPIFY_SHOP_URL)
+ * @returns {Promise<Object|null>} Matching profile row, or null if none matches
+ */
+async function resolveProfileForOrder(order, shopDomain = null) {
+  const profiles = await loadProfiles();
+
+  return selectProfile(profiles, {
+    shopDomain:
+      order.source === ORDER_SOURCES.SHOPIFY
+        ? shopDomain || process.env.SHOPIFY_SHOP_URL
+        : null,
+    salesChannel: order.salesChannel,
+    tags: order.tags || [],
+  });
+}
+
+module.exports = {
+  validateProfile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deactivateProfile,
+  selectProfile,
+  findProfileForLab,
+  resolveProfileForOrder,
+};
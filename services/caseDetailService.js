@@ -0,0 +1,103 @@
+/**
+ * Case Detail Service
+ *
+ * Assembles the full case document for the case view page:
+ * header, Case_Items with their case_item_tooth rows, the CaseTransaction
+ * history and the case_ticket / case_ticket_detail threads.
+ */
+
+const { sequelize } = require("../config/database");
+const { caseDetailQueries } = require("../config/queries");
+
+// Optional sections callers can request with include=
+const CASE_DETAIL_SECTIONS = ["items", "transactions", "tickets"];
+
+/**
+ * Helper: Run a SELECT for a case
+ */
+const selectForCase = (query, caseId) =>
+  sequelize.query(query, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+/**
+ * Load case items with their tooth rows nested
+ *
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object[]>} Items with a "teeth" array each
+ */
+async function getCaseItemsWithTeeth(caseId) {
+  const [items, teeth] = await Promise.all([
+    selectForCase(caseDetailQueries.getCaseItems, caseId),
+    selectForCase(caseDetailQueries.getCaseItemTeeth, caseId),
+  ]);
+
+  return items.map((item) => ({
+    ...item,
+    teeth: teeth
+      .filter((tooth) => tooth.case_item_id === item.case_item_id)
+      .map((tooth) => tooth.item_tooth),
+  }));
+}
+
+/**
+ * Load case tickets with their detail rows nested
+ *
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object[]>} Tickets with a "details" array each
+ */
+async function getCaseTicketsWithDetails(caseId) {
+  const [tickets, details] = await Promise.all([
+    selectForCase(caseDetailQueries.getCaseTickets, caseId),
+    selectForCase(caseDetailQueries.getCaseTicketDetails, caseId),
+  ]);
+
+  return tickets.map((ticket) => ({
+    ...ticket,
+    details: details.filter(
+      (detail) => detail.Case_Ticket_Id === ticket.Case_Ticket_Id,
+    ),
+  }));
+}
+
+/**
+ * Get the full case document
+ *
+ * @param {number} caseId - Case ID
+ * @param {string[]} [include] - Sections to load (defaults to all)
+ * @returns {Promise<Object|null>} Case document, or null if the case does not exist
+ */
+async function getCaseDetail(caseId, include = CASE_DETAIL_SECTIONS) {
+  const headers = await selectForCase(caseDetailQueries.getCaseHeader, caseId);
+
+  if (headers.length === 0) {
+    return null;
+  }
+
+  const detail = { case: headers[0] };
+  const loaders = {
+    items: getCaseItemsWithTeeth,
+    transactions: (id) =>
+      selectForCase(caseDetailQueries.getCaseTransactions, id),
+    tickets: getCaseTicketsWithDetails,
+  };
+
+  const sections = CASE_DETAIL_SECTIONS.filter((section) =>
+    include.includes(section),
+  );
+  const results = await Promise.all(
+    sections.map((section) => loaders[section](caseId)),
+  );
+  sections.forEach((section, index) => {
+    detail[section] = results[index];
+  });
+
+  return detail;
+}
+
+module.exports = {
+  CASE_DETAIL_SECTIONS,
+  getCaseDetail,
+};
@@ -0,0 +1,368 @@
+/**
+ * Case File Import Service
+ *
+ * Imports cases from spreadsheets sent by partner dental offices (CSV or
+ * XLSX). File columns are mapped onto the CSV order source columns
+ * (services/orderSources/csvSource.js), every row is validated (order
+ * number, name, email, quantity, SKU) and the valid orders are previewed or
+ * created through the same pipeline as create-case.
+ *
+ * Imports are stateless: the file is sent again to commit, so a preview
+ * never leaves anything behind.
+ */
+
+const { parseCsv, rowsToRecords, toCsv } = require("../utils/csvParser");
+const { readXlsxRows } = require("../utils/xlsxReader");
+const { parseEncodedSku } = require("../utils/skuParser");
+const {
+  loadCatalog,
+  findCatalogEntryForLineItem,
+} = require("./catalogService");
+const {
+  CaseImportError,
+  previewCaseFromOrder,
+  createCaseFromOrder,
+} = require("./caseService");
+const {
+  CSV_COLUMNS,
+  REQUIRED_COLUMNS,
+  suggestColumnMapping,
+  normalizeRecords,
+} = require("./orderSources/csvSource");
+
+// File formats accepted by the import
+const FILE_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+};
+
+const XLSX_CONTENT_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Most data rows a file may hold
+const MAX_IMPORT_FILE_ROWS = 1000;
+
+// Error codes raised by the file import
+const FILE_IMPORT_ERROR_CODES = {
+  UNSUPPORTED_FILE_FORMAT: "UNSUPPORTED_FILE_FORMAT",
+  INVALID_FILE: "INVALID_FILE",
+  TOO_MANY_ROWS: "TOO_MANY_ROWS",
+  INVALID_COLUMN_MAPPING: "INVALID_COLUMN_MAPPING",
+};
+
+/**
+ * Error raised when an import file cannot be read or mapped.
+ * Carries an error code and the HTTP status routes should respond with.
+ */
+class CaseFileImportError extends Error {
+  constructor(
+    message,
+    code = FILE_IMPORT_ERROR_CODES.INVALID_FILE,
+    statusCode = 400,
+  ) {
+    super(message);
+    this.name = "CaseFileImportError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Work out the format of an uploaded file
+ * An explicit format wins, then the content type; otherwise files starting
+ * with a zip signature are read as XLSX and anything else as CSV.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - "csv" or "xlsx"
+ * @param {string} [options.contentType] - Content-Type of the upload
+ * @returns {string} FILE_FORMATS value
+ * @throws {CaseFileImportError} If the format is not supported
+ */
+function detectFileFormat(buffer, { format = null, contentType = "" } = {}) {
+  if (format) {
+    const normalized = String(format).toLowerCase();
+    if (!Object.values(FILE_FORMATS).includes(normalized)) {
+      throw new CaseFileImportError(
+        `format must be one of: ${Object.values(FILE_FORMATS).join(", ")}`,
+        FILE_IMPORT_ERROR_CODES.UNSUPPORTED_FILE_FORMAT,
+      );
+    }
+    return normalized;
+  }
+
+  if (contentType.startsWith(XLSX_CONTENT_TYPE)) return FILE_FORMATS.XLSX;
+  if (/^(text\/csv|text\/plain)/.test(contentType)) return FILE_FORMATS.CSV;
+  return buffer.subarray(0, 2).toString("latin1") === "PK"
+    ? FILE_FORMATS.XLSX
+    : FILE_FORMATS.CSV;
+}
+
+/**
+ * Read the header row and records of a file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - FILE_FORMATS value
+ * @returns {Object} { headers, records }
+ * @throws {CaseFileImportError} If the file cannot be read, is empty or has too many rows
+ */
+function readFileRecords(buffer, format) {
+  let rows;
+  try {
+    rows =
+      format === FILE_FORMATS.XLSX
+        ? readXlsxRows(buffer)
+        : parseCsv(buffer.toString("utf8"));
+  } catch (error) {
+    throw new CaseFileImportError(error.message);
+  }
+
+  const { headers, records } = rowsToRecords(rows);
+  if (records.length === 0) {
+    throw new CaseFileImportError("File has no data rows");
+  }
+  if (records.length > MAX_IMPORT_FILE_ROWS) {
+    throw new CaseFileImportError(
+      `A file may contain at most ${MAX_IMPORT_FILE_ROWS} rows`,
+      FILE_IMPORT_ERROR_CODES.TOO_MANY_ROWS,
+    );
+  }
+
+  return { headers, records };
+}
+
+/**
+ * Resolve the column mapping of a file
+ * Starts from the headers matching a column name and applies the caller's
+ * mapping on top; mapping a column to "" or null leaves it unmapped.
+ *
+ * @param {string[]} headers - Headers of the file
+ * @param {Object} [mapping] - Column -> header overrides
+ * @returns {Object} Column -> header
+ * @throws {CaseFileImportError} If the mapping names an unknown column or header, or misses a required column
+ */
+function resolveColumnMapping(headers, mapping = {}) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new CaseFileImportError(
+      "mapping must map column names to file headers",
+      FILE_IMPORT_ERROR_CODES.INVALID_COLUMN_MAPPING,
+    );
+  }
+
+  const resolved = suggestColumnMapping(headers);
+  for (const [column, header] of Object.entries(mapping)) {
+    if (!CSV_COLUMNS.includes(column)) {
+      throw new CaseFileImportError(
+        `Unknown column "${column}". Columns: ${CSV_COLUMNS.join(", ")}`,
+        FILE_IMPORT_ERROR_CODES.INVALID_COLUMN_MAPPING,
+      );
+    }
+    if (header === "" || header === null) {
+      delete resolved[column];
+    } else if (headers.includes(header)) {
+      resolved[column] = header;
+    } else {
+      throw new CaseFileImportError(
+        `Column "${column}" is mapped to "${header}", which is not a ` +
+          "header of the file",
+        FILE_IMPORT_ERROR_CODES.INVALID_COLUMN_MAPPING,
+      );
+    }
+  }
+
+  const missing = REQUIRED_COLUMNS.filter((column) => !resolved[column]);
+  if (missing.length > 0) {
+    throw new CaseFileImportError(
+      `Map the required column(s) to a header: ${missing.join(", ")}`,
+      FILE_IMPORT_ERROR_CODES.INVALID_COLUMN_MAPPING,
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Helper: Why the SKU of a row cannot be imported, or null
+ * Encoded SKUs must parse; other SKUs must be mapped in the catalog.
+ */
+const validateRowSku = (row, catalog) => {
+  const sku = row.sku || "";
+  if (!sku) return "sku is required";
+
+  if (sku.startsWith("--")) {
+    const parsed = parseEncodedSku(sku);
+    return parsed.ok ? null : `sku ${sku}: ${parsed.error.message}`;
+  }
+  return findCatalogEntryForLineItem(catalog, { sku })
+    ? null
+    : `sku ${sku} is not in the product catalog`;
+};
+
+/**
+ * Read, map and validate an import file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.format] - "csv" or "xlsx" (detected when omitted)
+ * @param {string} [options.contentType] - Content-Type of the upload
+ * @param {Object} [options.mapping] - Column -> header overrides
+ * @returns {Promise<Object>} { format, headers, mapping, records, orders: [{ order, rows }], rejected }
+ * @throws {CaseFileImportError} If the file cannot be read or mapped
+ */
+async function readImportFile(buffer, { format, contentType, mapping } = {}) {
+  const fileFormat = detectFileFormat(buffer, { format, contentType });
+  const { headers, records } = readFileRecords(buffer, fileFormat);
+  const columnMapping = resolveColumnMapping(headers, mapping);
+
+  // Key every record by column name
+  const rows = records.map((record) => {
+    const row = {};
+    for (const [column, header] of Object.entries(columnMapping)) {
+      row[column] = record[header];
+    }
+    return row;
+  });
+
+  const catalog = await loadCatalog();
+  const { orders, rejected } = normalizeRecords(rows, {
+    validateRow: (row) => validateRowSku(row, catalog),
+  });
+
+  const rowsByOrder = new Map();
+  rows.forEach((row, index) => {
+    if (!rowsByOrder.has(row.order_number)) {
+      rowsByOrder.set(row.order_number, []);
+    }
+    rowsByOrder.get(row.order_number).push(index + 2);
+  });
+
+  return {
+    format: fileFormat,
+    headers,
+    mapping: columnMapping,
+    records,
+    orders: orders.map((order) => ({
+      order,
+      rows: rowsByOrder.get(order.orderNumber),
+    })),
+    rejected,
+  };
+}
+
+/**
+ * Helper: Reject every row of an order
+ */
+const rejectOrder = (rejected, { order, rows }, message) => {
+  for (const row of rows) {
+    rejected.push({ row, orderNumber: order.orderNumber, message });
+  }
+  rejected.sort((a, b) => a.row - b.row);
+};
+
+/**
+ * Preview importing a file, without writing
+ * Orders that case creation would refuse (already imported, no case
+ * defaults profile) are reported as rejected rows.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {number} userId - User importing the file
+ * @param {Object} [options] - See readImportFile
+ * @returns {Promise<Object>} readImportFile result with "preview" (plan from previewCaseFromOrder) on every order
+ * @throws {CaseFileImportError} If the file cannot be read or mapped
+ */
+async function previewFileImport(buffer, userId, options = {}) {
+  const file = await readImportFile(buffer, options);
+  const orders = [];
+
+  for (const entry of file.orders) {
+    try {
+      const preview = await previewCaseFromOrder(entry.order, userId);
+      if (preview.alreadyExists) {
+        rejectOrder(file.rejected, entry, "Case has already been imported");
+      } else {
+        orders.push({ ...entry, preview });
+      }
+    } catch (error) {
+      if (!(error instanceof CaseImportError) || error.statusCode >= 500) {
+        throw error;
+      }
+      rejectOrder(file.rejected, entry, error.message);
+    }
+  }
+
+  return { ...file, orders };
+}
+
+/**
+ * Import a file, creating a case for every valid order
+ * Each order is created in its own transaction, so a failure on one order
+ * is reported as rejected rows and never rolls back others.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} user - User the cases are created by ({ userId, userName })
+ * @param {Object} [options] - See readImportFile
+ * @returns {Promise<Object>} readImportFile result with "caseId" and "warnings" on every created order
+ * @throws {CaseFileImportError} If the file cannot be read or mapped
+ */
+async function commitFileImport(buffer, user, options = {}) {
+  const file = await readImportFile(buffer, options);
+  const orders = [];
+
+  for (const entry of file.orders) {
+    try {
+      const created = await createCaseFromOrder(entry.order, user);
+      orders.push({
+        ...entry,
+        caseId: created.caseId,
+        warnings: created.warnings,
+      });
+    } catch (error) {
+      console.error(
+        `Error importing order ${entry.order.orderNumber} from file:`,
+        error.message,
+      );
+      rejectOrder(
+        file.rejected,
+        entry,
+        error.message || "Failed to create case",
+      );
+    }
+  }
+
+  console.log(
+    `File import created ${orders.length} case(s), rejected ${file.rejected.length} row(s)`,
+  );
+
+  return { ...file, orders };
+}
+
+/**
+ * Write the rejected rows of an import as CSV
+ * Rows keep the file's columns, preceded by the row number and followed by
+ * the reason the row was rejected.
+ *
+ * @param {Object} result - Result of previewFileImport or commitFileImport
+ * @returns {string} CSV text
+ */
+function buildRejectedRowsCsv({ headers, records, rejected }) {
+  return toCsv([
+    ["row", ...headers, "error"],
+    ...rejected.map(({ row, message }) => [
+      row,
+      ...headers.map((header) => records[row - 2][header]),
+      message,
+    ]),
+  ]);
+}
+
+module.exports = {
+  FILE_FORMATS,
+  FILE_IMPORT_ERROR_CODES,
+  MAX_IMPORT_FILE_ROWS,
+  CaseFileImportError,
+  detectFileFormat,
+  resolveColumnMapping,
+  previewFileImport,
+  commitFileImport,
+  buildRejectedRowsCsv,
+};
@@ -0,0 +1,240 @@
+/**
+ * Case Search Service
+ *
+ * Filtered, sorted and paginated search over dbo.[Case].
+ * Only whitelisted SQL fragments are concatenated; every user-supplied value
+ * is bound as a named replacement.
+ */
+
+const { sequelize } = require("../config/database");
+const { caseSearchQueries } = require("../config/queries");
+
+// Constants
+const NUMERIC_PATTERN = /^\d+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields and the columns they map to
+const SORT_COLUMNS = {
+  caseId: "c.Case_ID",
+  firstName: "c.Case_Patient_First_Name",
+  lastName: "c.Case_Patient_Last_Name",
+  orderNumber: "c.Case_Patient_Num",
+  dateReceived: "c.Case_Date_Received",
+  dateDue: "c.Case_Date_Required_By_DR",
+  status: "c.Case_Status_Code",
+};
+
+/**
+ * Helper: Escape LIKE wildcards so user input matches literally
+ */
+const escapeLike = (value) => value.replace(/[[%_]/g, (char) => `[${char}]`);
+
+/**
+ * Validate and normalize search query parameters
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { valid: true, filters } or { valid: false, message }
+ */
+function validateSearchParams(query) {
+  const filters = {
+    firstName: query.firstName ? String(query.firstName).trim() : null,
+    lastName: query.lastName ? String(query.lastName).trim() : null,
+    email: query.email ? String(query.email).trim() : null,
+    orderNumber: query.orderNumber ? String(query.orderNumber).trim() : null,
+    statusId: null,
+    labId: null,
+    isRush: null,
+    receivedFrom: null,
+    receivedTo: null,
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+    sortBy: "dateReceived",
+    sortDir: "DESC",
+  };
+
+  for (const field of ["statusId", "labId"]) {
+    if (query[field] !== undefined) {
+      if (!NUMERIC_PATTERN.test(query[field])) {
+        return { valid: false, message: `${field} must contain numerals only` };
+      }
+      filters[field] = parseInt(query[field], 10);
+    }
+  }
+
+  if (query.isRush !== undefined) {
+    const value = String(query.isRush).toLowerCase();
+    if (!["true", "false", "1", "0"].includes(value)) {
+      return { valid: false, message: "isRush must be true or false" };
+    }
+    filters.isRush = value === "true" || value === "1";
+  }
+
+  for (const field of ["receivedFrom", "receivedTo"]) {
+    if (query[field] !== undefined) {
+      const value = String(query[field]);
+      if (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+        return { valid: false, message: `${field} must be a YYYY-MM-DD date` };
+      }
+      filters[field] = value;
+    }
+  }
+
+  if (query.page !== undefined) {
+    if (!NUMERIC_PATTERN.test(query.page) || parseInt(query.page, 10) < 1) {
+      return { valid: false, message: "page must be a positive number" };
+    }
+    filters.page = parseInt(query.page, 10);
+  }
+
+  if (query.pageSize !== undefined) {
+    const pageSize = parseInt(query.pageSize, 10);
+    if (
+      !NUMERIC_PATTERN.test(query.pageSize) ||
+      pageSize < 1 ||
+      pageSize > MAX_PAGE_SIZE
+    ) {
+      return {
+        valid: false,
+        message: `pageSize must be between 1 and ${MAX_PAGE_SIZE}`,
+      };
+    }
+    filters.pageSize = pageSize;
+  }
+
+  if (query.sortBy !== undefined) {
+    if (!SORT_COLUMNS[query.sortBy]) {
+      return {
+        valid: false,
+        message: `sortBy must be one of: ${Object.keys(SORT_COLUMNS).join(", ")}`,
+      };
+    }
+    filters.sortBy = query.sortBy;
+  }
+
+  if (query.sortDir !== undefined) {
+    const sortDir = String(query.sortDir).toUpperCase();
+    if (!["ASC", "DESC"].includes(sortDir)) {
+      return { valid: false, message: "sortDir must be asc or desc" };
+    }
+    filters.sortDir = sortDir;
+  }
+
+  return { valid: true, filters };
+}
+
+/**
+ * Build the WHERE clause and replacements for a set of filters
+ *
+ * @param {Object} filters - Normalized filters from validateSearchParams
+ * @returns {Object} { where, replacements }
+ */
+function buildWhereClause(filters) {
+  const conditions = [];
+  const replacements = {};
+
+  if (filters.firstName) {
+    conditions.push("c.Case_Patient_First_Name LIKE :firstName");
+    replacements.firstName = `${escapeLike(filters.firstName)}%`;
+  }
+  if (filters.lastName) {
+    conditions.push("c.Case_Patient_Last_Name LIKE :lastName");
+    replacements.lastName = `${escapeLike(filters.lastName)}%`;
+  }
+  if (filters.email) {
+    conditions.push("c.Shopify_Email LIKE :email");
+    replacements.email = `%${escapeLike(filters.email)}%`;
+  }
+  if (filters.orderNumber) {
+    conditions.push("c.Case_Patient_Num = :orderNumber");
+    replacements.orderNumber = filters.orderNumber;
+  }
+  if (filters.statusId !== null) {
+    conditions.push("c.Case_Status_Code = :statusId");
+    replacements.statusId = filters.statusId;
+  }
+  if (filters.labId !== null) {
+    conditions.push("c.Case_Lab_ID = :labId");
+    replacements.labId = filters.labId;
+  }
+  if (filters.isRush !== null) {
+    conditions.push(
+      filters.isRush
+        ? "c.IsRushOrder IN ('Y', '1')"
+        : "(c.IsRushOrder IS NULL OR c.IsRushOrder NOT IN ('Y', '1'))",
+    );
+  }
+  if (filters.receivedFrom) {
+    conditions.push("c.Case_Date_Received >= :receivedFrom");
+    replacements.receivedFrom = filters.receivedFrom;
+  }
+  if (filters.receivedTo) {
+    // Inclusive of the whole end day
+    conditions.push("c.Case_Date_Received < DATEADD(day, 1, :receivedTo)");
+    replacements.receivedTo = filters.receivedTo;
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    replacements,
+  };
+}
+
+/**
+ * Search cases
+ *
+ * @param {Object} filters - Normalized filters from validateSearchParams
+ * @returns {Promise<Object>} { cases, pagination }
+ */
+async function searchCases(filters) {
+  const { where, replacements } = buildWhereClause(filters);
+  const orderBy = `${SORT_COLUMNS[filters.sortBy]} ${filters.sortDir}, c.Case_ID ${filters.sortDir}`;
+
+  const countResult = await sequelize.query(
+    `SELECT COUNT(*) AS total ${caseSearchQueries.fromClause} ${where}`,
+    {
+      replacements,
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    },
+  );
+  const total = countResult[0].total;
+
+  const cases = await sequelize.query(
+    `
+      SELECT ${caseSearchQueries.selectColumns}
+      ${caseSearchQueries.fromClause}
+      ${where}
+      ORDER BY ${orderBy}
+      OFFSET :offset ROWS FETCH NEXT :pageSize ROWS ONLY
+    `,
+    {
+      replacements: {
+        ...replacements,
+        offset: (filters.page - 1) * filters.pageSize,
+        pageSize: filters.pageSize,
+      },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    },
+  );
+
+  return {
+    cases,
+    pagination: {
+      page: filters.page,
+      pageSize: filters.pageSize,
+      total,
+      totalPages: Math.ceil(total / filters.pageSize),
+      sortBy: filters.sortBy,
+      sortDir: filters.sortDir.toLowerCase(),
+    },
+  };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  validateSearchParams,
+  searchCases,
+};
@@ -0,0 +1,725 @@
+/**
+ * Case Service
+ *
+ * Builds and inserts lab cases from normalized orders (services/orderSources).
+ * Shared by the case routes (create-case, import-batch) and the Shopify
+ * webhooks so every channel and entry point runs the same import logic.
+ */
+
+const { sequelize } = require("../config/database");
+const { caseQueries, storeQueries } = require("../config/queries");
+const {
+  fetchOrderByNumber,
+  normalizeShopDomain,
+} = require("../utils/shopifyClient");
+const { ShopifyNotFoundError } = require("../utils/shopifyErrors");
+const {
+  ARCH_CODES,
+  extractEncodedSkus,
+  parseEncodedSku,
+} = require("../utils/skuParser");
+const { createTicket } = require("./ticketService");
+const {
+  loadCatalog,
+  findCatalogEntryForLineItem,
+  findCatalogEntryByProductCode,
+} = require("./catalogService");
+const { resolveProfileForOrder } = require("./caseDefaultsService");
+const {
+  toDateKey,
+  calculateDueDate,
+  loadHolidays,
+} = require("./dueDateService");
+const { buildOrderSnapshot } = require("./orderChangeService");
+const { ORDER_SOURCES, normalizeOrder } = require("./orderSources");
+const {
+  SHIP_TO_WARNING_CODES,
+  normalizeShippingAddress,
+  matchCustomerShipTo,
+} = require("./shipToService");
+const { previewPatientMatch, linkCaseToPatient } = require("./patientService");
+
+// Error codes raised by the case import pipeline
+const CASE_ERROR_CODES = {
+  MISSING_CASE_DATA: "MISSING_CASE_DATA",
+  CASE_ALREADY_EXISTS: "CASE_ALREADY_EXISTS",
+  NO_CASE_DEFAULTS: "NO_CASE_DEFAULTS",
+  DATABASE_ERROR: "DATABASE_ERROR",
+};
+
+// Email template for the ticket raised when an order has no valid SKUs
+const NO_SKU_TICKET_TEMPLATE_ID = 1363;
+
+// Why a ticket is raised during case creation
+const TICKET_REASONS = {
+  NO_SKU: "no_sku",
+  INVALID_SKU: "invalid_sku",
+};
+
+// Per-order outcomes reported by importOrderByNumber
+const IMPORT_RESULTS = {
+  CREATED: "created",
+  ALREADY_EXISTS: "already_exists",
+  SHOPIFY_NOT_FOUND: "shopify_not_found",
+  VALIDATION_FAILED: "validation_failed",
+  ERROR: "error",
+};
+
+/**
+ * Error raised when a case cannot be imported.
+ * Carries an error code and the HTTP status routes should respond with.
+ */
+class CaseImportError extends Error {
+  constructor(message, code = CASE_ERROR_CODES.DATABASE_ERROR, statusCode = 500) {
+    super(message);
+    this.name = "CaseImportError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Collect encoded SKUs from the order note and line items
+ * Pattern: --A1-UL-R33330.1--
+ *
+ * @param {Object} order - Normalized order
+ * @returns {string[]} Encoded SKUs, note first
+ */
+function collectEncodedSkus(order) {
+  // Extract encoded SKUs from note
+  const skus = extractEncodedSkus(order.note);
+
+  // Collect line items with encoded SKUs
+  for (const item of order.lineItems) {
+    if (item.sku.startsWith("--")) {
+      skus.push(item.sku);
+    }
+  }
+
+  return skus;
+}
+
+/**
+ * Insert a planned case item with its tooth rows
+ *
+ * @param {Object} item - Item from buildCasePlan
+ * @param {string|number} caseId - Case ID
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function insertCaseItem(item, caseId, transaction) {
+  try {
+    const result = await sequelize.query(caseQueries.insertCaseItem, {
+      replacements: {
+        caseId,
+        name: item.product,
+        tooth: item.toothLocation,
+        qty: item.qty,
+        shade: item.shade,
+        unitPrice: item.unitPrice,
+      },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+
+    // Get the inserted case_item_id
+    const caseItemId = result[0]?.[0]?.case_item_id;
+
+    if (caseItemId) {
+      // Insert tooth records
+      for (const itemTooth of item.teeth) {
+        await sequelize.query(caseQueries.insertCaseItemTooth, {
+          replacements: {
+            caseItemId,
+            itemTooth,
+          },
+          type: sequelize.QueryTypes.INSERT,
+          transaction,
+        });
+      }
+    }
+
+    console.log(
+      `Processed SKU: ${item.sku} -> Product: ${item.product}, Tooth: ${item.toothLocation}, Shade: ${item.shade}, Price: ${item.unitPrice}`,
+    );
+  } catch (error) {
+    console.error(`Error processing SKU ${item.sku}:`, error);
+    // Don't throw - allow other SKUs to be processed
+  }
+}
+
+/**
+ * Add the planned line items to the case
+ * Raises the planned tickets (no SKUs found, invalid SKUs)
+ *
+ * @param {Object} plan - Case plan from buildCasePlan
+ * @param {number} userId - User recorded on any ticket raised
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function processOrderLineItems(plan, userId, transaction) {
+  const { caseId } = plan.caseRow;
+
+  try {
+    for (const ticket of plan.tickets) {
+      console.log(`Creating ${ticket.reason} ticket for case ${caseId}...`);
+      const { reason, ...ticketOptions } = ticket;
+      await createTicket(
+        {
+          caseId,
+          userId,
+          ticketStatus: "Open",
+          ...ticketOptions,
+        },
+        transaction,
+      );
+    }
+
+    for (const item of plan.items) {
+      await insertCaseItem(item, caseId, transaction);
+    }
+
+    // Always update case after processing
+    await sequelize.query(caseQueries.updateCaseAfterLineItems, {
+      replacements: { caseId, labId: plan.caseRow.labId },
+      type: sequelize.QueryTypes.UPDATE,
+      transaction,
+    });
+  } catch (error) {
+    console.error("Error processing line items:", error);
+    // Don't throw - allow case creation to succeed even if line items fail
+  }
+}
+
+/**
+ * Extract case data from an order
+ * Mimics the .NET ImportOrder logic
+ *
+ * Rush orders are detected from catalog entries flagged Is_Rush and from
+ * shipping lines mentioning RUSH.
+ *
+ * @param {Object} order - Normalized order
+ * @param {number} userId - User importing the order
+ * @param {Object[]} [catalog] - Active product catalog
+ * @returns {Object} Case fields ready for insertion
+ * @throws {Error} If required customer data is missing
+ */
+function extractCaseDataFromOrder(order, userId, catalog = []) {
+  try {
+    // Extract customer info
+    const { firstName, lastName, email } = order.customer;
+
+    if (!email) {
+      throw new Error("Missing customer email");
+    }
+
+    if (!firstName && !lastName) {
+      throw new Error(
+        "Missing customer first and last name. One must be present.",
+      );
+    }
+
+    // Build instructions from note and line items
+    let instructions = order.note;
+    let isRush = false;
+
+    // Check line items for rush indicators
+    order.lineItems.forEach((item) => {
+      // Add to instructions
+      instructions += `\n${item.sku}\n${item.title}`;
+
+      // Check for rush order
+      const entry = findCatalogEntryForLineItem(catalog, {
+        sku: item.sku,
+        variantId: item.variantId,
+      });
+      if (entry && entry.Is_Rush) {
+        isRush = true;
+      }
+    });
+
+    // Check shipping lines for rush
+    if (!isRush) {
+      order.shippingLines.forEach((line) => {
+        if (
+          (line.code && line.code.includes("RUSH")) ||
+          (line.title && line.title.includes("RUSH"))
+        ) {
+          isRush = true;
+        }
+      });
+    }
+
+    if (!instructions) {
+      throw new Error("Failed to generate instructions. No note or line items");
+    }
+
+    if (!order.orderNumber) {
+      throw new Error("Missing order number");
+    }
+
+    // Order number (e.g., "88675969")
+    const { orderNumber } = order;
+
+    return {
+      caseId: orderNumber,
+      firstName: firstName.substring(0, 255),
+      lastName: lastName.substring(0, 255),
+      email: email.substring(0, 255),
+      instructions: instructions.substring(0, 4000), // SQL max for varchar
+      userId,
+      isRush,
+      orderNumber,
+    };
+  } catch (error) {
+    throw new Error(`Failed to extract case data: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a case ID already exists
+ *
+ * @param {string|number} caseId - Case ID
+ * @param {Object} [transaction] - Sequelize transaction (optional)
+ * @returns {Promise<boolean>} True if the case exists
+ */
+async function caseExists(caseId, transaction = null) {
+  const existingCase = await sequelize.query(caseQueries.checkCaseExists, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+    transaction,
+  });
+
+  return existingCase.length > 0;
+}
+
+/**
+ * Work out everything case creation would write for an order
+ * Pure: reads nothing from and writes nothing to the database.
+ *
+ * Items come from encoded SKUs (priced through the catalog by product code)
+ * and from plain line items whose SKU or variant is mapped in the catalog.
+ *
+ * IDs come from the case defaults profile. The due date is counted in
+ * business days from now using the product SLAs, falling back to the
+ * profile's turnaround.
+ *
+ * The order's shipping address becomes the case's ship-to when it is
+ * valid; otherwise the case ships to the profile's ship-to and a
+ * warning says why.
+ *
+ * @param {Object} order - Normalized order
+ * @param {number} userId - User importing the order
+ * @param {Object} context - Reference data from loadPlanContext
+ * @param {Object} context.profile - Case defaults profile row
+ * @param {Object[]} [context.catalog] - Active product catalog
+ * @param {Set<string>} [context.holidays] - Lab holidays as YYYY-MM-DD
+ * @returns {Object} { caseRow, transactionRow, items, invalidSkus, tickets, isRush, daysRequired, dueDate, profile, shipToAddress, warnings }
+ * @throws {CaseImportError} If required customer data is missing
+ */
+function buildCasePlan(
+  order,
+  userId,
+  { profile, catalog = [], holidays = new Set() },
+) {
+  let caseData;
+  try {
+    caseData = extractCaseDataFromOrder(order, userId, catalog);
+  } catch (error) {
+    throw new CaseImportError(
+      error.message,
+      CASE_ERROR_CODES.MISSING_CASE_DATA,
+      400,
+    );
+  }
+
+  const encodedSkus = collectEncodedSkus(order);
+  const items = [];
+  const invalidSkus = [];
+  const products = [];
+  for (const sku of encodedSkus) {
+    const parsed = parseEncodedSku(sku);
+    if (parsed.ok) {
+      const entry = findCatalogEntryByProductCode(catalog, parsed.value.product);
+      if (entry) products.push(entry);
+      items.push({
+        ...parsed.value,
+        unitPrice: entry ? Number(entry.Unit_Price) : 0,
+      });
+    } else {
+      invalidSkus.push(parsed.error);
+    }
+  }
+
+  // Plain line items mapped to a lab product in the catalog
+  for (const lineItem of order.lineItems) {
+    const { sku } = lineItem;
+    if (sku.startsWith("--")) continue;
+
+    const entry = findCatalogEntryForLineItem(catalog, {
+      sku,
+      variantId: lineItem.variantId,
+    });
+    if (!entry || !entry.Lab_Product_Code) continue;
+
+    products.push(entry);
+    const teeth = ARCH_CODES[entry.Default_Arch] || [];
+    items.push({
+      sku,
+      shade: "",
+      arch: entry.Default_Arch || "",
+      teeth,
+      toothLocation: teeth.join(", "),
+      qty: entry.Default_Qty * lineItem.quantity,
+      product: entry.Lab_Product_Code,
+      unitPrice: Number(entry.Unit_Price),
+    });
+  }
+
+  const tickets = [];
+  if (items.length === 0 && invalidSkus.length === 0) {
+    tickets.push({
+      reason: TICKET_REASONS.NO_SKU,
+      templateId: NO_SKU_TICKET_TEMPLATE_ID,
+    });
+  }
+  if (invalidSkus.length > 0) {
+    tickets.push({
+      reason: TICKET_REASONS.INVALID_SKU,
+      subject: "Invalid SKU(s) on case @@CASE_ID",
+      message: [
+        "The following SKUs on case @@CASE_ID could not be imported:",
+        ...invalidSkus.map((error) => `${error.sku}: ${error.message}`),
+      ].join("\n"),
+    });
+  }
+
+  const warnings = [...order.warnings];
+  let shipToAddress = null;
+  if (order.shippingAddress) {
+    const { address, errors } = normalizeShippingAddress(order.shippingAddress);
+    if (errors.length === 0) {
+      shipToAddress = address;
+    } else {
+      warnings.push({
+        code: SHIP_TO_WARNING_CODES.INVALID_SHIPPING_ADDRESS,
+        message:
+          `Shipping address not used (${errors.join("; ")}); ` +
+          "the case ships to the profile's ship-to",
+      });
+    }
+  }
+
+  const { dueDate, businessDays: daysRequired } = calculateDueDate({
+    receivedAt: new Date(),
+    isRush: caseData.isRush,
+    products,
+    fallback: {
+      standardDays: profile.Standard_Days,
+      rushDays: profile.Rush_Days,
+    },
+    holidays,
+  });
+
+  return {
+    caseRow: {
+      caseId: caseData.caseId,
+      userId: profile.Case_User_ID,
+      customerId: profile.Customer_ID,
+      // Bound as a local calendar date: a Date would be sent as UTC
+      dueDate: toDateKey(dueDate),
+      firstName: caseData.firstName,
+      lastName: caseData.lastName,
+      orderNumber: caseData.orderNumber,
+      email: caseData.email,
+      instructions: caseData.instructions,
+      statusCode: profile.Initial_Status_ID,
+      labId: profile.Lab_ID,
+      shipToId: profile.Ship_To_ID,
+      invoiceFee: 0,
+      poNumber: caseData.orderNumber,
+      carrierId: profile.Carrier_ID,
+      isRush: caseData.isRush ? 1 : 0,
+    },
+    transactionRow: {
+      statusCode: profile.Initial_Status_ID,
+      carrierId: profile.Carrier_ID,
+    },
+    items,
+    invalidSkus,
+    tickets,
+    isRush: caseData.isRush,
+    daysRequired,
+    dueDate,
+    profile: {
+      profileId: profile.Profile_Id,
+      profileName: profile.Profile_Name,
+    },
+    shipToAddress,
+    warnings,
+  };
+}
+
+/**
+ * Load the reference data buildCasePlan needs for an order
+ *
+ * @param {Object} order - Normalized order
+ * @param {string} [shopDomain] - Shop a Shopify order came from
+ * @returns {Promise<Object>} { profile, catalog, holidays }
+ * @throws {CaseImportError} If no case defaults profile matches the order
+ */
+async function loadPlanContext(order, shopDomain = null) {
+  const [profile, catalog] = await Promise.all([
+    resolveProfileForOrder(order, shopDomain),
+    loadCatalog(),
+  ]);
+
+  if (!profile) {
+    throw new CaseImportError(
+      "No case defaults profile matches this order",
+      CASE_ERROR_CODES.NO_CASE_DEFAULTS,
+      422,
+    );
+  }
+
+  return { profile, catalog, holidays: await loadHolidays(profile.Lab_ID) };
+}
+
+/**
+ * Preview what case creation would do for an order, without writing
+ *
+ * @param {Object} order - Normalized order
+ * @param {number} userId - User importing the order
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store a Shopify order came from (from resolveStore)
+ * @param {string} [options.shopDomain] - Shop a Shopify order came from, when no store is given
+ * @returns {Promise<Object>} Plan from buildCasePlan plus "alreadyExists" and "patient" (from previewPatientMatch)
+ * @throws {CaseImportError} If required customer data is missing or no profile matches
+ */
+async function previewCaseFromOrder(
+  order,
+  userId,
+  { store = null, shopDomain = null } = {},
+) {
+  const plan = buildCasePlan(
+    order,
+    userId,
+    await loadPlanContext(order, store ? store.shopDomain : shopDomain),
+  );
+
+  return {
+    ...plan,
+    alreadyExists: await caseExists(plan.caseRow.caseId),
+    patient: await previewPatientMatch(
+      plan.caseRow.caseId,
+      plan.caseRow.customerId,
+      order,
+      plan.items.map((item) => item.product),
+    ),
+  };
+}
+
+/**
+ * Create a case from an order
+ *
+ * Inserts dbo.[Case], the initial dbo.CaseTransaction, the planned case
+ * items, the case's ship-to address, the link to the patient's earlier
+ * cases and, for Shopify orders, the dbo.Case_Shopify_Order link to the
+ * source store, all in one transaction.
+ *
+ * @param {Object} order - Normalized order
+ * @param {Object} user - User the case is created by
+ * @param {number} user.userId - User ID
+ * @param {string} user.userName - User name (recorded as TRN_EMPLOYEE_ID)
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store a Shopify order came from (from resolveStore)
+ * @param {string} [options.shopDomain] - Shop a Shopify order came from, when no store is given
+ * @returns {Promise<Object>} { caseId, orderNumber, patient, warnings } (patient from linkCaseToPatient)
+ * @throws {CaseImportError} If the order is invalid, already imported or the insert fails
+ */
+async function createCaseFromOrder(
+  order,
+  user,
+  { store = null, shopDomain = null } = {},
+) {
+  const sourceDomain =
+    order.source === ORDER_SOURCES.SHOPIFY
+      ? normalizeShopDomain(store ? store.shopDomain : shopDomain)
+      : null;
+  const plan = buildCasePlan(
+    order,
+    user.userId,
+    await loadPlanContext(order, sourceDomain),
+  );
+  const { caseRow } = plan;
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    // Check if case already exists
+    if (await caseExists(caseRow.caseId, transaction)) {
+      throw new CaseImportError(
+        "Case has already been imported",
+        CASE_ERROR_CODES.CASE_ALREADY_EXISTS,
+        400,
+      );
+    }
+
+    // Ship to the order's own destination instead of the profile's ship-to
+    let { shipToId } = caseRow;
+    if (plan.shipToAddress) {
+      ({ shipToId } = await matchCustomerShipTo(
+        caseRow.customerId,
+        plan.shipToAddress,
+        transaction,
+      ));
+    }
+
+    // Insert into dbo.[Case]
+    await sequelize.query(caseQueries.insertCase, {
+      replacements: { ...caseRow, shipToId },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+
+    // Insert into dbo.CaseTransaction
+    await sequelize.query(caseQueries.insertCaseTransaction, {
+      replacements: {
+        caseId: caseRow.caseId,
+        employeeId: user.userName,
+        userId: user.userId,
+        ...plan.transactionRow,
+      },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+
+    // Process line items from order (encoded SKUs)
+    await processOrderLineItems(plan, user.userId, transaction);
+
+    // Link the case to the patient's earlier cases (repeat orders, remakes)
+    const patient = await linkCaseToPatient(
+      caseRow.caseId,
+      caseRow.customerId,
+      order,
+      plan.items.map((item) => item.product),
+      transaction,
+    );
+
+    // Record which store the order came from, and what was imported so
+    // later order edits can be compared with it
+    if (sourceDomain) {
+      await sequelize.query(storeQueries.insertCaseShopifyOrder, {
+        replacements: {
+          caseId: caseRow.caseId,
+          storeId: store ? store.storeId : null,
+          shopDomain: sourceDomain,
+          shopifyOrderId: order.externalId,
+          snapshot: JSON.stringify(buildOrderSnapshot(order)),
+        },
+        type: sequelize.QueryTypes.INSERT,
+        transaction,
+      });
+    }
+
+    await transaction.commit();
+
+    console.log(`Case ${caseRow.caseId} created successfully`);
+
+    return {
+      caseId: caseRow.caseId,
+      orderNumber: caseRow.orderNumber,
+      patient,
+      warnings: plan.warnings,
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+
+    if (error instanceof CaseImportError) {
+      throw error;
+    }
+    throw new CaseImportError(error.message || "Failed to create case");
+  }
+}
+
+/**
+ * Import a single Shopify order by order number
+ *
+ * Fetches the order through the rate-limited Shopify client and creates the
+ * case. Never throws: every failure is reported as an outcome so callers can
+ * import many orders independently of each other.
+ *
+ * @param {string} orderNumber - Shopify order number
+ * @param {Object} user - User the case is created by ({ userId, userName })
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store to import from (from resolveStore); defaults to the environment store
+ * @returns {Promise<Object>} { orderNumber, result, caseId, message }
+ */
+async function importOrderByNumber(orderNumber, user, { store = null } = {}) {
+  const outcome = (result, message = null, caseId = null) => ({
+    orderNumber,
+    result,
+    caseId,
+    message,
+  });
+
+  try {
+    // Skip the Shopify round trip for orders that were already imported
+    if (await caseExists(orderNumber)) {
+      return outcome(
+        IMPORT_RESULTS.ALREADY_EXISTS,
+        "Case has already been imported",
+        orderNumber,
+      );
+    }
+
+    let order;
+    try {
+      order = normalizeOrder(
+        ORDER_SOURCES.SHOPIFY,
+        await fetchOrderByNumber(orderNumber, store),
+      );
+    } catch (error) {
+      if (error instanceof ShopifyNotFoundError) {
+        return outcome(IMPORT_RESULTS.SHOPIFY_NOT_FOUND, error.message);
+      }
+      throw error;
+    }
+
+    const created = await createCaseFromOrder(order, user, { store });
+    const warning =
+      created.warnings.length > 0
+        ? created.warnings.map((w) => w.message).join("; ")
+        : null;
+    return outcome(IMPORT_RESULTS.CREATED, warning, created.caseId);
+  } catch (error) {
+    if (error.code === CASE_ERROR_CODES.CASE_ALREADY_EXISTS) {
+      return outcome(IMPORT_RESULTS.ALREADY_EXISTS, error.message, orderNumber);
+    }
+    if (
+      error.code === CASE_ERROR_CODES.MISSING_CASE_DATA ||
+      error.code === CASE_ERROR_CODES.NO_CASE_DEFAULTS
+    ) {
+      return outcome(IMPORT_RESULTS.VALIDATION_FAILED, error.message);
+    }
+
+    console.error(`Error importing order ${orderNumber}:`, error);
+    return outcome(IMPORT_RESULTS.ERROR, error.message || "Import failed");
+  }
+}
+
+module.exports = {
+  CASE_ERROR_CODES,
+  IMPORT_RESULTS,
+  CaseImportError,
+  TICKET_REASONS,
+  extractCaseDataFromOrder,
+  collectEncodedSkus,
+  buildCasePlan,
+  processOrderLineItems,
+  caseExists,
+  previewCaseFromOrder,
+  createCaseFromOrder,
+  importOrderByNumber,
+};
@@ -0,0 +1,243 @@
+/**
+ * Case Status Service
+ *
+ * Moves cases through the lab workflow.
+ * A status change inserts a dbo.CaseTransaction row and updates
+ * dbo.[Case].case_status_code in the same transaction, replacing the
+ * legacy ASP scan pages.
+ *
+ * Transitions are checked against dbo.Status_Transition_Rule through the
+ * status rule engine.
+ *
+ * A status change on a case imported from Shopify also queues a status sync
+ * to the Shopify order (see statusSyncService), and one that records a ship
+ * reference queues a fulfillment push (see fulfillmentService).
+ */
+
+const { sequelize } = require("../config/database");
+const { caseQueries, statusQueries } = require("../config/queries");
+const { getUserTypeId } = require("../models/User");
+const { RULE_VIOLATIONS, evaluateTransition } = require("./statusRuleService");
+const {
+  queueFulfillment,
+  wakeFulfillmentWorker,
+} = require("./fulfillmentService");
+const {
+  queueStatusSync,
+  wakeStatusSyncWorker,
+} = require("./statusSyncService");
+
+// Error codes raised by status transitions
+const TRANSITION_ERROR_CODES = {
+  CASE_NOT_FOUND: "CASE_NOT_FOUND",
+  STATUS_NOT_FOUND: "STATUS_NOT_FOUND",
+  TRANSITION_NOT_ALLOWED: RULE_VIOLATIONS.TRANSITION_NOT_ALLOWED,
+  TRACKING_NUMBER_REQUIRED: RULE_VIOLATIONS.TRACKING_NUMBER_REQUIRED,
+  USER_TYPE_NOT_PERMITTED: RULE_VIOLATIONS.USER_TYPE_NOT_PERMITTED,
+};
+
+// HTTP status for each rule violation
+const VIOLATION_STATUS_CODES = {
+  [RULE_VIOLATIONS.TRANSITION_NOT_ALLOWED]: 409,
+  [RULE_VIOLATIONS.TRACKING_NUMBER_REQUIRED]: 400,
+  [RULE_VIOLATIONS.USER_TYPE_NOT_PERMITTED]: 403,
+};
+
+/**
+ * Error raised when a case cannot be moved to the requested status.
+ * Carries an error code and the HTTP status routes should respond with.
+ */
+class CaseTransitionError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = "CaseTransitionError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Check whether a case may move from its current status to the target status
+ *
+ * @param {Object} options - Transition to check
+ * @param {number|null} options.currentStatusId - Current case_status_code
+ * @param {Object} options.targetStatus - Target dbo.Status row
+ * @param {string} [options.trackingNumber] - Tracking number supplied with the change
+ * @param {number} [options.userTypeId] - UserTypeID of the user making the change
+ * @param {Object} [transaction] - Sequelize transaction (optional)
+ * @returns {Promise<Object>} { allowed: boolean, code: string|null, reason: string|null }
+ */
+async function validateTransition(options, transaction = null) {
+  const { currentStatusId, targetStatus, trackingNumber, userTypeId } = options;
+
+  if (
+    currentStatusId !== null &&
+    Number(currentStatusId) === Number(targetStatus.Status_ID)
+  ) {
+    return {
+      allowed: false,
+      code: TRANSITION_ERROR_CODES.TRANSITION_NOT_ALLOWED,
+      reason: `Case is already in status ${targetStatus.Status_ID}`,
+    };
+  }
+
+  return evaluateTransition(
+    {
+      fromStatusId: currentStatusId,
+      toStatusId: targetStatus.Status_ID,
+      trackingNumber,
+      userTypeId,
+    },
+    transaction,
+  );
+}
+
+/**
+ * Move a case to a new status
+ *
+ * @param {Object} options - Transition options
+ * @param {number} options.caseId - Case ID
+ * @param {number} options.statusId - Target Status_ID
+ * @param {string} [options.trackingNumber] - Ship reference (TRN_SHIP_REF_NUM)
+ * @param {number} [options.carrierId] - ShipCarrierId (defaults to the case's carrier)
+ * @param {string} [options.shipCompany] - Carrier name (TRN_SHIP_COMPANY)
+ * @param {Object} options.user - User making the change ({ userId, userName })
+ * @returns {Promise<Object>} { caseId, fromStatusId, toStatusId, statusName, fulfillmentQueued }
+ * @throws {CaseTransitionError} If the case or status is unknown or the rules refuse the move
+ */
+async function transitionCase(options) {
+  const {
+    caseId,
+    statusId,
+    trackingNumber = null,
+    carrierId = null,
+    shipCompany = null,
+    user,
+  } = options;
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    const cases = await sequelize.query(caseQueries.getCaseStatusForUpdate, {
+      replacements: { caseId },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+      transaction,
+    });
+
+    if (cases.length === 0) {
+      throw new CaseTransitionError(
+        `Case ${caseId} not found`,
+        TRANSITION_ERROR_CODES.CASE_NOT_FOUND,
+        404,
+      );
+    }
+    const currentCase = cases[0];
+
+    const statuses = await sequelize.query(statusQueries.getStatusById, {
+      replacements: { statusId },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+      transaction,
+    });
+
+    if (statuses.length === 0) {
+      throw new CaseTransitionError(
+        `Status ${statusId} not found`,
+        TRANSITION_ERROR_CODES.STATUS_NOT_FOUND,
+      );
+    }
+    const targetStatus = statuses[0];
+
+    const userTypeId = await getUserTypeId(user.userId, transaction);
+
+    const check = await validateTransition(
+      {
+        currentStatusId: currentCase.Case_Status_Code,
+        targetStatus,
+        trackingNumber,
+        userTypeId,
+      },
+      transaction,
+    );
+    if (!check.allowed) {
+      throw new CaseTransitionError(
+        check.reason,
+        check.code,
+        VIOLATION_STATUS_CODES[check.code] || 409,
+      );
+    }
+
+    const shipCarrierId = carrierId || currentCase.ShipCarrierId;
+
+    await sequelize.query(caseQueries.insertStatusTransaction, {
+      replacements: {
+        caseId,
+        employeeId: user.userName,
+        userId: user.userId,
+        statusCode: statusId,
+        shipRefNum: trackingNumber,
+        shipCompany,
+        carrierId: shipCarrierId,
+      },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+
+    // Queued with the transaction so a shipment is never pushed without being recorded
+    const fulfillmentQueued =
+      trackingNumber && (shipCarrierId || shipCompany)
+        ? await queueFulfillment(
+            {
+              caseId,
+              trackingNumber,
+              carrierId: shipCarrierId,
+              shipCompany,
+              userId: user.userId,
+            },
+            transaction,
+          )
+        : false;
+
+    await sequelize.query(caseQueries.updateCaseStatus, {
+      replacements: { caseId, statusCode: statusId },
+      type: sequelize.QueryTypes.UPDATE,
+      transaction,
+    });
+
+    const statusSyncQueued = await queueStatusSync(caseId, transaction);
+
+    await transaction.commit();
+
+    console.log(
+      `Case ${caseId} moved from status ${currentCase.Case_Status_Code} to ${statusId}`,
+    );
+
+    if (fulfillmentQueued) {
+      wakeFulfillmentWorker();
+    }
+    if (statusSyncQueued) {
+      wakeStatusSyncWorker();
+    }
+
+    return {
+      caseId,
+      fromStatusId: currentCase.Case_Status_Code,
+      toStatusId: statusId,
+      statusName: targetStatus.Status_Streamline_Options,
+      fulfillmentQueued,
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  TRANSITION_ERROR_CODES,
+  CaseTransitionError,
+  validateTransition,
+  transitionCase,
+};
@@ -0,0 +1,163 @@
+/**
+ * Case Timeline Service
+ *
+ * Merges everything that happened to a case into one chronological list:
+ * - CaseTransaction status changes
+ * - case_ticket_detail emails (written by createTicket)
+ * - Case_Ticket_Assignment_Log entries
+ * - Shopify order cancellations, edits and refunds (Shopify_Order_Change)
+ */
+
+const { sequelize } = require("../config/database");
+const { caseDetailQueries } = require("../config/queries");
+
+// Timeline event types, in the order simultaneous events are listed
+const TIMELINE_EVENT_TYPES = {
+  STATUS_CHANGE: "status_change",
+  TICKET_EMAIL: "ticket_email",
+  TICKET_ASSIGNMENT: "ticket_assignment",
+  ORDER_CHANGE: "order_change",
+};
+const EVENT_TYPE_ORDER = Object.values(TIMELINE_EVENT_TYPES);
+
+/**
+ * Helper: Build a display name from user name columns
+ */
+const formatUserName = (firstName, lastName, userName, fallback = null) => {
+  const fullName = `${firstName || ""} ${lastName || ""}`.trim();
+  return fullName || userName || fallback || null;
+};
+
+/**
+ * Helper: Run a SELECT for a case
+ */
+const selectForCase = (query, caseId) =>
+  sequelize.query(query, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+/**
+ * Get the merged timeline of a case, oldest event first
+ *
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object[]>} Events: { type, occurredAt, actor, summary, details }
+ */
+async function getCaseTimeline(caseId) {
+  const [transactions, emails, assignments, orderChanges] = await Promise.all(
+    [
+      selectForCase(caseDetailQueries.getTimelineTransactions, caseId),
+      selectForCase(caseDetailQueries.getTimelineTicketEmails, caseId),
+      selectForCase(caseDetailQueries.getTimelineAssignments, caseId),
+      selectForCase(caseDetailQueries.getTimelineOrderChanges, caseId),
+    ],
+  );
+
+  const events = [];
+
+  for (const trn of transactions) {
+    events.push({
+      type: TIMELINE_EVENT_TYPES.STATUS_CHANGE,
+      occurredAt: trn.Case_Date_Record_Created,
+      actor: {
+        userId: trn.UserId,
+        name: formatUserName(
+          trn.UserFName,
+          trn.UserLName,
+          trn.UserName,
+          trn.TRN_EMPLOYEE_ID,
+        ),
+      },
+      summary: `Status changed to ${trn.Status_Streamline_Options || trn.TRN_STATUS_CODE}`,
+      details: {
+        statusId: trn.TRN_STATUS_CODE,
+        statusName: trn.Status_Streamline_Options,
+        trackingNumber: trn.TRN_SHIP_REF_NUM,
+        shipCompany: trn.TRN_SHIP_COMPANY,
+      },
+    });
+  }
+
+  for (const email of emails) {
+    events.push({
+      type: TIMELINE_EVENT_TYPES.TICKET_EMAIL,
+      occurredAt: email.Sent_At,
+      actor: {
+        userId: email.CreatedBy,
+        name: formatUserName(email.UserFName, email.UserLName, email.UserName),
+      },
+      summary: `Ticket ${email.Ticket_Number}: ${email.Subject || email.Action}`,
+      details: {
+        ticketDetailId: email.Case_Ticket_Detail_Id,
+        ticketNumber: email.Ticket_Number,
+        detailNumber: email.Detail_Number,
+        subject: email.Subject,
+        from: email.From_address,
+        to: email.To_Address,
+        templateId: email.Email_Template_Id,
+      },
+    });
+  }
+
+  for (const assignment of assignments) {
+    const assignee = formatUserName(
+      assignment.Assignee_First_Name,
+      assignment.Assignee_Last_Name,
+      assignment.Assignee_UserName,
+      String(assignment.AssignedToUserId),
+    );
+
+    events.push({
+      type: TIMELINE_EVENT_TYPES.TICKET_ASSIGNMENT,
+      occurredAt: assignment.RecordTimeAndDate,
+      actor: {
+        userId: assignment.UserId,
+        name: formatUserName(
+          assignment.UserFName,
+          assignment.UserLName,
+          assignment.UserName,
+        ),
+      },
+      summary: `Ticket ${assignment.Ticket_Number} assigned to ${assignee}`,
+      details: {
+        ticketDetailId: assignment.Case_Ticket_Detail_Id,
+        ticketNumber: assignment.Ticket_Number,
+        assignedToUserId: assignment.AssignedToUserId,
+        assignedToName: assignee,
+      },
+    });
+  }
+
+  for (const change of orderChanges) {
+    events.push({
+      type: TIMELINE_EVENT_TYPES.ORDER_CHANGE,
+      occurredAt: change.Created_At,
+      actor: { userId: null, name: "Shopify" },
+      summary: `Shopify ${change.Topic}`,
+      details: {
+        changeId: change.Change_Id,
+        topic: change.Topic,
+        change: JSON.parse(change.Change_Json),
+        ticketDetailId: change.Ticket_Detail_Id,
+        holdStatusId: change.Hold_Status_ID,
+        message: change.Message,
+      },
+    });
+  }
+
+  // Oldest first; undated events sink to the end
+  return events.sort((a, b) => {
+    const timeA = a.occurredAt ? new Date(a.occurredAt).getTime() : Infinity;
+    const timeB = b.occurredAt ? new Date(b.occurredAt).getTime() : Infinity;
+    if (timeA !== timeB) {
+      return timeA < timeB ? -1 : 1;
+    }
+    return EVENT_TYPE_ORDER.indexOf(a.type) - EVENT_TYPE_ORDER.indexOf(b.type);
+  });
+}
+
+module.exports = {
+  TIMELINE_EVENT_TYPES,
+  getCaseTimeline,
+};
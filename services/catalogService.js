@@ -0,0 +1,282 @@
+/**
+ * Catalog Service
+ *
+ * Product catalog mapping Shopify SKUs and variant IDs to lab products
+ * (dbo.Product_Catalog). Case creation uses it for rush detection, unit
+ * prices, turnaround SLAs and for turning plain Shopify line items into
+ * case items.
+ *
+ * An entry's Shopify_Sku matches a line item SKU exactly, or, with
+ * Sku_Match "contains", any SKU containing it (e.g. the seeded RUSH entry).
+ *
+ * Active entries are cached in memory for CATALOG_CACHE_TTL_MS and the
+ * cache is cleared on every write.
+ */
+
+const { sequelize } = require("../config/database");
+const { catalogQueries } = require("../config/queries");
+const { ARCH_CODES } = require("../utils/skuParser");
+
+const CATALOG_CACHE_TTL_MS = 60 * 1000;
+
+// How an entry's Shopify_Sku is matched against line item SKUs
+const SKU_MATCH_TYPES = {
+  EXACT: "exact",
+  CONTAINS: "contains",
+};
+
+let catalogCache = null;
+let catalogCachedAt = 0;
+
+/**
+ * Helper: Normalize a Shopify global ID (gid://shopify/ProductVariant/123) to its numeric part
+ */
+const normalizeShopifyId = (id) =>
+  id === null || id === undefined || id === ""
+    ? null
+    : String(id).split("/").pop();
+
+/**
+ * Validate a catalog entry from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Current entry when updating (missing fields keep their value)
+ * @returns {Object} { valid: true, entry } or { valid: false, message }
+ */
+function validateCatalogEntry(body, existing = null) {
+  const pick = (field, column) =>
+    body[field] !== undefined ? body[field] : existing ? existing[column] : undefined;
+
+  const entry = {
+    shopifySku: pick("shopifySku", "Shopify_Sku") || null,
+    skuMatch: pick("skuMatch", "Sku_Match") || SKU_MATCH_TYPES.EXACT,
+    shopifyVariantId: normalizeShopifyId(
+      pick("shopifyVariantId", "Shopify_Variant_Id"),
+    ),
+    labProductCode: pick("labProductCode", "Lab_Product_Code") || null,
+    productName: pick("productName", "Product_Name"),
+    defaultArch: pick("defaultArch", "Default_Arch") || null,
+    defaultQty: pick("defaultQty", "Default_Qty"),
+    unitPrice: pick("unitPrice", "Unit_Price"),
+    standardDays: pick("standardDays", "Standard_Days"),
+    rushDays: pick("rushDays", "Rush_Days"),
+    isRush: pick("isRush", "Is_Rush"),
+    isActive: pick("isActive", "Is_Active"),
+  };
+
+  if (!entry.productName || !String(entry.productName).trim()) {
+    return { valid: false, message: "productName is required" };
+  }
+  if (!entry.shopifySku && !entry.shopifyVariantId && !entry.labProductCode) {
+    return {
+      valid: false,
+      message:
+        "At least one of shopifySku, shopifyVariantId or labProductCode is required",
+    };
+  }
+  entry.skuMatch = String(entry.skuMatch).toLowerCase();
+  if (!Object.values(SKU_MATCH_TYPES).includes(entry.skuMatch)) {
+    return {
+      valid: false,
+      message: `skuMatch must be one of: ${Object.values(SKU_MATCH_TYPES).join(", ")}`,
+    };
+  }
+  if (entry.skuMatch === SKU_MATCH_TYPES.CONTAINS && !entry.shopifySku) {
+    return {
+      valid: false,
+      message: "shopifySku is required when skuMatch is contains",
+    };
+  }
+  if (entry.defaultArch) {
+    entry.defaultArch = String(entry.defaultArch).toUpperCase();
+    if (!ARCH_CODES[entry.defaultArch]) {
+      return {
+        valid: false,
+        message: `defaultArch must be one of: ${Object.keys(ARCH_CODES).join(", ")}`,
+      };
+    }
+  }
+
+  entry.defaultQty = entry.defaultQty === undefined ? 1 : Number(entry.defaultQty);
+  if (!Number.isInteger(entry.defaultQty) || entry.defaultQty < 1) {
+    return { valid: false, message: "defaultQty must be a positive integer" };
+  }
+
+  entry.unitPrice = entry.unitPrice === undefined ? 0 : Number(entry.unitPrice);
+  if (!Number.isFinite(entry.unitPrice) || entry.unitPrice < 0) {
+    return { valid: false, message: "unitPrice must be a non-negative number" };
+  }
+
+  // SLAs are optional; null falls back to the case defaults profile
+  for (const field of ["standardDays", "rushDays"]) {
+    if (entry[field] === undefined || entry[field] === null || entry[field] === "") {
+      entry[field] = null;
+      continue;
+    }
+    entry[field] = Number(entry[field]);
+    if (!Number.isInteger(entry[field]) || entry[field] < 1) {
+      return { valid: false, message: `${field} must be a positive integer` };
+    }
+  }
+
+  entry.productName = String(entry.productName).trim().substring(0, 255);
+  entry.shopifySku = entry.shopifySku ? String(entry.shopifySku).trim() : null;
+  entry.labProductCode = entry.labProductCode
+    ? String(entry.labProductCode).trim().toUpperCase()
+    : null;
+  entry.isRush = entry.isRush ? 1 : 0;
+  entry.isActive = entry.isActive === undefined || entry.isActive ? 1 : 0;
+
+  return { valid: true, entry };
+}
+
+/**
+ * List catalog entries
+ *
+ * @param {boolean} [includeInactive=false] - Include deactivated entries
+ * @returns {Promise<Object[]>} Catalog rows
+ */
+async function listCatalogEntries(includeInactive = false) {
+  return sequelize.query(catalogQueries.getCatalogEntries, {
+    replacements: { includeInactive: includeInactive ? 1 : 0 },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+}
+
+/**
+ * Get a catalog entry
+ *
+ * @param {number} catalogId - Catalog ID
+ * @returns {Promise<Object|null>} Catalog row, or null if not found
+ */
+async function getCatalogEntry(catalogId) {
+  const rows = await sequelize.query(catalogQueries.getCatalogEntryById, {
+    replacements: { catalogId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Create a catalog entry
+ *
+ * @param {Object} entry - Validated entry from validateCatalogEntry
+ * @returns {Promise<Object>} Created catalog row
+ */
+async function createCatalogEntry(entry) {
+  const result = await sequelize.query(catalogQueries.insertCatalogEntry, {
+    replacements: entry,
+    type: sequelize.QueryTypes.INSERT,
+  });
+  catalogCache = null;
+  return getCatalogEntry(result[0][0].catalogId);
+}
+
+/**
+ * Update a catalog entry
+ *
+ * @param {number} catalogId - Catalog ID
+ * @param {Object} entry - Validated entry from validateCatalogEntry
+ * @returns {Promise<Object>} Updated catalog row
+ */
+async function updateCatalogEntry(catalogId, entry) {
+  await sequelize.query(catalogQueries.updateCatalogEntry, {
+    replacements: { ...entry, catalogId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  catalogCache = null;
+  return getCatalogEntry(catalogId);
+}
+
+/**
+ * Deactivate a catalog entry
+ *
+ * @param {number} catalogId - Catalog ID
+ */
+async function deactivateCatalogEntry(catalogId) {
+  await sequelize.query(catalogQueries.deactivateCatalogEntry, {
+    replacements: { catalogId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  catalogCache = null;
+}
+
+/**
+ * Load the active catalog (cached)
+ *
+ * @returns {Promise<Object[]>} Active catalog rows
+ */
+async function loadCatalog() {
+  if (catalogCache && Date.now() - catalogCachedAt < CATALOG_CACHE_TTL_MS) {
+    return catalogCache;
+  }
+
+  catalogCache = await listCatalogEntries(false);
+  catalogCachedAt = Date.now();
+  return catalogCache;
+}
+
+/**
+ * Find the catalog entry for a Shopify line item
+ * Variant ID matches take precedence over exact SKU matches, which take
+ * precedence over "contains" SKU matches.
+ *
+ * @param {Object[]} catalog - Catalog rows from loadCatalog
+ * @param {Object} lineItem - { sku, variantId }
+ * @returns {Object|null} Catalog row
+ */
+function findCatalogEntryForLineItem(catalog, { sku, variantId }) {
+  const normalizedVariantId = normalizeShopifyId(variantId);
+
+  return (
+    (normalizedVariantId &&
+      catalog.find(
+        (entry) => entry.Shopify_Variant_Id === normalizedVariantId,
+      )) ||
+    (sku &&
+      (catalog.find(
+        (entry) =>
+          entry.Sku_Match !== SKU_MATCH_TYPES.CONTAINS &&
+          entry.Shopify_Sku === sku,
+      ) ||
+        catalog.find(
+          (entry) =>
+            entry.Sku_Match === SKU_MATCH_TYPES.CONTAINS &&
+            entry.Shopify_Sku &&
+            sku.includes(entry.Shopify_Sku),
+        ))) ||
+    null
+  );
+}
+
+/**
+ * Find the catalog entry for a lab product code
+ *
+ * @param {Object[]} catalog - Catalog rows from loadCatalog
+ * @param {string} productCode - Lab product code
+ * @returns {Object|null} Catalog row
+ */
+function findCatalogEntryByProductCode(catalog, productCode) {
+  return (
+    catalog.find(
+      (entry) =>
+        entry.Lab_Product_Code &&
+        entry.Lab_Product_Code.toUpperCase() === String(productCode).toUpperCase(),
+    ) || null
+  );
+}
+
+module.exports = {
+  SKU_MATCH_TYPES,
+  validateCatalogEntry,
+  listCatalogEntries,
+  getCatalogEntry,
+  createCatalogEntry,
+  updateCatalogEntry,
+  deactivateCatalogEntry,
+  loadCatalog,
+  findCatalogEntryForLineItem,
+  findCatalogEntryByProductCode,
+};
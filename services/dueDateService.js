@@ -0,0 +1,353 @@
+/**
+ * Due Date Service
+ *
+ * Business-day due date calculation for cases:
+ * - Weekends and lab holidays (dbo.Lab_Holiday) are not production days
+ * - Orders received after the cutoff hour (LAB_CUTOFF_HOUR, server time) or
+ *   on a non-business day count as received the next business day
+ * - Turnaround is the longest product SLA on the case (Product_Catalog
+ *   Standard_Days / Rush_Days), falling back to the case defaults profile
+ *
+ * The calculation functions are pure; holidays are loaded separately so
+ * callers can preview without touching the database.
+ */
+
+const { sequelize } = require("../config/database");
+const { caseQueries, holidayQueries } = require("../config/queries");
+const {
+  loadCatalog,
+  findCatalogEntryByProductCode,
+} = require("./catalogService");
+const { findProfileForLab } = require("./caseDefaultsService");
+
+// Constants
+const DEFAULT_CUTOFF_HOUR = 14;
+const HOLIDAY_CACHE_TTL_MS = 60 * 1000;
+const HOLIDAY_LOOKAHEAD_DAYS = 366;
+
+let holidayCache = new Map();
+
+/**
+ * Helper: Local calendar date as YYYY-MM-DD
+ */
+const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Helper: Copy of a date moved by a number of calendar days
+ */
+const addCalendarDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Get the cutoff hour after which orders count as received the next day
+ *
+ * @returns {number} Hour of day (0-23)
+ */
+function getCutoffHour() {
+  const hour = parseInt(process.env.LAB_CUTOFF_HOUR, 10);
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23
+    ? hour
+    : DEFAULT_CUTOFF_HOUR;
+}
+
+/**
+ * Check whether a date is a production day
+ *
+ * @param {Date} date - Date to check
+ * @param {Set<string>} holidays - Holiday dates as YYYY-MM-DD
+ * @returns {boolean} False on weekends and holidays
+ */
+function isBusinessDay(date, holidays) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6 && !holidays.has(toDateKey(date));
+}
+
+/**
+ * Get the next production day on or after a date
+ *
+ * @param {Date} date - Start date
+ * @param {Set<string>} holidays - Holiday dates as YYYY-MM-DD
+ * @returns {Date} First business day on or after date
+ */
+function nextBusinessDay(date, holidays) {
+  let result = new Date(date);
+  while (!isBusinessDay(result, holidays)) {
+    result = addCalendarDays(result, 1);
+  }
+  return result;
+}
+
+/**
+ * Add business days to a date
+ *
+ * @param {Date} date - Start date (expected to be a business day)
+ * @param {number} days - Business days to add
+ * @param {Set<string>} holidays - Holiday dates as YYYY-MM-DD
+ * @returns {Date} Date after the given number of business days
+ */
+function addBusinessDays(date, days, holidays) {
+  let result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result = addCalendarDays(result, 1);
+    if (isBusinessDay(result, holidays)) {
+      remaining--;
+    }
+  }
+  return result;
+}
+
+/**
+ * Work out the business day an order counts as received
+ *
+ * @param {Date} receivedAt - When the order reached the lab
+ * @param {Set<string>} holidays - Holiday dates as YYYY-MM-DD
+ * @returns {Date} Effective received date (start of day)
+ */
+function getEffectiveReceivedDate(receivedAt, holidays) {
+  let date = new Date(receivedAt);
+  date.setHours(0, 0, 0, 0);
+
+  if (new Date(receivedAt).getHours() >= getCutoffHour()) {
+    date = addCalendarDays(date, 1);
+  }
+
+  return nextBusinessDay(date, holidays);
+}
+
+/**
+ * Calculate a case due date
+ *
+ * @param {Object} params
+ * @param {Date} params.receivedAt - When the order reached the lab
+ * @param {boolean} params.isRush - Rush order
+ * @param {Object[]} [params.products] - Catalog rows for the products on the case
+ * @param {Object} params.fallback - { standardDays, rushDays } used when no product has an SLA
+ * @param {Set<string>} params.holidays - Holiday dates as YYYY-MM-DD
+ * @returns {Object} { dueDate, receivedDate, businessDays }
+ */
+function calculateDueDate({
+  receivedAt,
+  isRush,
+  products = [],
+  fallback,
+  holidays,
+}) {
+  const productDays = products
+    .map((product) => (isRush ? product.Rush_Days : product.Standard_Days))
+    .filter((days) => Number.isInteger(days) && days > 0);
+
+  const businessDays =
+    productDays.length > 0
+      ? Math.max(...productDays)
+      : isRush
+        ? fallback.rushDays
+        : fallback.standardDays;
+
+  const receivedDate = getEffectiveReceivedDate(receivedAt, holidays);
+
+  return {
+    dueDate: addBusinessDays(receivedDate, businessDays, holidays),
+    receivedDate,
+    businessDays,
+  };
+}
+
+/**
+ * Load holidays for a lab (cached)
+ * Covers from a month back to HOLIDAY_LOOKAHEAD_DAYS ahead, which is
+ * enough for any turnaround the profiles allow.
+ *
+ * @param {number|null} labId - Lab ID (null for lab-wide holidays only)
+ * @returns {Promise<Set<string>>} Holiday dates as YYYY-MM-DD
+ */
+async function loadHolidays(labId) {
+  const cacheKey = labId === null || labId === undefined ? "all" : labId;
+  const cached = holidayCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt < HOLIDAY_CACHE_TTL_MS) {
+    return cached.dates;
+  }
+
+  const today = new Date();
+  const rows = await listHolidays({
+    fromDate: toDateKey(addCalendarDays(today, -31)),
+    toDate: toDateKey(addCalendarDays(today, HOLIDAY_LOOKAHEAD_DAYS)),
+    labId: cacheKey === "all" ? null : labId,
+  });
+
+  const dates = new Set(rows.map((row) => row.Holiday_Date));
+  holidayCache.set(cacheKey, { dates, loadedAt: Date.now() });
+  return dates;
+}
+
+/**
+ * List holidays in a date range
+ *
+ * @param {Object} params
+ * @param {string} params.fromDate - YYYY-MM-DD
+ * @param {string} params.toDate - YYYY-MM-DD
+ * @param {number|null} [params.labId] - Lab ID; lab-wide holidays are always included
+ * @param {boolean} [params.allLabs=false] - Include every lab's holidays
+ * @returns {Promise<Object[]>} Holiday rows
+ */
+async function listHolidays({ fromDate, toDate, labId = null, allLabs = false }) {
+  return sequelize.query(holidayQueries.getHolidays, {
+    replacements: { fromDate, toDate, labId, allLabs: allLabs ? 1 : 0 },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+}
+
+/**
+ * Get a holiday
+ *
+ * @param {number} holidayId - Holiday ID
+ * @returns {Promise<Object|null>} Holiday row, or null if not found
+ */
+async function getHoliday(holidayId) {
+  const rows = await sequelize.query(holidayQueries.getHolidayById, {
+    replacements: { holidayId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Add a holiday
+ *
+ * @param {Object} holiday - { holidayDate, labId, description }
+ * @param {number} userId - User adding the holiday
+ * @returns {Promise<Object>} Created holiday row
+ */
+async function createHoliday({ holidayDate, labId, description }, userId) {
+  const result = await sequelize.query(holidayQueries.insertHoliday, {
+    replacements: {
+      holidayDate,
+      labId: labId || null,
+      description: description || null,
+      userId,
+    },
+    type: sequelize.QueryTypes.INSERT,
+  });
+  holidayCache = new Map();
+  return getHoliday(result[0][0].holidayId);
+}
+
+/**
+ * Delete a holiday
+ *
+ * @param {number} holidayId - Holiday ID
+ */
+async function deleteHoliday(holidayId) {
+  await sequelize.query(holidayQueries.deleteHoliday, {
+    replacements: { holidayId },
+    type: sequelize.QueryTypes.DELETE,
+  });
+  holidayCache = new Map();
+}
+
+/**
+ * Recalculate the due date of an existing case
+ *
+ * Counts from the case's received date with today's holidays, product SLAs
+ * and the defaults profile for the case's lab.
+ *
+ * @param {number} caseId - Case ID
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Calculate without saving
+ * @returns {Promise<Object|null>} { caseId, previousDueDate, dueDate, receivedDate, businessDays, isRush, updated }, or null if the case does not exist
+ */
+async function recalculateCaseDueDate(caseId, { dryRun = false } = {}) {
+  const rows = await sequelize.query(caseQueries.getCaseForDueDate, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const caseRow = rows[0];
+  const isRush = ["Y", "1"].includes(String(caseRow.IsRushOrder || "").trim());
+  const receivedAt = caseRow.Case_Date_Received
+    ? new Date(caseRow.Case_Date_Received)
+    : new Date();
+
+  const [items, catalog, profile, holidayRows] = await Promise.all([
+    sequelize.query(caseQueries.getCaseItemProducts, {
+      replacements: { caseId },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    }),
+    loadCatalog(),
+    findProfileForLab(caseRow.Case_Lab_ID),
+    // The case may predate the cached holiday window
+    listHolidays({
+      fromDate: toDateKey(receivedAt),
+      toDate: toDateKey(addCalendarDays(receivedAt, HOLIDAY_LOOKAHEAD_DAYS)),
+      labId: caseRow.Case_Lab_ID,
+    }),
+  ]);
+
+  if (!profile) {
+    throw new Error("No case defaults profile available for turnaround");
+  }
+
+  const products = items
+    .map((item) => findCatalogEntryByProductCode(catalog, item.product))
+    .filter(Boolean);
+
+  const { dueDate, receivedDate, businessDays } = calculateDueDate({
+    receivedAt,
+    isRush,
+    products,
+    fallback: {
+      standardDays: profile.Standard_Days,
+      rushDays: profile.Rush_Days,
+    },
+    holidays: new Set(holidayRows.map((row) => row.Holiday_Date)),
+  });
+
+  if (!dryRun) {
+    await sequelize.query(caseQueries.updateCaseDueDate, {
+      // Local date, since the connection does not use UTC
+      replacements: { caseId, dueDate: toDateKey(dueDate) },
+      type: sequelize.QueryTypes.UPDATE,
+    });
+  }
+
+  return {
+    caseId: caseRow.Case_ID,
+    previousDueDate: caseRow.Case_Date_Required_By_DR,
+    dueDate,
+    receivedDate,
+    businessDays,
+    isRush,
+    updated: !dryRun,
+  };
+}
+
+module.exports = {
+  toDateKey,
+  getCutoffHour,
+  isBusinessDay,
+  addBusinessDays,
+  getEffectiveReceivedDate,
+  calculateDueDate,
+  loadHolidays,
+  listHolidays,
+  getHoliday,
+  createHoliday,
+  deleteHoliday,
+  recalculateCaseDueDate,
+};
@@ -0,0 +1,510 @@
+/**
+ * Fulfillment Service
+ *
+ * Pushes shipments back to Shopify so the customer's order shows as
+ * fulfilled with tracking.
+ *
+ * When a status change records a ship reference (TRN_SHIP_REF_NUM) for a
+ * case imported from Shopify, a row is queued in
+ * dbo.Shopify_Fulfillment_Outbox in the same transaction. A single
+ * in-process worker pushes due rows with the fulfillmentCreateV2 mutation,
+ * retries failures with exponential backoff and marks a row failed once
+ * FULFILLMENT_CONFIG.maxAttempts is used up. Failed rows stay in the outbox
+ * until retried manually. A claimed row is leased for
+ * FULFILLMENT_CONFIG.leaseSeconds; rows whose worker stopped mid-push are
+ * claimed again once the lease expires.
+ *
+ * The tracking company comes from dbo.Shopify_Carrier_Map by ShipCarrierId,
+ * falling back to the TRN_SHIP_COMPANY recorded with the shipment.
+ */
+
+const { sequelize } = require("../config/database");
+const { fulfillmentQueries } = require("../config/queries");
+const { executeGraphQLQuery } = require("../utils/shopifyClient");
+const { ShopifyNotFoundError } = require("../utils/shopifyErrors");
+const { ShopifyStoreError, resolveStore } = require("./shopifyStoreService");
+
+// Outbox row states
+const FULFILLMENT_STATUS = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+// Retry and notification configuration
+const FULFILLMENT_CONFIG = {
+  // Pushes attempted before a row is marked failed
+  maxAttempts: 8,
+  // Delay before the first retry; doubles per attempt
+  baseRetryDelaySeconds: 60,
+  maxRetryDelaySeconds: 6 * 60 * 60,
+  // How often the worker looks for rows whose retry is due
+  pollIntervalMs: 30 * 1000,
+  // How long a claimed row is reserved for its worker
+  leaseSeconds: 5 * 60,
+  // Let Shopify email the customer the tracking details
+  notifyCustomer: process.env.SHOPIFY_FULFILLMENT_NOTIFY_CUSTOMER !== "false",
+};
+
+// Fulfillment order states that can still be fulfilled
+const FULFILLABLE_STATUSES = ["OPEN", "IN_PROGRESS"];
+
+const FULFILLMENT_ORDERS_QUERY = `
+  query FulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      id
+      fulfillmentOrders(first: 20) {
+        edges {
+          node {
+            id
+            status
+          }
+        }
+      }
+      fulfillments(first: 50) {
+        id
+        trackingInfo {
+          number
+        }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_CREATE_MUTATION = `
+  mutation FulfillmentCreateV2($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+let workerTimer = null;
+let workerRunning = false;
+let workerStarted = false;
+
+/**
+ * Queue a fulfillment push for a shipped case
+ * Does nothing for cases that were not imported from Shopify or when the
+ * tracking number is already queued.
+ *
+ * @param {Object} shipment
+ * @param {number} shipment.caseId - Case ID
+ * @param {string} shipment.trackingNumber - Ship reference (TRN_SHIP_REF_NUM)
+ * @param {number|null} shipment.carrierId - ShipCarrierId
+ * @param {string|null} shipment.shipCompany - Carrier name (TRN_SHIP_COMPANY)
+ * @param {number} shipment.userId - User recording the shipment
+ * @param {Object} [transaction] - Sequelize transaction of the status change
+ * @returns {Promise<boolean>} True if a push was queued
+ */
+async function queueFulfillment(
+  { caseId, trackingNumber, carrierId, shipCompany, userId },
+  transaction = null,
+) {
+  const result = await sequelize.query(fulfillmentQueries.enqueueFulfillment, {
+    replacements: {
+      caseId,
+      trackingNumber,
+      carrierId: carrierId || null,
+      shipCompany: shipCompany || null,
+      userId,
+    },
+    type: sequelize.QueryTypes.INSERT,
+    transaction,
+  });
+
+  return result[0][0].queued > 0;
+}
+
+/**
+ * Map a shipment's carrier to Shopify tracking info
+ *
+ * @param {Object[]} carrierMappings - dbo.Shopify_Carrier_Map rows
+ * @param {Object} shipment - { trackingNumber, carrierId, shipCompany }
+ * @returns {Object} FulfillmentTrackingInput: { number, company?, url? }
+ */
+function buildTrackingInfo(
+  carrierMappings,
+  { trackingNumber, carrierId, shipCompany },
+) {
+  const mapping = carrierMappings.find(
+    (row) => carrierId && row.Carrier_ID === Number(carrierId),
+  );
+  const trackingInfo = { number: trackingNumber };
+
+  const company = mapping ? mapping.Shopify_Company : shipCompany;
+  if (company) {
+    trackingInfo.company = company;
+  }
+
+  if (mapping && mapping.Tracking_Url_Template) {
+    trackingInfo.url = mapping.Tracking_Url_Template.replace(
+      "{trackingNumber}",
+      encodeURIComponent(trackingNumber),
+    );
+  }
+
+  return trackingInfo;
+}
+
+/**
+ * Create the Shopify fulfillment for an outbox row
+ *
+ * Fulfills every open fulfillment order of the Shopify order. When nothing
+ * is left to fulfill, a fulfillment already carrying the tracking number
+ * counts as done (a retry after a lost response); otherwise the push fails
+ * permanently, so a shipment on an already fulfilled order shows as failed
+ * in the outbox instead of being dropped.
+ *
+ * @param {Object} item - Claimed outbox row
+ * @returns {Promise<Object>} { ok: true, fulfillmentId, message } or { ok: false, permanent, message }
+ */
+async function pushFulfillment(item) {
+  const store = await resolveStore(
+    item.Store_Id ? { storeId: item.Store_Id } : { shopDomain: item.Shop_Domain },
+  );
+  const orderId = `gid://shopify/Order/${item.Shopify_Order_Id}`;
+
+  const response = await executeGraphQLQuery(
+    FULFILLMENT_ORDERS_QUERY,
+    { id: orderId },
+    { store },
+  );
+
+  if (!response.order) {
+    throw new ShopifyNotFoundError(
+      `Order ${item.Shopify_Order_Id} does not exist in Shopify`,
+    );
+  }
+
+  const openFulfillmentOrders = response.order.fulfillmentOrders.edges
+    .map((edge) => edge.node)
+    .filter((node) => FULFILLABLE_STATUSES.includes(node.status));
+
+  if (openFulfillmentOrders.length === 0) {
+    const existing = response.order.fulfillments.find((fulfillment) =>
+      fulfillment.trackingInfo.some(
+        (tracking) => tracking.number === item.Tracking_Number,
+      ),
+    );
+    if (existing) {
+      return { ok: true, fulfillmentId: existing.id, message: null };
+    }
+
+    return {
+      ok: false,
+      permanent: true,
+      message:
+        "Order has no open fulfillment orders; tracking number " +
+        `${item.Tracking_Number} was not pushed to Shopify`,
+    };
+  }
+
+  const carrierMappings = await listCarrierMappings();
+
+  const result = await executeGraphQLQuery(
+    FULFILLMENT_CREATE_MUTATION,
+    {
+      fulfillment: {
+        lineItemsByFulfillmentOrder: openFulfillmentOrders.map((node) => ({
+          fulfillmentOrderId: node.id,
+        })),
+        trackingInfo: buildTrackingInfo(carrierMappings, {
+          trackingNumber: item.Tracking_Number,
+          carrierId: item.Carrier_ID,
+          shipCompany: item.Ship_Company,
+        }),
+        notifyCustomer: FULFILLMENT_CONFIG.notifyCustomer,
+      },
+    },
+    // A resent mutation could fulfill twice; retries go through the outbox
+    { store, idempotent: false },
+  );
+
+  const { fulfillment, userErrors } = result.fulfillmentCreateV2;
+
+  if (userErrors.length > 0) {
+    return {
+      ok: false,
+      permanent: true,
+      message: userErrors.map((error) => error.message).join("; "),
+    };
+  }
+
+  return { ok: true, fulfillmentId: fulfillment.id, message: null };
+}
+
+/**
+ * Seconds to wait before the next attempt of a row
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(
+    FULFILLMENT_CONFIG.maxRetryDelaySeconds,
+    FULFILLMENT_CONFIG.baseRetryDelaySeconds * 2 ** Math.max(0, attempts - 1),
+  );
+}
+
+/**
+ * Claim and push the next due outbox row
+ *
+ * @returns {Promise<boolean>} True if a row was processed
+ */
+async function processNextFulfillment() {
+  const claimed = await sequelize.query(
+    fulfillmentQueries.claimNextFulfillment,
+    {
+      replacements: { leaseSeconds: FULFILLMENT_CONFIG.leaseSeconds },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    },
+  );
+
+  if (claimed.length === 0) {
+    return false;
+  }
+
+  const item = claimed[0];
+  let outcome;
+
+  try {
+    outcome = await pushFulfillment(item);
+  } catch (error) {
+    outcome = {
+      ok: false,
+      // Missing orders and unregistered stores do not fix themselves
+      permanent:
+        error instanceof ShopifyNotFoundError ||
+        error instanceof ShopifyStoreError,
+      message: error.message || "Fulfillment push failed",
+    };
+  }
+
+  const message = outcome.message ? outcome.message.substring(0, 1000) : null;
+
+  if (outcome.ok) {
+    await sequelize.query(fulfillmentQueries.completeFulfillment, {
+      replacements: {
+        outboxId: item.Outbox_Id,
+        fulfillmentId: outcome.fulfillmentId,
+        message,
+      },
+      type: sequelize.QueryTypes.UPDATE,
+    });
+    console.log(
+      `Fulfillment ${item.Outbox_Id} pushed for case ${item.Case_ID} (${item.Tracking_Number})`,
+    );
+  } else if (
+    outcome.permanent ||
+    item.Attempts >= FULFILLMENT_CONFIG.maxAttempts
+  ) {
+    await sequelize.query(fulfillmentQueries.failFulfillment, {
+      replacements: { outboxId: item.Outbox_Id, message },
+      type: sequelize.QueryTypes.UPDATE,
+    });
+    console.error(
+      `Fulfillment ${item.Outbox_Id} for case ${item.Case_ID} failed after ${item.Attempts} attempt(s): ${message}`,
+    );
+  } else {
+    const delaySeconds = getRetryDelaySeconds(item.Attempts);
+    await sequelize.query(fulfillmentQueries.scheduleFulfillmentRetry, {
+      replacements: { outboxId: item.Outbox_Id, delaySeconds, message },
+      type: sequelize.QueryTypes.UPDATE,
+    });
+    console.warn(
+      `Fulfillment ${item.Outbox_Id} for case ${item.Case_ID} failed (${message}); retrying in ${delaySeconds}s`,
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Worker loop: push every due row, then poll again after the poll interval
+ */
+async function runFulfillmentWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  clearTimeout(workerTimer);
+
+  try {
+    while (await processNextFulfillment()) {
+      // Keep draining until no due rows are left
+    }
+  } catch (error) {
+    console.error("Fulfillment worker error:", error);
+  } finally {
+    workerRunning = false;
+    workerTimer = setTimeout(
+      runFulfillmentWorker,
+      FULFILLMENT_CONFIG.pollIntervalMs,
+    );
+  }
+}
+
+/**
+ * Start the worker immediately instead of waiting for the next poll
+ */
+function wakeFulfillmentWorker() {
+  if (workerStarted && !workerRunning) {
+    clearTimeout(workerTimer);
+    setImmediate(runFulfillmentWorker);
+  }
+}
+
+/**
+ * Start the fulfillment worker
+ * Rows left in 'processing' by a previous run are claimed again when their
+ * lease expires; the open fulfillment order check keeps them from being
+ * fulfilled twice.
+ */
+async function startFulfillmentWorker() {
+  if (workerStarted) return;
+
+  workerStarted = true;
+  console.log("Fulfillment worker started");
+  runFulfillmentWorker();
+}
+
+/**
+ * List outbox rows, newest first
+ *
+ * @param {Object} filters
+ * @param {string|null} [filters.status] - Only rows in this state
+ * @param {number|null} [filters.caseId] - Only rows of this case
+ * @param {number} filters.page - Page number (1-based)
+ * @param {number} filters.pageSize - Rows per page
+ * @returns {Promise<Object>} { fulfillments, pagination }
+ */
+async function listFulfillments({
+  status = null,
+  caseId = null,
+  page,
+  pageSize,
+}) {
+  const replacements = { status, caseId };
+
+  const [fulfillments, counts] = await Promise.all([
+    sequelize.query(fulfillmentQueries.getFulfillments, {
+      replacements: {
+        ...replacements,
+        offset: (page - 1) * pageSize,
+        pageSize,
+      },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    }),
+    sequelize.query(fulfillmentQueries.countFulfillments, {
+      replacements,
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    }),
+  ]);
+
+  const total = counts[0].total;
+
+  return {
+    fulfillments,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+}
+
+/**
+ * Get an outbox row
+ *
+ * @param {number} outboxId - Outbox ID
+ * @returns {Promise<Object|null>} Outbox row, or null if not found
+ */
+async function getFulfillment(outboxId) {
+  const rows = await sequelize.query(fulfillmentQueries.getFulfillmentById, {
+    replacements: { outboxId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Queue a pending or failed row for an immediate push with a fresh attempt budget
+ *
+ * @param {number} outboxId - Outbox ID
+ * @returns {Promise<Object>} Updated outbox row
+ */
+async function retryFulfillment(outboxId) {
+  await sequelize.query(fulfillmentQueries.retryFulfillment, {
+    replacements: { outboxId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  wakeFulfillmentWorker();
+  return getFulfillment(outboxId);
+}
+
+/**
+ * List the ShipCarrierId to Shopify tracking company map
+ *
+ * @returns {Promise<Object[]>} dbo.Shopify_Carrier_Map rows
+ */
+async function listCarrierMappings() {
+  return sequelize.query(fulfillmentQueries.getCarrierMappings, {
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+}
+
+/**
+ * Set the Shopify tracking company for a ShipCarrierId
+ *
+ * @param {number} carrierId - ShipCarrierId
+ * @param {Object} mapping - { company, trackingUrlTemplate }
+ */
+async function saveCarrierMapping(carrierId, { company, trackingUrlTemplate }) {
+  await sequelize.query(fulfillmentQueries.upsertCarrierMapping, {
+    replacements: {
+      carrierId,
+      company,
+      trackingUrlTemplate: trackingUrlTemplate || null,
+    },
+  });
+}
+
+/**
+ * Remove the mapping of a ShipCarrierId
+ *
+ * @param {number} carrierId - ShipCarrierId
+ */
+async function deleteCarrierMapping(carrierId) {
+  await sequelize.query(fulfillmentQueries.deleteCarrierMapping, {
+    replacements: { carrierId },
+    type: sequelize.QueryTypes.DELETE,
+  });
+}
+
+module.exports = {
+  FULFILLMENT_STATUS,
+  FULFILLMENT_CONFIG,
+  queueFulfillment,
+  buildTrackingInfo,
+  wakeFulfillmentWorker,
+  startFulfillmentWorker,
+  listFulfillments,
+  getFulfillment,
+  retryFulfillment,
+  listCarrierMappings,
+  saveCarrierMapping,
+  deleteCarrierMapping,
+};
@@ -0,0 +1,260 @@
+/**
+ * Import Job Service
+ *
+ * Background case import jobs persisted in SQL Server.
+ * Jobs are stored in dbo.Case_Import_Job with one dbo.Case_Import_Job_Item
+ * row per order number. A single in-process worker claims pending items one
+ * at a time and imports them through importOrderByNumber, so a restart simply
+ * resumes from the items that were not finished.
+ *
+ * A claim holds a lease of ITEM_LEASE_SECONDS. Items whose worker stopped or
+ * failed mid-import are claimed again once the lease expires, by this or any
+ * other running instance.
+ */
+
+const { sequelize } = require("../config/database");
+const { importJobQueries } = require("../config/queries");
+const { IMPORT_RESULTS, importOrderByNumber } = require("./caseService");
+const { resolveStore } = require("./shopifyStoreService");
+
+// How long the worker sleeps when the queue is empty
+const WORKER_POLL_INTERVAL_MS = 5000;
+// How long a claimed item is reserved for its worker
+const ITEM_LEASE_SECONDS = 10 * 60;
+
+let workerTimer = null;
+let workerRunning = false;
+let workerStarted = false;
+
+/**
+ * Queue an import job
+ *
+ * @param {string[]} orderNumbers - Shopify order numbers (validated by caller)
+ * @param {Object} user - User the cases are created by ({ userId, userName })
+ * @param {number|null} [storeId] - Store to import from (null for the default store)
+ * @returns {Promise<number>} New job ID
+ */
+async function enqueueImportJob(orderNumbers, user, storeId = null) {
+  const transaction = await sequelize.transaction();
+
+  try {
+    const jobResult = await sequelize.query(importJobQueries.insertImportJob, {
+      replacements: {
+        totalItems: orderNumbers.length,
+        userId: user.userId,
+        userName: user.userName,
+        storeId,
+      },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+    const jobId = jobResult[0][0].jobId;
+
+    for (const orderNumber of orderNumbers) {
+      await sequelize.query(importJobQueries.insertImportJobItem, {
+        replacements: { jobId, orderNumber },
+        type: sequelize.QueryTypes.INSERT,
+        transaction,
+      });
+    }
+
+    await transaction.commit();
+
+    console.log(`Import job ${jobId} queued with ${orderNumbers.length} orders`);
+
+    wakeImportWorker();
+    return jobId;
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get an import job with progress and per-item outcomes
+ *
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object|null>} Job document, or null if not found
+ */
+async function getImportJob(jobId) {
+  const jobs = await sequelize.query(importJobQueries.getImportJobById, {
+    replacements: { jobId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const job = jobs[0];
+  const items = await sequelize.query(importJobQueries.getImportJobItems, {
+    replacements: { jobId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  const processed = items.filter((item) => item.Status === "done").length;
+  const results = {};
+  for (const result of Object.values(IMPORT_RESULTS)) {
+    results[result] = items.filter((item) => item.Result === result).length;
+  }
+
+  return {
+    jobId: job.Job_Id,
+    status: job.Status,
+    storeId: job.Store_Id,
+    createdBy: job.Created_By_User_Name,
+    createdAt: job.Created_At,
+    startedAt: job.Started_At,
+    completedAt: job.Completed_At,
+    progress: {
+      total: job.Total_Items,
+      processed,
+      percent: job.Total_Items
+        ? Math.round((processed / job.Total_Items) * 100)
+        : 100,
+      results,
+    },
+    items: items.map((item) => ({
+      orderNumber: item.Order_Number,
+      status: item.Status,
+      result: item.Result,
+      caseId: item.Case_ID,
+      message: item.Message,
+      processedAt: item.Processed_At,
+    })),
+    errors: items
+      .filter(
+        (item) => item.Result && item.Result !== IMPORT_RESULTS.CREATED,
+      )
+      .map((item) => ({
+        orderNumber: item.Order_Number,
+        result: item.Result,
+        message: item.Message,
+      })),
+  };
+}
+
+/**
+ * Claim and import the next pending item
+ *
+ * @returns {Promise<boolean>} True if an item was processed
+ */
+async function processNextItem() {
+  const claimed = await sequelize.query(
+    importJobQueries.claimNextImportJobItem,
+    {
+      replacements: { leaseSeconds: ITEM_LEASE_SECONDS },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    },
+  );
+
+  if (claimed.length === 0) {
+    return false;
+  }
+
+  const item = claimed[0];
+
+  await sequelize.query(importJobQueries.markImportJobStarted, {
+    replacements: { jobId: item.Job_Id },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+
+  const jobs = await sequelize.query(importJobQueries.getImportJobById, {
+    replacements: { jobId: item.Job_Id },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  const job = jobs[0];
+
+  let outcome;
+  try {
+    // Resolved per item so a store deactivated mid-job stops being used
+    const store = await resolveStore({ storeId: job.Store_Id });
+    outcome = await importOrderByNumber(
+      item.Order_Number,
+      {
+        userId: job.Created_By_User_ID,
+        userName: job.Created_By_User_Name,
+      },
+      { store },
+    );
+  } catch (error) {
+    outcome = {
+      result: IMPORT_RESULTS.ERROR,
+      caseId: null,
+      message: error.message,
+    };
+  }
+
+  await sequelize.query(importJobQueries.completeImportJobItem, {
+    replacements: {
+      itemId: item.Item_Id,
+      result: outcome.result,
+      caseId: outcome.caseId,
+      message: outcome.message ? outcome.message.substring(0, 1000) : null,
+    },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+
+  await sequelize.query(importJobQueries.completeImportJobIfFinished, {
+    replacements: { jobId: item.Job_Id },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+
+  return true;
+}
+
+/**
+ * Worker loop: drain the queue, then poll again after WORKER_POLL_INTERVAL_MS
+ */
+async function runImportWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  clearTimeout(workerTimer);
+
+  try {
+    while (await processNextItem()) {
+      // Keep draining until no pending items are left
+    }
+  } catch (error) {
+    console.error("Import worker error:", error);
+  } finally {
+    workerRunning = false;
+    workerTimer = setTimeout(runImportWorker, WORKER_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the worker immediately instead of waiting for the next poll
+ */
+function wakeImportWorker() {
+  if (workerStarted && !workerRunning) {
+    clearTimeout(workerTimer);
+    setImmediate(runImportWorker);
+  }
+}
+
+/**
+ * Start the import worker
+ * Items left in 'processing' by a previous run are claimed again when their
+ * lease expires. Cases created before an interruption are reported as
+ * already imported.
+ */
+async function startImportWorker() {
+  if (workerStarted) return;
+
+  workerStarted = true;
+  console.log("Import job worker started");
+  runImportWorker();
+}
+
+module.exports = {
+  enqueueImportJob,
+  getImportJob,
+  startImportWorker,
+};
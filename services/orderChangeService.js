@@ -0,0 +1,482 @@
+/**
+ * Order Change Service
+ *
+ * Reacts to Shopify orders being cancelled, edited or refunded after their
+ * case was created, so the lab stops working on outdated orders:
+ * - finds the case by Shopify order ID or order number (Case_Patient_Num)
+ * - moves the case to a hold status when SHOPIFY_ORDER_HOLD_STATUS_ID is set
+ * - records the change in dbo.Shopify_Order_Change; for edits this is the
+ *   diff of the note and line items against the snapshot taken at import
+ * - raises an open ticket via createTicket for the responsible staff and
+ *   attaches it to the change
+ *
+ * The change is recorded under the delivery's webhook ID before the ticket
+ * is raised, so a redelivery after a failure raises the missing ticket
+ * instead of a second one.
+ *
+ * orders/updated also fires for changes the lab does not care about (tags,
+ * fulfillments, our own status sync), so an edit is only acted on when the
+ * note or line items differ from the import and from the last edit recorded.
+ */
+
+const { sequelize } = require("../config/database");
+const { orderChangeQueries } = require("../config/queries");
+const { createTicket } = require("./ticketService");
+const { CaseTransitionError, transitionCase } = require("./caseStatusService");
+
+// Webhook topics handled
+const ORDER_CHANGE_TOPICS = {
+  CANCELLED: "orders/cancelled",
+  UPDATED: "orders/updated",
+  REFUND_CREATED: "refunds/create",
+};
+
+// Outcome of handling an order change
+const ORDER_CHANGE_RESULTS = {
+  RECORDED: "recorded",
+  NO_CASE: "no_case",
+  NO_CHANGES: "no_changes",
+  ALREADY_RECORDED: "already_recorded",
+  BASELINE_RECORDED: "baseline_recorded",
+};
+
+// Ticket routing and hold configuration
+const ORDER_CHANGE_CONFIG = {
+  // Status cases are moved to when their order changes (none if unset)
+  holdStatusId: parseInt(process.env.SHOPIFY_ORDER_HOLD_STATUS_ID, 10) || null,
+  // User tickets are assigned to (defaults to the webhook system user)
+  assigneeUserId:
+    parseInt(process.env.SHOPIFY_ORDER_CHANGE_ASSIGNEE_ID, 10) || null,
+  // Address ticket emails go to (defaults to the case's user)
+  notifyAddress: process.env.SHOPIFY_ORDER_CHANGE_EMAIL || null,
+};
+
+/**
+ * Helper: Numeric ID of a Shopify ID ("gid://shopify/LineItem/1" -> "1")
+ */
+const toNumericId = (id) => (id ? String(id).split("/").pop() : null);
+
+/**
+ * Snapshot the note and line items of an order
+ *
+ * Accepts the normalized order used at import (services/orderSources) and
+ * the REST order sent with webhooks. For webhook orders the quantity is the
+ * edited quantity: current_quantity with refunded units added back, since
+ * refunds are handled through refunds/create.
+ *
+ * @param {Object} order - Normalized order or Shopify REST order
+ * @returns {Object} { note, lineItems: [{ id, sku, title, quantity }] }
+ */
+function buildOrderSnapshot(order) {
+  if (order.lineItems) {
+    return {
+      note: order.note || "",
+      lineItems: order.lineItems.map((item) => ({
+        id: toNumericId(item.id),
+        sku: item.sku || "",
+        title: item.title || "",
+        quantity: item.quantity,
+      })),
+    };
+  }
+
+  const refunded = {};
+  for (const refund of order.refunds || []) {
+    for (const refundLine of refund.refund_line_items || []) {
+      const id = String(refundLine.line_item_id);
+      refunded[id] = (refunded[id] || 0) + (refundLine.quantity || 0);
+    }
+  }
+
+  return {
+    note: order.note || "",
+    lineItems: (order.line_items || []).map((item) => ({
+      id: String(item.id),
+      sku: item.sku || "",
+      title: item.title || "",
+      quantity:
+        item.current_quantity !== undefined
+          ? item.current_quantity + (refunded[String(item.id)] || 0)
+          : item.quantity,
+    })),
+  };
+}
+
+/**
+ * Compare two order snapshots
+ * Line items whose quantity drops to 0 are reported as removed.
+ *
+ * @param {Object} before - Snapshot taken at import
+ * @param {Object} after - Current snapshot
+ * @returns {Object|null} { note, lineItems: { added, removed, changed } }, or null if nothing changed
+ */
+function diffOrderSnapshots(before, after) {
+  const beforeItems = new Map(before.lineItems.map((item) => [item.id, item]));
+  const afterItems = new Map(
+    after.lineItems
+      .filter((item) => item.quantity > 0)
+      .map((item) => [item.id, item]),
+  );
+
+  const added = after.lineItems.filter(
+    (item) => item.quantity > 0 && !beforeItems.has(item.id),
+  );
+  const removed = before.lineItems.filter((item) => !afterItems.has(item.id));
+  const changed = before.lineItems
+    .filter(
+      (item) =>
+        afterItems.has(item.id) &&
+        afterItems.get(item.id).quantity !== item.quantity,
+    )
+    .map((item) => ({
+      id: item.id,
+      sku: item.sku,
+      title: item.title,
+      quantityBefore: item.quantity,
+      quantityAfter: afterItems.get(item.id).quantity,
+    }));
+
+  const note =
+    (before.note || "") !== (after.note || "")
+      ? { before: before.note || "", after: after.note || "" }
+      : null;
+
+  if (
+    !note &&
+    added.length === 0 &&
+    removed.length === 0 &&
+    changed.length === 0
+  ) {
+    return null;
+  }
+
+  return { note, lineItems: { added, removed, changed } };
+}
+
+/**
+ * Helper: Describe a line item in ticket text
+ */
+const describeItem = (item) =>
+  `${item.title || "(untitled)"}${item.sku ? ` [${item.sku}]` : ""}`;
+
+/**
+ * Build the change record and ticket text of a cancellation
+ */
+const describeCancellation = (payload) => ({
+  change: {
+    cancelledAt: payload.cancelled_at || null,
+    cancelReason: payload.cancel_reason || null,
+    financialStatus: payload.financial_status || null,
+  },
+  subject: "Shopify order for case @@CASE_ID was cancelled",
+  lines: [
+    `Shopify order ${payload.name || payload.id} was cancelled${payload.cancel_reason ? ` (reason: ${payload.cancel_reason})` : ""}.`,
+    "Please stop work on case @@CASE_ID and confirm with the customer.",
+  ],
+  hold: true,
+});
+
+/**
+ * Build the change record and ticket text of an order edit
+ */
+const describeEdit = (payload, diff) => {
+  const lines = [
+    `Shopify order ${payload.name || payload.id} was edited after case @@CASE_ID was created.`,
+  ];
+
+  diff.lineItems.added.forEach((item) =>
+    lines.push(`Added: ${item.quantity} x ${describeItem(item)}`),
+  );
+  diff.lineItems.removed.forEach((item) =>
+    lines.push(`Removed: ${item.quantity} x ${describeItem(item)}`),
+  );
+  diff.lineItems.changed.forEach((item) =>
+    lines.push(
+      `Quantity changed: ${describeItem(item)} ${item.quantityBefore} -> ${item.quantityAfter}`,
+    ),
+  );
+  if (diff.note) {
+    lines.push(
+      `Note changed from:\n${diff.note.before}\nto:\n${diff.note.after}`,
+    );
+  }
+
+  return {
+    change: diff,
+    subject: "Shopify order for case @@CASE_ID was edited",
+    lines,
+    hold: true,
+  };
+};
+
+/**
+ * Build the change record and ticket text of a refund
+ * Refunds without line items (shipping, goodwill) do not hold the case.
+ */
+const describeRefund = (payload) => {
+  const lineItems = (payload.refund_line_items || []).map((refundLine) => ({
+    id: String(refundLine.line_item_id),
+    sku: refundLine.line_item?.sku || "",
+    title: refundLine.line_item?.title || "",
+    quantity: refundLine.quantity,
+  }));
+  const amount = (payload.transactions || [])
+    .filter((transaction) => transaction.kind === "refund")
+    .reduce((total, transaction) => total + Number(transaction.amount || 0), 0);
+
+  return {
+    change: {
+      refundId: payload.id ? String(payload.id) : null,
+      createdAt: payload.created_at || null,
+      note: payload.note || null,
+      amount,
+      lineItems,
+    },
+    subject: "Shopify order for case @@CASE_ID was refunded",
+    lines: [
+      `A refund of ${amount.toFixed(2)} was issued on the Shopify order of case @@CASE_ID.`,
+      ...lineItems.map(
+        (item) => `Refunded: ${item.quantity} x ${describeItem(item)}`,
+      ),
+      ...(payload.note ? [`Refund note: ${payload.note}`] : []),
+    ],
+    hold: lineItems.length > 0,
+  };
+};
+
+/**
+ * Move a case to the hold status
+ *
+ * @returns {Promise<Object>} { holdStatusId, message }
+ */
+async function holdCase(caseRow, systemUser) {
+  const { holdStatusId } = ORDER_CHANGE_CONFIG;
+
+  if (!holdStatusId || Number(caseRow.Case_Status_Code) === holdStatusId) {
+    return { holdStatusId: null, message: null };
+  }
+
+  try {
+    await transitionCase({
+      caseId: caseRow.Case_ID,
+      statusId: holdStatusId,
+      user: systemUser,
+    });
+    return { holdStatusId, message: null };
+  } catch (error) {
+    if (error instanceof CaseTransitionError) {
+      // The ticket still reaches staff; the rules decide whether a hold is allowed
+      return {
+        holdStatusId: null,
+        message: `Hold not applied: ${error.message}`,
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Handle a cancellation, edit or refund of a Shopify order
+ *
+ * @param {Object} options
+ * @param {string} options.topic - One of ORDER_CHANGE_TOPICS
+ * @param {string} options.webhookId - X-Shopify-Webhook-Id of the delivery
+ * @param {Object} options.payload - Webhook body (REST order or refund)
+ * @param {Object} options.systemUser - User tickets and holds are recorded under ({ userId, userName })
+ * @returns {Promise<Object>} { result, caseId, changeId, ticketDetailId, holdStatusId, message }
+ */
+async function handleOrderChange({ topic, webhookId, payload, systemUser }) {
+  const isRefund = topic === ORDER_CHANGE_TOPICS.REFUND_CREATED;
+  const shopifyOrderId = toNumericId(isRefund ? payload.order_id : payload.id);
+  const orderNumber = !isRefund && payload.name ? String(payload.name) : null;
+
+  const outcome = (result, caseId = null, message = null, extra = {}) => ({
+    result,
+    caseId,
+    changeId: null,
+    ticketDetailId: null,
+    holdStatusId: null,
+    message,
+    ...extra,
+  });
+
+  const cases = await sequelize.query(orderChangeQueries.getCaseForOrder, {
+    replacements: { shopifyOrderId, orderNumber },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  if (cases.length === 0) {
+    return outcome(
+      ORDER_CHANGE_RESULTS.NO_CASE,
+      null,
+      `No case for Shopify order ${orderNumber || shopifyOrderId}`,
+    );
+  }
+  const caseRow = cases[0];
+
+  const [recorded] = webhookId
+    ? await sequelize.query(orderChangeQueries.getOrderChangeByWebhook, {
+        replacements: { webhookId, topic },
+        type: sequelize.QueryTypes.SELECT,
+        raw: true,
+      })
+    : [];
+  if (recorded && recorded.Ticket_Detail_Id) {
+    return outcome(
+      ORDER_CHANGE_RESULTS.ALREADY_RECORDED,
+      caseRow.Case_ID,
+      "This delivery was already recorded",
+      {
+        changeId: recorded.Change_Id,
+        ticketDetailId: recorded.Ticket_Detail_Id,
+        holdStatusId: recorded.Hold_Status_ID,
+      },
+    );
+  }
+
+  let description;
+
+  if (topic === ORDER_CHANGE_TOPICS.CANCELLED) {
+    description = describeCancellation(payload);
+  } else if (isRefund) {
+    description = describeRefund(payload);
+  } else {
+    if (payload.cancelled_at) {
+      return outcome(
+        ORDER_CHANGE_RESULTS.NO_CHANGES,
+        caseRow.Case_ID,
+        "Order is cancelled; handled by orders/cancelled",
+      );
+    }
+
+    const current = buildOrderSnapshot(payload);
+
+    if (!caseRow.Imported_Order_Snapshot) {
+      // Imported before snapshots were kept: compare later edits with this one
+      await sequelize.query(orderChangeQueries.setImportedOrderSnapshot, {
+        replacements: {
+          caseId: caseRow.Case_ID,
+          snapshot: JSON.stringify(current),
+        },
+        type: sequelize.QueryTypes.UPDATE,
+      });
+      return outcome(
+        ORDER_CHANGE_RESULTS.BASELINE_RECORDED,
+        caseRow.Case_ID,
+        "No import snapshot; current order recorded as the baseline",
+      );
+    }
+
+    const diff = diffOrderSnapshots(
+      JSON.parse(caseRow.Imported_Order_Snapshot),
+      current,
+    );
+    if (!diff) {
+      return outcome(ORDER_CHANGE_RESULTS.NO_CHANGES, caseRow.Case_ID);
+    }
+
+    const latest = await sequelize.query(
+      orderChangeQueries.getLatestOrderChange,
+      {
+        replacements: { caseId: caseRow.Case_ID, topic },
+        type: sequelize.QueryTypes.SELECT,
+        raw: true,
+      },
+    );
+    if (
+      !recorded &&
+      latest.length > 0 &&
+      latest[0].Change_Json === JSON.stringify(diff)
+    ) {
+      return outcome(
+        ORDER_CHANGE_RESULTS.ALREADY_RECORDED,
+        caseRow.Case_ID,
+        "The same edit was already recorded",
+      );
+    }
+
+    description = describeEdit(payload, diff);
+  }
+
+  // Held before the ticket so a redelivery after a failure finds the case
+  // already on hold instead of raising a second ticket for nothing
+  const hold = description.hold
+    ? await holdCase(caseRow, systemUser)
+    : { holdStatusId: null, message: null };
+
+  if (hold.holdStatusId) {
+    description.lines.push(
+      `Case @@CASE_ID was put on hold (status ${hold.holdStatusId}).`,
+    );
+  } else if (hold.message) {
+    description.lines.push(hold.message);
+  }
+
+  // Recorded before the ticket so a redelivery finds the change by webhook ID
+  let changeId = recorded ? recorded.Change_Id : null;
+  if (!changeId) {
+    const result = await sequelize.query(orderChangeQueries.insertOrderChange, {
+      replacements: {
+        caseId: caseRow.Case_ID,
+        webhookId,
+        topic,
+        changeJson: JSON.stringify(description.change),
+        holdStatusId: hold.holdStatusId,
+        message: hold.message,
+      },
+      type: sequelize.QueryTypes.INSERT,
+    });
+    changeId = result[0][0].changeId;
+  }
+
+  // The ticket and its link to the change commit together
+  const transaction = await sequelize.transaction();
+  let ticketDetailId;
+  try {
+    ticketDetailId = await createTicket(
+      {
+        caseId: caseRow.Case_ID,
+        userId: systemUser.userId,
+        ticketStatus: "Open",
+        assignedToUserId: ORDER_CHANGE_CONFIG.assigneeUserId,
+        toAddress: ORDER_CHANGE_CONFIG.notifyAddress,
+        subject: description.subject,
+        message: description.lines.join("\n"),
+      },
+      transaction,
+    );
+
+    await sequelize.query(orderChangeQueries.setOrderChangeTicket, {
+      replacements: { changeId, ticketDetailId },
+      type: sequelize.QueryTypes.UPDATE,
+      transaction,
+    });
+
+    await transaction.commit();
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+
+  console.log(
+    `Recorded ${topic} for case ${caseRow.Case_ID} (ticket detail ${ticketDetailId})`,
+  );
+
+  return outcome(ORDER_CHANGE_RESULTS.RECORDED, caseRow.Case_ID, hold.message, {
+    changeId,
+    ticketDetailId,
+    holdStatusId: hold.holdStatusId,
+  });
+}
+
+module.exports = {
+  ORDER_CHANGE_TOPICS,
+  ORDER_CHANGE_RESULTS,
+  ORDER_CHANGE_CONFIG,
+  buildOrderSnapshot,
+  diffOrderSnapshots,
+  handleOrderChange,
+};
@@ -0,0 +1,288 @@
+/**
+ * CSV Order Source
+ *
+ * Normalizes partner order exports: one row per line item, with the rows
+ * of an order grouped by order_number. Order fields (customer, note,
+ * shipping) are read from the first row of each order. Headers are matched
+ * case-insensitively against CSV_COLUMNS; other columns are ignored.
+ *
+ * An order is only normalized when all of its rows are valid, so a case is
+ * never created from part of an order.
+ */
+
+const { parseCsvRecords } = require("../../utils/csvParser");
+const { OrderSourceError } = require("./errors");
+
+const name = "csv";
+
+// Canonical columns of a CSV order export
+const CSV_COLUMNS = [
+  "order_number",
+  "first_name",
+  "last_name",
+  "email",
+  "note",
+  "sku",
+  "title",
+  "quantity",
+  "shipping_method",
+  "tags",
+  "sales_channel",
+  "ship_first_name",
+  "ship_last_name",
+  "ship_company",
+  "ship_address1",
+  "ship_address2",
+  "ship_city",
+  "ship_province",
+  "ship_zip",
+  "ship_country",
+  "ship_phone",
+];
+
+// Columns every export must have
+const REQUIRED_COLUMNS = ["order_number", "email"];
+
+// Order numbers become case IDs
+const ORDER_NUMBER_PATTERN = /^\d+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Helper: Canonical column name of a header ("Order Number" -> "order_number")
+ */
+const toColumnName = (header) =>
+  String(header).trim().toLowerCase().replace(/\s+/g, "_");
+
+/**
+ * Helper: Key a record by canonical column names
+ */
+const canonicalize = (record) => {
+  const row = {};
+  for (const [header, value] of Object.entries(record)) {
+    const column = toColumnName(header);
+    if (CSV_COLUMNS.includes(column)) row[column] = value;
+  }
+  return row;
+};
+
+/**
+ * Helper: Why the first row of an order cannot start an order, or null
+ */
+const validateOrderRow = (row) => {
+  if (!row.email) return "email is required";
+  if (!EMAIL_PATTERN.test(row.email)) return `email "${row.email}" is invalid`;
+  if (!row.first_name && !row.last_name) {
+    return "first_name or last_name is required";
+  }
+  return null;
+};
+
+/**
+ * Helper: Normalized shipping address of a row, or null if it has none
+ */
+const toShippingAddress = (row) =>
+  row.ship_address1
+    ? {
+        firstName: row.ship_first_name || row.first_name || "",
+        lastName: row.ship_last_name || row.last_name || "",
+        company: row.ship_company || "",
+        address1: row.ship_address1,
+        address2: row.ship_address2 || "",
+        city: row.ship_city || "",
+        province: row.ship_province || "",
+        provinceCode: "",
+        zip: row.ship_zip || "",
+        country: row.ship_country || "",
+        countryCode: "",
+        phone: row.ship_phone || "",
+      }
+    : null;
+
+/**
+ * Helper: Normalized order from the first row of an order
+ */
+const toOrder = (row) => ({
+  source: name,
+  externalId: null,
+  orderNumber: row.order_number,
+  customer: {
+    externalId: null,
+    firstName: row.first_name || "",
+    lastName: row.last_name || "",
+    email: row.email || null,
+  },
+  note: row.note || "",
+  tags: (row.tags || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean),
+  salesChannel: row.sales_channel || null,
+  lineItems: [],
+  shippingLines: row.shipping_method
+    ? [{ code: row.shipping_method, title: row.shipping_method }]
+    : [],
+  shippingAddress: toShippingAddress(row),
+  warnings: [],
+});
+
+/**
+ * Build a column mapping from the headers of a file
+ * Headers matching a canonical column (case-insensitively) map to it.
+ *
+ * @param {string[]} headers - Headers of the file
+ * @returns {Object} Canonical column -> header
+ */
+function suggestColumnMapping(headers) {
+  const mapping = {};
+  for (const header of headers) {
+    const column = toColumnName(header);
+    if (CSV_COLUMNS.includes(column) && !mapping[column]) {
+      mapping[column] = header;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Normalize CSV records into orders
+ *
+ * Rows that cannot be read are reported rather than thrown, so callers can
+ * import the rest of the file. The other rows of an order with a rejected
+ * row are rejected too.
+ *
+ * @param {Object[]} records - Records keyed by header (from parseCsvRecords)
+ * @param {Object} [options]
+ * @param {Function} [options.validateRow] - Extra check of a row keyed by column name, returning why it is rejected or null
+ * @returns {Object} { orders, rejected: [{ row, orderNumber, message }] } (row counts the header as row 1)
+ */
+function normalizeRecords(records, { validateRow = () => null } = {}) {
+  const orders = new Map();
+  const orderRows = new Map();
+  const failedOrders = new Set();
+  const rejected = [];
+
+  records.forEach((record, index) => {
+    const row = canonicalize(record);
+    const rowNumber = index + 2;
+    const orderNumber = row.order_number;
+    const reject = (message) =>
+      rejected.push({
+        row: rowNumber,
+        orderNumber: orderNumber || null,
+        message,
+      });
+
+    if (!orderNumber) return reject("order_number is required");
+    if (!ORDER_NUMBER_PATTERN.test(orderNumber)) {
+      return reject("order_number must contain numerals only");
+    }
+
+    // Rows accepted for each order, to reject them if another row fails
+    if (!orderRows.has(orderNumber)) orderRows.set(orderNumber, []);
+    if (failedOrders.has(orderNumber)) {
+      orderRows.get(orderNumber).push(rowNumber);
+      return;
+    }
+
+    const quantity = row.quantity ? Number(row.quantity) : 1;
+    const error =
+      (!Number.isInteger(quantity) || quantity < 1
+        ? "quantity must be a positive whole number"
+        : null) ||
+      validateRow(row) ||
+      // Order fields come from the first row of the order
+      (orders.has(orderNumber) ? null : validateOrderRow(row));
+
+    if (error) {
+      failedOrders.add(orderNumber);
+      return reject(error);
+    }
+    orderRows.get(orderNumber).push(rowNumber);
+
+    if (!orders.has(orderNumber)) orders.set(orderNumber, toOrder(row));
+    if (row.sku || row.title) {
+      const order = orders.get(orderNumber);
+      order.lineItems.push({
+        id: `${orderNumber}-${order.lineItems.length + 1}`,
+        sku: row.sku || "",
+        title: row.title || "",
+        quantity,
+        variantId: null,
+      });
+    }
+  });
+
+  // Drop orders with a rejected row
+  for (const orderNumber of failedOrders) {
+    orders.delete(orderNumber);
+    for (const row of orderRows.get(orderNumber)) {
+      rejected.push({
+        row,
+        orderNumber,
+        message: `Another row of order ${orderNumber} was rejected`,
+      });
+    }
+  }
+  rejected.sort((a, b) => a.row - b.row);
+
+  return { orders: [...orders.values()], rejected };
+}
+
+/**
+ * Parse CSV text and check its header row
+ *
+ * @param {string} csvText - CSV text with a header row
+ * @returns {Object[]} Records keyed by header
+ * @throws {OrderSourceError} If the text is not CSV or misses a required column
+ */
+function readRecords(csvText) {
+  if (typeof csvText !== "string" || !csvText.trim()) {
+    throw new OrderSourceError("CSV orderData must be non-empty CSV text");
+  }
+
+  let parsed;
+  try {
+    parsed = parseCsvRecords(csvText);
+  } catch (error) {
+    throw new OrderSourceError(error.message);
+  }
+
+  const columns = parsed.headers.map(toColumnName);
+  const missing = REQUIRED_COLUMNS.filter(
+    (column) => !columns.includes(column),
+  );
+  if (missing.length > 0) {
+    throw new OrderSourceError(
+      `CSV is missing required column(s): ${missing.join(", ")}`,
+    );
+  }
+
+  return parsed.records;
+}
+
+/**
+ * Normalize the orders in CSV text
+ *
+ * @param {string} csvText - CSV text with a header row
+ * @returns {Object[]} Normalized orders
+ * @throws {OrderSourceError} If the CSV is invalid or any row is rejected
+ */
+function normalizeOrders(csvText) {
+  const { orders, rejected } = normalizeRecords(readRecords(csvText));
+
+  if (rejected.length > 0) {
+    const [first] = rejected;
+    throw new OrderSourceError(`CSV row ${first.row}: ${first.message}`);
+  }
+  return orders;
+}
+
+module.exports = {
+  name,
+  CSV_COLUMNS,
+  REQUIRED_COLUMNS,
+  suggestColumnMapping,
+  normalizeRecords,
+  readRecords,
+  normalizeOrders,
+};
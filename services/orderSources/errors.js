@@ -0,0 +1,33 @@
+/**
+ * Order Source Errors
+ *
+ * Raised by the order source adapters when order data cannot be read.
+ */
+
+// Error codes raised by the order source adapters
+const ORDER_SOURCE_ERROR_CODES = {
+  INVALID_ORDER_SOURCE: "INVALID_ORDER_SOURCE",
+  INVALID_ORDER_DATA: "INVALID_ORDER_DATA",
+};
+
+/**
+ * Error raised when order data cannot be normalized.
+ * Carries an error code and the HTTP status routes should respond with.
+ */
+class OrderSourceError extends Error {
+  constructor(
+    message,
+    code = ORDER_SOURCE_ERROR_CODES.INVALID_ORDER_DATA,
+    statusCode = 400,
+  ) {
+    super(message);
+    this.name = "OrderSourceError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  ORDER_SOURCE_ERROR_CODES,
+  OrderSourceError,
+};
@@ -0,0 +1,101 @@
+/**
+ * Order Sources
+ *
+ * Adapters that turn orders from each sales channel into the normalized
+ * order the case-building pipeline (services/caseService.js) works from, so
+ * every channel creates cases the same way.
+ *
+ * Every adapter exports:
+ * - name: source name accepted by create-case ("shopify", "csv")
+ * - normalizeOrders(payload): normalized orders in the payload, throwing
+ *   OrderSourceError when the payload cannot be read
+ *
+ * Normalized order:
+ * {
+ *   source: "shopify" | "csv",
+ *   externalId: "string" | null,      // ID in the source system (Shopify numeric order ID)
+ *   orderNumber: "string",            // becomes the case ID and Case_Patient_Num
+ *   customer: { externalId, firstName, lastName, email },  // externalId: Shopify customer ID
+ *   note: "string",
+ *   tags: [ "string" ],
+ *   salesChannel: "string" | null,    // matched against case defaults profiles
+ *   lineItems: [ { id, sku, title, quantity, variantId } ],
+ *   shippingLines: [ { code, title } ],
+ *   shippingAddress: { firstName, lastName, company, address1, address2, city, province, provinceCode, zip, country, countryCode, phone } | null,
+ *   warnings: [ { code, message, ... } ]
+ * }
+ */
+
+const { ORDER_SOURCE_ERROR_CODES, OrderSourceError } = require("./errors");
+const shopifySource = require("./shopifySource");
+const csvSource = require("./csvSource");
+
+// Source names accepted by create-case
+const ORDER_SOURCES = {
+  SHOPIFY: shopifySource.name,
+  CSV: csvSource.name,
+};
+
+const ADAPTERS = {
+  [shopifySource.name]: shopifySource,
+  [csvSource.name]: csvSource,
+};
+
+/**
+ * Get the adapter of an order source
+ *
+ * @param {string} source - Source name
+ * @returns {Object} Adapter
+ * @throws {OrderSourceError} If the source is unknown
+ */
+function getOrderSource(source) {
+  const adapter = ADAPTERS[String(source || "").toLowerCase()];
+
+  if (!adapter) {
+    throw new OrderSourceError(
+      `source must be one of: ${Object.keys(ADAPTERS).join(", ")}`,
+      ORDER_SOURCE_ERROR_CODES.INVALID_ORDER_SOURCE,
+    );
+  }
+  return adapter;
+}
+
+/**
+ * Normalize every order in a payload
+ *
+ * @param {string} source - Source name
+ * @param {*} payload - Order data in the source's format
+ * @returns {Object[]} Normalized orders
+ * @throws {OrderSourceError} If the source is unknown or the payload is invalid
+ */
+function normalizeOrders(source, payload) {
+  return getOrderSource(source).normalizeOrders(payload);
+}
+
+/**
+ * Normalize a payload holding exactly one order
+ *
+ * @param {string} source - Source name
+ * @param {*} payload - Order data in the source's format
+ * @returns {Object} Normalized order
+ * @throws {OrderSourceError} If the payload is invalid or does not hold exactly one order
+ */
+function normalizeOrder(source, payload) {
+  const orders = normalizeOrders(source, payload);
+
+  if (orders.length !== 1) {
+    throw new OrderSourceError(
+      `Expected one order but the ${source} data holds ${orders.length}`,
+    );
+  }
+  return orders[0];
+}
+
+module.exports = {
+  ORDER_SOURCES,
+  ORDER_SOURCE_ERROR_CODES,
+  OrderSourceError,
+  getOrderSource,
+  normalizeOrders,
+  normalizeOrder,
+};
@@ -0,0 +1,93 @@
+/**
+ * Shopify Order Source
+ *
+ * Normalizes Shopify orders in the GraphQL shape returned by
+ * utils/shopifyClient.js (connections as { edges: [{ node }] }). Plain
+ * arrays are accepted for lineItems and shippingLines too, as sent by
+ * create-case callers.
+ */
+
+const { OrderSourceError } = require("./errors");
+
+const name = "shopify";
+
+/**
+ * Helper: Nodes of a GraphQL connection or a plain array
+ */
+const toNodes = (connection) =>
+  Array.isArray(connection)
+    ? connection
+    : (connection?.edges || []).map((edge) => edge.node);
+
+/**
+ * Helper: Normalize a Shopify address
+ */
+const normalizeAddress = (address) =>
+  address
+    ? {
+        firstName: address.firstName || "",
+        lastName: address.lastName || "",
+        company: address.company || "",
+        address1: address.address1 || "",
+        address2: address.address2 || "",
+        city: address.city || "",
+        province: address.province || "",
+        provinceCode: address.provinceCode || "",
+        zip: address.zip || "",
+        country: address.country || "",
+        countryCode: address.countryCodeV2 || "",
+        phone: address.phone || "",
+      }
+    : null;
+
+/**
+ * Normalize a Shopify order
+ *
+ * @param {Object} orderData - Shopify order (GraphQL shape)
+ * @returns {Object[]} The normalized order
+ * @throws {OrderSourceError} If orderData is not an order
+ */
+function normalizeOrders(orderData) {
+  if (!orderData || typeof orderData !== "object" || Array.isArray(orderData)) {
+    throw new OrderSourceError("Shopify orderData must be an order object");
+  }
+
+  return [
+    {
+      source: name,
+      // "gid://shopify/Order/123" -> "123"
+      externalId: orderData.id ? String(orderData.id).split("/").pop() : null,
+      orderNumber: orderData.name ? String(orderData.name) : "",
+      customer: {
+        // "gid://shopify/Customer/456" -> "456"
+        externalId: orderData.customer?.id
+          ? String(orderData.customer.id).split("/").pop()
+          : null,
+        firstName: orderData.customer?.firstName || "",
+        lastName: orderData.customer?.lastName || "",
+        email: orderData.customer?.email || orderData.email || null,
+      },
+      note: orderData.note || "",
+      tags: orderData.tags || [],
+      salesChannel: orderData.sourceName || null,
+      lineItems: toNodes(orderData.lineItems).map((item) => ({
+        id: item.id || null,
+        sku: item.sku || "",
+        title: item.title || "",
+        quantity: item.quantity || 1,
+        variantId: item.variant?.id || null,
+      })),
+      shippingLines: toNodes(orderData.shippingLines).map((line) => ({
+        code: line.code || "",
+        title: line.title || "",
+      })),
+      shippingAddress: normalizeAddress(orderData.shippingAddress),
+      warnings: orderData.warnings || [],
+    },
+  ];
+}
+
+module.exports = {
+  name,
+  normalizeOrders,
+};
@@ -0,0 +1,319 @@
+/**
+ * Patient Service
+ *
+ * Links the cases of one patient so repeat orders are recognized at intake.
+ * Patients belong to a customer (the Customer_ID of the case defaults
+ * profile) and an order is matched to a patient by, in order:
+ * 1. Shopify customer ID
+ * 2. email and name together; email alone is not enough, since one email is
+ *    often shared (e.g. a parent ordering for their children)
+ * 3. earlier cases of the customer with the same email and name that are not
+ *    linked to a patient yet (cases from before patients were tracked); they
+ *    are linked to the new patient along with the case
+ * Orders that match nothing start a new patient.
+ *
+ * A case is a repeat order when its patient has earlier cases, and a remake
+ * when it has a product the patient received before. Technicians find the
+ * prior shades through GET /patients/:patientId/cases.
+ */
+
+const { sequelize } = require("../config/database");
+const { patientQueries } = require("../config/queries");
+
+// How an order was matched to its patient
+const PATIENT_MATCH_METHODS = {
+  SHOPIFY_CUSTOMER_ID: "shopify_customer_id",
+  EMAIL_AND_NAME: "email_and_name",
+  CASE_HISTORY: "case_history",
+  NEW: "new",
+};
+
+// Repeat info of a case without earlier cases
+const NOT_REPEAT = {
+  isRepeat: false,
+  isRemake: false,
+  previousCaseId: null,
+  repeatedProducts: [],
+};
+
+/**
+ * Helper: Run a patient query
+ */
+const queryPatients = (sql, replacements, transaction = null) =>
+  sequelize.query(sql, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+    transaction,
+  });
+
+/**
+ * Helper: Patient identity of an order
+ */
+const toIdentity = (order) => {
+  const firstName = (order.customer.firstName || "").trim().substring(0, 255);
+  const lastName = (order.customer.lastName || "").trim().substring(0, 255);
+
+  return {
+    shopifyCustomerId: order.customer.externalId || null,
+    email: order.customer.email
+      ? order.customer.email.trim().toLowerCase().substring(0, 255)
+      : null,
+    firstName,
+    lastName,
+    nameKey: `${firstName} ${lastName}`
+      .replace(/\s+/g, " ")
+      .trim()
+      .toLowerCase(),
+  };
+};
+
+/**
+ * Find the patient of an order
+ *
+ * @param {number} customerId - Customer the case belongs to
+ * @param {Object} identity - From toIdentity
+ * @param {string|number} caseId - Case being created (never matched as an earlier case)
+ * @param {Object} [transaction] - Sequelize transaction (locks the match)
+ * @returns {Promise<Object|null>} { patient, matchedBy }, { patient: null, matchedBy: "case_history", caseIds } for unlinked earlier cases, or null if nothing matches
+ */
+async function findPatient(customerId, identity, caseId, transaction = null) {
+  if (identity.shopifyCustomerId) {
+    const [patient] = await queryPatients(
+      patientQueries.findPatientByShopifyCustomerId,
+      { customerId, shopifyCustomerId: identity.shopifyCustomerId },
+      transaction,
+    );
+    if (patient) {
+      return {
+        patient,
+        matchedBy: PATIENT_MATCH_METHODS.SHOPIFY_CUSTOMER_ID,
+      };
+    }
+  }
+
+  if (!identity.email || !identity.nameKey) return null;
+
+  const [patient] = await queryPatients(
+    patientQueries.findPatientByEmailAndName,
+    { customerId, email: identity.email, nameKey: identity.nameKey },
+    transaction,
+  );
+  if (patient) {
+    return { patient, matchedBy: PATIENT_MATCH_METHODS.EMAIL_AND_NAME };
+  }
+
+  const history = await queryPatients(
+    patientQueries.findUnlinkedCasesByEmailAndName,
+    {
+      customerId,
+      caseId,
+      email: identity.email,
+      firstName: identity.firstName.toLowerCase(),
+      lastName: identity.lastName.toLowerCase(),
+    },
+    transaction,
+  );
+  if (history.length > 0) {
+    return {
+      patient: null,
+      matchedBy: PATIENT_MATCH_METHODS.CASE_HISTORY,
+      caseIds: history.map((row) => row.Case_ID),
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Helper: IDs of the earlier cases of a match, oldest first
+ */
+const getEarlierCaseIds = async (match, transaction = null) => {
+  if (!match) return [];
+  if (!match.patient) return match.caseIds;
+
+  const rows = await queryPatients(
+    patientQueries.getPatientCaseIds,
+    { patientId: match.patient.Patient_Id },
+    transaction,
+  );
+  return rows.map((row) => row.Case_ID);
+};
+
+/**
+ * Work out whether a case repeats a patient's earlier orders
+ *
+ * @param {number[]} caseIds - The patient's earlier cases, oldest first
+ * @param {string[]} products - Lab product codes on the new case
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { isRepeat, isRemake, previousCaseId, repeatedProducts }
+ */
+async function getRepeatInfo(caseIds, products, transaction = null) {
+  if (caseIds.length === 0) return { ...NOT_REPEAT, repeatedProducts: [] };
+
+  const previousProducts = new Set(
+    (
+      await queryPatients(
+        patientQueries.getCaseProducts,
+        { caseIds },
+        transaction,
+      )
+    ).map((row) => row.Product),
+  );
+  const repeatedProducts = [
+    ...new Set(products.filter((product) => previousProducts.has(product))),
+  ];
+
+  return {
+    isRepeat: true,
+    isRemake: repeatedProducts.length > 0,
+    previousCaseId: caseIds[caseIds.length - 1],
+    repeatedProducts,
+  };
+}
+
+/**
+ * Helper: Link a case to a patient
+ */
+const insertPatientCase = (
+  caseId,
+  patientId,
+  matchMethod,
+  repeat,
+  transaction,
+) =>
+  sequelize.query(patientQueries.insertPatientCase, {
+    replacements: {
+      caseId,
+      patientId,
+      matchMethod,
+      isRepeat: repeat.isRepeat ? 1 : 0,
+      isRemake: repeat.isRemake ? 1 : 0,
+      previousCaseId: repeat.previousCaseId,
+    },
+    type: sequelize.QueryTypes.INSERT,
+    transaction,
+  });
+
+/**
+ * Preview the patient an order would be linked to, without writing
+ *
+ * @param {string|number} caseId - Case that would be created
+ * @param {number} customerId - Customer the case belongs to
+ * @param {Object} order - Normalized order (services/orderSources)
+ * @param {string[]} products - Lab product codes on the new case
+ * @returns {Promise<Object>} { patientId, matchedBy, isRepeat, isRemake, previousCaseId, repeatedProducts } (patientId is null when a new patient would be created)
+ */
+async function previewPatientMatch(caseId, customerId, order, products) {
+  const match = await findPatient(customerId, toIdentity(order), caseId);
+
+  return {
+    patientId: match && match.patient ? match.patient.Patient_Id : null,
+    matchedBy: match ? match.matchedBy : PATIENT_MATCH_METHODS.NEW,
+    ...(await getRepeatInfo(await getEarlierCaseIds(match), products)),
+  };
+}
+
+/**
+ * Link a new case to its patient
+ * Matches or creates the patient, fills in identifiers the patient was
+ * missing and records the link with the repeat flags. Earlier cases matched
+ * by email and name are linked to the new patient first, without flags.
+ *
+ * @param {string|number} caseId - Case ID
+ * @param {number} customerId - Customer the case belongs to
+ * @param {Object} order - Normalized order (services/orderSources)
+ * @param {string[]} products - Lab product codes on the new case
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { patientId, matchedBy, isRepeat, isRemake, previousCaseId, repeatedProducts }
+ */
+async function linkCaseToPatient(
+  caseId,
+  customerId,
+  order,
+  products,
+  transaction,
+) {
+  const identity = toIdentity(order);
+  const match = await findPatient(customerId, identity, caseId, transaction);
+
+  let patientId;
+  if (match && match.patient) {
+    patientId = match.patient.Patient_Id;
+
+    if (
+      (identity.shopifyCustomerId && !match.patient.Shopify_Customer_Id) ||
+      (identity.email && !match.patient.Email)
+    ) {
+      await sequelize.query(patientQueries.updatePatientIdentity, {
+        replacements: {
+          patientId,
+          shopifyCustomerId: identity.shopifyCustomerId,
+          email: identity.email,
+        },
+        type: sequelize.QueryTypes.UPDATE,
+        transaction,
+      });
+    }
+  } else {
+    const result = await sequelize.query(patientQueries.insertPatient, {
+      replacements: { customerId, ...identity },
+      type: sequelize.QueryTypes.INSERT,
+      transaction,
+    });
+    patientId = result[0][0].patientId;
+
+    for (const earlierCaseId of match ? match.caseIds : []) {
+      await insertPatientCase(
+        earlierCaseId,
+        patientId,
+        PATIENT_MATCH_METHODS.CASE_HISTORY,
+        NOT_REPEAT,
+        transaction,
+      );
+    }
+  }
+
+  const matchedBy = match ? match.matchedBy : PATIENT_MATCH_METHODS.NEW;
+  const repeat = await getRepeatInfo(
+    await getEarlierCaseIds(match, transaction),
+    products,
+    transaction,
+  );
+  await insertPatientCase(caseId, patientId, matchedBy, repeat, transaction);
+
+  return { patientId, matchedBy, ...repeat };
+}
+
+/**
+ * Get a patient with every linked case and its items
+ *
+ * @param {number} patientId - Patient ID
+ * @returns {Promise<Object|null>} { patient, cases }, or null if the patient does not exist
+ */
+async function getPatientCases(patientId) {
+  const [patient] = await queryPatients(patientQueries.getPatientById, {
+    patientId,
+  });
+  if (!patient) return null;
+
+  const [cases, items] = await Promise.all([
+    queryPatients(patientQueries.getPatientCases, { patientId }),
+    queryPatients(patientQueries.getPatientCaseItems, { patientId }),
+  ]);
+
+  return {
+    patient,
+    cases: cases.map((caseRow) => ({
+      ...caseRow,
+      items: items.filter((item) => item.Case_ID === caseRow.Case_ID),
+    })),
+  };
+}
+
+module.exports = {
+  PATIENT_MATCH_METHODS,
+  previewPatientMatch,
+  linkCaseToPatient,
+  getPatientCases,
+};
@@ -0,0 +1,213 @@
+/**
+ * Reconciliation Service
+ *
+ * Compares the orders of a Shopify store with the lab's cases to find:
+ * - missing cases: paid orders that never became a case
+ * - orphan cases: cases whose order was cancelled, refunded or voided
+ * - financial status mismatches: cases whose order is not (or no longer)
+ *   fully paid, e.g. pending, authorized or partially refunded
+ *
+ * Orders are paged from Shopify by creation date and matched to dbo.[Case]
+ * by Case_Patient_Num, which holds the order name.
+ */
+
+const { sequelize } = require("../config/database");
+const { reportQueries } = require("../config/queries");
+const { executeGraphQLQuery } = require("../utils/shopifyClient");
+
+// Paging limits for the Shopify order scan
+const RECONCILIATION_CONFIG = {
+  pageSize: 100,
+  // The report is marked truncated beyond pageSize * maxPages orders
+  maxPages: 50,
+  // Order numbers per case lookup (SQL Server allows 2100 parameters)
+  lookupBatchSize: 500,
+};
+
+// Orders that are expected to have a case
+const PAID_FINANCIAL_STATUSES = ["PAID", "PARTIALLY_PAID"];
+// Orders whose case should no longer be worked on
+const CLOSED_FINANCIAL_STATUSES = ["REFUNDED", "VOIDED"];
+// The only financial status a case's order is expected to be in
+const EXPECTED_FINANCIAL_STATUS = "PAID";
+
+const ORDERS_PAGE_QUERY = `
+  query ReconciliationOrders($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          id
+          name
+          createdAt
+          cancelledAt
+          displayFinancialStatus
+          displayFulfillmentStatus
+          totalPriceSet {
+            shopMoney {
+              amount
+              currencyCode
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Helper: Day after a YYYY-MM-DD date, as YYYY-MM-DD
+ */
+const nextDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().substring(0, 10);
+};
+
+/**
+ * Page through the orders created in a date range
+ *
+ * @param {Object} store - Store to read from (null for the environment store)
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { orders, truncated }
+ */
+async function fetchOrdersInRange(store, fromDate, toDate) {
+  const search = `status:any created_at:>='${fromDate}' created_at:<'${nextDay(toDate)}'`;
+  const orders = [];
+  let after = null;
+  let pages = 0;
+  let hasNextPage = true;
+
+  while (hasNextPage && pages < RECONCILIATION_CONFIG.maxPages) {
+    const response = await executeGraphQLQuery(
+      ORDERS_PAGE_QUERY,
+      { query: search, first: RECONCILIATION_CONFIG.pageSize, after },
+      { store },
+    );
+    const connection = response.orders;
+
+    orders.push(...connection.edges.map((edge) => edge.node));
+    hasNextPage = connection.pageInfo.hasNextPage;
+    after = connection.pageInfo.endCursor;
+    pages++;
+  }
+
+  return { orders, truncated: hasNextPage };
+}
+
+/**
+ * Load the cases of a list of order numbers
+ *
+ * @param {string[]} orderNumbers - Order names
+ * @returns {Promise<Map>} Case row by Case_Patient_Num
+ */
+async function getCasesByOrderNumber(orderNumbers) {
+  const cases = new Map();
+
+  for (
+    let start = 0;
+    start < orderNumbers.length;
+    start += RECONCILIATION_CONFIG.lookupBatchSize
+  ) {
+    const batch = orderNumbers.slice(
+      start,
+      start + RECONCILIATION_CONFIG.lookupBatchSize,
+    );
+    const rows = await sequelize.query(reportQueries.getCasesByOrderNumbers, {
+      replacements: { orderNumbers: batch },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+    });
+    rows.forEach((row) => cases.set(String(row.Case_Patient_Num), row));
+  }
+
+  return cases;
+}
+
+/**
+ * Helper: Fields reported for every order
+ */
+const formatOrder = (order) => ({
+  orderId: order.id,
+  orderNumber: order.name,
+  createdAt: order.createdAt,
+  cancelledAt: order.cancelledAt,
+  financialStatus: order.displayFinancialStatus,
+  fulfillmentStatus: order.displayFulfillmentStatus,
+  totalPrice: order.totalPriceSet?.shopMoney || null,
+});
+
+/**
+ * Helper: Fields reported for the case of an order
+ */
+const formatCase = (caseRow) => ({
+  caseId: caseRow.Case_ID,
+  caseDateReceived: caseRow.Case_Date_Received,
+  caseStatusId: caseRow.Case_Status_Code,
+  caseStatus: caseRow.Status_Streamline_Options,
+});
+
+/**
+ * Reconcile a store's orders created in a date range with the lab's cases
+ *
+ * @param {Object} options
+ * @param {Object|null} options.store - Store to reconcile (null for the environment store)
+ * @param {string} options.fromDate - First day (YYYY-MM-DD)
+ * @param {string} options.toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} { ordersScanned, truncated, missingCases, orphanCases, financialStatusMismatches }
+ */
+async function reconcileShopifyOrders({ store, fromDate, toDate }) {
+  const { orders, truncated } = await fetchOrdersInRange(
+    store,
+    fromDate,
+    toDate,
+  );
+  const cases = await getCasesByOrderNumber(
+    orders.map((order) => String(order.name)),
+  );
+
+  const missingCases = [];
+  const orphanCases = [];
+  const financialStatusMismatches = [];
+
+  orders.forEach((order) => {
+    const caseRow = cases.get(String(order.name));
+    const financialStatus = order.displayFinancialStatus;
+    const closed =
+      Boolean(order.cancelledAt) ||
+      CLOSED_FINANCIAL_STATUSES.includes(financialStatus);
+
+    if (!caseRow) {
+      if (!closed && PAID_FINANCIAL_STATUSES.includes(financialStatus)) {
+        missingCases.push(formatOrder(order));
+      }
+      return;
+    }
+
+    if (closed) {
+      orphanCases.push({ ...formatOrder(order), ...formatCase(caseRow) });
+    } else if (financialStatus !== EXPECTED_FINANCIAL_STATUS) {
+      financialStatusMismatches.push({
+        ...formatOrder(order),
+        ...formatCase(caseRow),
+      });
+    }
+  });
+
+  return {
+    ordersScanned: orders.length,
+    truncated,
+    missingCases,
+    orphanCases,
+    financialStatusMismatches,
+  };
+}
+
+module.exports = {
+  RECONCILIATION_CONFIG,
+  reconcileShopifyOrders,
+};
@@ -0,0 +1,190 @@
+/**
+ * Ship-To Service
+ *
+ * Gives a case its own ship-to address from the shipping address of its
+ * order, so direct-to-patient shipments go to the real destination.
+ *
+ * Addresses are normalized and validated, then matched per customer in
+ * dbo.Customer_Ship_To_Address (repeat orders to the same destination share
+ * a record). A new address also becomes a customer ship-to record, and its
+ * ID replaces the case defaults profile's ShipToId on the case, so labels,
+ * @@CASECUSTOMERSHIPTO and @@SHIPPINGPHONE all use the order's address.
+ */
+
+const crypto = require("crypto");
+const { sequelize } = require("../config/database");
+const { shipToQueries } = require("../config/queries");
+
+// Country names mapped to ISO codes; two-letter codes are kept as they are
+const COUNTRY_CODES = {
+  "UNITED STATES": "US",
+  "UNITED STATES OF AMERICA": "US",
+  USA: "US",
+  CANADA: "CA",
+};
+
+// Postal code formats checked per country (after normalization)
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] \d[A-Z]\d$/,
+};
+
+// Warning added to a case plan when the order's address cannot be used
+const SHIP_TO_WARNING_CODES = {
+  INVALID_SHIPPING_ADDRESS: "INVALID_SHIPPING_ADDRESS",
+};
+
+// Countries whose addresses need a state or province
+const STATE_REQUIRED_COUNTRIES = ["US", "CA"];
+
+// Column sizes of dbo.Customer_Ship_To_Address
+const FIELD_LENGTHS = {
+  name: 255,
+  company: 255,
+  address1: 255,
+  address2: 255,
+  city: 100,
+  state: 100,
+  zip: 20,
+  country: 100,
+  phone: 50,
+};
+
+/**
+ * Helper: Trim a value and collapse inner whitespace
+ */
+const clean = (value) =>
+  String(value ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Helper: ISO code of a country name or code, or the cleaned name
+ */
+const toCountryCode = (country) => {
+  const value = clean(country).toUpperCase();
+  if (/^[A-Z]{2}$/.test(value)) return value;
+  return COUNTRY_CODES[value.replace(/\./g, "")] || clean(country);
+};
+
+/**
+ * Normalize and validate a shipping address
+ *
+ * @param {Object} shippingAddress - Normalized order shipping address (services/orderSources)
+ * @returns {Object} { address, errors } - address has name, company, address1, address2, city, state, zip, country, phone; errors is empty when the address can be used
+ */
+function normalizeShippingAddress(shippingAddress) {
+  const country = toCountryCode(
+    shippingAddress.countryCode || shippingAddress.country,
+  );
+
+  let state = clean(shippingAddress.provinceCode || shippingAddress.province);
+  if (state.length === 2) state = state.toUpperCase();
+
+  let zip = clean(shippingAddress.zip).toUpperCase();
+  if (country === "CA") {
+    zip = zip.replace(/^([A-Z]\d[A-Z]) ?(\d[A-Z]\d)$/, "$1 $2");
+  }
+
+  const company = clean(shippingAddress.company);
+  const fullName = clean(
+    `${shippingAddress.firstName || ""} ${shippingAddress.lastName || ""}`,
+  );
+  const address = {
+    name: fullName || company,
+    company,
+    address1: clean(shippingAddress.address1),
+    address2: clean(shippingAddress.address2),
+    city: clean(shippingAddress.city),
+    state,
+    zip,
+    country,
+    phone: clean(shippingAddress.phone),
+  };
+
+  const errors = [];
+  for (const field of ["name", "address1", "city", "zip", "country"]) {
+    if (!address[field]) errors.push(`${field} is required`);
+  }
+  if (STATE_REQUIRED_COUNTRIES.includes(country) && !state) {
+    errors.push("state is required");
+  }
+  const postalCodePattern = POSTAL_CODE_PATTERNS[country];
+  if (zip && postalCodePattern && !postalCodePattern.test(zip)) {
+    errors.push(`zip "${zip}" is not a valid ${country} postal code`);
+  }
+  for (const [field, length] of Object.entries(FIELD_LENGTHS)) {
+    if (address[field].length > length) {
+      errors.push(`${field} is longer than ${length} characters`);
+    }
+  }
+
+  return { address, errors };
+}
+
+/**
+ * Helper: Match key of a normalized address (phone is not part of it)
+ */
+const hashAddress = (address) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      [
+        address.name,
+        address.company,
+        address.address1,
+        address.address2,
+        address.city,
+        address.state,
+        address.zip,
+        address.country,
+      ]
+        .join("|")
+        .toLowerCase(),
+    )
+    .digest("hex");
+
+/**
+ * Match the customer ship-to record for an address
+ * Reuses the customer's existing record for the address, or creates one.
+ *
+ * @param {number} customerId - Customer the case belongs to
+ * @param {Object} address - Address from normalizeShippingAddress (without errors)
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { shipToId, shipToAddressId, created }
+ */
+async function matchCustomerShipTo(customerId, address, transaction) {
+  const [match] = await sequelize.query(
+    shipToQueries.matchOrInsertShipToAddress,
+    {
+      replacements: {
+        customerId,
+        addressHash: hashAddress(address),
+        name: address.name,
+        company: address.company || null,
+        address1: address.address1,
+        address2: address.address2 || null,
+        city: address.city,
+        state: address.state || null,
+        zip: address.zip,
+        country: address.country,
+        phone: address.phone || null,
+      },
+      type: sequelize.QueryTypes.SELECT,
+      raw: true,
+      transaction,
+    },
+  );
+
+  return {
+    shipToId: match.shipToId,
+    shipToAddressId: match.shipToAddressId,
+    created: Boolean(match.created),
+  };
+}
+
+module.exports = {
+  SHIP_TO_WARNING_CODES,
+  normalizeShippingAddress,
+  matchCustomerShipTo,
+};
@@ -0,0 +1,310 @@
+/**
+ * Shopify Store Service
+ *
+ * Registry of the Shopify stores orders are imported from
+ * (dbo.Shopify_Store). Access tokens and webhook secrets are stored
+ * encrypted (utils/tokenCrypto.js) and are only decrypted to build the
+ * store object handed to utils/shopifyClient.js; they are never returned by
+ * the list/get functions.
+ *
+ * Stores are resolved by ID or shop domain. Without either, the store marked
+ * Is_Default is used, then the store configured in the environment
+ * (SHOPIFY_SHOP_URL / SHOPIFY_ACCESS_TOKEN), so single-store setups keep
+ * working without a registry entry.
+ *
+ * Active stores are cached in memory for STORE_CACHE_TTL_MS and the cache is
+ * cleared on every write.
+ */
+
+const { sequelize } = require("../config/database");
+const { storeQueries } = require("../config/queries");
+const { encryptSecret, decryptSecret } = require("../utils/tokenCrypto");
+const {
+  DEFAULT_API_VERSION,
+  normalizeShopDomain,
+  getEnvironmentStore,
+} = require("../utils/shopifyClient");
+
+// Constants
+const STORE_CACHE_TTL_MS = 60 * 1000;
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*(\.[a-z0-9-]+)+$/;
+const API_VERSION_PATTERN = /^(\d{4}-\d{2}|unstable)$/;
+const STORE_ERROR_CODES = {
+  STORE_NOT_FOUND: "STORE_NOT_FOUND",
+};
+
+let storeCache = null;
+let storeCachedAt = 0;
+
+/**
+ * Error raised when a requested store cannot be resolved
+ */
+class ShopifyStoreError extends Error {
+  constructor(message, code = STORE_ERROR_CODES.STORE_NOT_FOUND, statusCode = 404) {
+    super(message);
+    this.name = "ShopifyStoreError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate a Shopify store from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Current store when updating (missing fields keep their value)
+ * @returns {Object} { valid: true, store } or { valid: false, message }
+ */
+function validateStore(body, existing = null) {
+  const pick = (field, column) =>
+    body[field] !== undefined ? body[field] : existing ? existing[column] : undefined;
+
+  const store = {
+    shopDomain: normalizeShopDomain(pick("shopDomain", "Shop_Domain")),
+    displayName: pick("displayName", "Display_Name") || null,
+    apiVersion: pick("apiVersion", "Api_Version") || DEFAULT_API_VERSION,
+    isDefault: pick("isDefault", "Is_Default"),
+    isActive: pick("isActive", "Is_Active"),
+    // Secrets are never read back, so only the body can set them
+    accessToken: body.accessToken || null,
+    webhookSecret: body.webhookSecret || null,
+  };
+
+  if (!store.shopDomain || !SHOP_DOMAIN_PATTERN.test(store.shopDomain)) {
+    return {
+      valid: false,
+      message: "shopDomain must be a host name such as store.myshopify.com",
+    };
+  }
+
+  if (!existing && !store.accessToken) {
+    return { valid: false, message: "accessToken is required" };
+  }
+
+  if (!API_VERSION_PATTERN.test(String(store.apiVersion))) {
+    return {
+      valid: false,
+      message: 'apiVersion must look like "2024-01" or be "unstable"',
+    };
+  }
+
+  store.displayName = store.displayName
+    ? String(store.displayName).trim().substring(0, 100)
+    : null;
+  store.accessToken = store.accessToken ? String(store.accessToken).trim() : null;
+  store.webhookSecret = store.webhookSecret
+    ? String(store.webhookSecret).trim()
+    : null;
+  store.isActive = store.isActive === undefined || store.isActive ? 1 : 0;
+  // An inactive store can never be the default
+  store.isDefault = store.isDefault && store.isActive ? 1 : 0;
+
+  return { valid: true, store };
+}
+
+/**
+ * List Shopify stores (without secrets)
+ *
+ * @param {boolean} [includeInactive=false] - Include deactivated stores
+ * @returns {Promise<Object[]>} Store rows
+ */
+async function listStores(includeInactive = false) {
+  return sequelize.query(storeQueries.getStores, {
+    replacements: { includeInactive: includeInactive ? 1 : 0 },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+}
+
+/**
+ * Get a Shopify store (without secrets)
+ *
+ * @param {number} storeId - Store ID
+ * @returns {Promise<Object|null>} Store row, or null if not found
+ */
+async function getStore(storeId) {
+  const rows = await sequelize.query(storeQueries.getStoreById, {
+    replacements: { storeId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Insert or update a store, keeping a single default store
+ *
+ * @param {number|null} storeId - Store ID to update, or null to insert
+ * @param {Object} store - Validated store from validateStore
+ * @returns {Promise<number>} Store ID
+ */
+async function saveStore(storeId, store) {
+  const replacements = {
+    shopDomain: store.shopDomain,
+    displayName: store.displayName,
+    accessTokenEncrypted: store.accessToken
+      ? encryptSecret(store.accessToken)
+      : null,
+    webhookSecretEncrypted: store.webhookSecret
+      ? encryptSecret(store.webhookSecret)
+      : null,
+    apiVersion: store.apiVersion,
+    isDefault: store.isDefault,
+    isActive: store.isActive,
+  };
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    let savedId = storeId;
+
+    if (savedId) {
+      await sequelize.query(storeQueries.updateStore, {
+        replacements: { ...replacements, storeId: savedId },
+        type: sequelize.QueryTypes.UPDATE,
+        transaction,
+      });
+    } else {
+      const result = await sequelize.query(storeQueries.insertStore, {
+        replacements,
+        type: sequelize.QueryTypes.INSERT,
+        transaction,
+      });
+      savedId = result[0][0].storeId;
+    }
+
+    if (store.isDefault) {
+      await sequelize.query(storeQueries.clearDefaultStore, {
+        replacements: { storeId: savedId },
+        type: sequelize.QueryTypes.UPDATE,
+        transaction,
+      });
+    }
+
+    await transaction.commit();
+    storeCache = null;
+    return savedId;
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Register a Shopify store
+ *
+ * @param {Object} store - Validated store from validateStore
+ * @returns {Promise<Object>} Created store row (without secrets)
+ */
+async function createStore(store) {
+  return getStore(await saveStore(null, store));
+}
+
+/**
+ * Update a Shopify store
+ *
+ * @param {number} storeId - Store ID
+ * @param {Object} store - Validated store from validateStore
+ * @returns {Promise<Object>} Updated store row (without secrets)
+ */
+async function updateStore(storeId, store) {
+  await saveStore(storeId, store);
+  return getStore(storeId);
+}
+
+/**
+ * Deactivate a Shopify store
+ *
+ * @param {number} storeId - Store ID
+ */
+async function deactivateStore(storeId) {
+  await sequelize.query(storeQueries.deactivateStore, {
+    replacements: { storeId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  storeCache = null;
+}
+
+/**
+ * Load the active stores with their encrypted credentials (cached)
+ *
+ * @returns {Promise<Object[]>} Store credential rows
+ */
+async function loadStoreCredentials() {
+  if (storeCache && Date.now() - storeCachedAt < STORE_CACHE_TTL_MS) {
+    return storeCache;
+  }
+
+  storeCache = await sequelize.query(storeQueries.getActiveStoreCredentials, {
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  storeCachedAt = Date.now();
+  return storeCache;
+}
+
+/**
+ * Helper: Decrypt a credential row into the store object the client expects
+ */
+const toClientStore = (row) => ({
+  storeId: row.Store_Id,
+  shopDomain: row.Shop_Domain,
+  displayName: row.Display_Name,
+  accessToken: decryptSecret(row.Access_Token_Encrypted),
+  apiVersion: row.Api_Version,
+  webhookSecret: row.Webhook_Secret_Encrypted
+    ? decryptSecret(row.Webhook_Secret_Encrypted)
+    : null,
+});
+
+/**
+ * Resolve the store to talk to
+ *
+ * @param {Object} [criteria]
+ * @param {number} [criteria.storeId] - Registered store ID
+ * @param {string} [criteria.shopDomain] - Shop domain (registered or the environment store)
+ * @returns {Promise<Object|null>} { storeId, shopDomain, displayName, accessToken, apiVersion, webhookSecret }, or null if no store is configured at all
+ * @throws {ShopifyStoreError} If the requested store is unknown or inactive
+ */
+async function resolveStore({ storeId = null, shopDomain = null } = {}) {
+  const stores = await loadStoreCredentials();
+
+  if (storeId) {
+    const row = stores.find((store) => store.Store_Id === Number(storeId));
+    if (!row) {
+      throw new ShopifyStoreError(`Shopify store ${storeId} not found or inactive`);
+    }
+    return toClientStore(row);
+  }
+
+  const environmentStore = getEnvironmentStore();
+
+  if (shopDomain) {
+    const domain = normalizeShopDomain(shopDomain);
+    const row = stores.find((store) => store.Shop_Domain === domain);
+    if (row) {
+      return toClientStore(row);
+    }
+    if (environmentStore && environmentStore.shopDomain === domain) {
+      return environmentStore;
+    }
+    throw new ShopifyStoreError(`Shopify store ${domain} is not registered`);
+  }
+
+  const defaultRow = stores.find((store) => store.Is_Default);
+  return defaultRow ? toClientStore(defaultRow) : environmentStore;
+}
+
+module.exports = {
+  STORE_ERROR_CODES,
+  ShopifyStoreError,
+  validateStore,
+  listStores,
+  getStore,
+  createStore,
+  updateStore,
+  deactivateStore,
+  resolveStore,
+};
@@ -0,0 +1,352 @@
+/**
+ * Status Rule Service
+ *
+ * Rule engine for case status transitions, backed by dbo.Status_Transition_Rule.
+ *
+ * Rules guard the status they lead to (To_Status_ID):
+ * - A status with no active rules may be entered from any status
+ * - Once rules exist, the status may only be entered from the statuses
+ *   they list, by Status_ID or by StatusGroupId
+ * - A rule for the exact from-status takes precedence over a group rule
+ * - A rule may require a tracking number and/or a specific user type
+ *
+ * The default rules are seeded by config/schema.js; admins maintain them
+ * through the /status/transition-rules endpoints.
+ */
+
+const { sequelize } = require("../config/database");
+const { statusQueries } = require("../config/queries");
+
+// Reasons a transition can be refused
+const RULE_VIOLATIONS = {
+  TRANSITION_NOT_ALLOWED: "TRANSITION_NOT_ALLOWED",
+  TRACKING_NUMBER_REQUIRED: "TRACKING_NUMBER_REQUIRED",
+  USER_TYPE_NOT_PERMITTED: "USER_TYPE_NOT_PERMITTED",
+};
+
+const NUMERIC_PATTERN = /^\d+$/;
+
+/**
+ * Helper: Check a nullable ID column is set
+ */
+const isSet = (value) => value !== null && value !== undefined;
+
+/**
+ * Helper: Run a status query
+ */
+const queryStatuses = (sql, replacements = {}, transaction = null) =>
+  sequelize.query(sql, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+    transaction,
+  });
+
+/**
+ * Find the rule that lets a status be entered from another
+ *
+ * @param {Object[]} rules - Active rules entering the target status
+ * @param {Object|null} fromStatus - Current status ({ Status_ID, StatusGroupId })
+ * @returns {Object|null} Matching rule, or null if none lists the current status
+ */
+function findMatchingRule(rules, fromStatus) {
+  if (!fromStatus) return null;
+
+  return (
+    rules.find(
+      (rule) =>
+        isSet(rule.From_Status_ID) &&
+        Number(rule.From_Status_ID) === Number(fromStatus.Status_ID),
+    ) ||
+    rules.find(
+      (rule) =>
+        isSet(rule.From_StatusGroupId) &&
+        isSet(fromStatus.StatusGroupId) &&
+        Number(rule.From_StatusGroupId) === Number(fromStatus.StatusGroupId),
+    ) ||
+    null
+  );
+}
+
+/**
+ * Helper: Check a user type satisfies a rule
+ */
+const userTypePermitted = (rule, userTypeId) =>
+  !isSet(rule.Required_UserTypeID) ||
+  Number(rule.Required_UserTypeID) === Number(userTypeId);
+
+/**
+ * Evaluate a transition against the rules
+ *
+ * @param {Object} options - Transition to check
+ * @param {number|null} options.fromStatusId - Current Status_ID
+ * @param {number} options.toStatusId - Target Status_ID
+ * @param {string} [options.trackingNumber] - Tracking number supplied with the change
+ * @param {number} [options.userTypeId] - UserTypeID of the user making the change
+ * @param {Object} [transaction] - Sequelize transaction (optional)
+ * @returns {Promise<Object>} { allowed, code, reason }
+ */
+async function evaluateTransition(options, transaction = null) {
+  const { fromStatusId, toStatusId, trackingNumber = null, userTypeId = null } =
+    options;
+
+  const rules = await queryStatuses(
+    statusQueries.getTransitionRulesToStatus,
+    { statusId: toStatusId },
+    transaction,
+  );
+
+  if (rules.length === 0) {
+    return { allowed: true, code: null, reason: null };
+  }
+
+  const [fromStatus] = isSet(fromStatusId)
+    ? await queryStatuses(
+        statusQueries.getStatusWithGroup,
+        { statusId: fromStatusId },
+        transaction,
+      )
+    : [];
+  const rule = findMatchingRule(rules, fromStatus || null);
+
+  if (!rule) {
+    return {
+      allowed: false,
+      code: RULE_VIOLATIONS.TRANSITION_NOT_ALLOWED,
+      reason: `Status ${toStatusId} is not an allowed next status after ${fromStatusId}`,
+    };
+  }
+
+  if (rule.Requires_Tracking_Number && !trackingNumber) {
+    return {
+      allowed: false,
+      code: RULE_VIOLATIONS.TRACKING_NUMBER_REQUIRED,
+      reason: `A tracking number is required to move to status ${toStatusId}`,
+    };
+  }
+
+  if (!userTypePermitted(rule, userTypeId)) {
+    return {
+      allowed: false,
+      code: RULE_VIOLATIONS.USER_TYPE_NOT_PERMITTED,
+      reason: `Only user type ${rule.Required_UserTypeID} may move a case to status ${toStatusId}`,
+    };
+  }
+
+  return { allowed: true, code: null, reason: null };
+}
+
+/**
+ * List the statuses a case may move to next
+ *
+ * @param {number} fromStatusId - Current Status_ID
+ * @param {number} [userTypeId] - When given, drops statuses this user type may not set
+ * @returns {Promise<Object>} { restricted, statuses } (restricted: some statuses are left out)
+ */
+async function getNextStatuses(fromStatusId, userTypeId = null) {
+  const [statuses, rules] = await Promise.all([
+    queryStatuses(statusQueries.getStatusesWithGroup),
+    queryStatuses(statusQueries.getTransitionRules, { includeInactive: 0 }),
+  ]);
+
+  const fromStatus = statuses.find(
+    (status) => Number(status.Status_ID) === Number(fromStatusId),
+  );
+  const candidates = statuses.filter((status) => status !== fromStatus);
+
+  const nextStatuses = [];
+  for (const status of candidates) {
+    const entryRules = rules.filter(
+      (rule) => Number(rule.To_Status_ID) === Number(status.Status_ID),
+    );
+    const rule =
+      entryRules.length > 0
+        ? findMatchingRule(entryRules, fromStatus || null)
+        : null;
+
+    if (entryRules.length > 0 && !rule) continue;
+    if (rule && userTypeId !== null && !userTypePermitted(rule, userTypeId)) {
+      continue;
+    }
+
+    nextStatuses.push({
+      ...status,
+      requiresTrackingNumber: Boolean(rule && rule.Requires_Tracking_Number),
+      requiredUserTypeId: rule ? rule.Required_UserTypeID : null,
+    });
+  }
+
+  return {
+    restricted: nextStatuses.length < candidates.length,
+    statuses: nextStatuses,
+  };
+}
+
+/**
+ * Validate a transition rule from a request body
+ *
+ * @param {Object} body - Request body
+ * @param {Object} [existing] - Current rule when updating (missing fields keep their value)
+ * @returns {Object} { valid: true, rule } or { valid: false, message }
+ */
+function validateTransitionRule(body, existing = null) {
+  const pick = (field, column) =>
+    body[field] !== undefined ? body[field] : existing ? existing[column] : undefined;
+
+  const rule = {
+    fromStatusId: pick("fromStatusId", "From_Status_ID"),
+    fromStatusGroupId: pick("fromStatusGroupId", "From_StatusGroupId"),
+    toStatusId: pick("toStatusId", "To_Status_ID"),
+    requiresTrackingNumber: pick(
+      "requiresTrackingNumber",
+      "Requires_Tracking_Number",
+    ),
+    requiredUserTypeId: pick("requiredUserTypeId", "Required_UserTypeID"),
+    isActive: pick("isActive", "Is_Active"),
+  };
+
+  for (const field of [
+    "fromStatusId",
+    "fromStatusGroupId",
+    "toStatusId",
+    "requiredUserTypeId",
+  ]) {
+    if (rule[field] === undefined || rule[field] === null || rule[field] === "") {
+      rule[field] = null;
+      continue;
+    }
+    if (!NUMERIC_PATTERN.test(String(rule[field]))) {
+      return { valid: false, message: `${field} must contain numerals only` };
+    }
+    rule[field] = parseInt(rule[field], 10);
+  }
+
+  if (rule.toStatusId === null) {
+    return { valid: false, message: "toStatusId is required" };
+  }
+  if ((rule.fromStatusId === null) === (rule.fromStatusGroupId === null)) {
+    return {
+      valid: false,
+      message: "Exactly one of fromStatusId or fromStatusGroupId is required",
+    };
+  }
+  if (rule.fromStatusId === rule.toStatusId) {
+    return {
+      valid: false,
+      message: "fromStatusId and toStatusId must be different statuses",
+    };
+  }
+
+  rule.requiresTrackingNumber = rule.requiresTrackingNumber ? 1 : 0;
+  rule.isActive = rule.isActive === undefined || rule.isActive ? 1 : 0;
+
+  return { valid: true, rule };
+}
+
+/**
+ * Find a status or status group a validated rule refers to that does not exist
+ *
+ * @param {Object} rule - Validated rule from validateTransitionRule
+ * @returns {Promise<string|null>} Error message, or null if every reference exists
+ */
+async function findUnknownReference(rule) {
+  for (const statusId of [rule.fromStatusId, rule.toStatusId]) {
+    if (statusId === null) continue;
+
+    const statuses = await queryStatuses(statusQueries.getStatusById, {
+      statusId,
+    });
+    if (statuses.length === 0) return `Status ${statusId} not found`;
+  }
+
+  if (rule.fromStatusGroupId !== null) {
+    const groups = await queryStatuses(statusQueries.getStatusGroupById, {
+      statusGroupId: rule.fromStatusGroupId,
+    });
+    if (groups.length === 0) {
+      return `Status group ${rule.fromStatusGroupId} not found`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List transition rules
+ *
+ * @param {boolean} [includeInactive=false] - Include deactivated rules
+ * @returns {Promise<Object[]>} Rule rows with status names
+ */
+async function listTransitionRules(includeInactive = false) {
+  return queryStatuses(statusQueries.getTransitionRules, {
+    includeInactive: includeInactive ? 1 : 0,
+  });
+}
+
+/**
+ * Get a transition rule
+ *
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object|null>} Rule row, or null if not found
+ */
+async function getTransitionRule(ruleId) {
+  const rows = await queryStatuses(statusQueries.getTransitionRuleById, {
+    ruleId,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Create a transition rule
+ *
+ * @param {Object} rule - Validated rule from validateTransitionRule
+ * @returns {Promise<Object>} Created rule row
+ */
+async function createTransitionRule(rule) {
+  const result = await sequelize.query(statusQueries.insertTransitionRule, {
+    replacements: rule,
+    type: sequelize.QueryTypes.INSERT,
+  });
+  return getTransitionRule(result[0][0].ruleId);
+}
+
+/**
+ * Update a transition rule
+ *
+ * @param {number} ruleId - Rule ID
+ * @param {Object} rule - Validated rule from validateTransitionRule
+ * @returns {Promise<Object>} Updated rule row
+ */
+async function updateTransitionRule(ruleId, rule) {
+  await sequelize.query(statusQueries.updateTransitionRule, {
+    replacements: { ...rule, ruleId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+  return getTransitionRule(ruleId);
+}
+
+/**
+ * Deactivate a transition rule
+ *
+ * @param {number} ruleId - Rule ID
+ */
+async function deactivateTransitionRule(ruleId) {
+  await sequelize.query(statusQueries.deactivateTransitionRule, {
+    replacements: { ruleId },
+    type: sequelize.QueryTypes.UPDATE,
+  });
+}
+
+module.exports = {
+  RULE_VIOLATIONS,
+  findMatchingRule,
+  evaluateTransition,
+  getNextStatuses,
+  validateTransitionRule,
+  findUnknownReference,
+  listTransitionRules,
+  getTransitionRule,
+  createTransitionRule,
+  updateTransitionRule,
+  deactivateTransitionRule,
+};
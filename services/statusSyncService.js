@@ -0,0 +1,414 @@
+/**
+ * Status Sync Service
+ *
+ * Writes lab progress back to the Shopify order a case was imported from,
+ * so customers and Shopify support staff can follow it in Shopify admin:
+ * - a single `lab:<status>` order tag named after Status_Doctor_View
+ *   (e.g. lab:received, lab:in-production), replacing any older lab: tag
+ * - the streamline.case_status metafield set to Status_Streamline_Options
+ *
+ * A status change queues a sync on the case's dbo.Case_Shopify_Order row in
+ * the same transaction. A single in-process worker pushes queued cases,
+ * always writing the case's current status, and retries failures with
+ * exponential backoff until STATUS_SYNC_CONFIG.maxAttempts is used up.
+ * Every mutation sets state rather than appending to it, so mutations are
+ * resent after network errors and a resync is always safe; a sync whose
+ * worker stopped mid-push is claimed again once its lease
+ * (STATUS_SYNC_CONFIG.leaseSeconds) expires.
+ */
+
+const { sequelize } = require("../config/database");
+const { statusSyncQueries } = require("../config/queries");
+const { executeGraphQLQuery } = require("../utils/shopifyClient");
+const { ShopifyNotFoundError } = require("../utils/shopifyErrors");
+const { ShopifyStoreError, resolveStore } = require("./shopifyStoreService");
+
+// Sync states of dbo.Case_Shopify_Order.Status_Sync_State
+const STATUS_SYNC_STATE = {
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SYNCED: "synced",
+  FAILED: "failed",
+};
+
+// Naming and retry configuration
+const STATUS_SYNC_CONFIG = {
+  tagPrefix: "lab:",
+  metafieldNamespace: "streamline",
+  metafieldKey: "case_status",
+  // Syncs attempted before a case is marked failed
+  maxAttempts: 5,
+  // Delay before the first retry; doubles per attempt
+  baseRetryDelaySeconds: 60,
+  maxRetryDelaySeconds: 60 * 60,
+  // How often the worker looks for cases whose retry is due
+  pollIntervalMs: 60 * 1000,
+  // How long a claimed sync is reserved for its worker
+  leaseSeconds: 5 * 60,
+};
+
+const ORDER_TAGS_QUERY = `
+  query OrderTags($id: ID!) {
+    order(id: $id) {
+      id
+      tags
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+let workerTimer = null;
+let workerRunning = false;
+let workerStarted = false;
+
+/**
+ * Error raised by a Shopify mutation that reports userErrors
+ * These are not fixed by retrying.
+ */
+class StatusSyncError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StatusSyncError";
+  }
+}
+
+/**
+ * Build the order tag for a status
+ *
+ * @param {Object} status - { Status_Doctor_View, Status_Streamline_Options }
+ * @returns {string|null} e.g. "lab:in-production", or null for a status without a name
+ */
+function buildStatusTag(status) {
+  const name = status.Status_Doctor_View || status.Status_Streamline_Options;
+  const slug = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  return slug ? `${STATUS_SYNC_CONFIG.tagPrefix}${slug}` : null;
+}
+
+/**
+ * Queue a status sync for a case
+ * Does nothing for cases that were not imported from Shopify.
+ *
+ * @param {number} caseId - Case ID
+ * @param {Object} [transaction] - Sequelize transaction of the status change
+ * @returns {Promise<boolean>} True if a sync was queued
+ */
+async function queueStatusSync(caseId, transaction = null) {
+  const result = await sequelize.query(statusSyncQueries.queueStatusSync, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.UPDATE,
+    transaction,
+  });
+
+  return result[0][0].queued > 0;
+}
+
+/**
+ * Queue a status sync for every imported case whose status changed in a date range
+ *
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of cases queued
+ */
+async function queueStatusSyncByDate(fromDate, toDate) {
+  const result = await sequelize.query(
+    statusSyncQueries.queueStatusSyncByDate,
+    {
+      replacements: { fromDate, toDate },
+      type: sequelize.QueryTypes.UPDATE,
+    },
+  );
+
+  const queued = result[0][0].queued;
+  if (queued > 0) {
+    wakeStatusSyncWorker();
+  }
+  return queued;
+}
+
+/**
+ * Helper: Raise the userErrors of a mutation payload
+ */
+const assertNoUserErrors = (payload, mutation) => {
+  if (payload.userErrors.length > 0) {
+    throw new StatusSyncError(
+      `${mutation}: ${payload.userErrors.map((error) => error.message).join("; ")}`,
+    );
+  }
+};
+
+/**
+ * Write a case's current status to its Shopify order
+ *
+ * @param {Object} item - Claimed dbo.Case_Shopify_Order row
+ * @returns {Promise<number|null>} Status_ID written, or null for a case without a status
+ */
+async function pushStatus(item) {
+  const statuses = await sequelize.query(statusSyncQueries.getCaseSyncStatus, {
+    replacements: { caseId: item.Case_ID },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  const status = statuses[0];
+  const tag = status ? buildStatusTag(status) : null;
+
+  if (!tag) {
+    return null;
+  }
+
+  const store = await resolveStore(
+    item.Store_Id ? { storeId: item.Store_Id } : { shopDomain: item.Shop_Domain },
+  );
+  const orderId = `gid://shopify/Order/${item.Shopify_Order_Id}`;
+
+  const response = await executeGraphQLQuery(
+    ORDER_TAGS_QUERY,
+    { id: orderId },
+    { store },
+  );
+
+  if (!response.order) {
+    throw new ShopifyNotFoundError(
+      `Order ${item.Shopify_Order_Id} does not exist in Shopify`,
+    );
+  }
+
+  const staleTags = response.order.tags.filter(
+    (orderTag) =>
+      orderTag.toLowerCase().startsWith(STATUS_SYNC_CONFIG.tagPrefix) &&
+      orderTag !== tag,
+  );
+
+  if (staleTags.length > 0) {
+    const result = await executeGraphQLQuery(
+      TAGS_REMOVE_MUTATION,
+      { id: orderId, tags: staleTags },
+      { store, idempotent: true },
+    );
+    assertNoUserErrors(result.tagsRemove, "tagsRemove");
+  }
+
+  if (!response.order.tags.includes(tag)) {
+    const result = await executeGraphQLQuery(
+      TAGS_ADD_MUTATION,
+      { id: orderId, tags: [tag] },
+      { store, idempotent: true },
+    );
+    assertNoUserErrors(result.tagsAdd, "tagsAdd");
+  }
+
+  const result = await executeGraphQLQuery(
+    METAFIELDS_SET_MUTATION,
+    {
+      metafields: [
+        {
+          ownerId: orderId,
+          namespace: STATUS_SYNC_CONFIG.metafieldNamespace,
+          key: STATUS_SYNC_CONFIG.metafieldKey,
+          type: "single_line_text_field",
+          value:
+            status.Status_Streamline_Options || status.Status_Doctor_View,
+        },
+      ],
+    },
+    { store, idempotent: true },
+  );
+  assertNoUserErrors(result.metafieldsSet, "metafieldsSet");
+
+  return status.Case_Status_Code;
+}
+
+/**
+ * Seconds to wait before the next attempt of a case
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(
+    STATUS_SYNC_CONFIG.maxRetryDelaySeconds,
+    STATUS_SYNC_CONFIG.baseRetryDelaySeconds * 2 ** Math.max(0, attempts - 1),
+  );
+}
+
+/**
+ * Claim and sync the next due case
+ *
+ * @returns {Promise<boolean>} True if a case was processed
+ */
+async function processNextStatusSync() {
+  const claimed = await sequelize.query(statusSyncQueries.claimNextStatusSync, {
+    replacements: { leaseSeconds: STATUS_SYNC_CONFIG.leaseSeconds },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+
+  if (claimed.length === 0) {
+    return false;
+  }
+
+  const item = claimed[0];
+
+  try {
+    const statusId = await pushStatus(item);
+
+    await sequelize.query(statusSyncQueries.completeStatusSync, {
+      replacements: { caseId: item.Case_ID, statusId },
+      type: sequelize.QueryTypes.UPDATE,
+    });
+    console.log(`Case ${item.Case_ID} status ${statusId} synced to Shopify`);
+  } catch (error) {
+    const message = (error.message || "Status sync failed").substring(0, 1000);
+    // Rejected mutations, missing orders and unregistered stores do not fix themselves
+    const permanent =
+      error instanceof StatusSyncError ||
+      error instanceof ShopifyNotFoundError ||
+      error instanceof ShopifyStoreError;
+
+    if (
+      permanent ||
+      item.Status_Sync_Attempts >= STATUS_SYNC_CONFIG.maxAttempts
+    ) {
+      await sequelize.query(statusSyncQueries.failStatusSync, {
+        replacements: { caseId: item.Case_ID, message },
+        type: sequelize.QueryTypes.UPDATE,
+      });
+      console.error(
+        `Status sync for case ${item.Case_ID} failed after ${item.Status_Sync_Attempts} attempt(s): ${message}`,
+      );
+    } else {
+      const delaySeconds = getRetryDelaySeconds(item.Status_Sync_Attempts);
+      await sequelize.query(statusSyncQueries.scheduleStatusSyncRetry, {
+        replacements: { caseId: item.Case_ID, delaySeconds, message },
+        type: sequelize.QueryTypes.UPDATE,
+      });
+      console.warn(
+        `Status sync for case ${item.Case_ID} failed (${message}); retrying in ${delaySeconds}s`,
+      );
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Worker loop: sync every due case, then poll again after the poll interval
+ */
+async function runStatusSyncWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  clearTimeout(workerTimer);
+
+  try {
+    while (await processNextStatusSync()) {
+      // Keep draining until no due cases are left
+    }
+  } catch (error) {
+    console.error("Status sync worker error:", error);
+  } finally {
+    workerRunning = false;
+    workerTimer = setTimeout(
+      runStatusSyncWorker,
+      STATUS_SYNC_CONFIG.pollIntervalMs,
+    );
+  }
+}
+
+/**
+ * Start the worker immediately instead of waiting for the next poll
+ */
+function wakeStatusSyncWorker() {
+  if (workerStarted && !workerRunning) {
+    clearTimeout(workerTimer);
+    setImmediate(runStatusSyncWorker);
+  }
+}
+
+/**
+ * Start the status sync worker
+ * Cases left in 'processing' by a previous run are claimed again when their
+ * lease expires.
+ */
+async function startStatusSyncWorker() {
+  if (workerStarted) return;
+
+  workerStarted = true;
+  console.log("Status sync worker started");
+  runStatusSyncWorker();
+}
+
+/**
+ * Get the Shopify order and status sync state of a case
+ *
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object|null>} Sync row, or null if the case was not imported from Shopify
+ */
+async function getStatusSync(caseId) {
+  const rows = await sequelize.query(statusSyncQueries.getStatusSyncByCaseId, {
+    replacements: { caseId },
+    type: sequelize.QueryTypes.SELECT,
+    raw: true,
+  });
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Queue a case for an immediate status sync
+ *
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object|null>} Updated sync row, or null if the case has no Shopify order
+ */
+async function resyncCase(caseId) {
+  if (!(await queueStatusSync(caseId))) {
+    return null;
+  }
+  wakeStatusSyncWorker();
+  return getStatusSync(caseId);
+}
+
+module.exports = {
+  STATUS_SYNC_STATE,
+  STATUS_SYNC_CONFIG,
+  buildStatusTag,
+  queueStatusSync,
+  queueStatusSyncByDate,
+  wakeStatusSyncWorker,
+  startStatusSyncWorker,
+  getStatusSync,
+  resyncCase,
+};
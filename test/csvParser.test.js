@@ -0,0 +1,106 @@
+/**
+ * Tests for utils/csvParser.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCsv,
+  parseCsvRecords,
+  rowsToRecords,
+  toCsv,
+} = require("../utils/csvParser");
+
+describe("parseCsv", () => {
+  it("splits rows and fields", () => {
+    assert.deepEqual(parseCsv("a,b,c\n1,2,3\n"), [
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+    ]);
+  });
+
+  it("handles CRLF endings, a byte order mark and blank lines", () => {
+    assert.deepEqual(parseCsv("\uFEFFa,b\r\n\r\n1,2"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("keeps empty fields", () => {
+    assert.deepEqual(parseCsv("a,,c\n,\n"), [
+      ["a", "", "c"],
+      ["", ""],
+    ]);
+  });
+
+  it("reads quoted fields with commas, quotes and line breaks", () => {
+    assert.deepEqual(parseCsv('"Smith, Jo","say ""hi""","line 1\nline 2"'), [
+      ["Smith, Jo", 'say "hi"', "line 1\nline 2"],
+    ]);
+  });
+
+  it("keeps quotes that do not start a field", () => {
+    assert.deepEqual(parseCsv('5" tall,x'), [['5" tall', "x"]]);
+  });
+
+  it("throws on an unterminated quoted field", () => {
+    assert.throws(() => parseCsv('a,"b\n1,2'), /unterminated quoted field/);
+  });
+
+  it("returns no rows for empty input", () => {
+    assert.deepEqual(parseCsv(""), []);
+    assert.deepEqual(parseCsv(null), []);
+  });
+});
+
+describe("rowsToRecords", () => {
+  it("keys trimmed values by trimmed header", () => {
+    assert.deepEqual(
+      rowsToRecords([
+        [" Order ", "Email"],
+        [" 1001 ", "jo@example.com "],
+        ["1002"],
+      ]),
+      {
+        headers: ["Order", "Email"],
+        records: [
+          { Order: "1001", Email: "jo@example.com" },
+          { Order: "1002", Email: "" },
+        ],
+      },
+    );
+  });
+
+  it("returns no headers or records for no rows", () => {
+    assert.deepEqual(rowsToRecords([]), { headers: [], records: [] });
+  });
+});
+
+describe("parseCsvRecords", () => {
+  it("parses CSV text into records", () => {
+    assert.deepEqual(parseCsvRecords("Order,Note\n1001,\"a, b\"\n").records, [
+      { Order: "1001", Note: "a, b" },
+    ]);
+  });
+});
+
+describe("toCsv", () => {
+  it("quotes only fields that need it", () => {
+    assert.equal(
+      toCsv([
+        ["Order", "Note", "Qty"],
+        ["1001", 'say "hi", then\nleave', 2],
+        [null, undefined, ""],
+      ]),
+      'Order,Note,Qty\r\n1001,"say ""hi"", then\nleave",2\r\n,,',
+    );
+  });
+
+  it("round-trips through parseCsv", () => {
+    const rows = [
+      ["a,b", '"q"', "line\r\nbreak"],
+      ["plain", "", "x"],
+    ];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the business-day math in services/dueDateService.js
+ */
+
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// config/database.js refuses to load without connection settings; no
+// connection is opened by these tests
+const TEST_DB_ENV = {
+  DB_HOST: "localhost",
+  DB_PORT: "1433",
+  DB_USER: "test",
+  DB_PASSWORD: "test",
+  DB_NAME: "test",
+};
+for (const [name, value] of Object.entries(TEST_DB_ENV)) {
+  process.env[name] = process.env[name] || value;
+}
+// The tests assume the default 14:00 cutoff
+delete process.env.LAB_CUTOFF_HOUR;
+
+const {
+  toDateKey,
+  getCutoffHour,
+  isBusinessDay,
+  addBusinessDays,
+  getEffectiveReceivedDate,
+  calculateDueDate,
+} = require("../services/dueDateService");
+
+// January 2026: the 5th and 12th are Mondays, the 10th and 11th a weekend
+const NO_HOLIDAYS = new Set();
+const date = (day, hour = 0) => new Date(2026, 0, day, hour);
+
+/**
+ * Helper: Date key after adding business days to a January 2026 day
+ */
+const addedKey = (day, days, holidays = NO_HOLIDAYS) =>
+  toDateKey(addBusinessDays(date(day), days, holidays));
+
+describe("toDateKey", () => {
+  it("formats the local calendar date", () => {
+    assert.equal(toDateKey(date(5, 23)), "2026-01-05");
+  });
+});
+
+describe("isBusinessDay", () => {
+  it("excludes weekends", () => {
+    assert.equal(isBusinessDay(date(9), NO_HOLIDAYS), true);
+    assert.equal(isBusinessDay(date(10), NO_HOLIDAYS), false);
+    assert.equal(isBusinessDay(date(11), NO_HOLIDAYS), false);
+  });
+
+  it("excludes holidays", () => {
+    assert.equal(isBusinessDay(date(12), new Set(["2026-01-12"])), false);
+  });
+});
+
+describe("addBusinessDays", () => {
+  it("skips weekends", () => {
+    assert.equal(addedKey(9, 1), "2026-01-12");
+    assert.equal(addedKey(5, 5), "2026-01-12");
+  });
+
+  it("skips holidays", () => {
+    assert.equal(addedKey(9, 1, new Set(["2026-01-12"])), "2026-01-13");
+  });
+
+  it("returns the start date for zero days", () => {
+    assert.equal(addedKey(5, 0), "2026-01-05");
+  });
+});
+
+describe("getEffectiveReceivedDate", () => {
+  afterEach(() => {
+    delete process.env.LAB_CUTOFF_HOUR;
+  });
+
+  it("keeps business days before the cutoff", () => {
+    const received = getEffectiveReceivedDate(date(5, 10), NO_HOLIDAYS);
+    assert.equal(toDateKey(received), "2026-01-05");
+    assert.equal(received.getHours(), 0);
+  });
+
+  it("moves orders after the cutoff to the next business day", () => {
+    assert.equal(
+      toDateKey(getEffectiveReceivedDate(date(5, 15), NO_HOLIDAYS)),
+      "2026-01-06",
+    );
+    assert.equal(
+      toDateKey(getEffectiveReceivedDate(date(9, 15), NO_HOLIDAYS)),
+      "2026-01-12",
+    );
+  });
+
+  it("moves weekend and holiday orders to the next business day", () => {
+    assert.equal(
+      toDateKey(getEffectiveReceivedDate(date(10, 9), NO_HOLIDAYS)),
+      "2026-01-12",
+    );
+    const holidays = new Set(["2026-01-12"]);
+    assert.equal(
+      toDateKey(getEffectiveReceivedDate(date(12, 9), holidays)),
+      "2026-01-13",
+    );
+  });
+
+  it("uses LAB_CUTOFF_HOUR when it is a valid hour", () => {
+    process.env.LAB_CUTOFF_HOUR = "16";
+    assert.equal(getCutoffHour(), 16);
+    assert.equal(
+      toDateKey(getEffectiveReceivedDate(date(5, 15), NO_HOLIDAYS)),
+      "2026-01-05",
+    );
+
+    process.env.LAB_CUTOFF_HOUR = "25";
+    assert.equal(getCutoffHour(), 14);
+  });
+});
+
+describe("calculateDueDate", () => {
+  const fallback = { standardDays: 5, rushDays: 2 };
+
+  it("uses the longest product SLA", () => {
+    const result = calculateDueDate({
+      receivedAt: date(5, 10),
+      isRush: false,
+      products: [{ Standard_Days: 3 }, { Standard_Days: 7 }],
+      fallback,
+      holidays: NO_HOLIDAYS,
+    });
+    assert.equal(result.businessDays, 7);
+    assert.equal(toDateKey(result.receivedDate), "2026-01-05");
+    assert.equal(toDateKey(result.dueDate), "2026-01-14");
+  });
+
+  it("uses rush days for rush cases", () => {
+    const result = calculateDueDate({
+      receivedAt: date(5, 10),
+      isRush: true,
+      products: [{ Standard_Days: 7, Rush_Days: 1 }],
+      fallback,
+      holidays: NO_HOLIDAYS,
+    });
+    assert.equal(result.businessDays, 1);
+    assert.equal(toDateKey(result.dueDate), "2026-01-06");
+  });
+
+  it("falls back to the profile when no product has an SLA", () => {
+    const result = calculateDueDate({
+      receivedAt: date(9, 15),
+      isRush: false,
+      products: [{ Standard_Days: null }, { Standard_Days: 0 }],
+      fallback,
+      holidays: new Set(["2026-01-19"]),
+    });
+    assert.equal(result.businessDays, 5);
+    assert.equal(toDateKey(result.receivedDate), "2026-01-12");
+    assert.equal(toDateKey(result.dueDate), "2026-01-20");
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the order snapshots in services/orderChangeService.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// config/database.js refuses to load without connection settings; no
+// connection is opened by these tests
+const TEST_DB_ENV = {
+  DB_HOST: "localhost",
+  DB_PORT: "1433",
+  DB_USER: "test",
+  DB_PASSWORD: "test",
+  DB_NAME: "test",
+};
+for (const [name, value] of Object.entries(TEST_DB_ENV)) {
+  process.env[name] = process.env[name] || value;
+}
+
+const {
+  buildOrderSnapshot,
+  diffOrderSnapshots,
+} = require("../services/orderChangeService");
+
+/**
+ * Helper: Snapshot line item
+ */
+const item = (id, quantity, sku = `SKU-${id}`) => ({
+  id,
+  sku,
+  title: `Item ${id}`,
+  quantity,
+});
+
+const imported = {
+  note: "--A1-UL-R3333--",
+  lineItems: [item("1", 1), item("2", 2)],
+};
+
+describe("buildOrderSnapshot", () => {
+  it("snapshots a normalized order with numeric line item IDs", () => {
+    const snapshot = buildOrderSnapshot({
+      note: null,
+      lineItems: [
+        {
+          id: "gid://shopify/LineItem/11",
+          sku: "R3333",
+          title: "Aligner",
+          quantity: 2,
+        },
+      ],
+    });
+    assert.deepEqual(snapshot, {
+      note: "",
+      lineItems: [{ id: "11", sku: "R3333", title: "Aligner", quantity: 2 }],
+    });
+  });
+
+  it("adds refunded units back to the current quantity of REST orders", () => {
+    const snapshot = buildOrderSnapshot({
+      note: "note",
+      line_items: [
+        {
+          id: 11,
+          sku: null,
+          title: "Aligner",
+          quantity: 3,
+          current_quantity: 1,
+        },
+        { id: 12, sku: "R4444", title: "Retainer", quantity: 1 },
+      ],
+      refunds: [
+        { refund_line_items: [{ line_item_id: 11, quantity: 1 }] },
+        { refund_line_items: [{ line_item_id: 11, quantity: 1 }] },
+      ],
+    });
+    assert.deepEqual(snapshot.lineItems, [
+      { id: "11", sku: "", title: "Aligner", quantity: 3 },
+      { id: "12", sku: "R4444", title: "Retainer", quantity: 1 },
+    ]);
+  });
+});
+
+describe("diffOrderSnapshots", () => {
+  it("returns null when nothing changed", () => {
+    assert.equal(diffOrderSnapshots(imported, structuredClone(imported)), null);
+  });
+
+  it("treats a missing note as empty", () => {
+    assert.equal(
+      diffOrderSnapshots(
+        { note: null, lineItems: [] },
+        { note: "", lineItems: [] },
+      ),
+      null,
+    );
+  });
+
+  it("reports note changes", () => {
+    const diff = diffOrderSnapshots(imported, { ...imported, note: "" });
+    assert.deepEqual(diff.note, { before: "--A1-UL-R3333--", after: "" });
+    assert.deepEqual(diff.lineItems, { added: [], removed: [], changed: [] });
+  });
+
+  it("reports added, removed and changed line items", () => {
+    const diff = diffOrderSnapshots(imported, {
+      note: imported.note,
+      lineItems: [item("2", 1), item("3", 1)],
+    });
+    assert.equal(diff.note, null);
+    assert.deepEqual(diff.lineItems, {
+      added: [item("3", 1)],
+      removed: [item("1", 1)],
+      changed: [
+        {
+          id: "2",
+          sku: "SKU-2",
+          title: "Item 2",
+          quantityBefore: 2,
+          quantityAfter: 1,
+        },
+      ],
+    });
+  });
+
+  it("reports line items whose quantity drops to 0 as removed", () => {
+    const diff = diffOrderSnapshots(imported, {
+      note: imported.note,
+      lineItems: [item("1", 0), item("2", 2), item("3", 0)],
+    });
+    assert.deepEqual(diff.lineItems, {
+      added: [],
+      removed: [item("1", 1)],
+      changed: [],
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for errorFromResponse in utils/shopifyClient.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { errorFromResponse } = require("../utils/shopifyClient");
+const {
+  SHOPIFY_ERROR_CODES,
+  ShopifyError,
+  ShopifyNotFoundError,
+  ShopifyAuthError,
+  ShopifyNetworkError,
+} = require("../utils/shopifyErrors");
+
+describe("errorFromResponse", () => {
+  it("returns null for a successful response", () => {
+    assert.equal(
+      errorFromResponse({ statusCode: 200, body: { data: { shop: {} } } }),
+      null,
+    );
+  });
+
+  it("maps 401 and 403 to ShopifyAuthError", () => {
+    for (const statusCode of [401, 403]) {
+      const error = errorFromResponse({ statusCode, body: {} });
+      assert.ok(error instanceof ShopifyAuthError);
+      assert.equal(error.code, SHOPIFY_ERROR_CODES.AUTH_ERROR);
+      assert.equal(error.httpStatus, statusCode);
+    }
+  });
+
+  it("maps 404 to ShopifyNotFoundError", () => {
+    const error = errorFromResponse({ statusCode: 404, body: {} });
+    assert.ok(error instanceof ShopifyNotFoundError);
+    assert.equal(error.code, SHOPIFY_ERROR_CODES.NOT_FOUND);
+    assert.equal(error.httpStatus, 404);
+  });
+
+  it("maps 5xx to ShopifyNetworkError so it is retried", () => {
+    const error = errorFromResponse({ statusCode: 502, body: {} });
+    assert.ok(error instanceof ShopifyNetworkError);
+    assert.equal(error.code, SHOPIFY_ERROR_CODES.NETWORK_ERROR);
+    assert.equal(error.httpStatus, 502);
+  });
+
+  it("maps GraphQL errors to ShopifyError with their messages", () => {
+    const error = errorFromResponse({
+      statusCode: 200,
+      body: { errors: [{ message: "Field missing" }, { message: "Bad id" }] },
+    });
+    assert.equal(error.constructor, ShopifyError);
+    assert.equal(error.code, SHOPIFY_ERROR_CODES.API_ERROR);
+    assert.equal(error.httpStatus, 200);
+    assert.equal(error.message, "GraphQL Error: Field missing, Bad id");
+  });
+
+  it("maps ACCESS_DENIED GraphQL errors to ShopifyAuthError", () => {
+    const error = errorFromResponse({
+      statusCode: 200,
+      body: {
+        errors: [
+          { message: "Access denied", extensions: { code: "ACCESS_DENIED" } },
+        ],
+      },
+    });
+    assert.ok(error instanceof ShopifyAuthError);
+    assert.equal(error.code, SHOPIFY_ERROR_CODES.AUTH_ERROR);
+  });
+
+  it("maps other 4xx responses to ShopifyError", () => {
+    const error = errorFromResponse({
+      statusCode: 400,
+      body: { errors: "Bad Request" },
+    });
+    assert.equal(error.constructor, ShopifyError);
+    assert.equal(error.code, SHOPIFY_ERROR_CODES.API_ERROR);
+    assert.equal(error.httpStatus, 400);
+    assert.equal(error.message, "GraphQL Error: Bad Request");
+
+    const plain = errorFromResponse({ statusCode: 422, body: {} });
+    assert.equal(plain.code, SHOPIFY_ERROR_CODES.API_ERROR);
+    assert.equal(plain.message, "Shopify responded with HTTP 422");
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for utils/skuParser.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SKU_ERROR_CODES,
+  parseEncodedSku,
+  extractEncodedSkus,
+} = require("../utils/skuParser");
+
+/**
+ * Helper: Error code of a failed parse
+ */
+const errorCode = (sku) => {
+  const result = parseEncodedSku(sku);
+  assert.equal(result.ok, false);
+  return result.error.code;
+};
+
+describe("parseEncodedSku", () => {
+  it("parses shade, arches and product", () => {
+    assert.deepEqual(parseEncodedSku("--A1-UL-R33330.1--"), {
+      ok: true,
+      value: {
+        sku: "--A1-UL-R33330.1--",
+        shade: "A1",
+        arch: "UL",
+        teeth: ["Upper", "Lower"],
+        toothLocation: "Upper, Lower",
+        qty: 2,
+        product: "R33330.1",
+      },
+    });
+  });
+
+  it("counts one unit per arch", () => {
+    const { value } = parseEncodedSku("--BL2-L-R3333--");
+    assert.deepEqual(value.teeth, ["Lower"]);
+    assert.equal(value.qty, 1);
+  });
+
+  it("accepts lower case and surrounding whitespace", () => {
+    const result = parseEncodedSku("  --a3.5-lu-r3333--  ");
+    assert.equal(result.ok, true);
+    assert.equal(result.value.sku, "--a3.5-lu-r3333--");
+    assert.equal(result.value.shade, "A3.5");
+    assert.equal(result.value.product, "R3333");
+  });
+
+  it("rejects SKUs without double dashes", () => {
+    assert.equal(errorCode("A1-UL-R3333"), SKU_ERROR_CODES.INVALID_FORMAT);
+    assert.equal(errorCode("----"), SKU_ERROR_CODES.INVALID_FORMAT);
+    assert.equal(errorCode(null), SKU_ERROR_CODES.INVALID_FORMAT);
+  });
+
+  it("rejects the wrong number of parts", () => {
+    assert.equal(errorCode("--A1-R3333--"), SKU_ERROR_CODES.INVALID_FORMAT);
+    assert.equal(
+      errorCode("--A1-UL-R3333-X--"),
+      SKU_ERROR_CODES.INVALID_FORMAT,
+    );
+  });
+
+  it("reports a missing shade", () => {
+    assert.equal(errorCode("--UL-R3333--"), SKU_ERROR_CODES.MISSING_SHADE);
+    assert.equal(errorCode("---UL-R3333--"), SKU_ERROR_CODES.MISSING_SHADE);
+  });
+
+  it("reports an unknown shade", () => {
+    assert.equal(errorCode("--Z9-UL-R3333--"), SKU_ERROR_CODES.UNKNOWN_SHADE);
+  });
+
+  it("reports an unknown arch code", () => {
+    assert.equal(
+      errorCode("--A1-X-R3333--"),
+      SKU_ERROR_CODES.UNKNOWN_ARCH_CODE,
+    );
+  });
+
+  it("reports a missing or bad product code", () => {
+    assert.equal(errorCode("--A1-UL---"), SKU_ERROR_CODES.MISSING_PRODUCT);
+    assert.equal(
+      errorCode("--A1-UL-R33.33.1--"),
+      SKU_ERROR_CODES.BAD_PRODUCT_CODE,
+    );
+  });
+});
+
+describe("extractEncodedSkus", () => {
+  it("finds encoded SKUs in order of appearance", () => {
+    assert.deepEqual(
+      extractEncodedSkus("Please make --a1-ul-R3333-- and --B2-U-R4444.2--."),
+      ["--A1-UL-R3333--", "--B2-U-R4444.2--"],
+    );
+  });
+
+  it("returns an empty list for empty or SKU-free text", () => {
+    assert.deepEqual(extractEncodedSkus(""), []);
+    assert.deepEqual(extractEncodedSkus(null), []);
+    assert.deepEqual(extractEncodedSkus("No SKUs here"), []);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for utils/xlsxReader.js
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { readXlsxRows } = require("../utils/xlsxReader");
+
+/**
+ * Helper: Build a zip archive from { name: contents }
+ * Parts are deflated unless stored is set; CRCs are left at 0 since the
+ * reader does not check them. declaredSize overrides the unzipped size
+ * written to the directory.
+ */
+const buildZip = (files, { stored = false, declaredSize = null } = {}) => {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const data = Buffer.from(contents, "utf8");
+    const compressed = stored ? data : zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(stored ? 0 : 8, 10);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(declaredSize ?? data.length, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    directory.push(entry, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directoryBuffer = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBuffer.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBuffer, end]);
+};
+
+/**
+ * Helper: Worksheet XML holding the given rows
+ */
+const sheetXml = (rows) =>
+  `<worksheet><sheetData>${rows.join("")}</sheetData></worksheet>`;
+
+const SHARED_STRINGS =
+  "<sst><si><t>Order</t></si><si><r><t>Ship </t></r><r><t>&amp; bill</t></r></si></sst>";
+
+const SHEET_ROWS = [
+  '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>',
+  '<row r="2"><c r="A2"><v>1001</v></c><c r="C2" t="inlineStr"><is><t>a &lt; b</t></is></c></row>',
+  '<row r="3"><c r="A3"/></row>',
+  '<row r="4"><c r="A4" t="b"><v>1</v></c><c t="str"><f>A1</f><v>x</v></c></row>',
+];
+
+describe("readXlsxRows", () => {
+  it("reads shared, inline, numeric, boolean and formula cells", () => {
+    const workbook = buildZip({
+      "xl/sharedStrings.xml": SHARED_STRINGS,
+      "xl/worksheets/sheet1.xml": sheetXml(SHEET_ROWS),
+    });
+
+    assert.deepEqual(readXlsxRows(workbook), [
+      ["Order", "Ship & bill"],
+      ["1001", "", "a < b"],
+      ["TRUE", "x"],
+    ]);
+  });
+
+  it("reads stored (uncompressed) parts", () => {
+    const workbook = buildZip(
+      {
+        "xl/worksheets/sheet1.xml": sheetXml([
+          '<row r="1"><c r="B1" t="inlineStr"><is><t>only</t></is></c></row>',
+        ]),
+      },
+      { stored: true },
+    );
+
+    assert.deepEqual(readXlsxRows(workbook), [["", "only"]]);
+  });
+
+  it("reads the first sheet listed in the workbook", () => {
+    const workbook = buildZip({
+      "xl/workbook.xml":
+        '<workbook><sheets><sheet name="Orders" sheetId="2" r:id="rId2"/></sheets></workbook>',
+      "xl/_rels/workbook.xml.rels":
+        '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Target="worksheets/orders.xml"/></Relationships>',
+      "xl/worksheets/sheet1.xml": sheetXml([
+        '<row r="1"><c r="A1"><v>1</v></c></row>',
+      ]),
+      "xl/worksheets/orders.xml": sheetXml([
+        '<row r="1"><c r="A1"><v>2</v></c></row>',
+      ]),
+    });
+
+    assert.deepEqual(readXlsxRows(workbook), [["2"]]);
+  });
+
+  it("rejects files that are not workbooks", () => {
+    assert.throws(
+      () => readXlsxRows(Buffer.from("Order,Email\n1001,a@b.c\n")),
+      /not an XLSX workbook/,
+    );
+    assert.throws(
+      () => readXlsxRows(buildZip({ "docProps/app.xml": "<Properties/>" })),
+      /no worksheet/,
+    );
+  });
+
+  it("refuses parts that inflate past the size cap", () => {
+    const workbook = buildZip({
+      "xl/worksheets/sheet1.xml": " ".repeat(33 * 1024 * 1024),
+    });
+
+    assert.throws(() => readXlsxRows(workbook), /too large to read/);
+  });
+
+  it("caps the inflated size when the declared size is wrong", () => {
+    const workbook = buildZip(
+      { "xl/worksheets/sheet1.xml": " ".repeat(33 * 1024 * 1024) },
+      { declaredSize: 1024 },
+    );
+
+    assert.throws(() => readXlsxRows(workbook), /too large to read/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * CSV Parser Utility
+ *
+ * Minimal RFC 4180 reader and writer for partner order exports: comma
+ * separated, fields optionally wrapped in double quotes ("" escapes a quote
+ * inside), CRLF or LF line endings, optional UTF-8 byte order mark.
+ */
+
+/**
+ * Split CSV text into rows of fields
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows; blank lines are skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Turn rows with a header row into records
+ *
+ * @param {string[][]} rows - Rows from parseCsv or a spreadsheet reader
+ * @returns {Object} { headers: string[], records: Object[] } (values keyed by header, trimmed)
+ */
+function rowsToRecords(rows) {
+  const [headerRow = [], ...dataRows] = rows;
+  const headers = headerRow.map((header) => String(header).trim());
+
+  const records = dataRows.map((row) =>
+    headers.reduce((record, header, index) => {
+      record[header] = String(row[index] ?? "").trim();
+      return record;
+    }, {}),
+  );
+
+  return { headers, records };
+}
+
+/**
+ * Parse CSV text with a header row into records
+ *
+ * @param {string} text - CSV text
+ * @returns {Object} { headers: string[], records: Object[] } (values keyed by header, trimmed)
+ */
+function parseCsvRecords(text) {
+  return rowsToRecords(parseCsv(text));
+}
+
+/**
+ * Write rows as CSV text
+ * Fields holding a comma, quote or line break are quoted.
+ *
+ * @param {Array<Array<*>>} rows - Rows of field values (null/undefined are written empty)
+ * @returns {string} CSV text with CRLF line endings
+ */
+function toCsv(rows) {
+  const escapeField = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map((row) => row.map(escapeField).join(",")).join("\r\n");
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  rowsToRecords,
+  toCsv,
+};
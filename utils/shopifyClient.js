@@ -2,366 +2,813 @@
  * Shopify GraphQL Client
  *
  * Handles communication with Shopify GraphQL Admin API
- * Implements rate limiting to respect Shopify's request limits
- * Shopify API uses a cost-based system instead of simple rate limiting
+ *
+ * Every call targets a store: { shopDomain, accessToken, apiVersion }, as
+ * resolved by services/shopifyStoreService.js. Calls without a store use the
+ * store configured in the environment (SHOPIFY_SHOP_URL, SHOPIFY_ACCESS_TOKEN
+ * and optionally SHOPIFY_API_VERSION).
+ *
+ * Shopify GraphQL is rate limited by query cost with a leaky bucket per
+ * store: every response reports extensions.cost.throttleStatus
+ * (maximumAvailable, currentlyAvailable, restoreRate). The client mirrors
+ * each store's bucket, queues requests until their estimated cost is
+ * available, and retries THROTTLED responses with backoff.
+ * getRateLimitState() exposes the buckets for monitoring.
+ *
+ * Requests time out after SHOPIFY_REQUEST_TIMEOUT_MS. Idempotent requests
+ * (every query; mutations must opt in with idempotent: true) are retried on
+ * network errors and 5xx responses with jittered exponential backoff.
+ * Failures are thrown as the typed errors from utils/shopifyErrors.js.
  */
 
 const https = require("https");
+const {
+  SHOPIFY_ERROR_CODES,
+  ShopifyError,
+  ShopifyNotFoundError,
+  ShopifyAuthError,
+  ShopifyThrottledError,
+  ShopifyNetworkError,
+} = require("./shopifyErrors");
+
+// Operations that change data; they are only resent when the caller opts in
+const MUTATION_PATTERN = /^\s*mutation\b/;
 
-// Rate limiting configuration
+// Admin API version used when a store does not set one
+const DEFAULT_API_VERSION = "2024-01";
+
+// Rate limiting configuration (applied per store)
 const RATE_LIMIT_CONFIG = {
-  // Maximum requests per second
-  requestsPerSecond: 2,
   // Maximum concurrent requests
   maxConcurrentRequests: 5,
+  // Cost assumed for a query until Shopify has reported its real cost
+  defaultQueryCost: 50,
+  // Retries of a THROTTLED request before giving up
+  maxThrottleRetries: 5,
+  // First backoff after a THROTTLED response; doubles per retry
+  baseBackoffMs: 1000,
+};
+
+// Timeout and retry configuration for network failures and 5xx responses
+const REQUEST_CONFIG = {
+  timeoutMs: parseInt(process.env.SHOPIFY_REQUEST_TIMEOUT_MS, 10) || 15000,
+  maxNetworkRetries: 3,
+  baseRetryDelayMs: 500,
+  maxRetryDelayMs: 10000,
 };
 
-// Track rate limiting state
-let requestQueue = [];
-let activeRequests = 0;
-let lastRequestTime = Date.now();
+// Rate limiting state per shop domain (see getStoreState)
+const storeStates = new Map();
+
+// Cost Shopify last reported per query text; the same for every store
+const queryCosts = new Map();
 
 /**
- * Wait between requests to respect rate limits
+ * Helper: Promise that resolves after ms milliseconds
  */
-const waitForRateLimit = async () => {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  const minTimeBetweenRequests = 1000 / RATE_LIMIT_CONFIG.requestsPerSecond;
-
-  if (timeSinceLastRequest < minTimeBetweenRequests) {
-    const waitTime = minTimeBetweenRequests - timeSinceLastRequest;
-    await new Promise((resolve) => setTimeout(resolve, waitTime));
-  }
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Helper: Exponential backoff with full jitter, so concurrent retries spread out
+ */
+const jitteredBackoff = (attempt, baseMs, maxMs = Infinity) =>
+  Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+
+/**
+ * Normalize a shop domain ("https://Store.myshopify.com/" -> "store.myshopify.com")
+ *
+ * @param {string} domain - Shop domain or URL
+ * @returns {string|null} Lower-case host name, or null if empty
+ */
+const normalizeShopDomain = (domain) =>
+  domain
+    ? String(domain)
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, "")
+        .replace(/\/+$/, "") || null
+    : null;
 
-  lastRequestTime = Date.now();
+/**
+ * Build the store configured in the environment
+ *
+ * @returns {Object|null} { storeId: null, shopDomain, displayName, accessToken, apiVersion, webhookSecret }, or null if SHOPIFY_SHOP_URL is not set
+ */
+const getEnvironmentStore = () => {
+  const shopDomain = normalizeShopDomain(process.env.SHOPIFY_SHOP_URL);
+  if (!shopDomain) return null;
+
+  return {
+    storeId: null,
+    shopDomain,
+    displayName: null,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN || null,
+    apiVersion: process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION,
+    webhookSecret: process.env.SHOPIFY_WEBHOOK_SECRET || null,
+  };
 };
 
 /**
- * Wait for concurrent request slot to be available
+ * Get (or create) the rate limiting state of a store
+ *
+ * @param {string} shopDomain - Normalized shop domain
+ * @returns {Object} Bucket, queue and counters of the store
  */
-const waitForConcurrentSlot = async () => {
-  while (activeRequests >= RATE_LIMIT_CONFIG.maxConcurrentRequests) {
-    await new Promise((resolve) => setTimeout(resolve, 100));
+const getStoreState = (shopDomain) => {
+  let state = storeStates.get(shopDomain);
+
+  if (!state) {
+    state = {
+      // Leaky bucket as last reported by Shopify (standard plan values until then)
+      bucket: {
+        maximumAvailable: 1000,
+        currentlyAvailable: 1000,
+        restoreRate: 50,
+        updatedAt: Date.now(),
+      },
+      requestQueue: [],
+      activeRequests: 0,
+      reservedCost: 0,
+      drainTimer: null,
+      throttledCount: 0,
+      lastThrottledAt: null,
+    };
+    storeStates.set(shopDomain, state);
   }
+
+  return state;
 };
 
 /**
- * Execute GraphQL query with automatic rate limiting
- *
- * @param {string} query - GraphQL query string
- * @param {Object} variables - GraphQL variables
- * @returns {Promise<Object>} GraphQL response data
- * @throws {Error} If request fails or order not found
+ * Estimate the points available now: the last reported level plus what has
+ * restored since, minus the cost reserved by requests still in flight
+ */
+const estimateAvailable = (state) => {
+  const { bucket } = state;
+  const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+  const restored = Math.min(
+    bucket.maximumAvailable,
+    bucket.currentlyAvailable + elapsedSeconds * bucket.restoreRate,
+  );
+  return restored - state.reservedCost;
+};
+
+/**
+ * Milliseconds until the bucket holds the given cost
+ */
+const timeUntilAvailable = (state, cost) => {
+  const missing = cost - estimateAvailable(state);
+  return missing > 0
+    ? Math.ceil((missing / state.bucket.restoreRate) * 1000)
+    : 0;
+};
+
+/**
+ * Update the bucket from a response's extensions.cost.throttleStatus
  */
-const executeGraphQLQuery = async (query, variables = {}) => {
-  try {
-    await waitForConcurrentSlot();
-    activeRequests++;
+const updateBucket = (state, throttleStatus) => {
+  if (!throttleStatus) return;
+  state.bucket.maximumAvailable = throttleStatus.maximumAvailable;
+  state.bucket.currentlyAvailable = throttleStatus.currentlyAvailable;
+  state.bucket.restoreRate = throttleStatus.restoreRate;
+  state.bucket.updatedAt = Date.now();
+};
 
-    await waitForRateLimit();
+/**
+ * Start queued requests, in order, while their cost is available
+ * When the head of the queue does not fit, wait exactly as long as the
+ * bucket needs to restore it.
+ */
+const drainQueue = (state) => {
+  if (state.drainTimer) return;
 
-    const shopUrl = process.env.SHOPIFY_SHOP_URL;
-    const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+  while (
+    state.requestQueue.length > 0 &&
+    state.activeRequests < RATE_LIMIT_CONFIG.maxConcurrentRequests
+  ) {
+    const next = state.requestQueue[0];
+    const waitMs = timeUntilAvailable(state, next.cost);
 
-    if (!shopUrl || !accessToken) {
-      throw new Error(
-        "Missing Shopify credentials. Set SHOPIFY_SHOP_URL and SHOPIFY_ACCESS_TOKEN in environment variables.",
-      );
+    if (waitMs > 0) {
+      state.drainTimer = setTimeout(() => {
+        state.drainTimer = null;
+        drainQueue(state);
+      }, waitMs);
+      return;
     }
 
-    const options = {
-      hostname: shopUrl.replace("https://", "").replace("http://", ""),
-      port: 443,
-      path: "/admin/api/2024-01/graphql.json",
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": accessToken,
-      },
-    };
+    state.requestQueue.shift();
+    state.activeRequests++;
+    state.reservedCost += next.cost;
+    next.start();
+  }
+};
 
-    return new Promise((resolve, reject) => {
-      const request = https.request(options, (response) => {
-        let data = "";
+/**
+ * Wait for a slot and enough bucket points for a request
+ *
+ * @param {Object} state - Store state from getStoreState
+ * @param {number} estimatedCost - Estimated query cost
+ * @returns {Promise<number>} Cost reserved (pass to releaseSlot)
+ */
+const acquireSlot = (state, estimatedCost) => {
+  // A query can never need more than the whole bucket
+  const cost = Math.min(estimatedCost, state.bucket.maximumAvailable);
 
-        response.on("data", (chunk) => {
-          data += chunk;
-        });
+  return new Promise((resolve) => {
+    state.requestQueue.push({ cost, start: () => resolve(cost) });
+    drainQueue(state);
+  });
+};
 
-        response.on("end", () => {
-          activeRequests--;
+/**
+ * Release a request slot and its reserved cost
+ *
+ * @param {Object} state - Store state from getStoreState
+ * @param {number} cost - Cost returned by acquireSlot
+ */
+const releaseSlot = (state, cost) => {
+  state.activeRequests--;
+  state.reservedCost -= cost;
+  drainQueue(state);
+};
 
-          try {
-            const parsed = JSON.parse(data);
+/**
+ * Send one GraphQL request
+ *
+ * @param {Object} store - { shopDomain, accessToken, apiVersion }
+ * @param {string} query - GraphQL query string
+ * @param {Object} variables - GraphQL variables
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+const sendRequest = (store, query, variables) => {
+  const options = {
+    hostname: store.shopDomain,
+    port: 443,
+    path: `/admin/api/${store.apiVersion || DEFAULT_API_VERSION}/graphql.json`,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Access-Token": store.accessToken,
+    },
+  };
 
-            // Check for GraphQL errors
-            if (parsed.errors) {
-              const errorMessages = parsed.errors
-                .map((e) => e.message)
-                .join(", ");
-              reject(new Error(`GraphQL Error: ${errorMessages}`));
-              return;
-            }
+  return new Promise((resolve, reject) => {
+    const request = https.request(options, (response) => {
+      let data = "";
 
-            // Log rate limit info if available
-            if (response.headers["api-call-limit"]) {
-              console.log(
-                `Shopify API Rate Limit: ${response.headers["api-call-limit"]}`,
-              );
-            }
+      response.on("data", (chunk) => {
+        data += chunk;
+      });
 
-            resolve(parsed.data);
-          } catch (parseError) {
-            activeRequests--;
+      response.on("end", () => {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (parseError) {
+          // Gateways answer 5xx with HTML; treat those like any other 5xx
+          body = response.statusCode >= 500 ? {} : null;
+          if (!body) {
             reject(
-              new Error(
+              new ShopifyNetworkError(
                 `Failed to parse Shopify response: ${parseError.message}`,
+                { httpStatus: response.statusCode, cause: parseError },
               ),
             );
+            return;
           }
+        }
+
+        resolve({
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body,
         });
       });
+    });
 
-      request.on("error", (error) => {
-        activeRequests--;
-        reject(error);
-      });
+    request.setTimeout(REQUEST_CONFIG.timeoutMs, () => {
+      request.destroy(
+        new ShopifyNetworkError(
+          `Shopify request timed out after ${REQUEST_CONFIG.timeoutMs}ms`,
+        ),
+      );
+    });
 
-      request.write(JSON.stringify({ query, variables }));
-      request.end();
+    request.on("error", (error) => {
+      reject(
+        error instanceof ShopifyError
+          ? error
+          : new ShopifyNetworkError(`Shopify request failed: ${error.message}`, {
+              cause: error,
+            }),
+      );
     });
-  } catch (error) {
-    activeRequests--;
-    throw error;
+
+    request.write(JSON.stringify({ query, variables }));
+    request.end();
+  });
+};
+
+/**
+ * Check whether a response was throttled
+ */
+const isThrottled = (result) =>
+  result.statusCode === 429 ||
+  (Array.isArray(result.body.errors) &&
+    result.body.errors.some((e) => e.extensions?.code === "THROTTLED"));
+
+/**
+ * Helper: Join the messages of a GraphQL or REST-style "errors" field
+ */
+const formatErrors = (errors) =>
+  Array.isArray(errors)
+    ? errors.map((e) => e.message).join(", ")
+    : typeof errors === "object"
+      ? JSON.stringify(errors)
+      : String(errors);
+
+/**
+ * Turn a non-throttled, unsuccessful response into a typed error
+ *
+ * @param {Object} result - { statusCode, body } from sendRequest
+ * @returns {ShopifyError|null} Error to throw, or null if the response succeeded
+ */
+const errorFromResponse = (result) => {
+  const { statusCode, body } = result;
+
+  if (statusCode === 401 || statusCode === 403) {
+    return new ShopifyAuthError(
+      `Shopify rejected the access token (HTTP ${statusCode})`,
+      { httpStatus: statusCode },
+    );
   }
+  if (statusCode === 404) {
+    return new ShopifyNotFoundError("Shopify API endpoint not found", {
+      httpStatus: statusCode,
+    });
+  }
+  if (statusCode >= 500) {
+    return new ShopifyNetworkError(`Shopify responded with HTTP ${statusCode}`, {
+      httpStatus: statusCode,
+    });
+  }
+
+  // Check for GraphQL errors
+  if (body.errors) {
+    const accessDenied =
+      Array.isArray(body.errors) &&
+      body.errors.some((e) => e.extensions?.code === "ACCESS_DENIED");
+    const message = `GraphQL Error: ${formatErrors(body.errors)}`;
+    return accessDenied
+      ? new ShopifyAuthError(message, { httpStatus: statusCode })
+      : new ShopifyError(message, SHOPIFY_ERROR_CODES.API_ERROR, {
+          httpStatus: statusCode,
+        });
+  }
+
+  if (statusCode >= 400) {
+    return new ShopifyError(
+      `Shopify responded with HTTP ${statusCode}`,
+      SHOPIFY_ERROR_CODES.API_ERROR,
+      { httpStatus: statusCode },
+    );
+  }
+
+  return null;
 };
 
 /**
- * Fetch order by order ID from Shopify
+ * Execute GraphQL query with cost-based rate limiting
  *
- * @param {number|string} orderId - Shopify order ID (numeric)
- * @returns {Promise<Object>} Order data from Shopify
- * @throws {Error} If order not found or API error occurs
+ * @param {string} query - GraphQL query string
+ * @param {Object} variables - GraphQL variables
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store to query; defaults to the environment store
+ * @param {number} [options.estimatedCost] - Expected cost; defaults to the cost Shopify last reported for this query
+ * @param {boolean} [options.idempotent] - Safe to resend after a network error or 5xx; defaults to true for queries and false for mutations
+ * @returns {Promise<Object>} GraphQL response data
+ * @throws {ShopifyError} Typed error from utils/shopifyErrors.js
  */
-const fetchOrderById = async (orderId) => {
-  // GraphQL query to fetch order details
-  const query = `
-    query FetchOrder($id: ID!) {
-      order(id: $id) {
-        id
-        name
-        createdAt
-        updatedAt
-        processedAt
-        displayFulfillmentStatus
-        displayFinancialStatus
-        email
-        phone
-        note
-        customer {
-          id
-          firstName
-          lastName
-          email
-          phone
-        }
-        billingAddress {
-          firstName
-          lastName
-          address1
-          address2
-          city
-          province
-          zip
-          country
+const executeGraphQLQuery = async (query, variables = {}, options = {}) => {
+  const store = options.store || getEnvironmentStore();
+
+  if (!store || !store.shopDomain || !store.accessToken) {
+    throw new ShopifyAuthError(
+      "Missing Shopify credentials. Register a store or set SHOPIFY_SHOP_URL and SHOPIFY_ACCESS_TOKEN in environment variables.",
+    );
+  }
+
+  const state = getStoreState(normalizeShopDomain(store.shopDomain));
+  const idempotent = options.idempotent ?? !MUTATION_PATTERN.test(query);
+  let throttleAttempts = 0;
+  let networkAttempts = 0;
+
+  for (;;) {
+    const estimatedCost =
+      options.estimatedCost ||
+      queryCosts.get(query) ||
+      RATE_LIMIT_CONFIG.defaultQueryCost;
+
+    const reserved = await acquireSlot(state, estimatedCost);
+    let result = null;
+    let error = null;
+    try {
+      result = await sendRequest(store, query, variables);
+
+      const cost = result.body.extensions?.cost;
+      if (cost) {
+        updateBucket(state, cost.throttleStatus);
+        queryCosts.set(query, cost.requestedQueryCost);
+      }
+    } catch (requestError) {
+      error = requestError;
+    } finally {
+      releaseSlot(state, reserved);
+    }
+
+    if (result && isThrottled(result)) {
+      state.throttledCount++;
+      state.lastThrottledAt = new Date();
+
+      const retryAfterMs = timeUntilAvailable(state, estimatedCost);
+      if (throttleAttempts >= RATE_LIMIT_CONFIG.maxThrottleRetries) {
+        throw new ShopifyThrottledError(
+          `Shopify API throttled: gave up after ${throttleAttempts + 1} attempts`,
+          { httpStatus: result.statusCode, retryAfterMs },
+        );
+      }
+
+      // Never retry sooner than the bucket can hold the query again
+      const backoffMs = Math.max(
+        jitteredBackoff(throttleAttempts, RATE_LIMIT_CONFIG.baseBackoffMs),
+        retryAfterMs,
+      );
+      throttleAttempts++;
+      console.warn(
+        `Shopify API throttled for ${store.shopDomain} (attempt ${throttleAttempts}), retrying in ${backoffMs}ms`,
+      );
+      await sleep(backoffMs);
+      continue;
+    }
+
+    error = error || errorFromResponse(result);
+    if (error) {
+      if (
+        error instanceof ShopifyNetworkError &&
+        idempotent &&
+        networkAttempts < REQUEST_CONFIG.maxNetworkRetries
+      ) {
+        const delayMs = jitteredBackoff(
+          networkAttempts++,
+          REQUEST_CONFIG.baseRetryDelayMs,
+          REQUEST_CONFIG.maxRetryDelayMs,
+        );
+        console.warn(`${error.message}; retrying in ${delayMs}ms`);
+        await sleep(delayMs);
+        continue;
+      }
+      throw error;
+    }
+
+    return result.body.data;
+  }
+};
+
+/**
+ * Get the current rate limiting state for monitoring
+ *
+ * @param {string} [shopDomain] - Only report this store
+ * @returns {Object[]} Per store: shop domain, bucket levels, queue and throttling counters
+ */
+const getRateLimitState = (shopDomain = null) => {
+  const domain = normalizeShopDomain(shopDomain);
+
+  return [...storeStates.entries()]
+    .filter(([stateDomain]) => !domain || stateDomain === domain)
+    .map(([stateDomain, state]) => ({
+      shopDomain: stateDomain,
+      bucket: {
+        maximumAvailable: state.bucket.maximumAvailable,
+        currentlyAvailable: Math.floor(
+          estimateAvailable(state) + state.reservedCost,
+        ),
+        restoreRate: state.bucket.restoreRate,
+        reportedAt: new Date(state.bucket.updatedAt),
+      },
+      reservedCost: state.reservedCost,
+      activeRequests: state.activeRequests,
+      queuedRequests: state.requestQueue.length,
+      queuedCost: state.requestQueue.reduce(
+        (total, entry) => total + entry.cost,
+        0,
+      ),
+      throttledCount: state.throttledCount,
+      lastThrottledAt: state.lastThrottledAt,
+    }));
+};
+
+// Connection page sizes and the most pages followed per connection
+const ORDER_CONNECTIONS = {
+  lineItems: { pageSize: 50, maxPages: 20 },
+  shippingLines: { pageSize: 10, maxPages: 5 },
+};
+
+// Warnings attached to orders that could not be fetched completely
+const ORDER_WARNING_CODES = {
+  CONNECTION_TRUNCATED: "CONNECTION_TRUNCATED",
+};
+
+// Fields fetched for every line item
+const LINE_ITEM_FIELDS = `
+  id
+  title
+  quantity
+  sku
+  variant {
+    id
+    title
+    sku
+  }
+  product {
+    id
+    title
+  }
+`;
+
+// Fields fetched for every shipping line
+const SHIPPING_LINE_FIELDS = `
+  code
+  title
+`;
+
+// Order fields shared by every order query; connections return their first page
+const ORDER_FIELDS_FRAGMENT = `
+  fragment OrderFields on Order {
+    id
+    name
+    createdAt
+    updatedAt
+    processedAt
+    displayFulfillmentStatus
+    displayFinancialStatus
+    email
+    phone
+    note
+    tags
+    sourceName
+    customer {
+      id
+      firstName
+      lastName
+      email
+      phone
+    }
+    billingAddress {
+      firstName
+      lastName
+      address1
+      address2
+      city
+      province
+      zip
+      country
+    }
+    shippingAddress {
+      firstName
+      lastName
+      company
+      address1
+      address2
+      city
+      province
+      provinceCode
+      zip
+      country
+      countryCodeV2
+      phone
+    }
+    lineItems(first: ${ORDER_CONNECTIONS.lineItems.pageSize}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          ${LINE_ITEM_FIELDS}
         }
-        shippingAddress {
-          firstName
-          lastName
-          address1
-          address2
-          city
-          province
-          zip
-          country
+      }
+    }
+    shippingLines(first: ${ORDER_CONNECTIONS.shippingLines.pageSize}) {
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      edges {
+        node {
+          ${SHIPPING_LINE_FIELDS}
         }
-        lineItems(first: 10) {
+      }
+    }
+    totalPriceSet {
+      shopMoney {
+        amount
+        currencyCode
+      }
+    }
+    totalTaxSet {
+      shopMoney {
+        amount
+        currencyCode
+      }
+    }
+    totalShippingPriceSet {
+      shopMoney {
+        amount
+        currencyCode
+      }
+    }
+  }
+`;
+
+const CONNECTION_NODE_FIELDS = {
+  lineItems: LINE_ITEM_FIELDS,
+  shippingLines: SHIPPING_LINE_FIELDS,
+};
+
+/**
+ * Follow pageInfo.hasNextPage on one order connection until it is complete
+ *
+ * Appends the remaining edges to order[connectionName] in place. Stops after
+ * the connection's maxPages and records a warning on the order instead of
+ * silently dropping the rest.
+ *
+ * @param {Object} order - Order from a query using OrderFields
+ * @param {string} connectionName - Key of ORDER_CONNECTIONS
+ * @param {Object} [store] - Store the order belongs to
+ */
+const fetchRemainingConnectionPages = async (order, connectionName, store) => {
+  const { pageSize, maxPages } = ORDER_CONNECTIONS[connectionName];
+  const connection = order[connectionName];
+  if (!connection) return;
+
+  const query = `
+    query FetchOrderConnectionPage($id: ID!, $after: String) {
+      order(id: $id) {
+        ${connectionName}(first: ${pageSize}, after: $after) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
           edges {
             node {
-              id
-              title
-              quantity
-              sku
-              variant {
-                id
-                title
-                sku
-              }
-              product {
-                id
-                title
-              }
+              ${CONNECTION_NODE_FIELDS[connectionName]}
             }
           }
         }
-        totalPriceSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        totalTaxSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
-        totalShippingPriceSet {
-          shopMoney {
-            amount
-            currencyCode
-          }
-        }
       }
     }
   `;
 
+  let pageInfo = connection.pageInfo;
+  let pages = 1;
+
+  while (pageInfo?.hasNextPage && pages < maxPages) {
+    const response = await executeGraphQLQuery(
+      query,
+      { id: order.id, after: pageInfo.endCursor },
+      { store },
+    );
+    const page = response.order?.[connectionName];
+    if (!page) break;
+
+    connection.edges.push(...page.edges);
+    pageInfo = page.pageInfo;
+    pages++;
+  }
+
+  if (pageInfo?.hasNextPage) {
+    order.warnings.push({
+      code: ORDER_WARNING_CODES.CONNECTION_TRUNCATED,
+      connection: connectionName,
+      message: `Only the first ${connection.edges.length} ${connectionName} were fetched; the order has more`,
+    });
+  }
+
+  delete connection.pageInfo;
+};
+
+/**
+ * Complete every paginated connection of an order
+ *
+ * @param {Object} order - Order from a query using OrderFields
+ * @param {Object} [store] - Store the order belongs to
+ * @returns {Promise<Object>} The same order with full connections and a "warnings" array
+ */
+const completeOrder = async (order, store) => {
+  order.warnings = [];
+
+  for (const connectionName of Object.keys(ORDER_CONNECTIONS)) {
+    await fetchRemainingConnectionPages(order, connectionName, store);
+  }
+
+  if (order.warnings.length > 0) {
+    console.warn(
+      `Order ${order.name} is incomplete: ${order.warnings
+        .map((warning) => warning.message)
+        .join("; ")}`,
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Fetch order by order ID from Shopify
+ *
+ * @param {number|string} orderId - Shopify order ID (numeric)
+ * @param {Object} [store] - Store to fetch from; defaults to the environment store
+ * @returns {Promise<Object>} Order data from Shopify, with a "warnings" array
+ * @throws {ShopifyNotFoundError} If the order does not exist
+ * @throws {ShopifyError} On any other API failure
+ */
+const fetchOrderById = async (orderId, store = null) => {
+  // GraphQL query to fetch order details
+  const query = `
+    query FetchOrder($id: ID!) {
+      order(id: $id) {
+        ...OrderFields
+      }
+    }
+    ${ORDER_FIELDS_FRAGMENT}
+  `;
+
   // Shopify uses global IDs in GraphQL, but we'll accept numeric order IDs
   // and construct the proper ID format
   const globalId = `gid://shopify/Order/${orderId}`;
 
-  try {
-    const response = await executeGraphQLQuery(query, { id: globalId });
+  const response = await executeGraphQLQuery(
+    query,
+    { id: globalId },
+    { store },
+  );
 
-    if (!response.order) {
-      throw new Error(`Order ${orderId} not found in Shopify`);
-    }
-
-    return response.order;
-  } catch (error) {
-    if (error.message.includes("not found")) {
-      throw new Error(`Order ${orderId} does not exist in Shopify`);
-    }
-    throw error;
+  if (!response.order) {
+    throw new ShopifyNotFoundError(`Order ${orderId} does not exist in Shopify`);
   }
+
+  return completeOrder(response.order, store);
 };
 
 /**
  * Fetch order by order number (human-readable number like #1001)
  *
  * @param {number|string} orderNumber - Order number (human-readable)
- * @returns {Promise<Object>} Order data from Shopify
- * @throws {Error} If order not found or API error occurs
+ * @param {Object} [store] - Store to fetch from; defaults to the environment store
+ * @returns {Promise<Object>} Order data from Shopify, with a "warnings" array
+ * @throws {ShopifyNotFoundError} If the order does not exist
+ * @throws {ShopifyError} On any other API failure
  */
-const fetchOrderByNumber = async (orderNumber) => {
+const fetchOrderByNumber = async (orderNumber, store = null) => {
   const query = `
     query SearchOrders($query: String!) {
       orders(first: 1, query: $query) {
         edges {
           node {
-            id
-            name
-            createdAt
-            updatedAt
-            processedAt
-            displayFulfillmentStatus
-            displayFinancialStatus
-            email
-            phone
-            note
-            customer {
-              id
-              firstName
-              lastName
-              email
-              phone
-            }
-            billingAddress {
-              firstName
-              lastName
-              address1
-              address2
-              city
-              province
-              zip
-              country
-            }
-            shippingAddress {
-              firstName
-              lastName
-              address1
-              address2
-              city
-              province
-              zip
-              country
-            }
-            lineItems(first: 10) {
-              edges {
-                node {
-                  id
-                  title
-                  quantity
-                  sku
-                  variant {
-                    id
-                    title
-                    sku
-                  }
-                  product {
-                    id
-                    title
-                  }
-                }
-              }
-            }
-            totalPriceSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-            totalTaxSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-            totalShippingPriceSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
+            ...OrderFields
           }
         }
       }
     }
+    ${ORDER_FIELDS_FRAGMENT}
   `;
 
-  try {
-    const response = await executeGraphQLQuery(query, {
-      query: `name:${orderNumber}`,
-    });
-
-    const orders = response.orders?.edges || [];
-    if (orders.length === 0) {
-      throw new Error(`Order ${orderNumber} not found in Shopify`);
-    }
+  const response = await executeGraphQLQuery(
+    query,
+    { query: `name:${orderNumber}` },
+    { store },
+  );
 
-    return orders[0].node;
-  } catch (error) {
-    if (error.message.includes("not found")) {
-      throw new Error(`Order ${orderNumber} does not exist in Shopify`);
-    }
-    throw error;
+  const orders = response.orders?.edges || [];
+  if (orders.length === 0) {
+    throw new ShopifyNotFoundError(
+      `Order ${orderNumber} does not exist in Shopify`,
+    );
   }
+
+  return completeOrder(orders[0].node, store);
 };
 
 module.exports = {
+  DEFAULT_API_VERSION,
+  ORDER_WARNING_CODES,
+  normalizeShopDomain,
+  getEnvironmentStore,
   fetchOrderById,
   fetchOrderByNumber,
   executeGraphQLQuery,
+  errorFromResponse,
+  getRateLimitState,
   RATE_LIMIT_CONFIG,
+  REQUEST_CONFIG,
 };
@@ -0,0 +1,72 @@
+/**
+ * Shopify Errors
+ *
+ * Typed errors thrown by utils/shopifyClient.js so callers can branch with
+ * instanceof instead of matching message text.
+ *
+ * - ShopifyError: base class; any other GraphQL or API failure
+ * - ShopifyNotFoundError: the requested resource does not exist
+ * - ShopifyAuthError: missing, invalid or under-privileged credentials
+ * - ShopifyThrottledError: still throttled after every retry
+ * - ShopifyNetworkError: timeout, connection failure, 5xx or unreadable response
+ */
+
+// Error codes carried by the Shopify error classes
+const SHOPIFY_ERROR_CODES = {
+  API_ERROR: "SHOPIFY_API_ERROR",
+  NOT_FOUND: "SHOPIFY_NOT_FOUND",
+  AUTH_ERROR: "SHOPIFY_AUTH_ERROR",
+  THROTTLED: "SHOPIFY_THROTTLED",
+  NETWORK_ERROR: "SHOPIFY_NETWORK_ERROR",
+};
+
+class ShopifyError extends Error {
+  constructor(message, code = SHOPIFY_ERROR_CODES.API_ERROR, options = {}) {
+    super(message);
+    this.name = "ShopifyError";
+    this.code = code;
+    this.httpStatus = options.httpStatus || null;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class ShopifyNotFoundError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, SHOPIFY_ERROR_CODES.NOT_FOUND, options);
+    this.name = "ShopifyNotFoundError";
+  }
+}
+
+class ShopifyAuthError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, SHOPIFY_ERROR_CODES.AUTH_ERROR, options);
+    this.name = "ShopifyAuthError";
+  }
+}
+
+class ShopifyThrottledError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, SHOPIFY_ERROR_CODES.THROTTLED, options);
+    this.name = "ShopifyThrottledError";
+    // Milliseconds until the bucket is expected to hold the query again
+    this.retryAfterMs = options.retryAfterMs || null;
+  }
+}
+
+class ShopifyNetworkError extends ShopifyError {
+  constructor(message, options = {}) {
+    super(message, SHOPIFY_ERROR_CODES.NETWORK_ERROR, options);
+    this.name = "ShopifyNetworkError";
+  }
+}
+
+module.exports = {
+  SHOPIFY_ERROR_CODES,
+  ShopifyError,
+  ShopifyNotFoundError,
+  ShopifyAuthError,
+  ShopifyThrottledError,
+  ShopifyNetworkError,
+};
@@ -0,0 +1,180 @@
+/**
+ * Encoded SKU Parser
+ *
+ * Parses the encoded SKUs staff put in Shopify order notes and line items.
+ *
+ * Grammar:
+ *   encoded-sku = "--" shade "-" arch "-" product "--"
+ *   shade       = a shade from SHADES          e.g. A1, A3.5, BL2
+ *   arch        = "U" | "L" | "UL" | "LU"      upper, lower or both
+ *   product     = 1*(A-Z / 0-9) ["." 1*DIGIT]  e.g. R33330.1
+ *
+ * Example: --A1-UL-R33330.1-- is shade A1, both arches, product R33330.1
+ *
+ * parseEncodedSku() never throws; it returns either a parsed item or an
+ * error with a specific reason code.
+ */
+
+// Matches candidate encoded SKUs inside free text (order notes)
+const ENCODED_SKU_PATTERN = /--[A-Z0-9.]+-[A-Z]+-[A-Z0-9.]+--/g;
+
+// Shades accepted by the lab: VITA classical plus bleach shades
+const SHADES = [
+  "A1", "A2", "A3", "A3.5", "A4",
+  "B1", "B2", "B3", "B4",
+  "C1", "C2", "C3", "C4",
+  "D2", "D3", "D4",
+  "BL1", "BL2", "BL3", "BL4",
+  "OM1", "OM2", "OM3",
+];
+
+// Arch codes with the teeth they cover; quantity is one per arch
+const ARCH_CODES = {
+  U: ["Upper"],
+  L: ["Lower"],
+  UL: ["Upper", "Lower"],
+  LU: ["Upper", "Lower"],
+};
+
+const PRODUCT_CODE_PATTERN = /^[A-Z0-9]+(\.[0-9]+)?$/;
+
+// Reasons an encoded SKU can be rejected
+const SKU_ERROR_CODES = {
+  INVALID_FORMAT: "INVALID_FORMAT",
+  MISSING_SHADE: "MISSING_SHADE",
+  UNKNOWN_SHADE: "UNKNOWN_SHADE",
+  UNKNOWN_ARCH_CODE: "UNKNOWN_ARCH_CODE",
+  MISSING_PRODUCT: "MISSING_PRODUCT",
+  BAD_PRODUCT_CODE: "BAD_PRODUCT_CODE",
+};
+
+/**
+ * @typedef {Object} ParsedSku
+ * @property {string} sku - Original SKU
+ * @property {string} shade - Shade, e.g. "A1"
+ * @property {string} arch - Arch code, e.g. "UL"
+ * @property {string[]} teeth - Teeth covered ("Upper", "Lower")
+ * @property {string} toothLocation - Teeth as stored in case_item_tooth, e.g. "Upper, Lower"
+ * @property {number} qty - Quantity (one per arch)
+ * @property {string} product - Lab product code, e.g. "R33330.1"
+ */
+
+/**
+ * @typedef {Object} SkuError
+ * @property {string} sku - Original SKU
+ * @property {string} code - One of SKU_ERROR_CODES
+ * @property {string} message - Human-readable reason
+ */
+
+/**
+ * Helper: Build a failed parse result
+ */
+const failure = (sku, code, message) => ({
+  ok: false,
+  error: { sku, code, message },
+});
+
+/**
+ * Parse an encoded SKU
+ *
+ * @param {string} sku - Encoded SKU, e.g. "--A1-UL-R33330.1--"
+ * @returns {{ok: true, value: ParsedSku} | {ok: false, error: SkuError}}
+ */
+function parseEncodedSku(sku) {
+  const raw = String(sku || "").trim();
+  const normalized = raw.toUpperCase();
+
+  if (
+    normalized.length <= 4 ||
+    !normalized.startsWith("--") ||
+    !normalized.endsWith("--")
+  ) {
+    return failure(
+      raw,
+      SKU_ERROR_CODES.INVALID_FORMAT,
+      "Encoded SKUs must be wrapped in double dashes, e.g. --A1-UL-R33330.1--",
+    );
+  }
+
+  const parts = normalized.slice(2, -2).split("-");
+
+  // Two parts starting with an arch code means the shade was left out
+  if (parts.length === 2 && ARCH_CODES[parts[0]]) {
+    return failure(raw, SKU_ERROR_CODES.MISSING_SHADE, "Shade is missing");
+  }
+
+  if (parts.length !== 3) {
+    return failure(
+      raw,
+      SKU_ERROR_CODES.INVALID_FORMAT,
+      "Expected three parts: shade-arch-product",
+    );
+  }
+
+  const [shade, arch, product] = parts;
+
+  if (!shade) {
+    return failure(raw, SKU_ERROR_CODES.MISSING_SHADE, "Shade is missing");
+  }
+  if (!SHADES.includes(shade)) {
+    return failure(raw, SKU_ERROR_CODES.UNKNOWN_SHADE, `Unknown shade "${shade}"`);
+  }
+
+  if (!ARCH_CODES[arch]) {
+    return failure(
+      raw,
+      SKU_ERROR_CODES.UNKNOWN_ARCH_CODE,
+      `Unknown arch code "${arch}". Expected one of: ${Object.keys(ARCH_CODES).join(", ")}`,
+    );
+  }
+
+  if (!product) {
+    return failure(
+      raw,
+      SKU_ERROR_CODES.MISSING_PRODUCT,
+      "Product code is missing",
+    );
+  }
+  if (!PRODUCT_CODE_PATTERN.test(product)) {
+    return failure(
+      raw,
+      SKU_ERROR_CODES.BAD_PRODUCT_CODE,
+      `Bad product code "${product}"`,
+    );
+  }
+
+  const teeth = ARCH_CODES[arch];
+
+  return {
+    ok: true,
+    value: {
+      sku: raw,
+      shade,
+      arch,
+      teeth,
+      toothLocation: teeth.join(", "),
+      qty: teeth.length,
+      product,
+    },
+  };
+}
+
+/**
+ * Find candidate encoded SKUs in free text
+ *
+ * @param {string} text - Text to search (e.g. an order note)
+ * @returns {string[]} Matches in order of appearance
+ */
+function extractEncodedSkus(text) {
+  if (!text) return [];
+  return String(text).toUpperCase().match(ENCODED_SKU_PATTERN) || [];
+}
+
+module.exports = {
+  SHADES,
+  ARCH_CODES,
+  SKU_ERROR_CODES,
+  ENCODED_SKU_PATTERN,
+  parseEncodedSku,
+  extractEncodedSkus,
+};
@@ -0,0 +1,94 @@
+/**
+ * Token Encryption Utility
+ *
+ * Encrypts secrets stored in the database (Shopify access tokens and webhook
+ * secrets) with AES-256-GCM.
+ *
+ * The key is read from SHOPIFY_TOKEN_ENCRYPTION_KEY: 32 bytes given as 64 hex
+ * characters or base64. Encrypted values are stored as
+ * "v1:<iv>:<auth tag>:<ciphertext>" with each part base64-encoded, so the
+ * format can change later without breaking existing rows.
+ */
+
+const crypto = require("crypto");
+
+// Constants
+const ALGORITHM = "aes-256-gcm";
+const FORMAT_VERSION = "v1";
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Helper: Read the encryption key from the environment
+ */
+const getKey = () => {
+  const rawKey = process.env.SHOPIFY_TOKEN_ENCRYPTION_KEY;
+
+  if (!rawKey) {
+    throw new Error("SHOPIFY_TOKEN_ENCRYPTION_KEY is not configured");
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(rawKey)
+    ? Buffer.from(rawKey, "hex")
+    : Buffer.from(rawKey, "base64");
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(
+      "SHOPIFY_TOKEN_ENCRYPTION_KEY must be 32 bytes (64 hex characters or base64)",
+    );
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt a secret for storage
+ *
+ * @param {string} plainText - Secret to encrypt
+ * @returns {string} Encrypted value ("v1:iv:tag:ciphertext")
+ */
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const cipherText = Buffer.concat([
+    cipher.update(String(plainText), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    FORMAT_VERSION,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    cipherText.toString("base64"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ *
+ * @param {string} encrypted - Encrypted value
+ * @returns {string} Plain text secret
+ * @throws {Error} If the value is malformed, was encrypted with another key or was tampered with
+ */
+function decryptSecret(encrypted) {
+  const parts = String(encrypted || "").split(":");
+
+  if (parts.length !== 4 || parts[0] !== FORMAT_VERSION) {
+    throw new Error("Unsupported encrypted secret format");
+  }
+
+  const [, iv, authTag, cipherText] = parts;
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(),
+    Buffer.from(iv, "base64"),
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(cipherText, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+module.exports = { encryptSecret, decryptSecret };
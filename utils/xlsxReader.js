@@ -0,0 +1,221 @@
+/**
+ * XLSX Reader Utility
+ *
+ * Minimal reader for the first worksheet of an .xlsx workbook, enough for
+ * partner spreadsheets of plain values: unzips the package with zlib and
+ * reads cell values from the sheet XML. Formulas are read as their cached
+ * value; formatting, dates and merged cells are not interpreted.
+ */
+
+const zlib = require("zlib");
+
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const ZIP_DIRECTORY_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// Largest unzipped size read from one workbook part; guards against zip bombs
+const MAX_ENTRY_SIZE = 32 * 1024 * 1024;
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * Helper: Read the files of a zip archive
+ *
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Function>} File name -> function returning its contents
+ */
+const readZipEntries = (buffer) => {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= 0; i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error("File is not an XLSX workbook");
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_DIRECTORY_ENTRY) {
+      throw new Error("XLSX workbook is corrupt");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (uncompressedSize > MAX_ENTRY_SIZE) {
+        throw new Error(`XLSX part ${name} is too large to read`);
+      }
+      if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+        throw new Error("XLSX workbook is corrupt");
+      }
+      const start =
+        localOffset +
+        30 +
+        buffer.readUInt16LE(localOffset + 26) +
+        buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+
+      if (method === ZIP_STORED) return data.toString("utf8");
+      if (method === ZIP_DEFLATED) {
+        // The declared size may lie, so cap the output as well
+        try {
+          return zlib
+            .inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE })
+            .toString("utf8");
+        } catch (error) {
+          if (error instanceof RangeError) {
+            throw new Error(`XLSX part ${name} is too large to read`);
+          }
+          throw error;
+        }
+      }
+      throw new Error(`XLSX uses unsupported compression method ${method}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Helper: Decode XML entities
+ */
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+
+/**
+ * Helper: Text of a string item (<si> or <is>), joining rich text runs
+ */
+const readStringItem = (xml) =>
+  [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeXml(match[1]))
+    .join("");
+
+/**
+ * Helper: Zero-based column index of a cell reference ("B7" -> 1)
+ */
+const columnIndex = (reference) => {
+  const letters = reference.replace(/\d+$/, "");
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+/**
+ * Helper: Path of the first worksheet in the workbook
+ */
+const firstSheetPath = (entries) => {
+  const workbook = entries.get("xl/workbook.xml");
+  const rels = entries.get("xl/_rels/workbook.xml.rels");
+  if (workbook && rels) {
+    const sheet = workbook().match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    const target =
+      sheet &&
+      rels()
+        .match(/<Relationship\b[^>]*>/g)
+        ?.find((rel) => rel.includes(`Id="${sheet[1]}"`))
+        ?.match(/Target="([^"]+)"/);
+    if (target) {
+      return target[1].startsWith("/")
+        ? target[1].slice(1)
+        : `xl/${target[1]}`;
+    }
+  }
+  return "xl/worksheets/sheet1.xml";
+};
+
+/**
+ * Read the rows of the first worksheet of an XLSX workbook
+ *
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {string[][]} Rows of cell values; blank rows are skipped
+ * @throws {Error} If the file is not a readable XLSX workbook
+ */
+function readXlsxRows(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheet = entries.get(firstSheetPath(entries));
+  if (!sheet) {
+    throw new Error("XLSX workbook has no worksheet");
+  }
+
+  const sharedStrings = entries.has("xl/sharedStrings.xml")
+    ? [
+        ...entries
+          .get("xl/sharedStrings.xml")()
+          .matchAll(/<si>([\s\S]*?)<\/si>/g),
+      ].map((match) => readStringItem(match[1]))
+    : [];
+
+  const rows = [];
+  const rowPattern = /<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+
+  for (const [, rowXml = ""] of sheet().matchAll(rowPattern)) {
+    const row = [];
+    let position = 0;
+
+    for (const [, attributes, cellXml = ""] of rowXml.matchAll(cellPattern)) {
+      const reference = attributes.match(/\br="([A-Z]+\d+)"/);
+      const index = reference ? columnIndex(reference[1]) : position;
+      const type = attributes.match(/\bt="(\w+)"/)?.[1];
+      const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let text = "";
+      if (type === "s") {
+        text = sharedStrings[Number(value)] ?? "";
+      } else if (type === "inlineStr") {
+        text = readStringItem(cellXml);
+      } else if (type === "b") {
+        text = value === "1" ? "TRUE" : "FALSE";
+      } else if (value !== undefined) {
+        text = decodeXml(value);
+      }
+
+      while (row.length < index) row.push("");
+      row[index] = text;
+      position = index + 1;
+    }
+
+    if (row.some((value) => value !== "")) {
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+module.exports = {
+  readXlsxRows,
+};